@@ -3,49 +3,288 @@
 
 import fs from "fs/promises";
 import path from "path";
+import { createHash } from "crypto";
+import { Worker, isMainThread, parentPort, workerData } from "worker_threads";
 import { fileURLToPath } from "url";
+import { createReferenceParser, formatPassage, passageUrl, rangePath } from "./lib/reference.mjs";
+import { selectRange, passageVersesHTML } from "./lib/passage.mjs";
+import { diffWords, diffHTML, isChanged } from "./lib/diff.mjs";
+import { escapeHtml } from "./lib/html.mjs";
+import { mapLimit, progress, intOption, choiceOption, listOption } from "./lib/pool.mjs";
+import { OT, NT } from "./lib/canon.mjs";
+import { validateDataset, writeReport, printReport, reportFile } from "./lib/validate.mjs";
+import { loadEditions } from "./lib/editions.mjs";
+import { loadSite } from "./lib/site.mjs";
+import { loadLocale, translate, textDirection } from "./lib/i18n.mjs";
+import { HIGHLIGHTS } from "./lib/notes.mjs";
+import { buildPlans } from "./lib/plans.mjs";
+import { parseCrossRefs } from "./lib/crossrefs.mjs";
+import { parseTagged, taggedHTML, normalizeLexicon, compareCodes, isHebrew } from "./lib/strongs.mjs";
+import { buildConcordance, kwic, keyness, STOPWORDS } from "./lib/concordance.mjs";
+import { checkAccessibility } from "./lib/a11y.mjs";
+import { readFont } from "./lib/font.mjs";
+import { renderShareImage, SHARE_WIDTH, SHARE_HEIGHT } from "./lib/share-image.mjs";
+import { buildEpub } from "./lib/epub.mjs";
 
 // -------- Config --------
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OUT_DIR = path.join(__dirname, "dist");
-const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "Bible-kjv-master");
-
-const SITE = process.env.SITE || "https://kjv.the-holy-bible.online";
-const CNAME = process.env.CNAME || "kjv.the-holy-bible.online";
-
-// Branding
-const LOGO_URL = "https://static1.squarespace.com/static/68d6b7d6d21f02432fd7397b/t/690209b3567af44aabfbdaca/1761741235124/LivingWordBibles01.png";
-const FONT_LINK = `<link href="https://fonts.googleapis.com/css2?family=EB+Garamond:wght@400;600;700&display=swap" rel="stylesheet">`;
-
-// Remote fallbacks for data (if ./Bible-kjv-master not present)
-const BASES = [
-  "https://cdn.jsdelivr.net/gh/Living-Word-Bibles/the-holy-bible-kjv@main/Bible-kjv-master/",
-  "https://raw.githubusercontent.com/Living-Word-Bibles/the-holy-bible-kjv/main/Bible-kjv-master/",
-  "https://cdn.jsdelivr.net/gh/aruljohn/Bible-kjv@master/",
-  "https://raw.githubusercontent.com/aruljohn/Bible-kjv/master/",
-  "https://cdn.jsdelivr.net/gh/aruljohn/Bible-kjv-1611@master/",
-  "https://raw.githubusercontent.com/aruljohn/Bible-kjv-1611/master/"
-];
+const PASSAGES_FILE = process.env.PASSAGES_FILE || path.join(__dirname, "passages.json");
+const PLANS_FILE = process.env.PLANS_FILE || path.join(__dirname, "plans.json");
+const VOTD_FILE = process.env.VOTD_FILE || path.join(__dirname, "votd.json");
+const CROSSREFS_FILE = process.env.CROSSREFS_FILE || path.join(__dirname, "crossrefs.tsv");
+const STRONGS_FILE = process.env.STRONGS_FILE || path.join(__dirname, "strongs.json");  // Strong's lexicon
+const MANIFEST_FILE = path.join(__dirname, ".cache", "build-manifest.json");
+const FORCE = process.argv.includes("--force"); // wipe dist/ and rewrite everything
+const CONCURRENCY = intOption("concurrency", "CONCURRENCY", 32);   // files written in parallel
+const RENDER_WORKERS = intOption("workers", "RENDER_WORKERS", 0);  // verse-page render threads; 0 = main thread
+const NO_VALIDATE = process.argv.includes("--no-validate"); // build partial/local datasets despite validation errors
+const FOLD_ARCHAIC = !process.argv.includes("--no-fold");  // concordance: list "loveth" under "love"
+const NO_A11Y = process.argv.includes("--no-a11y");          // publish despite accessibility check errors
+const SHARE_IMAGES = choiceOption("share-images", "SHARE_IMAGES", ["popular", "all", "none"], "popular");  // per-verse og:image cards
+const A11Y_FILE = path.join(__dirname, ".cache", "a11y.json");
+
+// Partial builds (serve.mjs runs them as files change): --only=<group,…> renders just
+// those BUILD_GROUPS and --books=<slug,…> just those books' pages. Everything else,
+// sitemaps included, stays as last built, and the manifest keeps the last full
+// build's inputs so the next full build still redoes whatever was left out.
+const BUILD_GROUPS = ["assets", "home", "audio", "books", "chapters", "data", "passages", "plans", "votd", "strongs", "concordance", "downloads", "share", "verses", "redirects", "api", "search", "compare"];
+const ONLY = listOption("only", "BUILD_ONLY");
+const BOOKS_ONLY = listOption("books", "BUILD_BOOKS");
+const PARTIAL = Boolean(ONLY || BOOKS_ONLY);
+const want = (group)=> !ONLY || ONLY.includes(group);
+const inScope = (bookSlug)=> !BOOKS_ONLY || BOOKS_ONLY.includes(bookSlug);
+
+// Browser-safe modules shipped under /assets/, their imports of one another
+// renamed to match ("./html.mjs" → "./html.js")
+const SHARED_MODULES = {
+  "html.js":      path.join(__dirname, "lib", "html.mjs"),
+  "reference.js": path.join(__dirname, "lib", "reference.mjs"),
+  "passage.js":   path.join(__dirname, "lib", "passage.mjs"),
+  "diff.js":      path.join(__dirname, "lib", "diff.mjs"),
+  "notes.js":     path.join(__dirname, "lib", "notes.mjs")
+};
+
+// Branding from site.json (see lib/site.mjs): name, version, publisher, logo, social
+// profiles and theme colours, used by siteHeaderHTML/siteFooterHTML on every page
+const SITE_CONFIG = await loadSite(__dirname);
+const SITE = process.env.SITE || SITE_CONFIG.url;
+const CNAME = process.env.CNAME || new URL(SITE_CONFIG.url).host;
+
+// The service worker keeps a copy of the remote logo for offline use
+const LOGO_URL = SITE_CONFIG.logo.src;
+
+// EB Garamond, self-hosted from fonts/ (SIL OFL, see fonts/OFL.txt) as /assets/fonts/
+const FONTS_DIR = path.join(__dirname, "fonts");
+const FONT_RANGES = {
+  "latin": "U+0000-00FF,U+0131,U+0152-0153,U+02BB-02BC,U+02C6,U+02DA,U+02DC,U+0304,U+0308,U+0329,U+2000-206F,U+20AC,U+2122,U+2191,U+2193,U+2212,U+2215,U+FEFF,U+FFFD",
+  "latin-ext": "U+0100-02BA,U+02BD-02C5,U+02C7-02CC,U+02CE-02D7,U+02DD-02FF,U+0304,U+0308,U+0329,U+1D00-1DBF,U+1E00-1E9F,U+1EF2-1EFF,U+2020,U+20A0-20AB,U+20AD-20C0,U+2113,U+2C60-2C7F,U+A720-A7FF"
+};
+const FONT_FILES = [400, 600, 700].flatMap(weight => Object.entries(FONT_RANGES)
+  .map(([subset, range]) => ({ file: `eb-garamond-${subset}-${weight}-normal.woff2`, weight, range })));
+
+// Reader preferences (see readerPrefsHTML): stored in localStorage under PREFS_KEY
+// as { theme, size, leading, font, vnums, strongs } and mirrored onto <html data-*>
+const PREFS_KEY = "kjv-prefs";
+const PREF_NAMES = ["theme", "size", "leading", "font", "vnums", "strongs"];
+
+// Reader themes as CSS variables, with any site.json colours applied
+const THEMES = withColours({
+  light: { scheme:"light", page:"#fafafa", bg:"#fff", ink:"#111", muted:"#666", line:"#eee", border:"#ddd", control:"#8a8a8a", strong:"#888", heading:"#333", hover:"#f3f3f3", target:"#fef9c3", mark:"#fde68a", error:"#b91c1c" },
+  dark:  { scheme:"dark", page:"#0f1115", bg:"#181b21", ink:"#e5e7eb", muted:"#9ca3af", line:"#2a2f37", border:"#2f343d", control:"#717887", strong:"#8b93a1", heading:"#d1d5db", hover:"#232833", target:"#3f3a1a", mark:"#854d0e", error:"#f87171" },
+  sepia: { scheme:"light", page:"#f1e7d0", bg:"#fbf4e4", ink:"#3b2f20", muted:"#6b5c48", line:"#e6d9bd", border:"#dccdae", control:"#8f7c55", strong:"#9c8660", heading:"#4a3b28", hover:"#f2e8d2", target:"#f5e3a3", mark:"#ecd189", error:"#b91c1c" }
+}, SITE_CONFIG.colours);
+const themeVars = ({ scheme, ...colors })=> `color-scheme:${scheme};` + Object.entries(colors).map(([k, v]) => `--${k}:${v}`).join(";");
+
+// themes + { <theme>: { <variable>: colour } } from site.json → themes
+function withColours(themes, colours){
+  for (const [id, vars] of Object.entries(colours)){
+    if (!themes[id]) throw new Error(`site.json: colours for unknown theme "${id}" (use ${Object.keys(themes).join(", ")})`);
+    for (const [name, value] of Object.entries(vars || {})){
+      if (name === "scheme" || !(name in themes[id])) throw new Error(`site.json: unknown colour "${name}" for theme "${id}" (use ${Object.keys(themes[id]).filter(k => k !== "scheme").join(", ")})`);
+      themes[id][name] = String(value);
+    }
+  }
+  return themes;
+}
+
+// In every <head>: saved reader preferences (inline, so they apply before first
+// paint), body font preload, web app manifest, the edition's interface text for
+// the /assets/ scripts (see messagesJS) and service worker registration
+function headLinksHTML(ed){
+  return `<script>try{var p=JSON.parse(localStorage.getItem(${JSON.stringify(PREFS_KEY)})||"{}");${JSON.stringify(PREF_NAMES)}.forEach(function(k){if(typeof p[k]==="string")document.documentElement.dataset[k]=p[k]})}catch(e){}</script>
+<link rel="preload" href="/assets/fonts/eb-garamond-latin-400-normal.woff2" as="font" type="font/woff2" crossorigin>
+<link rel="manifest" href="/manifest.webmanifest">
+<link rel="icon" href="/assets/icon.svg" type="image/svg+xml">
+<meta name="theme-color" content="${THEMES.light.page}">
+<script src="/assets/messages/${ed.ui.code}.js"></script>
+<script src="/assets/pwa.js" defer></script>
+<script src="/assets/keys.js" defer></script>`;
+}
+
+// First thing in every <body>, so keyboard and screen reader users can pass the header
+const skipLinkHTML = (ed)=> `<a class="skip-link" href="#main">${msg(ed, "layout.skip")}</a>`;
+
+// Editions from editions.json (see lib/editions.mjs), default first. Filled by
+// buildAll() (or from workerData in render workers); each gets `ui`, its locale
+// (lib/i18n.mjs), before anything renders, and `nav` once loaded.
+const EDITIONS = [];
+// The edition whose text `ed` shows, and whose downloads, API, search index,
+// concordance, Strong's pages, recordings and share images it links to: itself,
+// or the one named by its "text" (see lib/editions.mjs)
+const textEdition = (ed)=> ed.textOf ? EDITIONS.find(o => o.id === ed.textOf) : ed;
 
-// OT/NT ordering
-const OT = ['Genesis','Exodus','Leviticus','Numbers','Deuteronomy','Joshua','Judges','Ruth','1 Samuel','2 Samuel','1 Kings','2 Kings','1 Chronicles','2 Chronicles','Ezra','Nehemiah','Esther','Job','Psalms','Proverbs','Ecclesiastes','Song of Solomon','Isaiah','Jeremiah','Lamentations','Ezekiel','Daniel','Hosea','Joel','Amos','Obadiah','Jonah','Micah','Nahum','Habakkuk','Zephaniah','Haggai','Zechariah','Malachi'];
-const NT = ['Matthew','Mark','Luke','John','Acts','Romans','1 Corinthians','2 Corinthians','Galatians','Ephesians','Philippians','Colossians','1 Thessalonians','2 Thessalonians','1 Timothy','2 Timothy','Titus','Philemon','Hebrews','James','1 Peter','2 Peter','1 John','2 John','3 John','Jude','Revelation'];
+// -------- Interface language (locales/, see lib/i18n.mjs) --------
+// Text from the edition's catalogue: msg(ed, "nav.search"), msg(ed, "plans.days", { count })
+const msg = (ed, key, params)=> translate(ed.ui, key, params);
+// <html> attributes for the interface language, and for text in another one
+const pageLang = (ed)=> `lang="${ed.ui.code}" dir="${ed.ui.dir}"`;
+const textLang = (ed)=> ed.lang === ed.ui.code ? "" : ` lang="${ed.lang}"${textDirection(ed.lang) === ed.ui.dir ? "" : ` dir="${textDirection(ed.lang)}"`}`;
+// A book's URL segment in the edition's locale ("john" → "juan")
+const bookPath = (ed, slug)=> ed.ui.books[slug]?.path ?? slug;
+
+// /assets/messages/<code>.js, loaded ahead of every other script (headLinksHTML):
+// the locale's `scripts` messages as the global i18n, whose t() fills them in the
+// way translate() does
+function messagesJS(locale){
+  return `// Generated by build.mjs from locales/${locale.code}.json
+self.i18n = (function(){
+  'use strict';
+  var lang = ${JSON.stringify(locale.code)}, messages = ${JSON.stringify(locale.scripts)};
+  var plural = new Intl.PluralRules(lang);
+  return {
+    lang: lang,
+    dir: ${JSON.stringify(locale.dir)},
+    messages: messages,
+    t: function(key, params){
+      params = params || {};
+      var text = messages[key];
+      if (text === undefined) return key;
+      if (typeof text === 'object') text = text[plural.select(Number(params.count))] || text.other;
+      return String(text).replace(/\\{(\\w+)\\}/g, function(m, name){ return name in params ? String(params[name]) : m; });
+    }
+  };
+})();
+`;
+}
 
 // -------- Utils --------
 const slugify = (s)=>String(s).trim().toLowerCase().replace(/[^a-z0-9\s]/g,"").replace(/\s+/g,"-");
+const OT_SLUGS = new Set(OT.map(n => slugify(n)));
+const CANONICAL_NAMES = new Map([...OT, ...NT].map(n => [slugify(n), n]));   // slug → English name
 const fileFromName = (name)=>String(name).replace(/[^0-9A-Za-z]/g,"") + ".json";
-const escapeHtml = (s)=>String(s)
-  .replaceAll("&","&amp;").replaceAll("<","&lt;").replaceAll(">","&gt;")
-  .replaceAll('"',"&quot;").replaceAll("'","&#39;");
 const sleep = (ms)=>new Promise(r=>setTimeout(r,ms));
 
 // fs helpers
 async function ensureDir(d){ await fs.mkdir(d, {recursive:true}); }
 async function cleanOut(){ await fs.rm(OUT_DIR, {recursive:true, force:true}); await ensureDir(OUT_DIR); }
+const exists = (p)=>fs.access(p).then(()=>true, ()=>false);
+const hashOf = (data)=>createHash("sha1").update(data).digest("hex");
+
+// -------- Build manifest (incremental output) --------
+// MANIFEST_FILE records a hash per input (book data, templates, config) and per
+// output file under dist/. Every output goes through emit(), which skips files
+// whose content is unchanged; outputs not emitted this run are removed at the end.
+// `changed` is when an output's content last changed and feeds sitemap <lastmod>.
+const manifest = {
+  prev: { inputs:{}, files:{} },
+  inputs: {},
+  files: {},           // rel path -> { hash, changed }
+  modified: {},        // "data:<edition>:<file>" -> mtime of the local data file
+  startedAt: new Date().toISOString(),
+  stats: { written:0, skipped:0, removed:0 }
+};
+
+async function loadManifest(){
+  try { manifest.prev = JSON.parse(await fs.readFile(MANIFEST_FILE, "utf8")); }
+  catch { manifest.prev = { inputs:{}, files:{} }; }
+}
+
+async function saveManifest(){
+  await ensureDir(path.dirname(MANIFEST_FILE));
+  // Sorted so the manifest doesn't depend on the order parallel writes finished in
+  const files = Object.fromEntries(Object.entries(manifest.files).sort(([a],[b])=> a < b ? -1 : a > b ? 1 : 0));
+  const inputs = PARTIAL ? manifest.prev.inputs : manifest.inputs;
+  await fs.writeFile(MANIFEST_FILE, JSON.stringify({ builtAt: manifest.startedAt, inputs, files }));
+}
+
+// rel is "/"-separated and relative to OUT_DIR, e.g. "john/3/16/index.html"
+async function emit(rel, content){
+  const h = hashOf(content);
+  const old = manifest.prev.files[rel];
+  const abs = path.join(OUT_DIR, ...rel.split("/"));
+  const same = old && old.hash === h;
+  manifest.files[rel] = { hash: h, changed: same ? old.changed : manifest.startedAt };
+  if (same && await exists(abs)){ manifest.stats.skipped++; return; }
+  await ensureDir(path.dirname(abs));
+  await fs.writeFile(abs, content);
+  manifest.stats.written++;
+}
+
+// emit() for outputs that are slow to produce: `key` stands for everything the
+// content depends on, and render() only runs when it differs from last build's
+async function emitRendered(rel, key, render){
+  const old = manifest.prev.files[rel];
+  if (old?.key === key && await exists(path.join(OUT_DIR, ...rel.split("/")))){
+    manifest.files[rel] = old;
+    manifest.stats.skipped++;
+    return;
+  }
+  await emit(rel, await render());
+  manifest.files[rel].key = key;
+}
 
-// data loaders
-async function readLocalJSON(rel){
-  const p = path.join(DATA_DIR, rel);
+// rel inside an edition's tree: "john/3/index.html" → "kjv-1611/john/3/index.html"
+function outPath(ed, rel){
+  return ed.prefix ? `${ed.prefix.slice(1)}/${rel}` : rel;
+}
+
+// Last change of the page served at urlPath ("/john/3/16/")
+function lastmodOf(urlPath){
+  const rel = urlPath.replace(/^\//, "") + "index.html";
+  return manifest.files[rel]?.changed || manifest.startedAt;
+}
+
+// Delete outputs that were emitted last time but not this time, plus emptied dirs
+async function pruneOutputs(){
+  for (const rel of Object.keys(manifest.prev.files)){
+    if (manifest.files[rel]) continue;
+    let dir = path.join(OUT_DIR, ...rel.split("/"));
+    await fs.rm(dir, { force:true });
+    manifest.stats.removed++;
+    while ((dir = path.dirname(dir)) !== OUT_DIR && dir.startsWith(OUT_DIR)){
+      try { await fs.rmdir(dir); } catch { break; } // stops at the first non-empty dir
+    }
+  }
+}
+
+function changedInputs(){
+  const { prev, inputs } = manifest;
+  const keys = new Set([...Object.keys(prev.inputs || {}), ...Object.keys(inputs)]);
+  return [...keys].filter(k => (prev.inputs || {})[k] !== inputs[k]).sort();
+}
+
+// Templates (this file + lib/), fonts and config; book data is hashed as it loads
+async function hashCodeAndConfig(){
+  const libDir = path.join(__dirname, "lib");
+  const sources = [fileURLToPath(import.meta.url), ...(await fs.readdir(libDir)).sort().map(f => path.join(libDir, f)),
+    ...FONT_FILES.map(f => path.join(FONTS_DIR, f.file))];
+  for (const src of sources){
+    manifest.inputs[`template:${path.relative(__dirname, src)}`] = hashOf(await fs.readFile(src));
+  }
+  const passages = await fs.readFile(PASSAGES_FILE).catch(()=> "");
+  const plans = await fs.readFile(PLANS_FILE).catch(()=> "");
+  const votd = await fs.readFile(VOTD_FILE).catch(()=> "");
+  const crossrefs = await fs.readFile(CROSSREFS_FILE).catch(()=> "");
+  const lexicon = await fs.readFile(STRONGS_FILE).catch(()=> "");
+  const editions = EDITIONS.map(({ nav, ...ed }) => ed);
+  manifest.inputs["config"] = hashOf(JSON.stringify({ SITE, CNAME, site: SITE_CONFIG, editions, passages: hashOf(passages), plans: hashOf(plans), votd: hashOf(votd), crossrefs: hashOf(crossrefs), lexicon: hashOf(lexicon), fold: FOLD_ARCHAIC, shareImages: SHARE_IMAGES }));
+  manifest.inputs["date"] = manifest.startedAt.slice(0, 10); // verse of the day window and feeds
+}
+
+// data loaders: an edition's dataDir first, then its remote bases
+async function readLocalJSON(ed, rel){
+  const p = path.join(ed.dataDir, rel);
   const buf = await fs.readFile(p);
   return JSON.parse(String(buf));
 }
@@ -56,19 +295,25 @@ async function fetchJSON(url){
   if (ct.includes("application/json")) return r.json();
   return JSON.parse(await r.text());
 }
-async function loadJSON(rel){
-  try { return await readLocalJSON(rel); } catch {}
+async function loadJSON(ed, rel){
+  try {
+    const data = await readLocalJSON(ed, rel);
+    manifest.modified[`data:${ed.id}:${rel}`] = (await fs.stat(path.join(ed.dataDir, rel))).mtime.toISOString();
+    return data;
+  } catch {}
   let lastErr = "";
-  for (const base of BASES){
+  for (const base of ed.bases){
     const u = base + rel;
     try { return await fetchJSON(u); }
     catch(e){ lastErr = e.message; }
     await sleep(50);
   }
-  throw new Error(`Unable to load ${rel}. ${lastErr||""}`);
+  throw new Error(`Unable to load ${rel} for ${ed.id}. ${lastErr||""}`);
 }
 
-// Normalize book JSON into { chapters: { [n]: { verseCount, verses:{ '1':'text', ... }}}}
+// Normalize book JSON into { chapters: { [n]: { verseCount, verses:{ '1':'text', ... }}}}.
+// Strong's-tagged verse text (lib/strongs.mjs) is reduced to plain text, and the
+// tags come back as tagged: { [n]: { '1':[[words, [code, ...]], ...] } }
 function normalizeBook(name, data){
   const out = { name, chapters:{} };
   const addChapter = (chNum, versesObj)=>{
@@ -85,6 +330,12 @@ function normalizeBook(name, data){
     } else if (versesObj && typeof versesObj === "object"){
       for (const [k,v] of Object.entries(versesObj)) vmap[String(k)] = String(v ?? "");
     }
+    for (const [num, text] of Object.entries(vmap)){
+      const t = parseTagged(text);
+      if (!t) continue;
+      vmap[num] = t.text;
+      ((out.tagged ??= {})[Number(chNum)] ??= {})[num] = t.spans;
+    }
     out.chapters[Number(chNum)] = { verseCount:Object.keys(vmap).length, verses:vmap };
   };
 
@@ -114,19 +365,23 @@ function icon(name){
     instagram:'<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M7 2h10a5 5 0 0 1 5 5v10a5 5 0 0 1-5 5H7a5 5 0 0 1-5-5V7a5 5 0 0 1 5-5zm5 5a5 5 0 1 0 0 10 5 5 0 0 0 0-10zm6.5-1.8a1.2 1.2 0 1 0 0 2.4 1.2 1.2 0 0 0 0-2.4z"/></svg>',
     x:        '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M18.3 2H22l-9.7 11.1L21.4 22h-7l-5.5-6.7L2.6 22H2l8.6-9.8L2 2h7l5 6.1L18.3 2z"/></svg>',
     linkedin: '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M4.98 3.5C4.98 4.9 3.9 5.9 2.5 5.9S0 4.9 0 3.5 1.1 1.5 2.5 1.5 5 2.9 5 3.5zM0 8.98h5V24H0zM8.48 8.98H13v2.05h.07c.63-1.2 2.16-2.47 4.45-2.47 4.76 0 5.64 3.14 5.64 7.23V24h-5v-6.56c0-1.56-.03-3.56-2.17-3.56-2.17 0-2.5 1.7-2.5 3.45V24h-5V8.98z"/></svg>',
-    email:    '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M2 4h20v16H2V4zm10 7L3.5 6.5h17L12 11zm0 2l8.5-6.5V20h-17V6.5L12 13z"/></svg>'
+    email:    '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M2 4h20v16H2V4zm10 7L3.5 6.5h17L12 11zm0 2l8.5-6.5V20h-17V6.5L12 13z"/></svg>',
+    download: '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M11 3h2v9.2l3.3-3.3 1.4 1.4L12 16l-5.7-5.7 1.4-1.4 3.3 3.3V3zM4 18h16v2H4v-2z"/></svg>'
   };
   return map[name] || "";
 }
 
 // -------- HTML helpers --------
-function verseUrl(ref){ return `/${ref.bookSlug}/${ref.chapter}/${ref.verse}/`; }
-function canonicalUrl(ref){ return `${SITE}${verseUrl(ref)}`; }
-function shareLinks(ref, bookName, verseText){
-  const url = encodeURIComponent(canonicalUrl(ref));
+// URL helpers take the edition whose copy of the page is wanted
+function verseUrl(ref, ed){ return `${ed.prefix}/${bookPath(ed, ref.bookSlug)}/${ref.chapter}/${ref.verse}/`; }
+function chapterUrl(ref, ed){ return `${ed.prefix}/${bookPath(ed, ref.bookSlug)}/${ref.chapter}/`; }
+function bookUrl(slug, ed){ return `${ed.prefix}/${bookPath(ed, slug)}/`; }
+function canonicalUrl(ref, ed){ return `${SITE}${verseUrl(ref, ed)}`; }
+function shareLinks(ref, bookName, verseText, ed){
+  const url = encodeURIComponent(canonicalUrl(ref, ed));
   const refLabel = `${bookName} ${ref.chapter}:${ref.verse}`;
-  const text = encodeURIComponent(`The Holy Bible — ${refLabel}: ${verseText.replace(/\s+/g,' ').slice(0,250)}`);
-  const title = encodeURIComponent(`The Holy Bible — ${refLabel}`);
+  const text = encodeURIComponent(`${msg(ed, "site.title")} — ${refLabel}: ${verseText.replace(/\s+/g,' ').slice(0,250)}`);
+  const title = encodeURIComponent(`${msg(ed, "site.title")} — ${refLabel}`);
   return {
     facebook: `https://www.facebook.com/sharer/sharer.php?u=${url}`,
     x:        `https://twitter.com/intent/tweet?url=${url}&text=${text}`,
@@ -135,27 +390,123 @@ function shareLinks(ref, bookName, verseText){
   };
 }
 
+// -------- Layout: the header and footer every page shares --------
+// Branding comes from SITE_CONFIG (site.json), labels from ed's locale. subtitle:
+// the brand-h2 line as HTML (usually the edition name); nav: [{ href, label, id? }],
+// the first one primary, falsy entries left out; after: anything else for the
+// header (the edition switcher).
+function siteHeaderHTML(ed, { subtitle, subtitleId = null, nav = [], after = "" }){
+  const links = nav.filter(Boolean).map((link, i) =>
+    `<a class="btn${i ? "" : " btn-primary"}"${link.id ? ` id="${link.id}"` : ""} href="${link.href}">${escapeHtml(link.label)}</a>`);
+  return `<header class="site-head">
+  <a class="brand" href="${escapeHtml(SITE_CONFIG.brand.url)}" aria-label="${escapeHtml(SITE_CONFIG.brand.label)}"><img class="logo" alt="${escapeHtml(SITE_CONFIG.logo.alt)}" src="${escapeHtml(LOGO_URL)}"></a>
+  <div class="brand-titles">
+    <div class="brand-h1">${msg(ed, "site.title")}</div>
+    <div class="brand-h2"${subtitleId ? ` id="${subtitleId}"` : ""}>${subtitle}</div>
+  </div>
+  <nav class="site-nav" aria-label="${msg(ed, "layout.siteNav")}">
+    ${links.join("\n    ")}
+  </nav>${after ? `\n  ${after}` : ""}
+</header>`;
+}
+
+function siteFooterHTML(ed){
+  const { name, version, publisher, copyright } = SITE_CONFIG;
+  return `<footer class="site-foot">
+  <div>${msg(ed, "layout.copyright", { year: copyright.year })} | <a href="${escapeHtml(publisher.url)}" target="_blank" rel="noopener">${escapeHtml(publisher.name)}</a>${copyright.notice ? ` | ${escapeHtml(copyright.notice)}` : ""}</div>
+  <div>${escapeHtml(name)} — ${escapeHtml(version)}</div>
+</footer>`;
+}
+
+// Follow links for the profiles in site.json, alongside a verse's share buttons
+function socialLinksHTML(ed){
+  return SITE_CONFIG.social.map(s =>
+    `<a class="shbtn" href="${escapeHtml(s.url)}" target="_blank" rel="noopener">${icon(s.network)}<span>${escapeHtml(s.label)}</span><span class="sr-only"> ${msg(ed, "layout.newTab")}</span></a>`).join("\n    ");
+}
+
+// ---- Editions: switcher + alternate links ----
+// at: { page, has? } for edition-relative pages ("/search/", "/john/3/16-21/"),
+// where page may be a function of the edition when it holds a book's localized
+// path and has(ed) says whether an edition has the page (default: all do), or
+// { bookSlug, chapter?, verse? }. → the same page in `ed`, or null if ed lacks it.
+function editionPath(ed, at){
+  if (at.page) return !at.has || at.has(ed) ? `${ed.prefix}${typeof at.page === "function" ? at.page(ed) : at.page}` : null;
+  const book = ed.nav?.books[at.bookSlug];
+  if (!book) return null;
+  if (at.chapter == null) return bookUrl(at.bookSlug, ed);
+  const count = book.verses[String(at.chapter)];
+  if (!count) return null;
+  if (at.verse == null) return chapterUrl(at, ed);
+  return at.verse <= count ? verseUrl(at, ed) : null;
+}
+
+// Links to the current reference in every edition (an edition's home page when it
+// lacks the reference); nothing at all on single-edition sites. Editions sharing a
+// short name (one text in several locales) add their language to it.
+function editionSwitchHTML(ed, at){
+  if (EDITIONS.length < 2) return "";
+  const links = EDITIONS.map(other => {
+    const href = editionPath(other, at) || `${other.prefix}/`;
+    const current = other.id === ed.id ? ` aria-current="true"` : "";
+    const label = EDITIONS.some(o => o !== other && o.short === other.short) ? `${other.short} · ${other.ui.name}` : other.short;
+    return `<a class="editions__link" href="${href}" hreflang="${other.ui.code}" title="${escapeHtml(other.name)}"${current}>${escapeHtml(label)}</a>`;
+  }).join("");
+  return `<nav class="editions" aria-label="${msg(ed, "layout.edition")}">${links}</nav>`;
+}
+
+// <head> alternates for the other editions of this page. A page's language is its
+// interface locale: the first edition in each gets hreflang when there's more than
+// one (plus self and x-default, as search engines expect); other editions are
+// plain titled alternates.
+function alternateLinksHTML(ed, at){
+  const alts = EDITIONS.map(other => ({ other, href: editionPath(other, at) })).filter(a => a.href);
+  const langs = new Set(alts.map(a => a.other.ui.code));
+  const tagged = new Set(), out = [];
+  for (const { other, href } of alts){
+    if (langs.size > 1 && !tagged.has(other.ui.code)){
+      tagged.add(other.ui.code);
+      out.push(`<link rel="alternate" hreflang="${other.ui.code}" href="${SITE}${href}">`);
+    }
+    else if (other.id !== ed.id) out.push(`<link rel="alternate" href="${SITE}${href}" title="${escapeHtml(other.name)}">`);
+  }
+  const def = alts.find(a => a.other.isDefault);
+  if (langs.size > 1 && def) out.push(`<link rel="alternate" hreflang="x-default" href="${SITE}${def.href}">`);
+  return out.join("\n");
+}
+
 // ---- Jump (Book/Chapter/Verse) controls (HTML + JS) ----
-function jumpControlsHTML({ bookSlug, chapter, verse, navPayload }) {
-  const payload = JSON.stringify(navPayload);
+// The book list comes from <prefix>/data/nav.json, which the service worker
+// precaches, rather than riding along inline in every verse and chapter page;
+// window.navData shares the one request with the reference box below.
+function jumpControlsHTML({ bookSlug, chapter, verse, ed }) {
+  const example = `${ed.ui.books.john.name} 3:16`;
   return `
-  <section class="jump" aria-label="Go to Book / Chapter / Verse">
-    <label class="sr-only" for="jump-book">Book</label>
-    <select id="jump-book" class="jump__select" aria-label="Book"></select>
+  <section class="jump" aria-label="${msg(ed, "jump.label")}">
+    <form id="jump-form" class="jump__pick">
+      <label class="sr-only" for="jump-book">${msg(ed, "jump.book")}</label>
+      <select id="jump-book" class="jump__select"></select>
+
+      <label class="sr-only" for="jump-chapter">${msg(ed, "jump.chapter")}</label>
+      <select id="jump-chapter" class="jump__select"></select>
+
+      <label class="sr-only" for="jump-verse">${msg(ed, "jump.verse")}</label>
+      <select id="jump-verse" class="jump__select"></select>
 
-    <label class="sr-only" for="jump-chapter">Chapter</label>
-    <select id="jump-chapter" class="jump__select" aria-label="Chapter"></select>
+      <button class="btn" type="submit">${msg(ed, "jump.go")}</button>
+    </form>
 
-    <label class="sr-only" for="jump-verse">Verse</label>
-    <select id="jump-verse" class="jump__select" aria-label="Verse"></select>
+    <form id="jump-ref-form" class="jump__ref" action="${ed.prefix}/search/" method="get">
+      <label class="sr-only" for="jump-ref">${msg(ed, "jump.reference")}</label>
+      <input id="jump-ref" class="jump__input" name="q" type="text" autocomplete="off" placeholder="${escapeHtml(msg(ed, "jump.placeholder", { example }))}">
+      <button class="btn" type="submit">${msg(ed, "jump.go")}</button>
+    </form>
+    <p id="jump-ref-error" class="jump__error" role="alert" hidden></p>
   </section>
 
-  <script id="nav-data" type="application/json">${payload}</script>
   <script>
-    (function(){
-      const dataEl = document.getElementById('nav-data');
-      if(!dataEl) return;
-      const NAV = JSON.parse(dataEl.textContent || '{}');
+    (async function(){
+      const PREFIX = ${JSON.stringify(ed.prefix)};
+      const NAV = await (window.navData = fetch(PREFIX + '/data/nav.json').then(r => r.ok ? r.json() : {}).catch(()=> ({})));
 
       const BOOKS = NAV.books || {};
       const OT = NAV.ot || [];
@@ -172,8 +523,8 @@ function jumpControlsHTML({ bookSlug, chapter, verse, navPayload }) {
 
       function fillBooks(){
         const groups = [
-          ['Old Testament', OT],
-          ['New Testament', NT]
+          [${JSON.stringify(msg(ed, "testament.ot"))}, OT],
+          [${JSON.stringify(msg(ed, "testament.nt"))}, NT]
         ];
         bookSel.innerHTML = '';
         for(const [label, list] of groups){
@@ -207,7 +558,7 @@ function jumpControlsHTML({ bookSlug, chapter, verse, navPayload }) {
         if(!slug) return;
         ch = Math.max(1, parseInt(ch||'1',10));
         v  = Math.max(1, parseInt(v ||'1',10));
-        const url = '/' + slug + '/' + ch + '/' + v + '/';
+        const url = PREFIX + '/' + (BOOKS[slug].path || slug) + '/' + ch + '/' + v + '/';
         window.location.href = url;
       }
 
@@ -216,58 +567,72 @@ function jumpControlsHTML({ bookSlug, chapter, verse, navPayload }) {
       fillChapters(current.slug);
       fillVerses(current.slug, current.chapter);
 
-      // Events
+      // Events: choosing only updates the lists (arrow keys change a select, so
+      // leaving the page on change would strand keyboard users); Go navigates
       bookSel.addEventListener('change', ()=>{
         const slug = bookSel.value;
         current.slug = slug; current.chapter = 1; current.verse = 1;
         fillChapters(slug);
         fillVerses(slug, 1);
-        goto(slug, 1, 1);
       });
       chSel.addEventListener('change', ()=>{
         const ch = parseInt(chSel.value, 10) || 1;
         current.chapter = ch; current.verse = 1;
         fillVerses(current.slug, ch);
-        goto(current.slug, ch, 1);
       });
       vSel.addEventListener('change', ()=>{
-        const v = parseInt(vSel.value, 10) || 1;
-        current.verse = v;
-        goto(current.slug, current.chapter, v);
+        current.verse = parseInt(vSel.value, 10) || 1;
+      });
+      $('#jump-form').addEventListener('submit', (e)=>{
+        e.preventDefault();
+        goto(current.slug, current.chapter, current.verse);
       });
     })();
   </script>
+  <script type="module">
+    import { createReferenceParser, passageUrl } from '/assets/reference.js';
+    const NAV = await window.navData;
+    const PREFIX = ${JSON.stringify(ed.prefix)};
+    const parser = createReferenceParser(NAV, { messages: i18n.messages, lang: i18n.lang });
+    const form = document.getElementById('jump-ref-form');
+    const input = document.getElementById('jump-ref');
+    const errEl = document.getElementById('jump-ref-error');
+
+    // Without a usable reference, show why and offer a word search instead
+    form.addEventListener('submit', (e)=>{
+      e.preventDefault();
+      const res = parser.parse(input.value);
+      if (res.ok){ window.location.href = PREFIX + passageUrl(res.passages[0]); return; }
+      const q = input.value.trim();
+      errEl.textContent = res.errors[0] + '. ';
+      if (q){
+        const a = document.createElement('a');
+        a.href = PREFIX + '/search/?q=' + encodeURIComponent(q);
+        a.textContent = i18n.t('search.instead', { query: q });
+        errEl.appendChild(a);
+      }
+      errEl.hidden = false;
+    });
+    input.addEventListener('input', ()=>{ errEl.hidden = true; });
+  </script>
   `;
 }
 
-function pageHTML({bookName, bookSlug, chapter, verse, verseText, totalVerses, prevRef, nextRef, navPayload}){
-  const ref = {bookSlug, chapter, verse};
-  const can = canonicalUrl(ref);
-  const title = `The Holy Bible (KJV): ${bookName} ${chapter}:${verse}`;
-  const desc = `${bookName} ${chapter}:${verse} (KJV) — ${verseText.slice(0,160)}`;
-  const share = shareLinks(ref, bookName, verseText);
-  const prevLink = prevRef ? `<link rel="prev" href="${verseUrl(prevRef)}">` : "";
-  const nextLink = nextRef ? `<link rel="next" href="${verseUrl(nextRef)}">` : "";
-  const cssHref = "/assets/styles.css";
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="utf-8">
-<meta name="viewport" content="width=device-width,initial-scale=1">
-<title>${escapeHtml(title)}</title>
-<link rel="canonical" href="${can}">
-${prevLink}${nextLink}
-${FONT_LINK}
-<link rel="preconnect" href="https://fonts.googleapis.com">
-<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-<link rel="stylesheet" href="${cssHref}">
-<meta name="description" content="${escapeHtml(desc)}">
+// Description, Open Graph/Twitter and JSON-LD tags shared by verse and chapter pages
+// image: { url, alt } for a share card (see writeShareImages); the logo otherwise
+function socialMetaHTML({ title, desc, can, name, ed, image = null }){
+  return `<meta name="description" content="${escapeHtml(desc)}">
 <meta property="og:type" content="article">
 <meta property="og:title" content="${escapeHtml(title)}">
 <meta property="og:description" content="${escapeHtml(desc)}">
 <meta property="og:url" content="${can}">
-<meta property="og:image" content="${LOGO_URL}">
+${image ? `<meta property="og:image" content="${image.url}">
+<meta property="og:image:type" content="image/png">
+<meta property="og:image:width" content="${SHARE_WIDTH}">
+<meta property="og:image:height" content="${SHARE_HEIGHT}">
+<meta property="og:image:alt" content="${escapeHtml(image.alt)}">
+<meta name="twitter:image" content="${image.url}">
+<meta name="twitter:image:alt" content="${escapeHtml(image.alt)}">` : `<meta property="og:image" content="${LOGO_URL}">`}
 <meta name="twitter:card" content="summary_large_image">
 <meta name="twitter:title" content="${escapeHtml(title)}">
 <meta name="twitter:description" content="${escapeHtml(desc)}">
@@ -276,396 +641,4403 @@ ${FONT_LINK}
 ${JSON.stringify({
   "@context": "https://schema.org",
   "@type": "CreativeWork",
-  "name": `${bookName} ${chapter}:${verse} (KJV)`,
-  "isPartOf": { "@type":"CreativeWorkSeries", "name":"The Holy Bible — King James Version" },
-  "inLanguage":"en",
+  "name": name,
+  "isPartOf": { "@type":"CreativeWorkSeries", "name":`${msg(ed, "site.title")} — ${ed.name}` },
+  "inLanguage": ed.lang,
   "url": can
 })}
-</script>
+</script>`;
+}
+
+function pageHTML({bookName, bookSlug, chapter, verse, verseText, tagged, totalVerses, prevRef, nextRef, prevChapter, nextChapter, related, ed}){
+  const ref = {bookSlug, chapter, verse};
+  const can = canonicalUrl(ref, ed);
+  const title = msg(ed, "page.title", { edition: ed.short, reference: `${bookName} ${chapter}:${verse}` });
+  const desc = `${bookName} ${chapter}:${verse} (${ed.short}) — ${verseText.slice(0,160)}`;
+  const share = shareLinks(ref, bookName, verseText, ed);
+  const prevLink = prevRef ? `<link rel="prev" href="${verseUrl(prevRef, ed)}">` : "";
+  const nextLink = nextRef ? `<link rel="next" href="${verseUrl(nextRef, ed)}">` : "";
+  const cssHref = "/assets/styles.css";
+  const audio = ed.audio?.get(`${bookSlug}/${chapter}`);
+  const image = ed.shareImages?.has(`${bookSlug}/${chapter}/${verse}`) ? `${verseUrl(ref, textEdition(ed))}${SHARE_IMAGE_FILE}` : null;
+
+  return `<!DOCTYPE html>
+<html ${pageLang(ed)}>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="canonical" href="${can}">
+${alternateLinksHTML(ed, ref)}
+${prevLink}${nextLink}
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="${cssHref}">
+${socialMetaHTML({ title, desc, can, name: `${bookName} ${chapter}:${verse} (${ed.short})`, ed,
+  image: image && { url: `${SITE}${image}`, alt: `${bookName} ${chapter}:${verse}: ${verseText.slice(0, 200)}` } })}
 </head>
 <body>
-<header class="site-head">
-  <a class="brand" href="https://www.livingwordbibles.com/read-the-bible-online" aria-label="Living Word Bibles — Read the Bible Online">
-    <img class="logo" alt="Living Word Bibles" src="${LOGO_URL}">
-  </a>
-  <div class="brand-titles">
-    <div class="brand-h1">The Holy Bible</div>
-    <div class="brand-h2">King James Version</div>
-  </div>
-  <nav class="site-nav">
-    <a class="btn btn-primary" href="${SITE}">The Holy Bible</a>
-  </nav>
-</header>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [{ href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") }, { href: `${ed.prefix}/search/`, label: msg(ed, "nav.search") }], after: editionSwitchHTML(ed, ref) })}
 
-<main class="container">
+<main id="main" class="container">
   <h1 class="ref">${escapeHtml(bookName)} ${chapter}:${verse}</h1>
 
-  ${jumpControlsHTML({ bookSlug, chapter, verse, navPayload })}
+  ${jumpControlsHTML({ bookSlug, chapter, verse, ed })}
+
+  ${readerPrefsHTML(ed, { strongs: !!tagged })}
+
+  ${listenHTML(ed, {
+    title: verse === 1 ? msg(ed, "listen.chapterTitle", { book: bookName, chapter }) : "",
+    next: nextRef ? { url: verseUrl(nextRef, ed), label: `${nextRef.bookName} ${nextRef.chapter}:${nextRef.verse}` } : null,
+    audio: audio?.timings ? audio : null,
+    from: verse,
+    unit: "verse"
+  })}
 
-  <article class="verse">
-    <p><span class="vnum">${verse}</span> ${escapeHtml(verseText)}</p>
+  <article class="verse"${textLang(ed)}>
+    <p><span class="vnum">${verse}</span> ${verseTextHTML(verseText, tagged)}</p>
   </article>
+  ${tagged ? strongsLexHTML(ed, [tagged]) : ""}
 
-  <nav class="pager">
-    ${prevRef ? `<a class="btn" rel="prev" href="${verseUrl(prevRef)}">◀ Prev</a>` : `<span></span>`}
-    ${nextRef ? `<a class="btn" rel="next" href="${verseUrl(nextRef)}">Next ▶</a>` : `<span></span>`}
+  ${verseStudyHTML(ref, bookName, ed)}
+
+  ${relatedVersesHTML(related, ed)}
+
+  <nav class="pager" aria-label="${msg(ed, "pager.verses")}"${prevChapter ? ` data-chapter-prev="${chapterUrl(prevChapter, ed)}"` : ""}${nextChapter ? ` data-chapter-next="${chapterUrl(nextChapter, ed)}"` : ""}>
+    ${prevRef ? `<a class="btn" rel="prev" href="${verseUrl(prevRef, ed)}">${msg(ed, "pager.prev")}</a>` : `<span></span>`}
+    ${nextRef ? `<a class="btn" rel="next" href="${verseUrl(nextRef, ed)}">${msg(ed, "pager.next")}</a>` : `<span></span>`}
   </nav>
 
-  <section class="share">
-    <button class="shbtn" onclick="window.open('${share.facebook}','_blank','noopener')">${icon('facebook')}<span>Facebook</span></button>
-    <a class="shbtn" href="https://www.instagram.com/living.word.bibles/" target="_blank" rel="noopener">${icon('instagram')}<span>Instagram</span></a>
-    <button class="shbtn" onclick="window.open('${share.x}','_blank','noopener')">${icon('x')}<span>X</span></button>
-    <button class="shbtn" onclick="window.open('${share.linkedin}','_blank','noopener')">${icon('linkedin')}<span>LinkedIn</span></button>
-    <a class="shbtn" href="${share.email}">${icon('email')}<span>Email</span></a>
+  <section class="share" aria-label="${msg(ed, "share.label")}">
+    <a class="shbtn" href="${escapeHtml(share.facebook)}" target="_blank" rel="noopener">${icon('facebook')}<span>Facebook</span><span class="sr-only"> ${msg(ed, "layout.newTab")}</span></a>
+    ${socialLinksHTML(ed)}
+    <a class="shbtn" href="${escapeHtml(share.x)}" target="_blank" rel="noopener">${icon('x')}<span>X</span><span class="sr-only"> ${msg(ed, "layout.newTab")}</span></a>
+    <a class="shbtn" href="${escapeHtml(share.linkedin)}" target="_blank" rel="noopener">${icon('linkedin')}<span>LinkedIn</span><span class="sr-only"> ${msg(ed, "layout.newTab")}</span></a>
+    <a class="shbtn" href="${escapeHtml(share.email)}">${icon('email')}<span>${msg(ed, "share.email")}</span></a>
+    ${image ? `<a class="shbtn" href="${image}" download="${bookSlug}-${chapter}-${verse}.png">${icon('download')}<span>${msg(ed, "share.image")}</span></a>` : ""}
   </section>
 
   <aside class="meta">
-    <div>Book: ${escapeHtml(bookName)} • Chapter ${chapter} • Verse ${verse} of ${totalVerses}</div>
+    <div>${msg(ed, "verse.meta", { book: escapeHtml(bookName), chapter, verse, count: totalVerses })}</div>
+    <div><a href="${chapterUrl(ref, ed)}#v${verse}">${msg(ed, "verse.context", { reference: `${escapeHtml(bookName)} ${chapter}` })}</a></div>
   </aside>
 </main>
 
-<footer class="site-foot">
-  <div>Copyright © 2025 | <a href="https://www.livingwordbibles.com" target="_blank" rel="noopener">Living Word Bibles</a> | All Rights Reserved</div>
-  <div>The Holy Bible Online — v1.3 Alpha</div>
-</footer>
+${siteFooterHTML(ed)}
 </body>
 </html>`;
 }
 
 // Home + 404
-function homeHTML(){
-  const otList = OT.map(b=>`<li><a href="/${slugify(b)}/1/1/">${b}</a></li>`).join("");
-  const ntList = NT.map(b=>`<li><a href="/${slugify(b)}/1/1/">${b}</a></li>`).join("");
+function homeHTML(ed){
+  const books = ed.nav?.books || {};
+  const list = (names)=> names.map(b => slugify(b)).filter(slug => books[slug])
+    .map(slug=>`<li><a href="${verseUrl({ bookSlug: slug, chapter: 1, verse: 1 }, ed)}">${escapeHtml(books[slug].name)}</a></li>`).join("");
+  const otList = list(OT);
+  const ntList = list(NT);
+  const at = { page: "/" };
 
   return `<!DOCTYPE html>
-<html lang="en">
+<html ${pageLang(ed)}>
 <head>
 <meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
-<title>The Holy Bible (KJV) — Verse by Verse</title>
-${FONT_LINK}
+<title>${msg(ed, "home.title", { edition: ed.short })}</title>
+${headLinksHTML(ed)}
 <link rel="stylesheet" href="/assets/styles.css">
-<link rel="canonical" href="${SITE}/">
+<link rel="canonical" href="${SITE}${ed.prefix}/">
+${votdFeedLinks(ed)}
+${alternateLinksHTML(ed, at)}
 <meta name="robots" content="index,follow">
 </head>
 <body>
-<header class="site-head">
-  <a class="brand" href="https://www.livingwordbibles.com/read-the-bible-online" aria-label="Living Word Bibles — Read the Bible Online"><img class="logo" alt="Living Word Bibles" src="${LOGO_URL}"></a>
-  <div class="brand-titles">
-    <div class="brand-h1">The Holy Bible</div>
-    <div class="brand-h2">King James Version</div>
-  </div>
-  <nav class="site-nav">
-    <a class="btn btn-primary" href="/genesis/1/1/">Start at Genesis 1:1</a>
-  </nav>
-</header>
-<main class="container">
-  <p class="welcome">Welcome! God Bless! The Holy Bible Online presents the King James Version verse-by-verse for maximum readability.</p>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [
+    { href: verseUrl({ bookSlug: "genesis", chapter: 1, verse: 1 }, ed), label: msg(ed, "home.start", { reference: `${ed.ui.books.genesis.name} 1:1` }) },
+    { href: `${ed.prefix}/search/`, label: msg(ed, "nav.search") },
+    { href: `${ed.prefix}/${VOTD_DIR}/`, label: msg(ed, "nav.votd") },
+    ed.strongsCodes?.size && { href: strongsUrl(ed), label: msg(ed, "nav.strongs") },
+    { href: concordanceUrl(ed), label: msg(ed, "nav.concordance") },
+    { href: `${ed.prefix}/${PLANS_DIR}/`, label: msg(ed, "nav.plans") },
+    { href: `${textEdition(ed).prefix}/${DOWNLOADS_DIR}/`, label: msg(ed, "nav.downloads") },
+    { href: `/${MY_DIR}/`, label: msg(ed, "nav.my") },
+    comparePairs().length > 0 && { href: "/compare/", label: msg(ed, "nav.compare") }
+  ], after: editionSwitchHTML(ed, at) })}
+<main id="main" class="container">
+  <h1 class="home-title">${escapeHtml(ed.name)}</h1>
+  <p class="welcome">${msg(ed, "home.welcome", { site: escapeHtml(SITE_CONFIG.name), edition: escapeHtml(ed.name) })}</p>
 
-  <h2 class="toc-heading">The Old Testament</h2>
+  <h2 class="toc-heading">${msg(ed, "home.ot")}</h2>
   <ul class="booklist">${otList}</ul>
 
-  <h2 class="toc-heading">The New Testament</h2>
+  <h2 class="toc-heading">${msg(ed, "home.nt")}</h2>
   <ul class="booklist">${ntList}</ul>
+
+  ${offlinePanelHTML(ed)}
 </main>
-<footer class="site-foot">
-  <div>Copyright © 2025 | <a href="https://www.livingwordbibles.com" target="_blank" rel="noopener">Living Word Bibles</a></div>
-  <div>The Holy Bible Online — v1.3 Alpha</div>
-</footer>
+${siteFooterHTML(ed)}
 </body>
 </html>`;
 }
 
-function notFoundHTML(){
-  return `<!DOCTYPE html><html lang="en"><head>
+function notFoundHTML(ed){
+  return `<!DOCTYPE html><html ${pageLang(ed)}><head>
 <meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
-<title>Not Found — The Holy Bible (KJV)</title>
-${FONT_LINK}
+<title>${msg(ed, "notFound.title", { edition: ed.short })}</title>
+${headLinksHTML(ed)}
 <link rel="stylesheet" href="/assets/styles.css">
 </head><body>
-<main class="container"><h1>404 — Not Found</h1><p>Try starting at <a href="/genesis/1/1/">Genesis 1:1</a>.</p></main>
-<footer class="site-foot">
-  <div>Copyright © 2025 | <a href="https://www.livingwordbibles.com" target="_blank" rel="noopener">Living Word Bibles</a></div>
-  <div>The Holy Bible Online — v1.3 Alpha</div>
-</footer>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [{ href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") }, { href: `${ed.prefix}/search/`, label: msg(ed, "nav.search") }] })}
+<main id="main" class="container"><h1>${msg(ed, "notFound.heading")}</h1><p>${msg(ed, "notFound.body", { link: `<a href="${verseUrl({ bookSlug: "genesis", chapter: 1, verse: 1 }, ed)}">${escapeHtml(ed.ui.books.genesis.name)} 1:1</a>` })}</p></main>
+${siteFooterHTML(ed)}
+<script>${NOT_FOUND_JS}</script>
 </body></html>`;
 }
 
+// An English book path in an edition whose book paths are localized
+// (/es/john/3/16/ → /es/juan/3/16/); the rest of the path goes along unchecked
+const NOT_FOUND_JS = `
+(function(){
+  var path = location.pathname;
+  fetch('/data/editions.json').then(function(r){ return r.json(); }).then(function(editions){
+    var ed = editions.filter(function(e){ return !e.prefix || path.indexOf(e.prefix + '/') === 0; })
+      .sort(function(a, b){ return b.prefix.length - a.prefix.length; })[0];
+    var parts = path.slice(ed.prefix.length).split('/').filter(Boolean);
+    if (!parts.length) return;
+    return fetch(ed.prefix + '/data/nav.json').then(function(r){ return r.json(); }).then(function(nav){
+      var book = nav.books[parts[0]];
+      if (book && book.path && book.path !== parts[0]){
+        location.replace(ed.prefix + '/' + [book.path].concat(parts.slice(1)).join('/') + '/' + location.search + location.hash);
+      }
+    });
+  }).catch(function(){});
+})();
+`;
+
+// ------- Reader preferences (theme, text size, spacing, font, verse numbers) -------
+// The panel sits on verse and chapter pages; the choices apply site-wide through
+// headLinksHTML(). Only non-default values are stored, and no data-theme means "follow
+// the system" (prefers-color-scheme); THEMES is defined with the config above.
+
+// Highlight colours (lib/notes.mjs HIGHLIGHTS), translucent so they read on every theme
+const HIGHLIGHT_COLOURS = { yellow: "rgba(250,204,21,.38)", green: "rgba(34,197,94,.3)", blue: "rgba(59,130,246,.3)", pink: "rgba(236,72,153,.3)" };
+const TEXT_SIZES = [1, 1.1, 1.2, 1.35, 1.5, 1.7];   // rem; verse and chapter text
+const DEFAULT_SIZE = 2;
+const LEADINGS = { compact: 1.5, normal: 1.75, relaxed: 2.05 };
+const READ_FONTS = {
+  serif: `"EB Garamond",Garamond,"Times New Roman",serif`,
+  // Nothing to download: OpenDyslexic or Atkinson Hyperlegible when installed, else a wide sans
+  dyslexic: `OpenDyslexic,"Atkinson Hyperlegible",Verdana,Tahoma,sans-serif`
+};
+
+// strongs: add the word-study switch (pages with Strong's-tagged text)
+function readerPrefsHTML(ed, { strongs = false } = {}){
+  const radios = (name, values, def)=> values.map(value =>
+    `<label><input type="radio" name="${name}" value="${value}"${value === def ? " checked" : ""}> ${msg(ed, `prefs.${name}.${value}`)}</label>`).join("\n        ");
+  return `<details id="prefs" class="prefs" hidden>
+    <summary>${msg(ed, "prefs.label")}</summary>
+    <form class="prefs__form">
+      <fieldset>
+        <legend>${msg(ed, "prefs.theme")}</legend>
+        ${radios("theme", ["auto", "light", "dark", "sepia"], "auto")}
+      </fieldset>
+      <fieldset>
+        <legend>${msg(ed, "prefs.size")}</legend>
+        <input type="range" name="size" min="0" max="${TEXT_SIZES.length - 1}" step="1" value="${DEFAULT_SIZE}" aria-label="${msg(ed, "prefs.size")}">
+      </fieldset>
+      <fieldset>
+        <legend>${msg(ed, "prefs.leading")}</legend>
+        ${radios("leading", ["compact", "normal", "relaxed"], "normal")}
+      </fieldset>
+      <fieldset>
+        <legend>${msg(ed, "prefs.font")}</legend>
+        ${radios("font", ["serif", "dyslexic"], "serif")}
+      </fieldset>
+      <fieldset>
+        <legend>${msg(ed, "prefs.vnums")}</legend>
+        <label><input type="checkbox" name="vnums" checked> ${msg(ed, "prefs.vnums.show")}</label>
+      </fieldset>${strongs ? `
+      <fieldset>
+        <legend>${msg(ed, "prefs.strongs")}</legend>
+        <label><input type="checkbox" name="strongs"> ${msg(ed, "prefs.strongs.show")}</label>
+      </fieldset>` : ""}
+      <button class="btn" type="reset">${msg(ed, "prefs.reset")}</button>
+    </form>
+  </details>
+  <script src="/assets/prefs.js" defer></script>`;
+}
+
+// Saves the panel's choices and applies them to <html data-*>, as headLinksHTML() does
+// on load; other open tabs follow through the storage event
+const PREFS_JS = `
+(function(){
+  'use strict';
+  var KEY = ${JSON.stringify(PREFS_KEY)};
+  var NAMES = ${JSON.stringify(PREF_NAMES)};
+  var DEFAULTS = { theme: 'auto', size: '${DEFAULT_SIZE}', leading: 'normal', font: 'serif', vnums: 'on', strongs: 'off' };
+  var root = document.documentElement;
+  var box = document.getElementById('prefs');
+  if(!box) return;
+  var form = box.querySelector('form');
+
+  function load(){
+    try { return JSON.parse(localStorage.getItem(KEY) || '{}') || {}; } catch(e){ return {}; }
+  }
+  function save(prefs){
+    try { localStorage.setItem(KEY, JSON.stringify(prefs)); } catch(e){}
+  }
+  function apply(prefs){
+    NAMES.forEach(function(k){
+      if(typeof prefs[k] === 'string') root.dataset[k] = prefs[k];
+      else delete root.dataset[k];
+    });
+  }
+  function value(k, prefs){ return typeof prefs[k] === 'string' ? prefs[k] : DEFAULTS[k]; }
+  function fill(prefs){
+    ['theme', 'leading', 'font'].forEach(function(k){
+      var input = form.querySelector('input[name="' + k + '"][value="' + value(k, prefs) + '"]');
+      if(input) input.checked = true;
+    });
+    form.elements.size.value = value('size', prefs);
+    form.elements.vnums.checked = value('vnums', prefs) === 'on';
+    if(form.elements.strongs) form.elements.strongs.checked = value('strongs', prefs) === 'on';
+  }
+  function read(){
+    var picked = {
+      theme: form.querySelector('input[name="theme"]:checked').value,
+      size: String(form.elements.size.value),
+      leading: form.querySelector('input[name="leading"]:checked').value,
+      font: form.querySelector('input[name="font"]:checked').value,
+      vnums: form.elements.vnums.checked ? 'on' : 'off',
+      // Pages without tagged text have no switch; keep the saved choice
+      strongs: form.elements.strongs ? (form.elements.strongs.checked ? 'on' : 'off') : value('strongs', load())
+    };
+    var prefs = {};
+    NAMES.forEach(function(k){ if(picked[k] !== DEFAULTS[k]) prefs[k] = picked[k]; });
+    return prefs;
+  }
+
+  form.addEventListener('input', function(){ var p = read(); save(p); apply(p); });
+  form.addEventListener('reset', function(e){
+    e.preventDefault();
+    save({}); apply({}); fill({});
+  });
+  window.addEventListener('storage', function(e){
+    if(e.key === KEY){ var p = load(); apply(p); fill(p); }
+  });
+
+  fill(load());
+  box.hidden = false;
+})();
+`;
+
 // Shared CSS (mobile fixes + visible icons + jump controls + larger logo)
 const CSS = `
-:root{--maxw:880px;--bg:#fff;--ink:#111;--muted:#666;--line:#eee}
+${FONT_FILES.map(f => `@font-face{font-family:"EB Garamond";font-style:normal;font-weight:${f.weight};font-display:swap;src:url(/assets/fonts/${f.file}) format("woff2");unicode-range:${f.range}}`).join("\n")}
+:root{--maxw:880px;--read-size:${TEXT_SIZES[DEFAULT_SIZE]}rem;--read-leading:${LEADINGS.normal};--read-font:${READ_FONTS.serif};${themeVars(THEMES.light)}}
+@media (prefers-color-scheme:dark){:root:not([data-theme]){${themeVars(THEMES.dark)}}}
+${Object.entries(THEMES).map(([id, t]) => `:root[data-theme="${id}"]{${themeVars(t)}}`).join("\n")}
+${TEXT_SIZES.map((s, i) => `:root[data-size="${i}"]{--read-size:${s}rem}`).join("")}
+${Object.entries(LEADINGS).map(([id, l]) => `:root[data-leading="${id}"]{--read-leading:${l}}`).join("")}
+:root[data-font="dyslexic"]{--read-font:${READ_FONTS.dyslexic}}
+:root[data-font="dyslexic"] body{letter-spacing:.02em;word-spacing:.12em}
+:root[data-vnums="off"] .verse .vnum,:root[data-vnums="off"] .chapter .vnum{display:none}
+html{scroll-behavior:smooth}
 *{box-sizing:border-box}
-body{margin:0;background:#fafafa;color:var(--ink);font-family:"EB Garamond",Garamond,"Times New Roman",serif}
+body{margin:0;background:var(--page);color:var(--ink);font-family:var(--read-font);transition:background-color .2s,color .2s}
 a{color:inherit}
-.container{max-width:var(--maxw);margin:1rem auto;background:#fff;border:1px solid #ddd;border-radius:16px;box-shadow:0 2px 16px rgba(0,0,0,.08);padding:1rem 1.2rem}
-.site-head,.site-foot{max-width:var(--maxw);margin:1rem auto;padding:.8rem 1rem;display:flex;align-items:center;gap:.8rem;background:#fff;border:1px solid #ddd;border-radius:16px}
+:focus-visible{outline:2px solid var(--ink);outline-offset:2px}
+.skip-link{position:absolute;inset-inline-start:.5rem;top:-3rem;z-index:30;background:var(--bg);color:var(--ink);border:2px solid var(--ink);border-radius:10px;padding:.4rem .8rem}
+.skip-link:focus{top:.5rem}
+.container{max-width:var(--maxw);margin:1rem auto;background:var(--bg);border:1px solid var(--border);border-radius:16px;box-shadow:0 2px 16px rgba(0,0,0,.08);padding:1rem 1.2rem}
+.site-head,.site-foot{max-width:var(--maxw);margin:1rem auto;padding:.8rem 1rem;display:flex;align-items:center;gap:.8rem;background:var(--bg);border:1px solid var(--border);border-radius:16px}
 .site-head{justify-content:space-between;flex-wrap:wrap}
 .brand{display:flex;align-items:center;gap:.6rem;text-decoration:none}
 .logo{height:96px;object-fit:contain}
 .brand-titles .brand-h1{font-weight:700;font-size:1.35rem}
-.brand-titles .brand-h2{font-size:1rem;color:#6b7280}
+.brand-titles .brand-h2{font-size:1rem;color:var(--muted)}
 .site-nav{display:flex;flex-wrap:wrap;gap:.5rem}
-.btn{border:1px solid #bbb;background:#fff;border-radius:999px;padding:.48rem .9rem;text-decoration:none;display:inline-flex;align-items:center;gap:.4rem}
-.btn:hover{background:#f3f3f3}
-.btn-primary{border-color:#888}
+.editions{display:flex;flex-wrap:wrap;gap:.3rem;flex-basis:100%;justify-content:flex-end;font-size:.9rem}
+.editions__link{border:1px solid var(--border);border-radius:999px;padding:.2rem .6rem;text-decoration:none;color:var(--muted)}
+.editions__link[aria-current]{border-color:var(--strong);color:var(--ink);font-weight:600}
+.btn{border:1px solid var(--control);background:var(--bg);border-radius:999px;padding:.48rem .9rem;text-decoration:none;display:inline-flex;align-items:center;gap:.4rem}
+.btn:hover{background:var(--hover)}
+.btn-primary{border-color:var(--strong)}
 .ref{margin:.2rem 0 .6rem 0}
-.verse p{font-size:1.2rem;line-height:1.75}
-.vnum{font-variant-numeric:tabular-nums;color:#666;margin-right:.25rem}
+.verse p{font-size:var(--read-size);line-height:var(--read-leading)}
+.vnum{font-variant-numeric:tabular-nums;color:var(--muted);margin-inline-end:.25rem}
+.chapter p{font-size:var(--read-size);line-height:var(--read-leading);margin:.35rem 0;padding:.1rem .35rem;border-radius:8px;scroll-margin-top:1rem}
+.chapter .vnum{font-size:.8em;vertical-align:super;text-decoration:none}
+.xmark{font-size:.7em;line-height:0;margin-inline-start:.1em}
+.xmark a{color:var(--muted);text-decoration:none;font-style:italic}
+.xmark a:hover{text-decoration:underline}
+.chapter p:target,.chapter p:focus{background:var(--target)}
+.chapter__num{font-size:1.1rem;margin:1rem 0 .3rem;color:var(--heading)}
+.embed{margin-top:.6rem}
+.compare-toggle{display:flex;flex-wrap:wrap;gap:.5rem;align-items:center;margin:0 0 .8rem;font-size:.95rem;color:var(--muted)}
+.compare-toggle__status{flex-basis:100%;margin:0}
+del{background:#fee2e2;color:#7f1d1d}
+ins{background:#dcfce7;color:#14532d;text-decoration:none}
+.compare{width:100%;border-collapse:collapse;font-size:1.1rem;line-height:1.6}
+.compare th,.compare td{vertical-align:top;text-align:start;padding:.35rem .5rem;border-top:1px solid var(--line)}
+.compare thead th{border-top:0;color:var(--muted);font-weight:600}
+.compare tbody th{width:2.5rem;color:var(--muted);font-weight:400;font-variant-numeric:tabular-nums}
+.compare tbody th a{text-decoration:none}
+.compare tr:target{background:var(--target)}
+.compare__missing{color:var(--muted)}
+.compare-books{list-style:none;padding:0}
+.compare-books li{margin:.4rem 0;line-height:1.9}
+.compare-books a{display:inline-block;min-width:1.8rem;text-align:center;text-decoration:none;border-bottom:1px dotted var(--control)}
+.embed pre{white-space:pre-wrap;word-break:break-all;background:var(--hover);border:1px solid var(--line);border-radius:10px;padding:.6rem;font-size:.85rem}
 .pager{display:flex;justify-content:space-between;align-items:center;border-top:1px solid var(--line);margin-top:1rem;padding-top:.6rem}
-.pager .btn{border:1px solid #bbb;background:#fff;border-radius:10px;padding:.42rem .6rem;text-decoration:none}
+.pager .btn{border:1px solid var(--control);background:var(--bg);border-radius:10px;padding:.42rem .6rem;text-decoration:none}
 .share{display:flex;gap:.5rem;flex-wrap:wrap;align-items:center;border-top:1px solid var(--line);margin-top:1rem;padding-top:.8rem}
-.shbtn{border:1px solid #bbb;background:#fff;border-radius:999px;padding:.38rem .7rem;cursor:pointer;display:inline-flex;align-items:center;gap:.4rem}
-.shbtn:hover{background:#f3f3f3}
+.shbtn{border:1px solid var(--control);background:var(--bg);border-radius:999px;padding:.38rem .7rem;cursor:pointer;display:inline-flex;align-items:center;gap:.4rem;text-decoration:none}
+.shbtn:hover{background:var(--hover)}
 .shbtn svg{width:18px;height:18px;fill:currentColor;flex:0 0 auto}
 .meta{color:var(--muted);font-size:.95rem;margin-top:.6rem}
-.site-foot{justify-content:space-between;color:#666}
+.site-foot{justify-content:space-between;color:var(--muted)}
 .booklist{columns:2;gap:1.5rem;margin:.25rem 0 1rem}
-.booklist a{text-decoration:none;border-bottom:1px dotted #aaa}
-.toc-heading{font-size:1.15rem;margin:.6rem 0 .2rem;color:#333}
+.booklist a{text-decoration:none;border-bottom:1px dotted var(--control)}
+.toc-heading{font-size:1.15rem;margin:.6rem 0 .2rem;color:var(--heading)}
+.home-title{font-size:1.5rem;margin:.2rem 0 .6rem;color:var(--heading)}
 .welcome{font-size:1.05rem;margin:0 0 .8rem}
+.offline{border-top:1px solid var(--line);margin-top:1rem;padding-top:.6rem}
+.offline__actions{display:flex;flex-wrap:wrap;gap:.5rem}
+.offline progress{width:100%;margin-top:.6rem}
+.offline__status{color:var(--muted);margin:.4rem 0 0}
+.prefs{margin:0 0 1rem;font-size:.95rem}
+.prefs summary{cursor:pointer;color:var(--muted)}
+.prefs__form{display:flex;flex-wrap:wrap;gap:.6rem 1rem;align-items:flex-end;margin-top:.5rem}
+.prefs fieldset{border:1px solid var(--line);border-radius:10px;margin:0;padding:.3rem .6rem .45rem;display:flex;flex-wrap:wrap;gap:.2rem .7rem}
+.prefs legend{color:var(--muted);padding:0 .2rem}
+.prefs input[type=range]{width:9rem}
+.verse[data-highlight] p{border-radius:8px;padding:.1rem .35rem}
+${Object.entries(HIGHLIGHT_COLOURS).map(([c, bg]) => `.verse[data-highlight="${c}"] p,.my-list li[data-highlight="${c}"]{background:${bg}}`).join("\n")}
+:root[data-strongs="on"] .w{border-bottom:1px dotted var(--strong);cursor:pointer}
+:root[data-strongs="on"] .w::after{content:attr(data-s);font:600 .55em system-ui,sans-serif;vertical-align:super;color:var(--muted);margin-inline-start:.1em}
+:root[data-strongs="on"] .w:hover{background:var(--hover)}
+.w:focus-visible{outline:2px solid var(--ink);outline-offset:1px;border-radius:3px}
+.strongs-pop{position:absolute;z-index:20;width:max-content;max-width:min(22rem,calc(100vw - 16px));background:var(--bg);color:var(--ink);border:1px solid var(--border);border-radius:12px;box-shadow:0 6px 24px rgba(0,0,0,.18);padding:.5rem .8rem;font-size:.95rem;line-height:1.45}
+.strongs-pop p{margin:.3rem 0}
+.strongs-pop__words{color:var(--muted);margin-inline-end:1.5rem}
+.strongs-pop__close{float:inline-end;border:0;background:none;font-size:1.3rem;line-height:1;cursor:pointer;color:var(--muted)}
+.lemma{font-size:1.35em}
+.strongs-entry{display:grid;grid-template-columns:max-content 1fr;gap:.3rem 1rem}
+.strongs-entry dt{font-weight:600;color:var(--muted)}
+.strongs-entry dd{margin:0}
+.strongs-verses li{margin:.45rem 0;line-height:1.55}
+.strongs-verses mark{background:var(--mark);color:inherit;border-radius:3px;padding:0 .1em}
+.strongs-codes{list-style:none;padding:0;display:flex;flex-wrap:wrap;gap:.3rem .9rem}
+.strongs-codes span{color:var(--muted)}
+.strongs-lookup{display:flex;gap:.5rem;align-items:center;flex-wrap:wrap;margin:1rem 0}
+.letters{display:flex;flex-wrap:wrap;gap:.25rem;margin:.8rem 0}
+.letters>*{min-width:1.9rem;text-align:center;padding:.15rem .3rem;border:1px solid var(--line);border-radius:8px}
+.letters span{color:var(--muted);opacity:.6}
+.letters strong{border-color:var(--strong)}
+.concordance-words{list-style:none;padding:0;display:flex;flex-wrap:wrap;gap:.3rem 1rem}
+.concordance-words span,.stats-words span,.concordance-books span{color:var(--muted);font-size:.9em}
+.concordance-forms span{font-style:italic}
+.concordance-books{display:flex;flex-wrap:wrap;gap:.3rem .9rem;margin:.6rem 0}
+.kwic{list-style:none;padding:0}
+.kwic li{margin:.35rem 0;line-height:1.55}
+.kwic li>a{display:inline-block;min-width:3.5rem;font-weight:600}
+.kwic mark{background:var(--mark);color:inherit;border-radius:3px;padding:0 .1em}
+.stats{display:grid;grid-template-columns:max-content 1fr;gap:.3rem 1rem}
+.stats dt{font-weight:600;color:var(--muted)}
+.stats dd{margin:0}
+.stats-words li{margin:.25rem 0}
+.stats-table{border-collapse:collapse;width:100%}
+.stats-table th,.stats-table td{padding:.3rem .6rem;border-bottom:1px solid var(--line);text-align:end}
+.stats-table th:first-child{text-align:start}
+.listen{margin:0 0 1rem}
+.listen__controls{display:flex;flex-wrap:wrap;gap:.5rem;align-items:center}
+.listen__status{color:var(--muted);font-size:.95rem}
+.listen__settings{margin-top:.4rem;font-size:.95rem}
+.listen__settings summary{cursor:pointer;color:var(--muted)}
+.listen__form{display:flex;flex-wrap:wrap;gap:.6rem 1rem;align-items:center;margin-top:.5rem}
+.listen__form select{max-width:16rem}
+.listen__form input[type=range]{width:8rem}
+.is-speaking{background:var(--target);border-radius:8px;box-shadow:0 0 0 .25rem var(--target)}
+.related{border-top:1px solid var(--line);margin-top:1rem;padding-top:.8rem}
+.related h2{font-size:1.1rem;margin:0 0 .5rem}
+.related ul{list-style:none;padding:0;margin:0}
+.related li{margin:.45rem 0;line-height:1.55}
+.related li a{font-weight:600;margin-inline-end:.25rem}
+.study{border-top:1px solid var(--line);margin-top:1rem;padding-top:.8rem}
+.study__actions{display:flex;flex-wrap:wrap;gap:.5rem;align-items:center}
+.study__swatches{display:inline-flex;gap:.35rem}
+.study__swatch{width:2rem;height:2rem;border:1px solid var(--control);border-radius:50%;cursor:pointer}
+.study__swatch[aria-pressed="true"]{outline:2px solid var(--ink);outline-offset:2px}
+.btn[aria-pressed="true"]{border-color:var(--strong);font-weight:600}
+.study__note{display:block;width:100%;margin-top:.6rem;font:inherit;color:var(--ink);background:var(--bg);border:1px solid var(--control);border-radius:10px;padding:.42rem .6rem}
+.study__status{color:var(--muted);margin:.3rem 0 0;font-size:.95rem}
+.my-list{padding-inline-start:1.4rem}
+.plan-list li{margin:.5rem 0;line-height:1.5}
+.votd{margin:0 0 1rem}
+.votd figcaption{color:var(--muted)}
+.votd blockquote{margin:.3rem 0 .6rem}
+.votd-list{padding-inline-start:0;list-style:none}
+.votd-list li{margin:.35rem 0;padding:.1rem .35rem;border-radius:8px;line-height:1.55}
+.votd-list li[aria-current]{background:var(--target)}
+.votd-list time{display:inline-block;min-width:12rem;color:var(--muted);font-variant-numeric:tabular-nums}
+.votd-list span{color:var(--muted)}
+.plan-days{padding-inline-start:0;list-style:none;columns:2;gap:1.5rem}
+.plan-days li{break-inside:avoid;margin:.25rem 0;line-height:1.45}
+.plan-days li span{color:var(--muted);font-size:.95rem}
+.plan-days li.is-done a::after{content:" ✓"}
+.plan-days li.is-done span{text-decoration:line-through}
+.plan-reading{font-size:1.1rem;line-height:1.9}
+.plan-tracker{border-top:1px solid var(--line);margin:1rem 0;padding-top:.6rem}
+.plan-tracker progress{width:100%}
+.plan-tracker__summary{color:var(--muted);margin:.3rem 0 .5rem}
+.my-list li{margin:.4rem 0;padding:.3rem .5rem;border-radius:8px;line-height:1.6}
+.my-list__tag{font-size:.85rem;color:var(--muted);border:1px solid var(--line);border-radius:999px;padding:0 .45rem}
+.my-list__note{margin:.2rem 0 0;white-space:pre-wrap}
+.my-list__remove{font:inherit;font-size:.85rem;background:none;border:0;color:var(--muted);text-decoration:underline;cursor:pointer}
+
+/* Search */
+.search-form{display:flex;flex-wrap:wrap;gap:.5rem .8rem;align-items:flex-end;margin:.4rem 0 .6rem}
+.search-form label{display:flex;flex-direction:column;gap:.2rem;font-size:.95rem;color:var(--muted)}
+.search-form__q{flex:1 1 260px}
+.search-form input{font:inherit;border:1px solid var(--control);border-radius:10px;padding:.42rem .6rem;color:var(--ink)}
+.search-results{padding-inline-start:1.4rem}
+.search-results li{margin:.5rem 0;line-height:1.6}
+.search-results__ref{font-weight:600;text-decoration:none;border-bottom:1px dotted var(--control);margin-inline-end:.25rem}
+.search-results mark{background:var(--mark);color:inherit;padding:0 .1em;border-radius:3px}
+.downloads__size{color:var(--muted);font-size:.9rem;margin-inline-start:.3rem}
 
 /* Jump controls */
+.sr-only{position:absolute;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0}
 .jump{display:flex;flex-wrap:wrap;gap:.5rem;align-items:center;margin:.4rem 0 1rem}
-.jump__select{font:inherit;border:1px solid #ccc;border-radius:10px;padding:.42rem .6rem;background:#fff;min-width:120px}
+.jump__select{font:inherit;border:1px solid var(--control);border-radius:10px;padding:.42rem .6rem;background:var(--bg);min-width:120px}
+.jump__ref{display:flex;gap:.4rem;flex:1 1 240px}
+.jump__input{font:inherit;border:1px solid var(--control);border-radius:10px;padding:.42rem .6rem;flex:1 1 auto;min-width:0}
+.jump__error{flex-basis:100%;margin:0;color:var(--error);font-size:.95rem}
+.jump__pick{display:flex;flex-wrap:wrap;gap:.5rem;align-items:center}
+
+/* Keyboard shortcuts */
+.keys-help{max-width:min(26rem,calc(100vw - 2rem));background:var(--bg);color:var(--ink);border:1px solid var(--border);border-radius:16px;padding:1rem 1.2rem}
+.keys-help::backdrop{background:rgba(0,0,0,.4)}
+.keys-help h2{font-size:1.15rem;margin:0 0 .6rem;color:var(--heading)}
+.keys-help dl{display:grid;grid-template-columns:max-content 1fr;gap:.4rem 1rem;margin:0 0 1rem}
+.keys-help dd{margin:0}
+kbd{font:600 .85em system-ui,sans-serif;border:1px solid var(--control);border-bottom-width:2px;border-radius:6px;padding:.05rem .4rem;background:var(--hover)}
+
+@media (prefers-reduced-motion:reduce){
+  html{scroll-behavior:auto}
+  *,*::before,*::after{transition:none!important;animation:none!important}
+}
 
 @media (max-width:720px){
   .logo{height:64px}
   .site-nav{width:100%;justify-content:center}
   .site-nav .btn{width:100%;justify-content:center}
   .booklist{columns:1}
+  .plan-days{columns:1}
+  .compare thead{display:none}
+  .compare tr{display:grid;grid-template-columns:2.5rem 1fr}
+  .compare td{grid-column:2}
+  .compare td::before{content:attr(data-label);display:block;font-size:.8rem;color:var(--muted)}
+}
+
+/* Print: the text in black on white, without the site's controls */
+@media print{
+  :root{--page:#fff!important;--bg:#fff!important;--ink:#000!important;--muted:#555!important;--heading:#000!important;--border:#fff!important;--target:transparent!important}
+  html{scroll-behavior:auto}
+  body{font-size:12pt}
+  .skip-link,.logo,.site-nav,.editions,.site-foot,.jump,.prefs,.listen,.compare-toggle,.pager,.share,.study,.related,.meta,.embed,.xmark,.keys-help{display:none!important}
+  .site-head,.container{max-width:none;margin:0 0 .8rem;padding:0;border:0;border-radius:0;box-shadow:none}
+  .brand-titles .brand-h1{font-size:10pt;font-weight:400}
+  .brand-titles .brand-h2{font-size:10pt}
+  .verse p,.chapter p{font-size:12pt;line-height:1.5;margin:0 0 .25rem;padding:0;break-inside:avoid}
+  .chapter p:target,.chapter p:focus{background:none}
+  .vnum{text-decoration:none}
+  h1,h2,.chapter__num{break-after:avoid}
+  a{text-decoration:none}
 }
+@page{margin:18mm 16mm}
 `;
 
 // ------- Book & Chapter index pages (crawl hubs) -------
-function bookIndexHTML(bookName, slug, chaptersCount) {
+function bookIndexHTML(bookName, slug, chaptersCount, ed) {
   const chapterLinks = Array.from({length: chaptersCount}, (_,i)=> i+1)
-    .map(ch => `<li><a href="/${slug}/${ch}/">${bookName} ${ch}</a></li>`).join("");
-  return `<!DOCTYPE html><html lang="en"><head>
+    .map(ch => `<li><a href="${chapterUrl({ bookSlug: slug, chapter: ch }, ed)}">${escapeHtml(bookName)} ${ch}</a></li>`).join("");
+  const at = { bookSlug: slug };
+  return `<!DOCTYPE html><html ${pageLang(ed)}><head>
 <meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
-<title>${bookName} (KJV) — Chapter Index</title>
-${FONT_LINK}<link rel="stylesheet" href="/assets/styles.css">
-<link rel="canonical" href="${SITE}/${slug}/">
+<title>${msg(ed, "book.title", { book: escapeHtml(bookName), edition: ed.short })}</title>
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<link rel="canonical" href="${SITE}${bookUrl(slug, ed)}">
+${alternateLinksHTML(ed, at)}
 <meta name="robots" content="index,follow">
 </head><body>
-<header class="site-head">
-  <a class="brand" href="https://www.livingwordbibles.com/read-the-bible-online"><img class="logo" alt="Living Word Bibles" src="${LOGO_URL}"></a>
-  <div class="brand-titles"><div class="brand-h1">The Holy Bible</div><div class="brand-h2">King James Version</div></div>
-  <nav class="site-nav"><a class="btn btn-primary" href="${SITE}">The Holy Bible</a></nav>
-</header>
-<main class="container">
-  <h1>${bookName} — Chapters</h1>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [{ href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") }, { href: `${ed.prefix}/search/`, label: msg(ed, "nav.search") }], after: editionSwitchHTML(ed, at) })}
+<main id="main" class="container">
+  <h1>${msg(ed, "book.heading", { book: escapeHtml(bookName) })}</h1>
   <ul class="booklist" style="columns:3">${chapterLinks}</ul>
+  <p><a href="${statsUrl(ed, slug)}">${msg(ed, "book.stats", { book: escapeHtml(bookName) })}</a> · <a href="${downloadUrl(ed, `${slug}.epub`)}" download>${msg(ed, "book.download", { book: escapeHtml(bookName) })}</a></p>
 </main>
-<footer class="site-foot"><div>Copyright © 2025 | <a href="https://www.livingwordbibles.com" target="_blank" rel="noopener">Living Word Bibles</a></div>
-<div>The Holy Bible Online — v1.3 Alpha</div></footer>
+${siteFooterHTML(ed)}
 </body></html>`;
 }
 
-function chapterIndexHTML(bookName, slug, chapter, versesCount){
-  const verseLinks = Array.from({length: versesCount}, (_,i)=> i+1)
-    .map(v => `<li><a href="/${slug}/${chapter}/${v}/">${bookName} ${chapter}:${v}</a></li>`).join("");
-  return `<!DOCTYPE html><html lang="en"><head>
+// Whole-chapter reading view at /book/chapter/ (every verse anchored as #vN)
+function chapterHTML({bookName, bookSlug, chapter, verses, prevChapter, nextChapter, ed}){
+  const ref = {bookSlug, chapter};
+  const can = `${SITE}${chapterUrl(ref, ed)}`;
+  const title = msg(ed, "page.title", { edition: ed.short, reference: `${bookName} ${chapter}` });
+  const desc = `${bookName} ${chapter} (${ed.short}) — ${(verses[0]?.text || "").slice(0,160)}`;
+  const label = (c)=> `${escapeHtml(c.bookName)} ${c.chapter}`;
+  const prevLink = prevChapter ? `<link rel="prev" href="${chapterUrl(prevChapter, ed)}">` : "";
+  const nextLink = nextChapter ? `<link rel="next" href="${chapterUrl(nextChapter, ed)}">` : "";
+  const marked = (ch, v)=> !!ed.xrefs?.has(`${bookSlug}/${ch}/${v}`);
+  const tagged = ed.tagged?.get(bookSlug)?.[chapter] || null;
+  const textHTML = tagged ? (ch, v)=> tagged[v] ? taggedHTML(tagged[v], escapeHtml) : null : null;
+  const body = passageVersesHTML(verses, { bookName, bookSlug, bookPath: bookPath(ed, bookSlug), base: ed.prefix, marked, textHTML, relatedTitle: msg(ed, "related.title") });
+
+  return `<!DOCTYPE html>
+<html ${pageLang(ed)}>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="canonical" href="${can}">
+${alternateLinksHTML(ed, ref)}
+${prevLink}${nextLink}
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+${socialMetaHTML({ title, desc, can, name: `${bookName} ${chapter} (${ed.short})`, ed })}
+</head>
+<body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [{ href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") }, { href: `${ed.prefix}/search/`, label: msg(ed, "nav.search") }], after: editionSwitchHTML(ed, ref) })}
+
+<main id="main" class="container">
+  <h1 class="ref">${escapeHtml(bookName)} ${chapter}</h1>
+
+  ${jumpControlsHTML({ bookSlug, chapter, verse: 1, ed })}
+
+  ${readerPrefsHTML(ed, { strongs: !!tagged })}
+
+  ${listenHTML(ed, {
+    title: msg(ed, "listen.chapterTitle", { book: bookName, chapter }),
+    next: nextChapter ? { url: chapterUrl(nextChapter, ed), label: `${nextChapter.bookName} ${nextChapter.chapter}` } : null,
+    audio: ed.audio?.get(`${bookSlug}/${chapter}`) || null
+  })}
+
+  ${compareToggleHTML(ed, ref)}
+
+  <article class="chapter"${textLang(ed)}>
+    ${body}
+  </article>
+  ${tagged ? strongsLexHTML(ed, Object.values(tagged)) : ""}
+
+  <nav class="pager" aria-label="${msg(ed, "pager.chapters")}">
+    ${prevChapter ? `<a class="btn" rel="prev" href="${chapterUrl(prevChapter, ed)}">${msg(ed, "pager.prevTo", { label: label(prevChapter) })}</a>` : `<span></span>`}
+    ${nextChapter ? `<a class="btn" rel="next" href="${chapterUrl(nextChapter, ed)}">${msg(ed, "pager.nextTo", { label: label(nextChapter) })}</a>` : `<span></span>`}
+  </nav>
+
+  <aside class="meta">
+    <div>${msg(ed, "chapter.meta", { book: `<a href="${bookUrl(bookSlug, ed)}">${escapeHtml(bookName)}</a>`, chapter, count: verses.length })}</div>
+  </aside>
+</main>
+
+${siteFooterHTML(ed)}
+</body>
+</html>`;
+}
+
+// ------- Passage ranges (/john/3/16-21/) + embed widget -------
+function passageHTML({ passage, verses, ed }){
+  const { bookName, bookSlug, start } = passage;
+  const label = formatPassage(passage);
+  const at = { page: (other)=> rangePath({ ...passage, bookPath: bookPath(other, bookSlug) }) };
+  const can = `${SITE}${editionPath(ed, at)}`;
+  const title = msg(ed, "page.title", { edition: ed.short, reference: label });
+  const desc = `${label} (${ed.short}) — ${verses.map(v=>v.text).join(" ").slice(0,160)}`;
+  const editionAttr = ed.isDefault ? "" : ` data-kjv-edition="${ed.id}"`;
+  const embed = `<div data-kjv-passage="${label}"${editionAttr}></div>\n<script type="module" src="${SITE}/assets/embed.js"></script>`;
+
+  return `<!DOCTYPE html>
+<html ${pageLang(ed)}>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="canonical" href="${can}">
+${alternateLinksHTML(ed, at)}
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+${socialMetaHTML({ title, desc, can, name: `${label} (${ed.short})`, ed })}
+</head>
+<body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [{ href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") }, { href: `${ed.prefix}/search/`, label: msg(ed, "nav.search") }], after: editionSwitchHTML(ed, at) })}
+
+<main id="main" class="container">
+  <h1 class="ref">${escapeHtml(label)}</h1>
+
+  <article class="chapter"${textLang(ed)}>
+    ${passageVersesHTML(verses, { bookName, bookSlug, bookPath: bookPath(ed, bookSlug), base: ed.prefix })}
+  </article>
+
+  <aside class="meta">
+    <div><a href="${chapterUrl({ bookSlug, chapter: start.chapter }, ed)}#v${start.verse}">${msg(ed, "verse.context", { reference: `${escapeHtml(bookName)} ${start.chapter}` })}</a> • <a href="${ed.prefix}/passages/">${msg(ed, "passages.more")}</a></div>
+    <details class="embed">
+      <summary>${msg(ed, "passages.embed")}</summary>
+      <pre><code>${escapeHtml(embed)}</code></pre>
+    </details>
+  </aside>
+</main>
+
+${siteFooterHTML(ed)}
+</body>
+</html>`;
+}
+
+function passagesIndexHTML(entries, ed){
+  const items = entries.map(({ label, url }) => `<li><a href="${url}">${escapeHtml(label)}</a></li>`).join("");
+  const at = { page: "/passages/" };
+  return `<!DOCTYPE html><html ${pageLang(ed)}><head>
 <meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
-<title>${bookName} ${chapter} (KJV) — Verse Index</title>
-${FONT_LINK}<link rel="stylesheet" href="/assets/styles.css">
-<link rel="canonical" href="${SITE}/${slug}/${chapter}/">
+<title>${msg(ed, "passages.title", { edition: ed.short })}</title>
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<link rel="canonical" href="${SITE}${ed.prefix}/passages/">
+${alternateLinksHTML(ed, at)}
 <meta name="robots" content="index,follow">
 </head><body>
-<header class="site-head">
-  <a class="brand" href="https://www.livingwordbibles.com/read-the-bible-online"><img class="logo" alt="Living Word Bibles" src="${LOGO_URL}"></a>
-  <div class="brand-titles"><div class="brand-h1">The Holy Bible</div><div class="brand-h2">King James Version</div></div>
-  <nav class="site-nav"><a class="btn btn-primary" href="${SITE}">The Holy Bible</a></nav>
-</header>
-<main class="container">
-  <h1>${bookName} ${chapter} — Verses</h1>
-  <ul class="booklist" style="columns:3">${verseLinks}</ul>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [{ href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") }, { href: `${ed.prefix}/search/`, label: msg(ed, "nav.search") }], after: editionSwitchHTML(ed, at) })}
+<main id="main" class="container">
+  <h1>${msg(ed, "passages.heading")}</h1>
+  <ul class="booklist">${items}</ul>
 </main>
-<footer class="site-foot"><div>Copyright © 2025 | <a href="https://www.livingwordbibles.com" target="_blank" rel="noopener">Living Word Bibles</a></div>
-<div>The Holy Bible Online — v1.3 Alpha</div></footer>
+${siteFooterHTML(ed)}
 </body></html>`;
 }
 
-// ------- Sitemaps with <lastmod> -------
-function renderUrlsetWithLastmod(items){
-  // items: [{loc,lastmod}]
-  const body = items.map(({loc,lastmod}) =>
-    `  <url><loc>${loc}</loc><lastmod>${lastmod}</lastmod></url>`).join("\n");
-  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${body}\n</urlset>\n`;
+// Usage on any site:
+//   <div data-kjv-passage="John 3:16-21"></div>
+//   <script type="module" src="https://kjv.the-holy-bible.online/assets/embed.js"></script>
+// Data and links resolve against the script's own origin, so it works cross-site.
+// data-kjv-edition="<id>" picks an edition from /data/editions.json (default otherwise).
+const EMBED_JS = `import { createReferenceParser, formatPassage, passageUrl } from './reference.js';
+import { selectRange, passageVersesHTML } from './passage.js';
+
+const ROOT = new URL('../', import.meta.url);
+const SITE = ROOT.href.replace(/\\/$/, '');
+const cache = new Map();
+
+function getJSON(rel){
+  if (!cache.has(rel)){
+    cache.set(rel, fetch(new URL(rel, ROOT)).then(r=>{
+      if (!r.ok) throw new Error('HTTP ' + r.status + ' @ ' + rel);
+      return r.json();
+    }));
+  }
+  return cache.get(rel);
 }
-function renderSitemapIndex(entries){
-  const body = entries.map(u=>`  <sitemap><loc>${u}</loc></sitemap>`).join("\n");
-  return `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${body}\n</sitemapindex>\n`;
+
+const STYLE = '.kjv-passage{margin:1em 0;font-family:"EB Garamond",Garamond,"Times New Roman",serif}'
+  + '.kjv-passage p{margin:.3em 0;line-height:1.6}'
+  + '.kjv-passage .vnum{font-size:.75em;vertical-align:super;color:#666;text-decoration:none;margin-right:.2em}'
+  + '.kjv-passage .chapter__num{font-size:1em;margin:.8em 0 .3em}'
+  + '.kjv-passage figcaption{font-size:.9em;color:#555}';
+
+function injectStyle(){
+  if (document.getElementById('kjv-passage-style')) return;
+  const el = document.createElement('style');
+  el.id = 'kjv-passage-style';
+  el.textContent = STYLE;
+  document.head.appendChild(el);
 }
 
-// ------- Build routine -------
-async function writeStaticAssets(){
-  await ensureDir(path.join(OUT_DIR, "assets"));
-  await fs.writeFile(path.join(OUT_DIR, "assets", "styles.css"), CSS);
-  await fs.writeFile(path.join(OUT_DIR, "index.html"), homeHTML());
-  await fs.writeFile(path.join(OUT_DIR, "404.html"), notFoundHTML());
-  await fs.writeFile(path.join(OUT_DIR, "CNAME"), CNAME);
-  await fs.writeFile(path.join(OUT_DIR, ".nojekyll"), "");
+async function getEdition(id){
+  const list = await getJSON('data/editions.json');
+  const ed = id ? list.find(e => e.id === id) : list[0];
+  if (!ed) throw new Error('Unknown edition ' + id);
+  return ed;
 }
 
-async function loadIndex(){
-  return await loadJSON("Books.json"); // array of canonical book names
+export async function renderPassage(el, ref, editionId){
+  const ed = await getEdition(editionId);
+  const dir = ed.prefix ? ed.prefix.slice(1) + '/' : '';
+  const textDir = ed.textPrefix ? ed.textPrefix.slice(1) + '/' : '';
+  const nav = await getJSON(dir + 'data/nav.json');
+  const res = createReferenceParser(nav).parse(ref);
+  if (!res.ok){ el.textContent = res.errors[0]; return; }
+  const parts = await Promise.all(res.passages.map(async (p)=>{
+    const book = await getJSON(textDir + 'data/books/' + p.bookSlug + '.json');
+    const verses = selectRange(book, p.start, p.end);
+    return '<figure class="kjv-passage"><blockquote>'
+      + passageVersesHTML(verses, { bookName: p.bookName, bookSlug: p.bookSlug, bookPath: p.bookPath || p.bookSlug, base: SITE + ed.prefix })
+      + '</blockquote><figcaption><a href="' + SITE + ed.prefix + passageUrl(p) + '">' + formatPassage(p) + ' (' + ed.short + ')</a></figcaption></figure>';
+  }));
+  el.innerHTML = parts.join('');
 }
 
-async function loadBook(slug, name){
-  const raw = await loadJSON(fileFromName(name)); // e.g., SongofSolomon.json
-  return normalizeBook(name, raw);
+injectStyle();
+for (const el of document.querySelectorAll('[data-kjv-passage]')){
+  renderPassage(el, el.getAttribute('data-kjv-passage'), el.getAttribute('data-kjv-edition'))
+    .catch(e=>{ el.textContent = 'Unable to load passage. (' + e.message + ')'; });
 }
+`;
 
-function flattenRefs(booksMap){
-  const out = [];
-  for (const name of [...OT, ...NT]){
-    const slug = slugify(name);
-    const book = booksMap.get(slug);
-    if (!book) continue;
-    const chNums = Object.keys(book.chapters).map(Number).sort((a,b)=>a-b);
-    for (const ch of chNums){
-      const { verses, verseCount } = book.chapters[ch];
-      for (let v=1; v<=verseCount; v++){
-        const text = verses[String(v)] ?? "";
-        out.push({ bookName: name, bookSlug: slug, chapter: ch, verse: v, text });
-      }
+// Reads PASSAGES_FILE (a JSON array of references) → parsed passages, de-duplicated
+async function loadPassages(navPayload){
+  let list;
+  try { list = JSON.parse(await fs.readFile(PASSAGES_FILE, "utf8")); }
+  catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Unable to read ${PASSAGES_FILE}: ${e.message}`);
+    console.warn(`Warning: no passage list at ${PASSAGES_FILE} — skipping range pages`);
+    return [];
+  }
+  const parser = createReferenceParser(navPayload);
+  const seen = new Set(), out = [];
+  for (const ref of list){
+    const res = parser.parse(ref);
+    for (const e of res.errors) console.warn(`Warning: passage "${ref}" — ${e}`);
+    for (const p of res.passages){
+      const key = `${p.bookSlug} ${p.start.chapter}:${p.start.verse}-${p.end.chapter}:${p.end.verse}`;
+      if (!seen.has(key)){ seen.add(key); out.push(p); }
     }
   }
   return out;
 }
 
-// IMPORTANT: include /book/ and /book/chapter/ hubs in sitemaps with lastmod
-function urlsByBook(refs, booksMap){
-  const map = new Map(); // slug -> [{loc,lastmod}, ...]
-  const buildDate = new Date().toISOString();
-
-  // Seed each book with its book index + chapter index pages
-  for (const [slug, book] of booksMap.entries()){
-    const chNums = Object.keys(book.chapters).map(Number).sort((a,b)=>a-b);
-    const arr = map.get(slug) || [];
-    arr.push({ loc: `${SITE}/${slug}/`, lastmod: buildDate });
-    for (const ch of chNums){
-      arr.push({ loc: `${SITE}/${slug}/${ch}/`, lastmod: buildDate });
-    }
-    map.set(slug, arr);
-  }
+// ------- Reading plans (/plans/<id>/day/<n>/) -------
+// Plans come from PLANS_FILE (see lib/plans.mjs) and are laid out per edition
+// against its nav payload. Progress is kept in the reader's browser only:
+// localStorage[PLANS_KEY] = { [planId]: { [day]: "YYYY-MM-DD" marked done } }.
+const PLANS_DIR = "plans";
+const PLANS_KEY = "kjv-plans";
+const planUrl = (ed, plan, day)=> `${ed.prefix}/${PLANS_DIR}/${plan.id}/${day ? `day/${day}/` : ""}`;
 
-  // Add all verse URLs
-  for (const r of refs){
-    const arr = map.get(r.bookSlug) || [];
-    arr.push({ loc: `${SITE}/${r.bookSlug}/${r.chapter}/${r.verse}/`, lastmod: buildDate });
-    map.set(r.bookSlug, arr);
+async function loadPlans(navPayload){
+  let defs;
+  try { defs = JSON.parse(await fs.readFile(PLANS_FILE, "utf8")); }
+  catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Unable to read ${PLANS_FILE}: ${e.message}`);
+    console.warn(`Warning: no reading plans at ${PLANS_FILE} — skipping plan pages`);
+    return [];
   }
-  return map;
+  const { plans, errors } = buildPlans(defs, navPayload);
+  for (const e of errors) console.warn(`Warning: ${e}`);
+  return plans;
 }
 
-async function buildAll(){
-  await cleanOut();
-  await writeStaticAssets();
-
-  const names = await loadIndex();
-  const nameSet = new Set(names);
-
-  const books = new Map();
-  for (const name of [...OT, ...NT]){
-    if (!nameSet.has(name)) {
-      console.warn(`Warning: ${name} missing from Books.json — skipping`);
-      continue;
+// A day's passages → links: every chapter of a chapter span, else the passage itself
+function readingLinksHTML(passages, ed){
+  return passages.map(p => {
+    if (p.kind !== "chapter" && p.kind !== "chapters"){
+      return `<li><a href="${ed.prefix}${passageUrl(p)}">${escapeHtml(formatPassage(p))}</a></li>`;
     }
-    const slug = slugify(name);
-    const book = await loadBook(slug, name);
-    books.set(slug, book);
-  }
-
-  // Build nav payload (books -> {name, chapters, versesPerChapter})
-  const navBooks = {};
-  for (const [slug, book] of books.entries()){
-    const chNums = Object.keys(book.chapters).map(Number).sort((a,b)=>a-b);
-    const verses = {};
-    for (const ch of chNums){
-      verses[String(ch)] = book.chapters[ch].verseCount || 1;
+    const links = [];
+    for (let ch = p.start.chapter; ch <= p.end.chapter; ch++){
+      links.push(`<a href="${chapterUrl({ bookSlug: p.bookSlug, chapter: ch }, ed)}">${escapeHtml(p.bookName)} ${ch}</a>`);
     }
-    navBooks[slug] = { name: book.name, chapters: chNums.length, verses };
-  }
-  const navPayloadBase = {
-    site: SITE,
-    books: navBooks,
-    ot: OT.map(n => ({ name:n, slug:slugify(n) })),
-    nt: NT.map(n => ({ name:n, slug:slugify(n) }))
-  };
+    return `<li>${links.join(" • ")}</li>`;
+  }).join("");
+}
 
-  const refs = flattenRefs(books);
-  console.log(`Loaded ${books.size} books; generating ${refs.length} verse pages…`);
+const dayLabel = (passages)=> passages.map(formatPassage).join("; ");
 
-  // Write book & chapter index pages (HTML crawl paths)
-  for (const [slug, book] of books.entries()){
+function planTrackerHTML(ed, plan, day){
+  return `<section id="plan-tracker" class="plan-tracker" data-plan="${plan.id}" data-days="${plan.days.length}" data-day="${day || ""}" data-base="${planUrl(ed, plan)}" hidden>
+    <progress max="${plan.days.length}" value="0"></progress>
+    <p class="plan-tracker__summary" role="status" aria-live="polite"></p>
+    <div class="offline__actions">
+      ${day ? `<button class="btn btn-primary" type="button" data-action="done" aria-pressed="false">${msg(ed, "plans.markDone", { day })}</button>` : ""}
+      <a class="btn plan-tracker__next" href="${planUrl(ed, plan, 1)}" hidden>${msg(ed, "plans.continue")}</a>
+      ${day ? "" : `<button class="btn" type="button" data-action="reset">${msg(ed, "plans.reset")}</button>`}
+    </div>
+  </section>
+  <script src="/assets/plans.js" defer></script>`;
+}
+
+function planPageHTML({ title, desc, can, at, body, ed }){
+  return `<!DOCTYPE html>
+<html ${pageLang(ed)}>
+<head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(msg(ed, "page.titleSuffix", { title, edition: ed.short }))}</title>
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<link rel="canonical" href="${can}">
+${alternateLinksHTML(ed, at)}
+<meta name="description" content="${escapeHtml(desc)}">
+<meta name="robots" content="index,follow">
+</head>
+<body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [{ href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") }, { href: `${ed.prefix}/${PLANS_DIR}/`, label: msg(ed, "nav.plans") }], after: editionSwitchHTML(ed, at) })}
+<main id="main" class="container">
+  ${body}
+</main>
+${siteFooterHTML(ed)}
+</body>
+</html>`;
+}
+
+function plansIndexHTML(plans, ed){
+  const items = plans.map(p => `<li><a href="${planUrl(ed, p)}"><strong>${escapeHtml(p.title)}</strong></a> — ${msg(ed, "plans.days", { count: p.days.length })}${p.description ? `<br>${escapeHtml(p.description)}` : ""}</li>`).join("");
+  return planPageHTML({
+    title: msg(ed, "nav.plans"),
+    desc: msg(ed, "plans.description", { edition: ed.name }),
+    can: `${SITE}${ed.prefix}/${PLANS_DIR}/`,
+    at: { page: `/${PLANS_DIR}/` },
+    body: `<h1>${msg(ed, "nav.plans")}</h1>
+  <p>${msg(ed, "plans.intro")}</p>
+  <ul class="plan-list">${items}</ul>`,
+    ed
+  });
+}
+
+function planHTML(plan, ed){
+  const days = plan.days.map((passages, i) =>
+    `<li data-plan-day="${i + 1}"><a href="${planUrl(ed, plan, i + 1)}">${msg(ed, "plans.day", { day: i + 1 })}</a> <span>${escapeHtml(dayLabel(passages))}</span></li>`).join("\n    ");
+  return planPageHTML({
+    title: plan.title,
+    desc: plan.description || msg(ed, "plans.planDescription", { title: plan.title, count: plan.days.length }),
+    can: `${SITE}${planUrl(ed, plan)}`,
+    at: { page: `/${PLANS_DIR}/${plan.id}/` },
+    body: `<h1>${escapeHtml(plan.title)}</h1>
+  ${plan.description ? `<p>${escapeHtml(plan.description)}</p>` : ""}
+  ${planTrackerHTML(ed, plan, 0)}
+  <ol class="plan-days">
+    ${days}
+  </ol>`,
+    ed
+  });
+}
+
+function planDayHTML(plan, day, ed){
+  const passages = plan.days[day - 1];
+  const label = dayLabel(passages);
+  const prev = day > 1 ? planUrl(ed, plan, day - 1) : null;
+  const next = day < plan.days.length ? planUrl(ed, plan, day + 1) : null;
+  return planPageHTML({
+    title: msg(ed, "plans.dayTitle", { title: plan.title, day }),
+    desc: msg(ed, "plans.dayDescription", { day, count: plan.days.length, reading: label }),
+    can: `${SITE}${planUrl(ed, plan, day)}`,
+    at: { page: `/${PLANS_DIR}/${plan.id}/day/${day}/` },
+    body: `<h1 class="ref">${msg(ed, "plans.day", { day })} <small class="meta">${msg(ed, "plans.of", { count: plan.days.length })}</small></h1>
+  <p><a href="${planUrl(ed, plan)}">${escapeHtml(plan.title)}</a></p>
+  <h2 class="toc-heading">${msg(ed, "plans.today")}</h2>
+  <ul class="plan-reading">${readingLinksHTML(passages, ed)}</ul>
+  ${planTrackerHTML(ed, plan, day)}
+  <nav class="pager" aria-label="${msg(ed, "pager.days")}">
+    ${prev ? `<a class="btn" rel="prev" href="${prev}">${msg(ed, "pager.prevTo", { label: msg(ed, "plans.day", { day: day - 1 }) })}</a>` : `<span></span>`}
+    ${next ? `<a class="btn" rel="next" href="${next}">${msg(ed, "pager.nextTo", { label: msg(ed, "plans.day", { day: day + 1 }) })}</a>` : `<span></span>`}
+  </nav>`,
+    ed
+  });
+}
+
+// → sitemap entries for the edition's plan pages
+async function writePlans(ed, navPayload){
+  const plans = await loadPlans(navPayload);
+  if (!plans.length) return [];
+  const urls = [`${ed.prefix}/${PLANS_DIR}/`];
+  await emit(outPath(ed, `${PLANS_DIR}/index.html`), plansIndexHTML(plans, ed));
+  for (const plan of plans){
+    await emit(`${planUrl(ed, plan).slice(1)}index.html`, planHTML(plan, ed));
+    urls.push(planUrl(ed, plan));
+    for (let day = 1; day <= plan.days.length; day++){
+      await emit(`${planUrl(ed, plan, day).slice(1)}index.html`, planDayHTML(plan, day, ed));
+      urls.push(planUrl(ed, plan, day));
+    }
+  }
+  console.log(`Reading plans (${ed.short}):`, plans.map(p => `${p.id} (${p.days.length} days)`).join(", "));
+  return urls.map(u => ({ loc: `${SITE}${u}`, lastmod: lastmodOf(u) }));
+}
+
+// Marks days done (dated with the reader's local day) and shows progress and the
+// current streak: consecutive calendar days, up to today or yesterday, with a day done
+const PLANS_JS = `
+(function(){
+  'use strict';
+  var KEY = ${JSON.stringify(PLANS_KEY)};
+  var box = document.getElementById('plan-tracker');
+  if(!box) return;
+  var plan = box.getAttribute('data-plan');
+  var days = Number(box.getAttribute('data-days'));
+  var day = Number(box.getAttribute('data-day')) || 0;
+  var base = box.getAttribute('data-base');
+  var bar = box.querySelector('progress');
+  var summary = box.querySelector('.plan-tracker__summary');
+  var next = box.querySelector('.plan-tracker__next');
+  var doneBtn = box.querySelector('[data-action="done"]');
+  var resetBtn = box.querySelector('[data-action="reset"]');
+
+  function load(){
+    try { return JSON.parse(localStorage.getItem(KEY) || '{}') || {}; } catch(e){ return {}; }
+  }
+  function save(all){
+    try { localStorage.setItem(KEY, JSON.stringify(all)); } catch(e){}
+  }
+  function pad(n){ return (n < 10 ? '0' : '') + n; }
+  function dateKey(d){ return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()); }
+  function streak(done){
+    var dates = new Set(Object.keys(done).map(function(k){ return done[k]; }));
+    var d = new Date(), n = 0;
+    if(!dates.has(dateKey(d))) d.setDate(d.getDate() - 1);
+    while(dates.has(dateKey(d))){ n++; d.setDate(d.getDate() - 1); }
+    return n;
+  }
+
+  function render(){
+    var done = load()[plan] || {};
+    var count = Object.keys(done).filter(function(k){ return Number(k) >= 1 && Number(k) <= days; }).length;
+    var s = streak(done), first = 0;
+    for(var i=1;i<=days;i++){ if(!done[i]){ first = i; break; } }
+    bar.value = count;
+    summary.textContent = (count === days ? i18n.t('plans.complete', { count: days }) : i18n.t('plans.progress', { done: count, count: days }))
+      + (s ? ' • ' + i18n.t('plans.streak', { count: s }) : '');
+    next.hidden = !first || first === day;
+    if(first){ next.href = base + 'day/' + first + '/'; next.textContent = i18n.t(count ? 'plans.continueWith' : 'plans.startWith', { day: first }); }
+    if(doneBtn){
+      doneBtn.setAttribute('aria-pressed', String(!!done[day]));
+      doneBtn.textContent = i18n.t(done[day] ? 'plans.dayDone' : 'plans.markDone', { day: day });
+    }
+    document.querySelectorAll('[data-plan-day]').forEach(function(li){
+      li.classList.toggle('is-done', !!done[li.getAttribute('data-plan-day')]);
+    });
+  }
+
+  if(doneBtn) doneBtn.addEventListener('click', function(){
+    var all = load(), done = all[plan] = all[plan] || {};
+    if(done[day]) delete done[day];
+    else done[day] = dateKey(new Date());
+    save(all);
+    render();
+  });
+  if(resetBtn) resetBtn.addEventListener('click', function(){
+    if(!confirm(i18n.t('plans.confirmReset'))) return;
+    var all = load();
+    delete all[plan];
+    save(all);
+    render();
+  });
+  window.addEventListener('storage', function(e){ if(e.key === KEY) render(); });
+
+  render();
+  box.hidden = false;
+})();
+`;
+
+// ------- Verse of the Day (/votd/, feeds, JSON and embed) -------
+// VOTD_FILE: { "verses": ["John 3:16", ...], "dates": { "12-25": "Luke 2:11" } }.
+// A date listed under "dates" (MM-DD) gets that verse every year; other days
+// cycle through "verses" by day number, so any date's pick is fixed and the
+// feeds, page and embed agree. Without the file every verse is in the cycle.
+// The build covers VOTD_DAYS from today (UTC); the date is a build input, so a
+// daily build moves the window and the feeds along.
+const VOTD_DIR = "votd";
+const VOTD_DAYS = 366;
+const VOTD_FEED_DAYS = 30;
+const DAY_MS = 86400000;
+const dateKey = (ms)=> new Date(ms).toISOString().slice(0, 10);
+
+async function loadVotd(navPayload){
+  let data;
+  try { data = JSON.parse(await fs.readFile(VOTD_FILE, "utf8")); }
+  catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Unable to read ${VOTD_FILE}: ${e.message}`);
+    console.warn(`Warning: no verse of the day list at ${VOTD_FILE} — cycling through every verse`);
+    return { verses: [], dates: {} };
+  }
+  const parser = createReferenceParser(navPayload);
+  // Single verses only; books this edition lacks are skipped quietly
+  const one = (ref)=>{
+    const res = parser.parse(ref);
+    const p = res.passages[0];
+    if (res.ok && res.passages.length === 1 && p.kind === "verse") return { bookSlug: p.bookSlug, chapter: p.start.chapter, verse: p.start.verse };
+    if (!res.codes.every(code => code === "unknownBook")) console.warn(`Warning: verse of the day "${ref}" — ${res.errors[0] || "not a single verse"}`);
+    return null;
+  };
+  const verses = (data.verses || []).map(one).filter(Boolean);
+  const dates = {};
+  for (const [md, ref] of Object.entries(data.dates || {})){
+    const r = /^\d\d-\d\d$/.test(md) ? one(ref) : null;
+    if (r) dates[md] = r;
+  }
+  return { verses, dates };
+}
+
+// → [{ date, ref }] for `count` days from startMs; refs index flattenRefs() output
+function votdDays(list, refs, startMs, count){
+  const at = new Map(refs.map(r => [`${r.bookSlug} ${r.chapter}:${r.verse}`, r]));
+  const cycle = list.verses.map(v => at.get(`${v.bookSlug} ${v.chapter}:${v.verse}`)).filter(Boolean);
+  const pool = cycle.length ? cycle : refs;
+  const out = [];
+  for (let i = 0; i < count; i++){
+    const ms = startMs + i * DAY_MS, date = dateKey(ms);
+    const fixed = list.dates[date.slice(5)];
+    const ref = (fixed && at.get(`${fixed.bookSlug} ${fixed.chapter}:${fixed.verse}`)) || pool[Math.floor(ms / DAY_MS) % pool.length];
+    out.push({ date, ref });
+  }
+  return out;
+}
+
+const votdLabel = (r)=> `${r.bookName} ${r.chapter}:${r.verse}`;
+const votdItem = (ed, { date, ref })=> ({ date, reference: votdLabel(ref), bookSlug: ref.bookSlug, chapter: ref.chapter, verse: ref.verse, text: ref.text, url: canonicalUrl(ref, ed) });
+
+function votdFeedLinks(ed){
+  const base = `${SITE}${ed.prefix}/${VOTD_DIR}`;
+  const title = escapeHtml(msg(ed, "votd.feed", { edition: ed.short }));
+  return `<link rel="alternate" type="application/rss+xml" title="${title}" href="${base}/feed.xml">
+<link rel="alternate" type="application/atom+xml" title="${title}" href="${base}/atom.xml">`;
+}
+
+function votdPageHTML(days, ed){
+  const [today] = days;
+  const at = { page: `/${VOTD_DIR}/` };
+  const can = `${SITE}${ed.prefix}/${VOTD_DIR}/`;
+  const title = msg(ed, "page.titleSuffix", { title: msg(ed, "nav.votd"), edition: ed.short });
+  const desc = `${votdLabel(today.ref)} (${ed.short}) — ${today.ref.text.slice(0,160)}`;
+  const fmt = (date)=> new Date(`${date}T00:00:00Z`).toLocaleDateString(ed.ui.code, { weekday: "short", month: "long", day: "numeric", year: "numeric", timeZone: "UTC" });
+  const rows = days.map(({ date, ref }) =>
+    `<li data-date="${date}"><time datetime="${date}">${fmt(date)}</time> <a href="${verseUrl(ref, ed)}">${escapeHtml(votdLabel(ref))}</a> <span${textLang(ed)}>${escapeHtml(ref.text)}</span></li>`).join("\n    ");
+  const embed = `<div data-kjv-votd${ed.isDefault ? "" : ` data-kjv-edition="${ed.id}"`}></div>\n<script type="module" src="${SITE}/assets/votd.js"></script>`;
+
+  return `<!DOCTYPE html>
+<html ${pageLang(ed)}>
+<head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(title)}</title>
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<link rel="canonical" href="${can}">
+${alternateLinksHTML(ed, at)}
+${votdFeedLinks(ed)}
+${socialMetaHTML({ title, desc, can, name: msg(ed, "votd.feed", { edition: ed.short }), ed })}
+</head>
+<body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [{ href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") }, { href: `${ed.prefix}/search/`, label: msg(ed, "nav.search") }], after: editionSwitchHTML(ed, at) })}
+<main id="main" class="container">
+  <h1>${msg(ed, "nav.votd")}</h1>
+  <figure id="votd-today" class="votd">
+    <figcaption><time datetime="${today.date}">${fmt(today.date)}</time></figcaption>
+    <blockquote class="verse"${textLang(ed)}><p>${escapeHtml(today.ref.text)}</p></blockquote>
+    <a class="btn" href="${verseUrl(today.ref, ed)}">${escapeHtml(votdLabel(today.ref))}</a>
+  </figure>
+
+  <aside class="meta">
+    <div>${msg(ed, "votd.follow")} <a href="${ed.prefix}/${VOTD_DIR}/feed.xml">RSS</a> • <a href="${ed.prefix}/${VOTD_DIR}/atom.xml">Atom</a> • <a href="${ed.prefix}/${VOTD_DIR}/days.json">JSON</a></div>
+    <details class="embed">
+      <summary>${msg(ed, "votd.embed")}</summary>
+      <pre><code>${escapeHtml(embed)}</code></pre>
+    </details>
+  </aside>
+
+  <h2 class="toc-heading">${msg(ed, "votd.ahead")}</h2>
+  <ol class="votd-list">
+    ${rows}
+  </ol>
+</main>
+${siteFooterHTML(ed)}
+<script>
+  (function(){
+    // The page is built once a day in UTC; show the reader's own date
+    var d = new Date(), pad = function(n){ return (n < 10 ? '0' : '') + n; };
+    var li = document.querySelector('.votd-list [data-date="' + d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) + '"]');
+    var fig = document.getElementById('votd-today');
+    if(!li || !fig) return;
+    li.setAttribute('aria-current', 'date');
+    fig.querySelector('time').outerHTML = li.querySelector('time').outerHTML;
+    fig.querySelector('p').textContent = li.querySelector('span').textContent;
+    var a = fig.querySelector('a'), src = li.querySelector('a');
+    a.href = src.href; a.textContent = src.textContent;
+  })();
+</script>
+</body>
+</html>`;
+}
+
+function votdRSS(items, ed){
+  const base = `${SITE}${ed.prefix}/${VOTD_DIR}/`;
+  const body = items.map(it => `  <item>
+    <title>${escapeHtml(it.reference)}</title>
+    <link>${it.url}</link>
+    <guid isPermaLink="false">${base}#${it.date}</guid>
+    <pubDate>${new Date(`${it.date}T00:00:00Z`).toUTCString()}</pubDate>
+    <description>${escapeHtml(it.text)}</description>
+  </item>`).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<channel>
+  <title>${escapeHtml(msg(ed, "page.titleSuffix", { title: msg(ed, "nav.votd"), edition: ed.short }))}</title>
+  <link>${base}</link>
+  <description>${escapeHtml(msg(ed, "votd.description", { edition: ed.name }))}</description>
+  <language>${ed.lang}</language>
+  <atom:link href="${base}feed.xml" rel="self" type="application/rss+xml"/>
+${body}
+</channel>
+</rss>
+`;
+}
+
+function votdAtom(items, ed){
+  const base = `${SITE}${ed.prefix}/${VOTD_DIR}/`;
+  const body = items.map(it => `  <entry>
+    <title>${escapeHtml(it.reference)}</title>
+    <link href="${it.url}"/>
+    <id>${base}#${it.date}</id>
+    <updated>${it.date}T00:00:00Z</updated>
+    <summary>${escapeHtml(it.text)}</summary>
+  </entry>`).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${ed.lang}">
+  <title>${escapeHtml(msg(ed, "page.titleSuffix", { title: msg(ed, "nav.votd"), edition: ed.short }))}</title>
+  <link href="${base}"/>
+  <link rel="self" href="${base}atom.xml"/>
+  <id>${base}</id>
+  <updated>${items[0].date}T00:00:00Z</updated>
+  <author><name>${escapeHtml(SITE_CONFIG.publisher.name)}</name></author>
+${body}
+</feed>
+`;
+}
+
+// Feeds carry the last VOTD_FEED_DAYS days up to today, newest first; days.json
+// (the embed's data) runs from today for VOTD_DAYS
+async function writeVotd(ed, refs, navPayload){
+  if (!refs.length) return;
+  const list = await loadVotd(navPayload);
+  const todayMs = Date.parse(`${manifest.startedAt.slice(0, 10)}T00:00:00Z`);
+  const ahead = votdDays(list, refs, todayMs, VOTD_DAYS);
+  const recent = votdDays(list, refs, todayMs - (VOTD_FEED_DAYS - 1) * DAY_MS, VOTD_FEED_DAYS).reverse().map(d => votdItem(ed, d));
+  const dir = outPath(ed, VOTD_DIR);
+  await emit(`${dir}/index.html`, votdPageHTML(ahead, ed));
+  await emit(`${dir}/days.json`, JSON.stringify({ version: 1, edition: ed.id, title: msg(ed, "nav.votd"), days: ahead.map(d => votdItem(ed, d)) }));
+  await emit(`${dir}/feed.xml`, votdRSS(recent, ed));
+  await emit(`${dir}/atom.xml`, votdAtom(recent, ed));
+}
+
+// Usage on any site:
+//   <div data-kjv-votd></div>
+//   <script type="module" src="https://kjv.the-holy-bible.online/assets/votd.js"></script>
+// Picks the reader's local date from <prefix>/votd/days.json (data-kjv-edition as
+// for embed.js) and links back to the verse page, captioned in the edition's
+// interface language (days.json's title).
+const VOTD_JS = `const ROOT = new URL('../', import.meta.url);
+
+const STYLE = '.kjv-votd{margin:1em 0;font-family:"EB Garamond",Garamond,"Times New Roman",serif}'
+  + '.kjv-votd blockquote{margin:0 0 .4em;font-size:1.15em;line-height:1.6}'
+  + '.kjv-votd figcaption{font-size:.9em;color:#555}';
+
+function injectStyle(){
+  if (document.getElementById('kjv-votd-style')) return;
+  const el = document.createElement('style');
+  el.id = 'kjv-votd-style';
+  el.textContent = STYLE;
+  document.head.appendChild(el);
+}
+
+async function getJSON(rel){
+  const r = await fetch(new URL(rel, ROOT));
+  if (!r.ok) throw new Error('HTTP ' + r.status + ' @ ' + rel);
+  return r.json();
+}
+
+const esc = (s)=> String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' })[c]);
+const pad = (n)=> (n < 10 ? '0' : '') + n;
+const localDate = (d)=> d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate());
+
+export async function renderVerseOfTheDay(el, editionId){
+  const editions = await getJSON('data/editions.json');
+  const ed = editionId ? editions.find(e => e.id === editionId) : editions[0];
+  if (!ed) throw new Error('Unknown edition ' + editionId);
+  const { days, title = 'Verse of the Day' } = await getJSON((ed.prefix ? ed.prefix.slice(1) + '/' : '') + '${VOTD_DIR}/days.json');
+  const today = localDate(new Date());
+  // Past the end of the list (a stale build), keep showing its last day
+  const day = days.find(d => d.date === today) || days.filter(d => d.date <= today).pop() || days[0];
+  el.innerHTML = '<figure class="kjv-votd"><blockquote>' + esc(day.text) + '</blockquote>'
+    + '<figcaption><a href="' + esc(day.url) + '">' + esc(day.reference) + ' (' + esc(ed.short) + ')</a> — ' + esc(title) + '</figcaption></figure>';
+}
+
+injectStyle();
+for (const el of document.querySelectorAll('[data-kjv-votd]')){
+  renderVerseOfTheDay(el, el.getAttribute('data-kjv-edition'))
+    .catch(e=>{ el.textContent = 'Unable to load the verse of the day. (' + e.message + ')'; });
+}
+`;
+
+// ------- Static JSON API (/api/v1/) -------
+// Read-only mirror of the verse/chapter pages for apps. Field names are part of
+// the contract: add fields freely, but rename or remove only under a new version.
+// Each text has its own copy under its edition's prefix (/api/v1/, /kjv-1611/api/v1/).
+const API_VERSION = "v1";
+const apiRoot = (ed)=> `${textEdition(ed).prefix}/api/${API_VERSION}`;
+const apiChapterUrl = (ref, ed)=> `${apiRoot(ed)}/${ref.bookSlug}/${ref.chapter}.json`;
+const apiVerseUrl = (ref, ed)=> `${apiRoot(ed)}/${ref.bookSlug}/${ref.chapter}/${ref.verse}.json`;
+const testamentOf = (slug)=> OT_SLUGS.has(slug) ? "OT" : "NT";
+
+function apiSchema(ed){
+  const API_ROOT = apiRoot(ed);
+  const str = { type:"string" }, int = { type:"integer", minimum:1 };
+  const link = { type:["string","null"], description:"Site-relative API URL, or null at either end of the Bible" };
+  const bookRef = {
+    type:"object", required:["slug","name"],
+    properties:{ slug:str, name:str }
+  };
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: `${SITE}${API_ROOT}/schema.json`,
+    title: `The Holy Bible (${ed.short}) static API ${API_VERSION}`,
+    description: `Files: ${API_ROOT}/books.json (Books), ${API_ROOT}/{book}.json (Book), ${API_ROOT}/{book}/{chapter}.json (Chapter), ${API_ROOT}/{book}/{chapter}/{verse}.json (Verse). {book} is the book's English slug, e.g. "song-of-solomon", whatever the edition's interface language.`,
+    $defs: {
+      Books: {
+        type:"object", required:["version","site","books","ot","nt"],
+        properties:{
+          version:{ const: API_VERSION },
+          site:str,
+          edition:{ type:"string", description:"Edition id, e.g. \"kjv\"" },
+          books:{
+            type:"object", description:"Keyed by book slug",
+            additionalProperties:{
+              type:"object", required:["name","chapters","verses"],
+              properties:{
+                name:{ type:"string", description:"In the edition's interface language" },
+                chapters:{ type:"integer", description:"Number of chapters" },
+                verses:{ type:"object", description:"Verse count keyed by chapter number", additionalProperties:{ type:"integer" } },
+                path:{ type:"string", description:"The book's segment in page URLs, when it isn't the slug (e.g. \"juan\")" },
+                abbr:{ type:"array", items:str, description:"Abbreviations in the interface language" }
+              }
+            }
+          },
+          ot:{ type:"array", items:bookRef },
+          nt:{ type:"array", items:bookRef }
+        }
+      },
+      Book: {
+        type:"object", required:["version","slug","name","testament","chapters","url"],
+        properties:{
+          version:{ const: API_VERSION },
+          slug:str, name:str,
+          testament:{ enum:["OT","NT"] },
+          url:{ type:"string", format:"uri", description:"Canonical HTML page" },
+          chapters:{
+            type:"array",
+            items:{
+              type:"object", required:["chapter","verseCount","api"],
+              properties:{ chapter:int, verseCount:{ type:"integer" }, api:str }
+            }
+          }
+        }
+      },
+      Chapter: {
+        type:"object", required:["version","book","chapter","reference","verseCount","verses","url","prev","next"],
+        properties:{
+          version:{ const: API_VERSION },
+          book:bookRef, chapter:int, reference:str,
+          verseCount:{ type:"integer" },
+          verses:{
+            type:"array",
+            items:{ type:"object", required:["verse","text"], properties:{ verse:int, text:str } }
+          },
+          url:{ type:"string", format:"uri", description:"Canonical HTML page" },
+          prev:link, next:link
+        }
+      },
+      Verse: {
+        type:"object", required:["version","book","chapter","verse","reference","text","url","chapterApi","prev","next"],
+        properties:{
+          version:{ const: API_VERSION },
+          book:bookRef, chapter:int, verse:int, reference:str, text:str,
+          url:{ type:"string", format:"uri", description:"Canonical HTML page" },
+          chapterApi:str,
+          prev:link, next:link
+        }
+      }
+    }
+  };
+}
+
+async function writeApi(ed, books, refs, chapterSeq, navPayload){
+  const dir = outPath(ed, `api/${API_VERSION}`);
+  await emit(`${dir}/schema.json`, JSON.stringify(apiSchema(ed), null, 2));
+  await emit(`${dir}/books.json`, JSON.stringify({ version: API_VERSION, ...navPayload }));
+
+  for (const [slug, book] of books.entries()){
+    const chNums = Object.keys(book.chapters).map(Number).sort((a,b)=>a-b);
+    await emit(`${dir}/${slug}.json`, JSON.stringify({
+      version: API_VERSION,
+      slug, name: book.name,
+      testament: testamentOf(slug),
+      url: `${SITE}${ed.prefix}/${bookPath(ed, slug)}/`,
+      chapters: chNums.map(ch => ({
+        chapter: ch,
+        verseCount: book.chapters[ch].verseCount,
+        api: apiChapterUrl({ bookSlug: slug, chapter: ch }, ed)
+      }))
+    }));
+  }
+
+  await mapLimit(chapterSeq, CONCURRENCY, async ({ bookName, bookSlug, chapter }, i)=>{
+    const { verses, verseCount } = books.get(bookSlug).chapters[chapter];
+    const list = [];
+    for (let v=1; v<=verseCount; v++) list.push({ verse: v, text: verses[String(v)] ?? "" });
+    await emit(`${dir}/${bookSlug}/${chapter}.json`, JSON.stringify({
+      version: API_VERSION,
+      book: { slug: bookSlug, name: bookName },
+      chapter,
+      reference: `${bookName} ${chapter}`,
+      verseCount,
+      verses: list,
+      url: `${SITE}${chapterUrl({ bookSlug, chapter }, ed)}`,
+      prev: chapterSeq[i-1] ? apiChapterUrl(chapterSeq[i-1], ed) : null,
+      next: chapterSeq[i+1] ? apiChapterUrl(chapterSeq[i+1], ed) : null
+    }));
+  });
+
+  await mapLimit(refs, CONCURRENCY, async (r, i)=>{
+    await emit(`${dir}/${r.bookSlug}/${r.chapter}/${r.verse}.json`, JSON.stringify({
+      version: API_VERSION,
+      book: { slug: r.bookSlug, name: r.bookName },
+      chapter: r.chapter,
+      verse: r.verse,
+      reference: `${r.bookName} ${r.chapter}:${r.verse}`,
+      text: r.text,
+      url: canonicalUrl(r, ed),
+      chapterApi: apiChapterUrl(r, ed),
+      prev: i>0 ? apiVerseUrl(refs[i-1], ed) : null,
+      next: i<refs.length-1 ? apiVerseUrl(refs[i+1], ed) : null
+    }));
+  }, progress(`API verses (${ed.short})`));
+
+  await emit(outPath(ed, "api/index.html"), apiIndexHTML(books, ed));
+  return { books: books.size, chapters: chapterSeq.length, verses: refs.length };
+}
+
+function apiIndexHTML(books, ed){
+  const API_ROOT = apiRoot(ed);
+  const at = { page: "/api/", has: (other)=> !other.textOf };
+  const [firstSlug] = books.keys();
+  const ex = firstSlug ? `${API_ROOT}/${firstSlug}/1/1.json` : `${API_ROOT}/genesis/1/1.json`;
+  return `<!DOCTYPE html><html ${pageLang(ed)}><head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${msg(ed, "page.titleSuffix", { title: "JSON API", edition: ed.short })}</title>
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<link rel="canonical" href="${SITE}${ed.prefix}/api/">
+${alternateLinksHTML(ed, at)}
+<meta name="robots" content="index,follow">
+</head><body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [{ href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") }, { href: `${ed.prefix}/search/`, label: msg(ed, "nav.search") }], after: editionSwitchHTML(ed, at) })}
+<main id="main" class="container">
+  <h1>JSON API (${API_VERSION})</h1>
+  <p>${msg(ed, "api.intro", { edition: escapeHtml(ed.name), page: `<code>${verseUrl({ bookSlug: "john", chapter: 3, verse: 16 }, ed)}</code>`, file: `<code>${API_ROOT}/john/3/16.json</code>` })}</p>
+  <ul>
+    <li><a href="${API_ROOT}/books.json"><code>${API_ROOT}/books.json</code></a> — ${msg(ed, "api.books")}</li>
+    <li><code>${API_ROOT}/{book}.json</code> — ${msg(ed, "api.book")}</li>
+    <li><code>${API_ROOT}/{book}/{chapter}.json</code> — ${msg(ed, "api.chapter")}</li>
+    <li><code>${API_ROOT}/{book}/{chapter}/{verse}.json</code> — ${msg(ed, "api.verse", { example: `<a href="${ex}"><code>${ex}</code></a>` })}</li>
+    <li><a href="${API_ROOT}/schema.json"><code>${API_ROOT}/schema.json</code></a> — ${msg(ed, "api.schema")}</li>
+  </ul>
+  <p>${msg(ed, "api.stability", { version: API_VERSION })}</p>
+</main>
+${siteFooterHTML(ed)}
+</body></html>`;
+}
+
+// ------- Edition comparison (/compare/<from>/<to>/book/chapter/) -------
+// One page per chapter per pair of editions, older edition on the left (by
+// `year` in editions.json), with word-level changes marked by lib/diff.mjs.
+const COMPARE_DIR = "compare";
+
+// Editions with a text of their own, oldest first; editions without a year keep
+// config order at the end
+const byYear = ()=> EDITIONS.filter(e => !e.textOf).sort((x,y)=> (x.year ?? Infinity) - (y.year ?? Infinity) || 0);
+const inOrder = (x, y)=> byYear().filter(e => e.id === x.id || e.id === y.id);
+function comparePairs(){
+  const list = byYear(), out = [];
+  for (let i=0; i<list.length; i++) for (let j=i+1; j<list.length; j++) out.push([list[i], list[j]]);
+  return out;
+}
+const compareRoot = (from, to)=> `/${COMPARE_DIR}/${from.id}/${to.id}/`;
+const compareUrl = (from, to, ref)=> `${compareRoot(from, to)}${ref.bookSlug}/${ref.chapter}/`;
+
+// Chapter-page control: inline differences against another edition (assets/compare.js)
+function compareToggleHTML(ed, at){
+  const text = textEdition(ed);
+  const others = EDITIONS.filter(o => !o.textOf && o.id !== text.id && editionPath(o, at));
+  if (!others.length) return "";
+  const options = others.map(o => {
+    const [from, to] = inOrder(o, text);
+    return `<option value="${o.prefix}" data-label="${escapeHtml(o.short)}" data-compare="${compareUrl(from, to, at)}">${escapeHtml(o.name)}</option>`;
+  }).join("");
+  const [from, to] = inOrder(others[0], text);
+  return `<section id="compare-toggle" class="compare-toggle" data-book="${at.bookSlug}" data-chapter="${at.chapter}" data-prefix="${text.prefix}" data-label="${escapeHtml(ed.short)}">
+    <label for="compare-with">${msg(ed, "compare.with")}</label>
+    <select id="compare-with" class="jump__select">${options}</select>
+    <button class="btn" type="button" aria-pressed="false">${msg(ed, "compare.show")}</button>
+    <a id="compare-side" href="${compareUrl(from, to, at)}">${msg(ed, "compare.side")}</a>
+    <p class="compare-toggle__status" role="status" aria-live="polite"></p>
+  </section>
+  <script type="module" src="/assets/compare.js"></script>`;
+}
+
+// Marks each verse against the chosen edition in place; turning it off restores
+// the original markup. Diffs run other → this edition: <del> is only in the
+// other one, <ins> only in this one.
+const COMPARE_JS = `import { diffWords, diffHTML, isChanged } from './diff.js';
+
+const box = document.getElementById('compare-toggle');
+if (box){
+  const sel = box.querySelector('select');
+  const btn = box.querySelector('button');
+  const side = document.getElementById('compare-side');
+  const status = box.querySelector('.compare-toggle__status');
+  const { book, chapter, prefix, label } = box.dataset;
+  const paras = Array.from(document.querySelectorAll('article.chapter p[id^="v"]'));
+  const original = new Map(paras.map(p => [p, p.innerHTML]));
+  const cache = new Map();
+
+  const getJSON = (url)=>{
+    if (!cache.has(url)){
+      cache.set(url, fetch(url).then(r=>{
+        if (!r.ok) throw new Error('HTTP ' + r.status + ' @ ' + url);
+        return r.json();
+      }));
+    }
+    return cache.get(url);
+  };
+  const versesOf = (pre)=> getJSON(pre + '/data/books/' + book + '.json').then(b => (b.chapters[chapter] || {}).verses || {});
+  const esc = (s)=> String(s).replace(/[&<>]/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;' })[c]);
+
+  async function show(){
+    const opt = sel.selectedOptions[0];
+    status.textContent = i18n.t('compare.loading', { edition: opt.dataset.label });
+    const [theirs, mine] = await Promise.all([versesOf(sel.value), versesOf(prefix)]);
+    let changed = 0;
+    for (const p of paras){
+      const v = p.id.slice(1);
+      const ops = diffWords(theirs[v] ?? '', mine[v] ?? '');
+      if (isChanged(ops)) changed++;
+      p.innerHTML = p.querySelector('.vnum').outerHTML + ' ' + diffHTML(ops);
+    }
+    status.innerHTML = esc(i18n.t('compare.differ', { changed, count: paras.length })) + ' <del>' + esc(i18n.t('compare.onlyIn', { edition: opt.dataset.label })) + '</del> <ins>' + esc(i18n.t('compare.onlyIn', { edition: label })) + '</ins>';
+  }
+  function hide(){
+    for (const [p, html] of original) p.innerHTML = html;
+    status.textContent = '';
+  }
+  function update(){
+    side.href = sel.selectedOptions[0].dataset.compare;
+    if (btn.getAttribute('aria-pressed') !== 'true') return hide();
+    show().catch(e=>{ hide(); status.textContent = i18n.t('compare.error', { error: e.message }); });
+  }
+
+  btn.addEventListener('click', ()=>{
+    const on = btn.getAttribute('aria-pressed') !== 'true';
+    btn.setAttribute('aria-pressed', String(on));
+    btn.textContent = i18n.t(on ? 'compare.hide' : 'compare.show');
+    update();
+  });
+  sel.addEventListener('change', update);
+}
+`;
+
+// In the newer edition's interface language (bookName, prev/nextChapter too)
+function compareHTML({ from, to, bookName, bookSlug, chapter, rows, changed, prevChapter, nextChapter }){
+  const ed = to;
+  const ref = { bookSlug, chapter };
+  const can = `${SITE}${compareUrl(from, to, ref)}`;
+  const title = msg(ed, "compare.title", { reference: `${bookName} ${chapter}`, from: from.short, to: to.short });
+  const desc = msg(ed, "compare.description", { reference: `${bookName} ${chapter}`, from: from.name, to: to.name });
+  const label = (c)=> `${escapeHtml(c.bookName)} ${c.chapter}`;
+  const cell = (e, html)=> `<td data-label="${escapeHtml(e.short)}" lang="${e.lang}"${textDirection(e.lang) === ed.ui.dir ? "" : ` dir="${textDirection(e.lang)}"`}>${html ?? `<span class="compare__missing">—</span>`}</td>`;
+  const body = rows.map(({ verse, ops, inA, inB }) =>
+    `<tr id="v${verse}"><th scope="row"><a href="#v${verse}">${verse}</a></th>${cell(from, inA ? diffHTML(ops, "a") : null)}${cell(to, inB ? diffHTML(ops, "b") : null)}</tr>`
+  ).join("\n      ");
+
+  return `<!DOCTYPE html>
+<html ${pageLang(ed)}>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="canonical" href="${can}">
+${prevChapter ? `<link rel="prev" href="${compareUrl(from, to, prevChapter)}">` : ""}${nextChapter ? `<link rel="next" href="${compareUrl(from, to, nextChapter)}">` : ""}
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<meta name="description" content="${escapeHtml(desc)}">
+<meta name="robots" content="index,follow">
+</head>
+<body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(msg(ed, "compare.pair", { from: from.short, to: to.short })), nav: [{ href: SITE, label: msg(ed, "site.title") }, { href: compareRoot(from, to), label: msg(ed, "compare.allChapters") }] })}
+
+<main id="main" class="container">
+  <h1 class="ref">${escapeHtml(bookName)} ${chapter}</h1>
+  <p class="meta">${msg(ed, "compare.differ", { changed, count: rows.length })} <del>${msg(ed, "compare.onlyIn", { edition: escapeHtml(from.short) })}</del> <ins>${msg(ed, "compare.onlyIn", { edition: escapeHtml(to.short) })}</ins></p>
+
+  <table class="compare">
+    <thead><tr><th scope="col">#</th><th scope="col">${escapeHtml(from.name)}</th><th scope="col">${escapeHtml(to.name)}</th></tr></thead>
+    <tbody>
+      ${body}
+    </tbody>
+  </table>
+
+  <nav class="pager" aria-label="${msg(ed, "pager.chapters")}">
+    ${prevChapter ? `<a class="btn" rel="prev" href="${compareUrl(from, to, prevChapter)}">${msg(ed, "pager.prevTo", { label: label(prevChapter) })}</a>` : `<span></span>`}
+    ${nextChapter ? `<a class="btn" rel="next" href="${compareUrl(from, to, nextChapter)}">${msg(ed, "pager.nextTo", { label: label(nextChapter) })}</a>` : `<span></span>`}
+  </nav>
+
+  <aside class="meta">
+    <div>${msg(ed, "compare.readAlone")} <a href="${chapterUrl(ref, from)}">${escapeHtml(from.short)}</a> • <a href="${chapterUrl(ref, to)}">${escapeHtml(to.short)}</a></div>
+  </aside>
+</main>
+
+${siteFooterHTML(ed)}
+</body>
+</html>`;
+}
+
+// /compare/ (pairs = [{ from, to, chapters, changed }]) and /compare/<from>/<to>/ (one
+// pair), in the default edition's interface language or the pair's newer edition's
+function compareIndexHTML(pairs, one){
+  const ed = one ? one.to : EDITIONS[0];
+  const can = `${SITE}${one ? compareRoot(one.from, one.to) : `/${COMPARE_DIR}/`}`;
+  const title = one ? msg(ed, "compare.pair", { from: one.from.short, to: one.to.short }) : msg(ed, "nav.compare");
+  let body;
+  if (one){
+    const byBook = new Map();
+    for (const c of one.chapters){
+      if (!byBook.has(c.bookSlug)) byBook.set(c.bookSlug, { name: c.bookName, items: [] });
+      byBook.get(c.bookSlug).items.push(`<a href="${compareUrl(one.from, one.to, c)}">${c.chapter}</a>`);
+    }
+    body = `<p>${msg(ed, "compare.pairDiffer", { changed: one.changed, count: one.verses, from: escapeHtml(one.from.name), to: escapeHtml(one.to.name) })}</p>
+  <ul class="compare-books">${[...byBook.values()].map(b => `<li><strong>${escapeHtml(b.name)}</strong> ${b.items.join(" ")}</li>`).join("")}</ul>`;
+  } else {
+    body = `<ul>${pairs.map(p => `<li><a href="${compareRoot(p.from, p.to)}">${msg(ed, "compare.pairLink", { from: escapeHtml(p.from.name), to: escapeHtml(p.to.name) })}</a> — ${msg(ed, "compare.pairCount", { changed: p.changed, count: p.verses })}</li>`).join("")}</ul>`;
+  }
+  return `<!DOCTYPE html><html ${pageLang(ed)}><head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(msg(ed, "page.titleSite", { title }))}</title>
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<link rel="canonical" href="${can}">
+<meta name="robots" content="index,follow">
+</head><body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: msg(ed, "nav.compare"), nav: [{ href: SITE, label: msg(ed, "site.title") }, one && { href: `/${COMPARE_DIR}/`, label: msg(ed, "compare.allEditions") }] })}
+<main id="main" class="container">
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+</main>
+${siteFooterHTML(ed)}
+</body></html>`;
+}
+
+// loaded: [{ ed, books }] → sitemap URLs (none on single-edition sites)
+async function writeComparePages(loaded){
+  const booksOf = new Map(loaded.map(({ ed, books }) => [ed.id, books]));
+  const pairs = [], smEntries = [];
+  for (const [from, to] of comparePairs()){
+    const a = booksOf.get(from.id), b = booksOf.get(to.id);
+    const chapters = chapterList(b).filter(c => a.get(c.bookSlug)?.chapters[c.chapter]);  // named as in `to`
+    const pair = { from, to, chapters, changed: 0, verses: 0 };
+    await mapLimit(chapters, CONCURRENCY, async ({ bookName, bookSlug, chapter }, i)=>{
+      const va = a.get(bookSlug).chapters[chapter].verses, vb = b.get(bookSlug).chapters[chapter].verses;
+      const nums = [...new Set([...Object.keys(va), ...Object.keys(vb)].map(Number))].sort((x,y)=>x-y);
+      const rows = nums.map(v => ({ verse: v, inA: va[v] != null, inB: vb[v] != null, ops: diffWords(va[v], vb[v]) }));
+      const changed = rows.filter(r => isChanged(r.ops)).length;
+      pair.changed += changed;
+      pair.verses += rows.length;
+      await emit(`${compareUrl(from, to, { bookSlug, chapter }).slice(1)}index.html`, compareHTML({
+        from, to, bookName, bookSlug, chapter, rows, changed,
+        prevChapter: chapters[i-1] || null,
+        nextChapter: chapters[i+1] || null
+      }));
+    }, progress(`Compare ${from.short} → ${to.short}`));
+    await emit(`${compareRoot(from, to).slice(1)}index.html`, compareIndexHTML(null, pair));
+
+    const sm = `sitemaps/${COMPARE_DIR}/${from.id}/${to.id}.xml`;
+    await emit(sm, renderUrlsetWithLastmod(chapters.map(c => compareUrl(from, to, c)).map(u => ({ loc: `${SITE}${u}`, lastmod: lastmodOf(u) }))));
+    smEntries.push(`${SITE}/${sm}`);
+    pairs.push(pair);
+  }
+  if (!pairs.length) return smEntries;
+
+  await emit(`${COMPARE_DIR}/index.html`, compareIndexHTML(pairs));
+  const hubs = [`/${COMPARE_DIR}/`, ...pairs.map(p => compareRoot(p.from, p.to))];
+  await emit(`sitemaps/${COMPARE_DIR}/index.xml`, renderUrlsetWithLastmod(hubs.map(u => ({ loc: `${SITE}${u}`, lastmod: lastmodOf(u) }))));
+  return [`${SITE}/sitemaps/${COMPARE_DIR}/index.xml`, ...smEntries];
+}
+
+// ------- Offline reading (web app manifest + service worker) -------
+// /sw.js precaches the shell (edition homes, styles, fonts, scripts, nav data) and
+// keeps visited pages for when the network is gone. "Download whole Bible for
+// offline" on the home page (/assets/pwa.js) stores the files listed in an
+// edition's data/offline.json; pages that were never visited are then rendered
+// by the /offline/ shell (/assets/reader.js) from those per-book files.
+const OFFLINE_DIR = "offline";
+const CACHE_PREFIX = "kjv";
+const MAX_CACHED_PAGES = 300;
+
+const ICON_SVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512">
+<rect width="512" height="512" fill="#111"/>
+<path fill="#fafafa" d="M248 168c-38-26-88-34-128-30v214c40-4 90 4 128 30zM264 168c38-26 88-34 128-30v214c-40-4-90 4-128 30z"/>
+</svg>
+`;
+
+function webManifest(){
+  const ed = EDITIONS[0];
+  return JSON.stringify({
+    name: SITE_CONFIG.name,
+    short_name: SITE_CONFIG.shortName,
+    description: msg(ed, "offline.manifest", { edition: ed.name }),
+    lang: ed.ui.code,
+    dir: ed.ui.dir,
+    start_url: "/",
+    scope: "/",
+    display: "standalone",
+    background_color: THEMES.light.page,
+    theme_color: THEMES.light.page,
+    icons: [
+      { src: "/assets/icon.svg", sizes: "any", type: "image/svg+xml", purpose: "any" },
+      { src: "/assets/icon.svg", sizes: "any", type: "image/svg+xml", purpose: "maskable" }
+    ]
+  }, null, 2);
+}
+
+// <prefix>/data/offline.json: what "Download whole Bible" stores, and its size
+function offlineBundleJSON(ed, files){
+  return JSON.stringify({
+    edition: ed.id,
+    version: hashOf(files.map(([, json]) => json).join("\n")).slice(0, 12),
+    bytes: files.reduce((n, [, json]) => n + Buffer.byteLength(json), 0),
+    files: files.map(([url]) => url)
+  });
+}
+
+// Home-page panel; /assets/pwa.js reveals it where service workers are supported
+function offlinePanelHTML(ed){
+  return `<section id="offline" class="offline" data-bundle="${ed.prefix}/data/offline.json" hidden>
+    <h2 class="toc-heading">${msg(ed, "offline.heading")}</h2>
+    <p>${msg(ed, "offline.intro", { edition: escapeHtml(ed.name) })}</p>
+    <div class="offline__actions">
+      <button class="btn" type="button" data-action="download">${msg(ed, "offline.download")}</button>
+      <button class="btn" type="button" data-action="remove" hidden>${msg(ed, "offline.remove")}</button>
+    </div>
+    <progress hidden></progress>
+    <p class="offline__status" role="status" aria-live="polite"></p>
+  </section>`;
+}
+
+// Registers /sw.js on every page and drives the home-page download panel
+const PWA_JS = `
+(function(){
+  'use strict';
+  if(!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('/sw.js').catch(function(){});
+
+  var box = document.getElementById('offline');
+  if(!box || !window.caches) return;
+  var BIBLE = '${CACHE_PREFIX}-bible';
+  var bundleUrl = box.getAttribute('data-bundle');
+  var dl = box.querySelector('[data-action="download"]');
+  var rm = box.querySelector('[data-action="remove"]');
+  var bar = box.querySelector('progress');
+  var status = box.querySelector('.offline__status');
+  function mb(n){ return (n / 1048576).toLocaleString(i18n.lang, { maximumFractionDigits: 1, minimumFractionDigits: 1 }) + ' MB'; }
+
+  // The bundle list itself is stored last, so its presence means the copy is complete
+  async function saved(){
+    var r = await (await caches.open(BIBLE)).match(bundleUrl);
+    return r ? r.json() : null;
+  }
+  async function refresh(){
+    var have = await saved();
+    rm.hidden = !have;
+    dl.textContent = i18n.t(have ? 'offline.update' : 'offline.download');
+    status.textContent = have ? i18n.t('offline.saved', { size: mb(have.bytes) }) : '';
+  }
+
+  async function download(){
+    var res = await fetch(bundleUrl, { cache: 'no-cache' });
+    if(!res.ok) throw new Error('HTTP ' + res.status + ' @ ' + bundleUrl);
+    var bundle = await res.clone().json();
+    var cache = await caches.open(BIBLE);
+    var files = bundle.files, next = 0, done = 0;
+    bar.max = files.length; bar.value = 0; bar.hidden = false;
+    status.textContent = i18n.t('offline.downloading', { size: mb(bundle.bytes) });
+    async function worker(){
+      while(next < files.length){
+        var url = files[next++];
+        var r = await fetch(url, { cache: 'no-cache' });
+        if(!r.ok) throw new Error('HTTP ' + r.status + ' @ ' + url);
+        await cache.put(url, r);
+        bar.value = ++done;
+        status.textContent = i18n.t('offline.progress', { done: done, count: files.length });
+      }
+    }
+    await Promise.all([worker(), worker(), worker(), worker()]);
+    await cache.put(bundleUrl, res);
+  }
+  async function remove(){
+    var have = await saved();
+    var cache = await caches.open(BIBLE);
+    await Promise.all(((have && have.files) || []).concat(bundleUrl).map(function(url){ return cache.delete(url); }));
+  }
+
+  dl.addEventListener('click', function(){
+    dl.disabled = rm.disabled = true;
+    download().then(refresh, function(e){
+      status.textContent = i18n.t('offline.interrupted', { error: e.message });
+    }).finally(function(){ dl.disabled = rm.disabled = false; bar.hidden = true; });
+  });
+  rm.addEventListener('click', function(){ remove().then(refresh); });
+
+  box.hidden = false;
+  refresh().catch(function(){});
+})();
+`;
+
+// Served by the service worker for pages that aren't cached; reader.js fills it in
+function offlinePageHTML(ed){
+  return `<!DOCTYPE html>
+<html ${pageLang(ed)}>
+<head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(msg(ed, "offline.title", { edition: ed.short }))}</title>
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<meta name="robots" content="noindex">
+</head>
+<body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), subtitleId: "reader-edition", nav: [{ href: "/", label: msg(ed, "site.title"), id: "reader-home" }] })}
+<main id="main" class="container">
+  <h1 class="ref">${msg(ed, "offline.pageHeading")}</h1>
+  <p>${msg(ed, "offline.pageBody", { action: msg(ed, "offline.download") })}</p>
+</main>
+${siteFooterHTML(ed)}
+<script type="module" src="/assets/reader.js"></script>
+</body>
+</html>`;
+}
+
+// Renders <prefix>/<book>/, /<book>/<ch>/ and /<book>/<ch>/<v>/ from the saved
+// per-book data (fetches go through the service worker's caches), in the edition's
+// interface language (its /assets/messages/ script replaces the offline page's)
+const READER_JS = `import { passageVersesHTML } from './passage.js';
+
+const main = document.getElementById('main');
+const esc = (s)=> String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' })[c]);
+const getJSON = (url)=> fetch(url).then(r=>{
+  if (!r.ok) throw new Error('HTTP ' + r.status + ' @ ' + url);
+  return r.json();
+});
+
+// Neighbouring verse or chapter in canonical order, across book boundaries
+function step(nav, at, dir){
+  const order = nav.ot.concat(nav.nt).map(b => b.slug).filter(s => nav.books[s]);
+  let b = order.indexOf(at.slug), ch = at.chapter, v = at.verse;
+  const chapters = (i)=> nav.books[order[i]].chapters;
+  const verses = (i, c)=> nav.books[order[i]].verses[String(c)] || 1;
+  if (v){
+    v += dir;
+    if (v >= 1 && v <= verses(b, ch)) return { slug: order[b], chapter: ch, verse: v };
+  }
+  ch += dir;
+  if (ch < 1 || ch > chapters(b)){
+    b += dir;
+    if (b < 0 || b >= order.length) return null;
+    ch = dir > 0 ? 1 : chapters(b);
+  }
+  if (!at.verse) return { slug: order[b], chapter: ch };
+  return { slug: order[b], chapter: ch, verse: dir > 0 ? 1 : verses(b, ch) };
+}
+
+function loadMessages(locale){
+  if (locale === i18n.lang) return null;
+  return new Promise((resolve, reject)=>{
+    const script = document.createElement('script');
+    script.src = '/assets/messages/' + locale + '.js';
+    script.onload = resolve;
+    script.onerror = ()=> reject(new Error('No messages for ' + locale));
+    document.head.append(script);
+  });
+}
+
+async function render(){
+  const editions = await getJSON('/data/editions.json');
+  const path = location.pathname;
+  const ed = editions.filter(e => !e.prefix || path === e.prefix + '/' || path.startsWith(e.prefix + '/'))
+    .sort((a,b)=> b.prefix.length - a.prefix.length)[0];
+  const [segment, ch, v] = path.slice(ed.prefix.length).split('/').filter(Boolean);
+  await loadMessages(ed.locale);
+  document.documentElement.lang = i18n.lang;
+  document.documentElement.dir = i18n.dir;
+  document.getElementById('reader-edition').textContent = ed.name;
+  document.getElementById('reader-home').href = ed.prefix + '/';
+  if (!segment) return;
+
+  const nav = await getJSON(ed.prefix + '/data/nav.json');
+  const slug = Object.keys(nav.books).find(s => (nav.books[s].path || s) === segment);
+  const info = nav.books[slug];
+  const chapter = Number(ch), verse = Number(v);
+  if (!info || (ch && !info.verses[ch]) || (v && !(verse >= 1 && verse <= info.verses[ch]))) return;
+  const book = await getJSON(ed.textPrefix + '/data/books/' + slug + '.json');
+  const url = (r)=> ed.prefix + '/' + (nav.books[r.slug].path || r.slug) + '/' + r.chapter + '/' + (r.verse ? r.verse + '/' : '');
+  const label = (r)=> nav.books[r.slug].name + ' ' + r.chapter + (r.verse ? ':' + r.verse : '');
+  // The text itself keeps its own language when the interface has another
+  const textLang = ed.lang === i18n.lang ? '' : ' lang="' + ed.lang + '" dir="' + ed.dir + '"';
+  // Verse pagers also carry the neighbouring chapters, for Shift+←/→ (see keys.js)
+  const chapterData = (r, dir)=> r ? ' data-chapter-' + dir + '="' + url(r) + '"' : '';
+  const pager = (at)=>{
+    const prev = step(nav, at, -1), next = step(nav, at, 1), chapter = { slug: at.slug, chapter: at.chapter };
+    const data = at.verse ? chapterData(step(nav, chapter, -1), 'prev') + chapterData(step(nav, chapter, 1), 'next') : '';
+    return '<nav class="pager" aria-label="' + esc(i18n.t(at.verse ? 'pager.verses' : 'pager.chapters')) + '"' + data + '>'
+      + (prev ? '<a class="btn" rel="prev" href="' + url(prev) + '">' + esc(i18n.t('pager.prevTo', { label: label(prev) })) + '</a>' : '<span></span>')
+      + (next ? '<a class="btn" rel="next" href="' + url(next) + '">' + esc(i18n.t('pager.nextTo', { label: label(next) })) + '</a>' : '<span></span>')
+      + '</nav>';
+  };
+  const note = '<aside class="meta">' + esc(i18n.t('reader.saved')) + '</aside>';
+
+  let title, html;
+  if (!ch){
+    title = info.name;
+    html = '<ul class="booklist">' + Array.from({ length: info.chapters }, (_, i)=>
+      '<li><a href="' + url({ slug, chapter: i+1 }) + '">' + esc(info.name) + ' ' + (i+1) + '</a></li>').join('') + '</ul>';
+  } else if (!v){
+    const { verses, verseCount } = book.chapters[chapter];
+    const list = Array.from({ length: verseCount }, (_, i)=> ({ chapter, verse: i+1, text: verses[String(i+1)] ?? '' }));
+    title = info.name + ' ' + chapter;
+    html = '<article class="chapter"' + textLang + '>' + passageVersesHTML(list, { bookName: info.name, bookSlug: slug, bookPath: info.path || slug, base: ed.prefix, relatedTitle: i18n.t('related.title') }) + '</article>'
+      + pager({ slug, chapter });
+  } else {
+    const text = book.chapters[chapter].verses[String(verse)] ?? '';
+    title = info.name + ' ' + chapter + ':' + verse;
+    html = '<article class="verse"' + textLang + '><p><span class="vnum">' + verse + '</span> ' + esc(text) + '</p></article>'
+      + pager({ slug, chapter, verse })
+      + '<aside class="meta"><a href="' + url({ slug, chapter }) + '#v' + verse + '">' + esc(i18n.t('verse.context', { reference: info.name + ' ' + chapter })) + '</a></aside>';
+  }
+  document.title = i18n.t('page.title', { edition: ed.short, reference: title });
+  main.innerHTML = '<h1 class="ref">' + esc(title) + '</h1>' + html + note;
+}
+
+// Anything missing (book never downloaded, unknown page) keeps the offline notice
+render().catch(()=>{});
+`;
+
+// Cache names are versioned by the precached files' hashes, so any change to the
+// shell installs a new worker; downloaded books ("-bible") survive updates.
+function serviceWorkerJS(version, precache){
+  return `// Generated by build.mjs — offline support for ${SITE_CONFIG.name}
+const SHELL = '${CACHE_PREFIX}-shell-${version}';
+const PAGES = '${CACHE_PREFIX}-pages';
+const BIBLE = '${CACHE_PREFIX}-bible';
+const PRECACHE = ${JSON.stringify(precache)};
+const LOGO = ${JSON.stringify(LOGO_URL)};
+const OFFLINE_PAGE = '/${OFFLINE_DIR}/';
+const MAX_PAGES = ${MAX_CACHED_PAGES};
+
+self.addEventListener('install', (event)=>{
+  event.waitUntil((async ()=>{
+    const cache = await caches.open(SHELL);
+    await cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' })));
+    // Opaque, but fine for <img>; the logo is hosted elsewhere
+    await cache.add(new Request(LOGO, { mode: 'no-cors' })).catch(()=>{});
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event)=>{
+  event.waitUntil((async ()=>{
+    for (const key of await caches.keys()){
+      if (key.startsWith('${CACHE_PREFIX}-shell-') && key !== SHELL) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Oldest entries go first; Cache keys() keeps insertion order
+async function trim(cache){
+  const keys = await cache.keys();
+  for (const req of keys.slice(0, Math.max(0, keys.length - MAX_PAGES))) await cache.delete(req);
+}
+
+// Pages: network first (kept for later), then any cached copy, then the offline reader
+async function page(event){
+  try {
+    const res = await fetch(event.request);
+    if (res.ok){
+      const copy = res.clone();
+      event.waitUntil(caches.open(PAGES).then(async cache => { await cache.put(event.request, copy); await trim(cache); }));
+    }
+    return res;
+  } catch (e) {
+    return (await caches.match(event.request, { ignoreSearch: true })) || (await caches.match(OFFLINE_PAGE)) || Response.error();
+  }
+}
+
+// Data and the rest: network first; downloaded books are refreshed while online
+async function data(event){
+  try {
+    const res = await fetch(event.request);
+    if (res.ok){
+      const copy = res.clone();
+      event.waitUntil(caches.open(BIBLE).then(async cache => { if (await cache.match(event.request)) await cache.put(event.request, copy); }));
+    }
+    return res;
+  } catch (e) {
+    return (await caches.match(event.request)) || Response.error();
+  }
+}
+
+self.addEventListener('fetch', (event)=>{
+  const req = event.request;
+  if (req.method !== 'GET' || req.headers.has('range')) return;  // audio seeks go straight to the network
+  const url = new URL(req.url);
+  if (url.href === LOGO){
+    event.respondWith(caches.match(req).then(hit => hit || fetch(req)));
+    return;
+  }
+  if (url.origin !== location.origin) return;
+  if (req.mode === 'navigate') event.respondWith(page(event));
+  else if (PRECACHE.includes(url.pathname) && url.pathname.startsWith('/assets/')) event.respondWith(caches.match(req).then(hit => hit || fetch(req)));
+  else event.respondWith(data(event));
+});
+`;
+}
+
+// After every edition is built: the shell is each edition's home and nav data plus
+// the shared assets, so the version follows their emitted content
+async function writeServiceWorker(){
+  const precache = [
+    ...EDITIONS.map(ed => `${ed.prefix}/`),
+    `/${OFFLINE_DIR}/`,
+    `/${MY_DIR}/`,
+    "/manifest.webmanifest",
+    "/data/editions.json",
+    ...EDITIONS.map(ed => `${ed.prefix}/data/nav.json`),
+    "/assets/styles.css", "/assets/pwa.js", "/assets/prefs.js", "/assets/reader.js", "/assets/passage.js", "/assets/html.js", "/assets/icon.svg",
+    "/assets/notes.js", "/assets/notes-db.js", "/assets/study.js", "/assets/my.js", "/assets/plans.js", "/assets/strongs.js", "/assets/listen.js", "/assets/keys.js", "/assets/reference.js",
+    ...new Set(EDITIONS.map(ed => `/assets/messages/${ed.ui.code}.js`)),
+    ...FONT_FILES.map(f => `/assets/fonts/${f.file}`)
+  ];
+  const relOf = (url)=> url.slice(1) + (url.endsWith("/") ? "index.html" : "");
+  const version = hashOf(precache.map(url => manifest.files[relOf(url)].hash).join("\n")).slice(0, 12);
+  await emit("sw.js", serviceWorkerJS(version, precache));
+}
+
+// ------- Cross-references ("Related verses") -------
+// CROSSREFS_FILE (format in lib/crossrefs.mjs) is resolved per edition against its
+// verse list: ed.xrefs maps "slug/ch/v" → [{ label, first, last }], first/last being
+// indexes into flattenRefs() output, so render workers get it with EDITIONS.
+// Verse pages list the related verses with their text; chapter pages mark the
+// verses that have some. The bundled crossrefs.tsv only seeds the feature (about
+// 130 links from well-known verses), so most verses have none: their pages leave
+// the section and the markers out rather than show them empty.
+const XREFS_PER_VERSE = 12;
+const XREF_TEXT_VERSES = 4;  // longer ranges show their first verses, then "…"
+
+async function loadCrossRefs(ed, refs){
+  let text;
+  try { text = await fs.readFile(CROSSREFS_FILE, "utf8"); }
+  catch { console.warn(`Warning: no cross-references at ${CROSSREFS_FILE} — skipping related verses`); return new Map(); }
+  const { links, errors, lines } = parseCrossRefs(text, ed.nav, { limit: XREFS_PER_VERSE });
+  for (const e of errors.slice(0, 20)) console.warn(`Warning: cross-references, ${e}`);
+  if (errors.length > 20) console.warn(`Warning: … and ${errors.length - 20} more cross-reference problems`);
+
+  const at = new Map(refs.map((r, i) => [`${r.bookSlug}/${r.chapter}/${r.verse}`, i]));
+  const out = new Map();
+  for (const [key, list] of links){
+    const related = list.map(p => ({
+      label: formatPassage(p),
+      first: at.get(`${p.bookSlug}/${p.start.chapter}/${p.start.verse}`),
+      last: at.get(`${p.bookSlug}/${p.end.chapter}/${p.end.verse}`)
+    })).filter(x => x.first != null && x.last != null);
+    if (at.has(key) && related.length) out.set(key, related);
+  }
+  const seed = process.env.CROSSREFS_FILE ? "" : " — starter set; point CROSSREFS_FILE at the full export for the whole Bible";
+  console.log(`Cross-references (${ed.short}): ${out.size} verses with related verses (${lines} lines read)${seed}`);
+  return out;
+}
+
+// → [{ label, url, text }] for refs[i]
+function relatedOf(refs, i, ed){
+  const r = refs[i];
+  return (ed.xrefs?.get(`${r.bookSlug}/${r.chapter}/${r.verse}`) || []).map(({ label, first, last }) => {
+    const shown = refs.slice(first, Math.min(last, first + XREF_TEXT_VERSES - 1) + 1);
+    return {
+      label,
+      url: verseUrl(refs[first], ed),
+      text: shown.map(v => v.text).join(" ") + (last - first >= XREF_TEXT_VERSES ? " …" : "")
+    };
+  });
+}
+
+function relatedVersesHTML(related, ed){
+  if (!related.length) return "";
+  const text = (x)=> textLang(ed) ? `<span${textLang(ed)}>${escapeHtml(x.text)}</span>` : escapeHtml(x.text);
+  const items = related.map(x => `<li><a href="${x.url}">${escapeHtml(x.label)}</a> ${text(x)}</li>`).join("\n      ");
+  return `<section id="related" class="related" aria-labelledby="related-h">
+    <h2 id="related-h">${msg(ed, "related.heading")}</h2>
+    <ul>
+      ${items}
+    </ul>
+  </section>`;
+}
+
+// ------- Strong's numbers: word study mode and /strongs/<code>/ pages -------
+// Tags come from an edition's own text or its strongsDir (ed.tagged, see
+// loadEdition); the lexicon (STRONGS_FILE) adds lemma, transliteration and
+// gloss. Tagged words render as <span class="w" data-s="…">, plain text until the
+// reader turns word study on in the reading settings; /assets/strongs.js then
+// opens each word's entry from the page's slice of the lexicon. Every number has
+// a page listing the verses that use it.
+const STRONGS_DIR = "strongs";
+const STRONGS_PAGE_SIZE = 300;  // verses per /strongs/<code>/ page
+const strongsUrl = (ed, code, page = 1)=> `${textEdition(ed).prefix}/${STRONGS_DIR}/${code ? `${code}/` : ""}${page > 1 ? `page/${page}/` : ""}`;
+const taggedOf = (ed, r)=> ed.tagged?.get(r.bookSlug)?.[r.chapter]?.[r.verse] || null;
+const strongsLang = (code)=> isHebrew(code) ? `lang="he" dir="rtl"` : `lang="grc"`;
+// The lexicon's own text (meanings, usage) is English whatever the interface language
+const lexiconLang = (ed)=> ed.ui.code === "en" ? "" : ` lang="en" dir="ltr"`;
+
+// → Map(code → [refs index, ...]); sets ed.lexicon: Map(code → lib/strongs.mjs
+// normalizeEntry() fields + count, the number of verses using it)
+async function loadStrongs(ed, refs){
+  const uses = new Map();
+  ed.lexicon = new Map();
+  if (!ed.tagged.size) return uses;
+  refs.forEach((r, i)=>{
+    for (const code of new Set((taggedOf(ed, r) || []).flatMap(([, codes]) => codes))){
+      if (!uses.has(code)) uses.set(code, []);
+      uses.get(code).push(i);
+    }
+  });
+  let entries;
+  try { entries = normalizeLexicon(JSON.parse(await fs.readFile(STRONGS_FILE, "utf8"))); }
+  catch { console.warn(`Warning: no Strong's lexicon at ${STRONGS_FILE} — word study shows numbers only`); entries = new Map(); }
+  for (const [code, list] of uses){
+    ed.lexicon.set(code, { lemma: "", translit: "", gloss: "", ...entries.get(code), count: list.length });
+  }
+  const missing = [...uses.keys()].filter(c => !entries.has(c)).length;
+  if (entries.size && missing) console.warn(`Warning: ${missing} Strong's numbers used in ${ed.id} are not in the lexicon`);
+  console.log(`Strong's (${ed.short}):`, { numbers: uses.size, taggedBooks: ed.tagged.size });
+  return uses;
+}
+
+// Verse text with its words tagged, when there are tags
+const verseTextHTML = (text, spans)=> spans ? taggedHTML(spans, escapeHtml) : escapeHtml(text);
+
+// The lexicon slice for the numbers in `spansList` + the word-study script
+function strongsLexHTML(ed, spansList){
+  const codes = [...new Set(spansList.flatMap(spans => spans.flatMap(([, c]) => c)))].sort(compareCodes);
+  if (!codes.length) return "";
+  // code → [lemma, transliteration, gloss, verses], as strongs.js reads it
+  const lex = Object.fromEntries(codes.map(c => {
+    const e = ed.lexicon?.get(c);
+    return [c, e ? [e.lemma, e.translit, e.gloss, e.count] : ["", "", "", 0]];
+  }));
+  return `<script type="application/json" id="strongs-lex" data-base="${strongsUrl(ed)}">${JSON.stringify(lex).replace(/</g, "\\u003c")}</script>
+  <script src="/assets/strongs.js" defer></script>`;
+}
+
+// "Page 2 of 5" with previous/next links, for long lists split over pages
+function pagesPagerHTML(ed, page, pages, url){
+  return `<nav class="pager" aria-label="${msg(ed, "pager.pages")}">
+    ${page > 1 ? `<a class="btn" rel="prev" href="${url(page - 1)}">${msg(ed, "pager.previousPage")}</a>` : "<span></span>"}
+    <span>${msg(ed, "pager.pageOf", { page, count: pages })}</span>
+    ${page < pages ? `<a class="btn" rel="next" href="${url(page + 1)}">${msg(ed, "pager.nextPage")}</a>` : "<span></span>"}
+  </nav>`;
+}
+
+function strongsShellHTML({ title, desc, can, at, body, ed }){
+  return `<!DOCTYPE html>
+<html ${pageLang(ed)}>
+<head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(msg(ed, "page.titleSuffix", { title, edition: ed.short }))}</title>
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<link rel="canonical" href="${can}">
+${alternateLinksHTML(ed, at)}
+<meta name="description" content="${escapeHtml(desc)}">
+<meta name="robots" content="index,follow">
+</head>
+<body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [{ href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") }, { href: strongsUrl(ed), label: msg(ed, "nav.strongs") }], after: editionSwitchHTML(ed, at) })}
+<main id="main" class="container">
+  ${body}
+</main>
+${siteFooterHTML(ed)}
+</body>
+</html>`;
+}
+
+// One number: its lexicon entry and a page of the verses that use it
+function strongsPageHTML(code, verseIdx, page, pages, refs, ed){
+  const { lemma, translit, pron, definition, usage, derivation, count } = ed.lexicon.get(code);
+  const at = { page: strongsUrl({ prefix: "" }, code, page), has: (other)=> !other.textOf && !!other.strongsCodes?.has(code) };
+  const heading = msg(ed, "strongs.number", { code: `${code}${translit ? ` — ${translit}` : ""}` });
+  const items = verseIdx.map(i => {
+    const r = refs[i];
+    return `<li><a href="${verseUrl(r, ed)}">${escapeHtml(r.bookName)} ${r.chapter}:${r.verse}</a> <span${textLang(ed)}>${taggedHTML(taggedOf(ed, r), escapeHtml, { mark: code })}</span></li>`;
+  }).join("\n    ");
+  const first = (page - 1) * STRONGS_PAGE_SIZE + 1;
+  const pager = pages > 1 ? pagesPagerHTML(ed, page, pages, (n)=> strongsUrl(ed, code, n)) : "";
+
+  return strongsShellHTML({
+    title: page > 1 ? msg(ed, "pager.titlePage", { title: heading, page }) : heading,
+    desc: msg(ed, "strongs.description", { entry: `${msg(ed, "strongs.number", { code })}${lemma ? ` ${lemma}` : ""}${definition ? `: ${definition}` : ""}`, count, edition: ed.name }),
+    can: `${SITE}${strongsUrl(ed, code, page)}`,
+    at,
+    ed,
+    body: `<h1>${escapeHtml(heading)}</h1>
+  <dl class="strongs-entry">
+    ${lemma ? `<dt>${msg(ed, "strongs.original")}</dt><dd class="lemma" ${strongsLang(code)}>${escapeHtml(lemma)}</dd>` : ""}
+    ${translit ? `<dt>${msg(ed, "strongs.translit")}</dt><dd>${escapeHtml(translit)}${pron ? ` (${escapeHtml(pron)})` : ""}</dd>` : ""}
+    ${definition ? `<dt>${msg(ed, "strongs.meaning")}</dt><dd${lexiconLang(ed)}>${escapeHtml(definition)}</dd>` : ""}
+    ${usage ? `<dt>${msg(ed, "strongs.usage")}</dt><dd${lexiconLang(ed)}>${escapeHtml(usage)}</dd>` : ""}
+    ${derivation ? `<dt>${msg(ed, "strongs.derivation")}</dt><dd${lexiconLang(ed)}>${strongsLinksHTML(derivation, ed)}</dd>` : ""}
+    <dt>${msg(ed, "strongs.language")}</dt><dd>${msg(ed, isHebrew(code) ? "strongs.hebrew" : "strongs.greek")}</dd>
+  </dl>
+  <h2>${msg(ed, "strongs.usedIn", { count })}${pages > 1 ? ` ${msg(ed, "pager.here", { from: first, to: first + verseIdx.length - 1 })}` : ""}</h2>
+  <ol class="strongs-verses" start="${first}">
+    ${items}
+  </ol>
+  ${pager}
+  <p><a href="${strongsUrl(ed)}">${msg(ed, "strongs.all")}</a></p>`
+  });
+}
+
+// Lexicon text with "H7218"-style references linked to the numbers that have pages
+function strongsLinksHTML(text, ed){
+  return escapeHtml(text).replace(/\b([HG])(\d+)\b/g, (m, lang, n) => {
+    const code = `${lang}${Number(n)}`;
+    return ed.lexicon.has(code) ? `<a href="${strongsUrl(ed, code)}">${m}</a>` : m;
+  });
+}
+
+// Every number, Hebrew then Greek, in blocks of 500, plus a lookup box
+function strongsIndexHTML(codes, ed){
+  const blocks = [];
+  for (const lang of ["H", "G"]){
+    const list = codes.filter(c => c[0] === lang);
+    const groups = new Map();
+    for (const c of list){
+      const from = Math.floor((parseInt(c.slice(1), 10) - 1) / 500) * 500 + 1;
+      if (!groups.has(from)) groups.set(from, []);
+      groups.get(from).push(c);
+    }
+    const details = [...groups].map(([from, cs]) => `<details>
+      <summary>${lang}${from}–${lang}${from + 499} (${cs.length})</summary>
+      <ul class="strongs-codes">${cs.map(c => {
+        const { translit, gloss } = ed.lexicon.get(c);
+        return `<li><a href="${strongsUrl(ed, c)}"${gloss ? ` title="${escapeHtml(gloss)}"` : ""}>${c}${translit ? ` <span>${escapeHtml(translit)}</span>` : ""}</a></li>`;
+      }).join("")}</ul>
+    </details>`).join("\n    ");
+    if (list.length) blocks.push(`<h2>${msg(ed, lang === "H" ? "strongs.hebrewCount" : "strongs.greekCount", { count: list.length })}</h2>\n    ${details}`);
+  }
+
+  return strongsShellHTML({
+    title: msg(ed, "strongs.indexTitle"),
+    desc: msg(ed, "strongs.indexDescription", { edition: ed.name }),
+    can: `${SITE}${strongsUrl(ed)}`,
+    at: { page: `/${STRONGS_DIR}/`, has: (other)=> !other.textOf && !!other.strongsCodes?.size },
+    ed,
+    body: `<h1>${msg(ed, "nav.strongs")}</h1>
+  <p>${msg(ed, "strongs.intro", { setting: `<strong>${msg(ed, "prefs.strongs")}</strong>` })}</p>
+  <form class="strongs-lookup" action="${strongsUrl(ed)}" role="search">
+    <label for="strongs-q">${msg(ed, "strongs.lookup")}</label>
+    <input id="strongs-q" name="q" placeholder="${escapeHtml(msg(ed, "strongs.placeholder"))}" autocomplete="off" required pattern="[HhGg]0*[1-9][0-9]*[a-z]?">
+    <button class="btn" type="submit">${msg(ed, "jump.go")}</button>
+  </form>
+  ${blocks.join("\n  ")}
+<script>
+  (function(){
+    var form = document.querySelector('.strongs-lookup');
+    form.addEventListener('submit', function(e){
+      e.preventDefault();
+      var m = form.elements.q.value.trim().match(/^([HhGg])0*(\\d+)([a-z]?)$/);
+      if(m) location.href = form.action + m[1].toUpperCase() + m[2] + m[3] + '/';
+    });
+  })();
+</script>`
+  });
+}
+
+// → sitemap items
+async function writeStrongs(ed, refs, uses){
+  if (!uses.size) return [];
+  const codes = [...uses.keys()].sort(compareCodes);
+  const urls = [strongsUrl(ed)];
+  await emit(outPath(ed, `${STRONGS_DIR}/index.html`), strongsIndexHTML(codes, ed));
+  await mapLimit(codes, CONCURRENCY, async (code)=>{
+    const list = uses.get(code);
+    const pages = Math.ceil(list.length / STRONGS_PAGE_SIZE);
+    for (let page = 1; page <= pages; page++){
+      const slice = list.slice((page - 1) * STRONGS_PAGE_SIZE, page * STRONGS_PAGE_SIZE);
+      await emit(`${strongsUrl(ed, code, page).slice(1)}index.html`, strongsPageHTML(code, slice, page, pages, refs, ed));
+      urls.push(strongsUrl(ed, code, page));
+    }
+  }, progress(`Strong's pages (${ed.short})`));
+  return urls.map(u => ({ loc: `${SITE}${u}`, lastmod: lastmodOf(u) }));
+}
+
+// Word-study popover: while <html data-strongs="on">, tagged words are buttons
+// that open their entries (lemma, transliteration, meaning, verse count and a
+// link to the number's page). Escape or a click elsewhere closes it.
+const STRONGS_JS = `
+(function(){
+  'use strict';
+  var data = document.getElementById('strongs-lex');
+  if(!data) return;
+  var lex = JSON.parse(data.textContent);
+  var base = data.getAttribute('data-base');
+  var root = document.documentElement;
+  var words = document.querySelectorAll('.w[data-s]');
+  var pop = document.createElement('div');
+  var opener = null;
+  pop.className = 'strongs-pop';
+  pop.setAttribute('role', 'dialog');
+  pop.hidden = true;
+  document.body.appendChild(pop);
+
+  function on(){ return root.dataset.strongs === 'on'; }
+  function esc(s){ return String(s).replace(/[&<>"]/g, function(c){ return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]; }); }
+
+  function entryHTML(code){
+    var e = lex[code] || ['', '', '', 0];
+    var lang = code.charAt(0) === 'H' ? ' lang="he" dir="rtl"' : ' lang="grc"';
+    return '<p class="strongs-pop__head"><strong>' + code + '</strong>'
+      + (e[0] ? ' <span class="lemma"' + lang + '>' + esc(e[0]) + '</span>' : '')
+      + (e[1] ? ' <em>' + esc(e[1]) + '</em>' : '') + '</p>'
+      + (e[2] ? '<p' + (i18n.lang === 'en' ? '' : ' lang="en" dir="ltr"') + '>' + esc(e[2]) + '</p>' : '')
+      + '<p><a href="' + base + code + '/">' + esc(e[3] ? i18n.t('strongs.allVerses', { count: e[3], code: code }) : i18n.t('strongs.verses', { code: code })) + '</a></p>';
+  }
+
+  function show(w){
+    var codes = w.getAttribute('data-s').split(' ');
+    opener = w;
+    pop.setAttribute('aria-label', i18n.t('strongs.popLabel', { words: w.textContent }));
+    pop.innerHTML = '<button class="strongs-pop__close" type="button" aria-label="' + esc(i18n.t('dialog.close')) + '">×</button>'
+      + '<p class="strongs-pop__words">“' + esc(w.textContent) + '”</p>' + codes.map(entryHTML).join('');
+    pop.hidden = false;
+    var r = w.getBoundingClientRect();
+    var left = Math.max(8, Math.min(r.left + window.scrollX, window.scrollX + document.documentElement.clientWidth - pop.offsetWidth - 8));
+    pop.style.left = left + 'px';
+    pop.style.top = (r.bottom + window.scrollY + 6) + 'px';
+    pop.querySelector('.strongs-pop__close').focus();
+  }
+  function hide(){
+    if(pop.hidden) return;
+    pop.hidden = true;
+    if(opener && on()) opener.focus();
+    opener = null;
+  }
+  function sync(){
+    var active = on();
+    for(var i = 0; i < words.length; i++){
+      if(active){ words[i].setAttribute('tabindex', '0'); words[i].setAttribute('role', 'button'); }
+      else { words[i].removeAttribute('tabindex'); words[i].removeAttribute('role'); }
+    }
+    if(!active) hide();
+  }
+
+  document.addEventListener('click', function(e){
+    if(e.target.closest('.strongs-pop__close')){ hide(); return; }
+    var w = on() && e.target.closest('.w[data-s]');
+    if(w){ show(w); return; }
+    if(!pop.contains(e.target)) hide();
+  });
+  document.addEventListener('keydown', function(e){
+    if(e.key === 'Escape'){ hide(); return; }
+    var w = (e.key === 'Enter' || e.key === ' ') && on() && e.target.closest && e.target.closest('.w[data-s]');
+    if(w){ e.preventDefault(); show(w); }
+  });
+  new MutationObserver(sync).observe(root, { attributes: true, attributeFilter: ['data-strongs'] });
+  sync();
+})();
+`;
+
+// ------- Concordance & word statistics (/concordance/<word>/, /<book>/stats/) -------
+// Every word of the text except STOPWORDS gets a page listing the verses that use
+// it, keyword in context and grouped by book, indexed A–Z under
+// /concordance/a-z/<letter>/ ("a-z" can't be a word). Archaic endings are folded
+// into their stems ("loveth" is listed under "love") unless the build runs with
+// --no-fold. Each book also gets a statistics page with its most distinctive words.
+const CONCORDANCE_DIR = "concordance";
+const CONCORDANCE_PAGE_SIZE = 250;  // verses per word page
+const STATS_WORDS = 30;             // words per list on a book's statistics page
+const concordanceUrl = (ed, word, page = 1)=> `${textEdition(ed).prefix}/${CONCORDANCE_DIR}/${word ? `${word}/` : ""}${page > 1 ? `page/${page}/` : ""}`;
+const letterUrl = (ed, letter)=> `${textEdition(ed).prefix}/${CONCORDANCE_DIR}/a-z/${letter}/`;
+const statsUrl = (ed, slug)=> `${textEdition(ed).prefix}/${bookPath(textEdition(ed), slug)}/stats/`;
+const LETTERS = [..."abcdefghijklmnopqrstuvwxyz"];
+// Numbers as the edition's interface language writes them ("1,234", "1.234", "١٬٢٣٤")
+const numberFormat = (ed)=> (n, digits)=> n.toLocaleString(ed.ui.code, digits == null ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+// Words with pages, for links between editions (set on every edition before any is built)
+const concordanceWords = (c)=> new Set([...c.entries.keys()].filter(w => !STOPWORDS.has(w)));
+
+function concordanceShellHTML({ title, desc, can, at, body, ed }){
+  return `<!DOCTYPE html>
+<html ${pageLang(ed)}>
+<head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(msg(ed, "page.titleSuffix", { title, edition: ed.short }))}</title>
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<link rel="canonical" href="${can}">
+${alternateLinksHTML(ed, at)}
+<meta name="description" content="${escapeHtml(desc)}">
+<meta name="robots" content="index,follow">
+</head>
+<body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [
+    { href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") },
+    { href: concordanceUrl(ed), label: msg(ed, "nav.concordance") },
+    { href: `${ed.prefix}/${SEARCH_DIR}/`, label: msg(ed, "nav.search") }
+  ], after: editionSwitchHTML(ed, at) })}
+<main id="main" class="container">
+  ${body}
+</main>
+${siteFooterHTML(ed)}
+</body>
+</html>`;
+}
+
+// A–Z links; letters without words are plain text
+function lettersHTML(ed, current = null){
+  const used = new Set([...ed.headwords].map(w => w[0]));
+  const links = LETTERS.map(l => l === current ? `<strong aria-current="page">${l.toUpperCase()}</strong>`
+    : used.has(l) ? `<a href="${letterUrl(ed, l)}">${l.toUpperCase()}</a>` : `<span>${l.toUpperCase()}</span>`).join("");
+  return `<nav class="letters" aria-label="${msg(ed, "concordance.letters")}"${textLang(ed)}>${links}</nav>`;
+}
+
+const wordLinkHTML = (c, word, ed)=> ed.headwords.has(word)
+  ? `<a href="${concordanceUrl(ed, word)}"${textLang(ed)}>${escapeHtml(c.entries.get(word).display)}</a>` : `<span${textLang(ed)}>${escapeHtml(c.entries.get(word).display)}</span>`;
+
+// One word: how often, in which forms and books, and a page of verses in context
+function wordPageHTML(word, c, verseIdx, page, pages, refs, ed){
+  const e = c.entries.get(word);
+  const at = { page: concordanceUrl({ prefix: "" }, word), has: (other)=> !!other.headwords?.has(word) };
+  const first = (page - 1) * CONCORDANCE_PAGE_SIZE;
+  const num = numberFormat(ed);
+
+  // Book → verse count, and the page its first verse is on
+  const books = new Map();
+  e.verses.forEach((i, n)=>{
+    const r = refs[i];
+    if (!books.has(r.bookSlug)) books.set(r.bookSlug, { name: r.bookName, verses: 0, page: Math.floor(n / CONCORDANCE_PAGE_SIZE) + 1 });
+    books.get(r.bookSlug).verses++;
+  });
+  const bookLinks = [...books].map(([slug, b]) =>
+    `<a href="${b.page === page ? "" : concordanceUrl(ed, word, b.page)}#${slug}">${escapeHtml(b.name)} <span>${num(b.verses)}</span></a>`).join("");
+
+  const forms = e.forms.size > 1 ? `<p class="concordance-forms">${msg(ed, "concordance.forms")} ${[...e.forms].sort((a, b) => b[1] - a[1])
+    .map(([f, n]) => `<span${textLang(ed)}>${escapeHtml(f)}</span> (${num(n)})`).join(", ")}</p>` : "";
+
+  const groups = [];
+  for (const i of verseIdx){
+    const r = refs[i];
+    const group = groups[groups.length - 1];
+    if (group && group.slug === r.bookSlug) group.items.push(r);
+    else groups.push({ slug: r.bookSlug, name: r.bookName, items: [r] });
+  }
+  const list = groups.map(g => `<h2 id="${g.slug}">${books.get(g.slug).page < page ? msg(ed, "concordance.continued", { book: escapeHtml(g.name) }) : escapeHtml(g.name)}</h2>
+  <ol class="kwic">
+    ${g.items.map(r => `<li><a href="${verseUrl(r, ed)}">${r.chapter}:${r.verse}</a> <span${textLang(ed)}>${kwic(r.text, t => e.forms.has(t))
+      .map(([s, hit]) => hit ? `<mark>${escapeHtml(s)}</mark>` : escapeHtml(s)).join("")}</span></li>`).join("\n    ")}
+  </ol>`).join("\n  ");
+
+  const pager = pages > 1 ? pagesPagerHTML(ed, page, pages, (n)=> concordanceUrl(ed, word, n)) : "";
+  const summary = msg(ed, "concordance.summary", {
+    times: msg(ed, "concordance.times", { count: e.count, n: num(e.count) }),
+    verses: msg(ed, "concordance.verses", { count: e.verses.length, n: num(e.verses.length) })
+  });
+  const title = msg(ed, "concordance.title", { word: e.display });
+
+  return concordanceShellHTML({
+    title: page > 1 ? msg(ed, "pager.titlePage", { title, page }) : title,
+    desc: msg(ed, "concordance.description", { word: e.display, summary }),
+    can: `${SITE}${concordanceUrl(ed, word, page)}`,
+    at,
+    ed,
+    body: `<h1${textLang(ed)}>“${escapeHtml(e.display)}”</h1>
+  <p class="concordance-sum">${msg(ed, "concordance.sum", {
+    summary,
+    books: books.size > 1 ? msg(ed, "concordance.across", { count: books.size, n: num(books.size) }) : "",
+    here: pages > 1 ? msg(ed, "concordance.here", { from: num(first + 1), to: num(first + verseIdx.length) }) : ""
+  })}</p>
+  ${forms}
+  <nav class="concordance-books" aria-label="${msg(ed, "concordance.books")}">${bookLinks}</nav>
+  ${list}
+  ${pager}
+  ${lettersHTML(ed)}`
+  });
+}
+
+// Every word under one letter, with its count
+function letterPageHTML(letter, words, c, ed){
+  const num = numberFormat(ed);
+  const items = words.map(w => `<li><a href="${concordanceUrl(ed, w)}"${textLang(ed)}>${escapeHtml(c.entries.get(w).display)}</a> <span>${num(c.entries.get(w).count)}</span></li>`).join("");
+  return concordanceShellHTML({
+    title: msg(ed, "concordance.letterTitle", { letter: letter.toUpperCase() }),
+    desc: msg(ed, "concordance.letterDescription", { count: words.length, n: num(words.length), letter: letter.toUpperCase(), edition: ed.name }),
+    can: `${SITE}${letterUrl(ed, letter)}`,
+    at: { page: letterUrl({ prefix: "" }, letter), has: (other)=> [...(other.headwords || [])].some(w => w[0] === letter) },
+    ed,
+    body: `<h1>${msg(ed, "concordance.letterHeading", { letter: letter.toUpperCase() })}</h1>
+  ${lettersHTML(ed, letter)}
+  <ul class="concordance-words">${items}</ul>`
+  });
+}
+
+// Landing page: totals, the commonest words and every book's statistics
+function concordanceIndexHTML(c, ed){
+  const top = [...ed.headwords].sort((a, b) => c.entries.get(b).count - c.entries.get(a).count).slice(0, 100);
+  const num = numberFormat(ed);
+  const rows = [...c.books].map(([slug, b]) => `<tr><th scope="row"><a href="${statsUrl(ed, slug)}">${escapeHtml(b.name)}</a></th><td>${num(b.chapters)}</td><td>${num(b.verses)}</td><td>${num(b.words)}</td><td>${num(b.terms.size)}</td></tr>`).join("\n    ");
+  return concordanceShellHTML({
+    title: msg(ed, "nav.concordance"),
+    desc: msg(ed, "concordance.indexDescription", { edition: ed.name }),
+    can: `${SITE}${concordanceUrl(ed)}`,
+    at: { page: concordanceUrl({ prefix: "" }) },
+    ed,
+    body: `<h1>${msg(ed, "nav.concordance")}</h1>
+  <p>${msg(ed, "concordance.intro", { words: num(c.words), different: num(c.entries.size), folds: c.folds.size ? msg(ed, "concordance.folds") : "" })}</p>
+  ${lettersHTML(ed)}
+  <h2>${msg(ed, "stats.frequent")}</h2>
+  <ul class="concordance-words">${top.map(w => `<li><a href="${concordanceUrl(ed, w)}"${textLang(ed)}>${escapeHtml(c.entries.get(w).display)}</a> <span>${num(c.entries.get(w).count)}</span></li>`).join("")}</ul>
+  <h2>${msg(ed, "concordance.books")}</h2>
+  <table class="stats-table">
+    <thead><tr><th scope="col">${msg(ed, "jump.book")}</th><th scope="col">${msg(ed, "stats.chapters")}</th><th scope="col">${msg(ed, "stats.verses")}</th><th scope="col">${msg(ed, "stats.words")}</th><th scope="col">${msg(ed, "stats.different")}</th></tr></thead>
+    <tbody>
+    ${rows}
+    </tbody>
+  </table>`
+  });
+}
+
+// One book's counts, its most distinctive words (used more here than in the rest
+// of the edition, by log-likelihood) and its most frequent words
+function bookStatsHTML(slug, c, ed){
+  const b = c.books.get(slug);
+  const rest = c.words - b.words;
+  const candidates = [...b.heads].filter(([w]) => !STOPWORDS.has(w));
+  const distinctive = candidates.filter(([, n]) => n >= 3)
+    .map(([w, n]) => ({ w, n, other: c.entries.get(w).count - n, score: keyness(n, c.entries.get(w).count - n, b.words, rest) }))
+    .filter(x => x.score > 0).sort((a, b) => b.score - a.score).slice(0, STATS_WORDS);
+  const frequent = candidates.sort((a, b) => b[1] - a[1]).slice(0, STATS_WORDS);
+  const num = numberFormat(ed);
+  const per1000 = (n, of)=> num(of ? n * 1000 / of : 0, 1);
+  const avg = num(b.words / b.verses, 1);
+
+  return concordanceShellHTML({
+    title: msg(ed, "stats.title", { book: b.name }),
+    desc: msg(ed, "stats.description", { book: b.name, edition: ed.name, verses: num(b.verses), words: num(b.words), different: num(b.terms.size) }),
+    can: `${SITE}${statsUrl(ed, slug)}`,
+    at: { page: (other)=> statsUrl({ ...other, prefix: "" }, slug), has: (other)=> !other.textOf && !!other.nav?.books[slug] },
+    ed,
+    body: `<h1>${escapeHtml(msg(ed, "stats.title", { book: b.name }))}</h1>
+  <dl class="stats">
+    <dt>${msg(ed, "stats.chapters")}</dt><dd>${num(b.chapters)}</dd>
+    <dt>${msg(ed, "stats.verses")}</dt><dd>${num(b.verses)}</dd>
+    <dt>${msg(ed, "stats.words")}</dt><dd>${msg(ed, "stats.perVerse", { words: num(b.words), avg })}</dd>
+    <dt>${msg(ed, "stats.different")}</dt><dd>${num(b.terms.size)}</dd>
+  </dl>
+  ${distinctive.length ? `<h2>${msg(ed, "stats.distinctive")}</h2>
+  <p class="meta">${msg(ed, "stats.distinctiveNote", { book: escapeHtml(b.name), edition: escapeHtml(ed.short), per: num(1000) })}</p>
+  <ol class="stats-words">
+    ${distinctive.map(x => `<li>${wordLinkHTML(c, x.w, ed)} <span>${msg(ed, "stats.keyness", { count: num(x.n), here: per1000(x.n, b.words), elsewhere: per1000(x.other, rest) })}</span></li>`).join("\n    ")}
+  </ol>` : ""}
+  <h2>${msg(ed, "stats.frequent")}</h2>
+  <ol class="stats-words">
+    ${frequent.map(([w, n]) => `<li>${wordLinkHTML(c, w, ed)} <span>${msg(ed, "stats.count", { count: num(n) })}</span></li>`).join("\n    ")}
+  </ol>
+  <p><a href="${bookUrl(slug, ed)}">${msg(ed, "stats.chaptersLink", { book: escapeHtml(b.name) })}</a> • <a href="${concordanceUrl(ed)}">${msg(ed, "nav.concordance")}</a></p>`
+  });
+}
+
+// → sitemap items
+async function writeConcordance(ed, c, refs){
+  const urls = [concordanceUrl(ed)];
+  await emit(outPath(ed, `${CONCORDANCE_DIR}/index.html`), concordanceIndexHTML(c, ed));
+
+  const words = [...ed.headwords].sort();
+  for (const letter of LETTERS){
+    const list = words.filter(w => w[0] === letter);
+    if (!list.length) continue;
+    await emit(`${letterUrl(ed, letter).slice(1)}index.html`, letterPageHTML(letter, list, c, ed));
+    urls.push(letterUrl(ed, letter));
+  }
+  for (const slug of c.books.keys()){
+    await emit(`${statsUrl(ed, slug).slice(1)}index.html`, bookStatsHTML(slug, c, ed));
+    urls.push(statsUrl(ed, slug));
+  }
+  await mapLimit(words, CONCURRENCY, async (word)=>{
+    const list = c.entries.get(word).verses;
+    const pages = Math.ceil(list.length / CONCORDANCE_PAGE_SIZE);
+    for (let page = 1; page <= pages; page++){
+      const slice = list.slice((page - 1) * CONCORDANCE_PAGE_SIZE, page * CONCORDANCE_PAGE_SIZE);
+      await emit(`${concordanceUrl(ed, word, page).slice(1)}index.html`, wordPageHTML(word, c, slice, page, pages, refs, ed));
+      urls.push(concordanceUrl(ed, word, page));
+    }
+  }, progress(`Concordance pages (${ed.short})`));
+  console.log(`Concordance (${ed.short}):`, { words: c.words, headwords: c.entries.size, pages: urls.length, folded: c.folds.size });
+  return urls.map(u => ({ loc: `${SITE}${u}`, lastmod: lastmodOf(u) }));
+}
+
+// ------- Keyboard shortcuts (/assets/keys.js, on every page) -------
+// ←/→ step through the verses of a chapter page (or follow the pager elsewhere),
+// Shift+←/→ move a chapter, "/" goes to the reference box and "?" lists the keys.
+// Moves are announced through a polite live region; after a key press that loads
+// another page, the new page announces its heading. Keys typed into form fields,
+// or pressed with Ctrl/Alt/Meta, are left alone.
+const KEYS_NAV_KEY = "kjv-keys-nav";   // sessionStorage: the last page change came from a key
+const KEYS_JS = `
+(function(){
+  'use strict';
+  var NAV = ${JSON.stringify(KEYS_NAV_KEY)};
+  // Right to left, → goes back and ← goes on
+  var RTL = document.documentElement.dir === 'rtl';
+  var ARROWS = RTL ? '→  ←' : '←  →';
+  var SHORTCUTS = [
+    [ARROWS, i18n.t('keys.verse')],
+    ['Shift + ' + ARROWS, i18n.t('keys.chapter')],
+    ['/', i18n.t('keys.reference')],
+    ['?', i18n.t('keys.help')],
+    ['Esc', i18n.t('keys.close')]
+  ];
+  var live = document.createElement('div');
+  live.className = 'sr-only';
+  live.setAttribute('role', 'status');
+  live.setAttribute('aria-live', 'polite');
+  document.body.appendChild(live);
+  var dialog = null;
+
+  // Clear first so repeating the same message is still read out
+  function announce(msg){
+    live.textContent = '';
+    setTimeout(function(){ live.textContent = msg; }, 50);
+  }
+
+  try {
+    if (sessionStorage.getItem(NAV)){
+      sessionStorage.removeItem(NAV);
+      var h1 = document.querySelector('h1');
+      if (h1) announce(i18n.t('keys.nowAt', { heading: h1.textContent.replace(/\\s+/g, ' ').trim() }));
+    }
+  } catch(e){}
+
+  function go(href){
+    if (!href) return false;
+    try { sessionStorage.setItem(NAV, '1'); } catch(e){}
+    location.href = href;
+    return true;
+  }
+  function pagerHref(rel){
+    var a = document.querySelector('.pager a[rel="' + rel + '"]');
+    return a ? a.href : null;
+  }
+
+  // Chapter and passage pages: move focus verse by verse, keeping the hash in step
+  function stepVerse(dir){
+    var paras = [].slice.call(document.querySelectorAll('article.chapter > p[id]'));
+    if (!paras.length) return false;
+    var current = paras.indexOf(document.activeElement);
+    if (current < 0){
+      var hash = decodeURIComponent(location.hash.slice(1));
+      current = paras.findIndex(function(p){ return p.id === hash; });
+    }
+    var i = current < 0 ? (dir > 0 ? 0 : paras.length - 1) : current + dir;
+    if (i < 0 || i >= paras.length){
+      announce(i18n.t(dir > 0 ? 'keys.lastVerse' : 'keys.firstVerse'));
+      return true;
+    }
+    var p = paras[i], num = p.querySelector('.vnum');
+    p.setAttribute('tabindex', '-1');
+    p.focus();
+    history.replaceState(history.state, '', '#' + p.id);
+    announce(num ? (num.getAttribute('title') || i18n.t('keys.verseNumber', { verse: num.textContent })) : i18n.t('keys.verseNumber', { verse: i + 1 }));
+    return true;
+  }
+
+  function stepChapter(dir){
+    var pager = document.querySelector('.pager[data-chapter-prev], .pager[data-chapter-next]');
+    if (pager) return go(pager.getAttribute(dir > 0 ? 'data-chapter-next' : 'data-chapter-prev')) || announceEdge(dir);
+    if (document.querySelector('article.chapter')) return go(pagerHref(dir > 0 ? 'next' : 'prev')) || announceEdge(dir);
+    return false;
+  }
+  function announceEdge(dir){
+    announce(i18n.t(dir > 0 ? 'keys.lastChapter' : 'keys.firstChapter'));
+    return true;
+  }
+
+  function focusReference(){
+    var input = document.getElementById('jump-ref') || document.getElementById('search-q');
+    if (input){ input.focus(); input.select(); return true; }
+    var search = document.querySelector('.site-nav a[href$="/search/"]');
+    return search ? go(search.href) : false;
+  }
+
+  function showHelp(){
+    if (!dialog){
+      dialog = document.createElement('dialog');
+      dialog.className = 'keys-help';
+      dialog.setAttribute('aria-labelledby', 'keys-help-title');
+      var html = '<h2 id="keys-help-title">' + i18n.t('keys.title') + '</h2><dl>';
+      SHORTCUTS.forEach(function(s){
+        html += '<dt>' + s[0].split(/\\s+/).map(function(k){ return k === '+' ? '+' : '<kbd>' + k + '</kbd>'; }).join(' ') + '</dt><dd>' + s[1] + '</dd>';
+      });
+      dialog.innerHTML = html + '</dl><form method="dialog"><button class="btn" type="submit">' + i18n.t('dialog.close') + '</button></form>';
+      document.body.appendChild(dialog);
+    }
+    if (dialog.open) return;
+    if (dialog.showModal) dialog.showModal(); else dialog.setAttribute('open', '');
+    dialog.querySelector('button').focus();
+  }
+
+  document.addEventListener('keydown', function(e){
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    var t = e.target;
+    if (t && (t.isContentEditable || /^(INPUT|SELECT|TEXTAREA)$/.test(t.tagName))) return;
+    if (dialog && dialog.open && e.key !== 'Escape') return;
+    var done = false;
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight'){
+      var dir = (e.key === 'ArrowRight') !== RTL ? 1 : -1;
+      done = e.shiftKey ? stepChapter(dir) : (stepVerse(dir) || go(pagerHref(dir > 0 ? 'next' : 'prev')));
+    } else if (e.key === '/'){
+      done = focusReference();
+    } else if (e.key === '?'){
+      showHelp();
+      done = true;
+    } else if (e.key === 'Escape' && dialog && dialog.open && !dialog.showModal){
+      dialog.removeAttribute('open');
+      done = true;
+    }
+    if (done) e.preventDefault();
+  });
+})();
+`;
+
+// ------- Listen: read aloud with speech synthesis or recorded audio -------
+// Verse and chapter pages get a Listen control (/assets/listen.js). It reads the
+// page verse by verse with the browser's speech synthesis, highlighting each verse
+// as it goes, then carries on to the next verse or chapter page in reading order.
+// Voice, speed and pitch are kept in localStorage under LISTEN_KEY. An edition's
+// audioDir may hold recorded chapters as <slug>/<chapter>.mp3 (or .m4a, .ogg,
+// .opus, .webm), optionally with <slug>/<chapter>.json giving the second each verse
+// starts at ([0, 6.2, …] or { "1": 0, "2": 6.2 }); chapter pages then play the
+// recording (verse highlighting follows the timings, or is estimated from verse
+// lengths without them) and verse pages play their verse when it is timed.
+const AUDIO_DIR = "audio";
+const AUDIO_TYPES = { mp3: "audio/mpeg", m4a: "audio/mp4", ogg: "audio/ogg", opus: "audio/ogg", webm: "audio/webm" };
+const LISTEN_KEY = "kjv-listen";
+
+// → Map("slug/chapter" → { src, type, file, timings }) for ed.audio. Audio is
+// hashed by size and mtime (recordings are large); timings by content.
+async function loadAudio(ed, books){
+  const found = new Map();
+  for (const [slug, book] of books){
+    const dir = path.join(ed.audioDir, slug);
+    let files;
+    try { files = await fs.readdir(dir); } catch { continue; }
+    for (const file of files.sort()){
+      const m = file.match(/^(\d+)\.([a-z0-9]+)$/);
+      if (!m || !AUDIO_TYPES[m[2]]) continue;
+      const chapter = Number(m[1]);
+      const verseCount = book.chapters[chapter]?.verseCount;
+      const where = path.relative(__dirname, path.join(dir, file));
+      if (!verseCount){ console.warn(`Warning: ${where} — ${book.name} has no chapter ${chapter}`); continue; }
+      const key = `${slug}/${chapter}`;
+      if (found.has(key)){ console.warn(`Warning: ${where} — ${book.name} ${chapter} already has a recording`); continue; }
+      const stat = await fs.stat(path.join(dir, file));
+      manifest.inputs[`audio:${ed.id}:${slug}/${file}`] = `${stat.size}:${stat.mtimeMs}`;
+      found.set(key, {
+        src: `${ed.prefix}/${AUDIO_DIR}/${slug}/${file}`,
+        type: AUDIO_TYPES[m[2]],
+        file: path.join(dir, file),
+        timings: await loadTimings(path.join(dir, `${chapter}.json`), verseCount, ed)
+      });
+    }
+  }
+  if (found.size) console.log(`Audio (${ed.short}):`, { chapters: found.size });
+  else console.warn(`Warning: no chapter recordings in ${path.relative(__dirname, ed.audioDir) || "."}`);
+  return found;
+}
+
+// Verse start times → [seconds for verse 1, …] (every verse, rising), or null
+async function loadTimings(file, verseCount, ed){
+  let raw;
+  try { raw = JSON.parse(await fs.readFile(file, "utf8")); }
+  catch (e) {
+    if (e.code !== "ENOENT") console.warn(`Warning: ${path.relative(__dirname, file)} — ${e.message}`);
+    return null;
+  }
+  manifest.inputs[`audio:${ed.id}:${path.relative(ed.audioDir, file)}`] = hashOf(JSON.stringify(raw));
+  const list = Array.isArray(raw) ? raw : Array.from({ length: verseCount }, (_, i) => raw?.[String(i + 1)]);
+  const ok = list.length === verseCount && list.every((t, i) => Number.isFinite(t) && t >= 0 && (i === 0 || t > list[i - 1]));
+  if (!ok){ console.warn(`Warning: ${path.relative(__dirname, file)} needs a rising start time for each of ${verseCount} verses — ignored`); return null; }
+  return list;
+}
+
+// Recordings go out as they are, under <prefix>/audio/
+async function writeAudio(ed){
+  for (const { src, file } of ed.audio?.values() || []) await emit(src.slice(1), await fs.readFile(file));
+}
+
+// The Listen control. title: spoken before the first verse ("John, chapter 3");
+// next: { url, label } of the page to carry on to; audio: the chapter recording,
+// from = the first verse on the page (a verse page plays just that verse)
+// The spoken title is left out when the interface language isn't the text's: the
+// voice is chosen for the text
+function listenHTML(ed, { title = "", next = null, audio = null, from = 1, unit = "chapter" }){
+  const attrs = [
+    title && !textLang(ed) ? `data-title="${escapeHtml(title)}"` : "",
+    next ? `data-next="${next.url}" data-next-label="${escapeHtml(next.label)}"` : "",
+    audio ? `data-audio="${audio.src}" data-type="${audio.type}"` : "",
+    audio?.timings ? `data-timings="${JSON.stringify(audio.timings)}"` : "",
+    `data-from="${from}"`
+  ].filter(Boolean).join(" ");
+  return `<section class="listen" data-listen ${attrs} hidden aria-label="${msg(ed, "listen.label")}">
+    <div class="listen__controls">
+      <button class="btn" type="button" data-listen-play>${msg(ed, "listen.play")}</button>
+      <button class="btn" type="button" data-listen-stop disabled>${msg(ed, "listen.stop")}</button>
+      <span class="listen__status" role="status" aria-live="polite"></span>
+    </div>
+    <details class="listen__settings">
+      <summary>${msg(ed, "listen.settings")}</summary>
+      <div class="listen__form">
+        <label data-listen-speech>${msg(ed, "listen.voice")} <select data-listen-voice><option value="">${msg(ed, "listen.defaultVoice")}</option></select></label>
+        <label>${msg(ed, "listen.speed")} <input type="range" min="0.5" max="2" step="0.1" value="1" data-listen-rate></label>
+        <label data-listen-speech>${msg(ed, "listen.pitch")} <input type="range" min="0.5" max="1.5" step="0.1" value="1" data-listen-pitch></label>
+        <label><input type="checkbox" data-listen-continue checked> ${msg(ed, `listen.continue.${unit}`)}</label>
+      </div>
+    </details>
+  </section>
+  <script src="/assets/listen.js" defer></script>`;
+}
+
+// Reads article.chapter/article.verse paragraphs in order. Pausing cancels the
+// current utterance and resuming restarts its verse (speechSynthesis.pause() is
+// unreliable across browsers). At the end it goes to data-next and starts again
+// there; browsers that won't speak without a click get a "press Listen" prompt.
+const LISTEN_JS = `
+(function(){
+  'use strict';
+  var box = document.querySelector('[data-listen]');
+  if(!box) return;
+  var synth = window.speechSynthesis && window.SpeechSynthesisUtterance ? window.speechSynthesis : null;
+  var audioSrc = box.getAttribute('data-audio');
+  if(!synth && !audioSrc) return;
+
+  var KEY = ${JSON.stringify(LISTEN_KEY)}, RESUME = KEY + '-resume';
+  var paras = [].slice.call(document.querySelectorAll('article.chapter > p, article.verse > p'));
+  // The text's language, which may not be the page's (see textLang in build.mjs)
+  var lang = (paras[0] && paras[0].closest('[lang]') || document.documentElement).lang || 'en';
+  var from = Number(box.getAttribute('data-from')) || 1;      // verse number of paras[0]
+  var timings = JSON.parse(box.getAttribute('data-timings') || 'null');
+  var next = box.getAttribute('data-next');
+  var playBtn = box.querySelector('[data-listen-play]');
+  var stopBtn = box.querySelector('[data-listen-stop]');
+  var status = box.querySelector('.listen__status');
+  var voiceSel = box.querySelector('[data-listen-voice]');
+  var rateIn = box.querySelector('[data-listen-rate]');
+  var pitchIn = box.querySelector('[data-listen-pitch]');
+  var contIn = box.querySelector('[data-listen-continue]');
+  var settings = load();
+  var state = 'stopped';   // 'playing' | 'paused' | 'stopped'
+  var index = 0;           // paragraph being read
+  var token = 0;           // bumps on every stop/pause so stale callbacks do nothing
+  var audio = null;
+
+  function load(){ try { return JSON.parse(localStorage.getItem(KEY) || '{}') || {}; } catch(e){ return {}; } }
+  function save(){ try { localStorage.setItem(KEY, JSON.stringify(settings)); } catch(e){} }
+  function say(msg){ status.textContent = msg; }
+  function reduced(){ return window.matchMedia && matchMedia('(prefers-reduced-motion: reduce)').matches; }
+
+  function textOf(p){
+    var c = p.cloneNode(true);
+    [].forEach.call(c.querySelectorAll('.vnum, .xmark'), function(n){ n.remove(); });
+    return c.textContent.replace(/\\s+/g, ' ').trim();
+  }
+  function verseOf(i){
+    var m = paras[i] && /^v(\\d+)$/.exec(paras[i].id);
+    return m ? Number(m[1]) : from + i;
+  }
+  function mark(i){
+    paras.forEach(function(p, j){ p.classList.toggle('is-speaking', j === i); });
+    if(!paras[i]) return;
+    var r = paras[i].getBoundingClientRect();
+    if(r.top < 0 || r.bottom > window.innerHeight) paras[i].scrollIntoView({ block: 'center', behavior: reduced() ? 'auto' : 'smooth' });
+  }
+  function setState(s){
+    state = s;
+    playBtn.textContent = i18n.t(s === 'playing' ? 'listen.pause' : s === 'paused' ? 'listen.resume' : 'listen.play');
+    stopBtn.disabled = s === 'stopped';
+    if('mediaSession' in navigator) navigator.mediaSession.playbackState = s === 'playing' ? 'playing' : s === 'paused' ? 'paused' : 'none';
+  }
+
+  // ---- Speech synthesis, one utterance per verse ----
+  function voices(){ return synth ? synth.getVoices() : []; }
+  function fillVoices(){
+    var base = lang.split('-')[0].toLowerCase();
+    var all = voices(), list = all.filter(function(v){ return v.lang.toLowerCase().split(/[-_]/)[0] === base; });
+    if(!list.length) list = all;
+    voiceSel.length = 1;
+    list.forEach(function(v){ voiceSel.add(new Option(v.name + ' (' + v.lang + ')', v.voiceURI, false, v.voiceURI === settings.voice)); });
+  }
+  function speak(i, intro){
+    var my = ++token;
+    if(i >= paras.length){ finish(); return; }
+    index = i;
+    mark(i);
+    var u = new SpeechSynthesisUtterance((intro ? intro + '. ' : '') + textOf(paras[i]));
+    var v = voices().filter(function(v){ return v.voiceURI === settings.voice; })[0];
+    u.lang = v ? v.lang : lang;
+    if(v) u.voice = v;
+    u.rate = Number(settings.rate) || 1;
+    u.pitch = Number(settings.pitch) || 1;
+    u.onend = function(){ if(my === token && state === 'playing') speak(i + 1); };
+    u.onerror = function(e){
+      if(my !== token || e.error === 'interrupted' || e.error === 'canceled') return;
+      blocked(e.error === 'not-allowed');
+    };
+    synth.speak(u);
+  }
+
+  // ---- Recorded audio ----
+  var startAt = 0, endAt = null, starts = null;
+  function ensureAudio(){
+    if(audio) return audio;
+    audio = new Audio();
+    audio.preload = 'metadata';
+    audio.src = audioSrc;
+    if(timings){
+      startAt = timings[from - 1] || 0;
+      endAt = paras.length === 1 ? (timings[from] || null) : null;
+      var hash = /^#v(\\d+)$/.exec(location.hash);
+      if(hash && paras.length > 1 && timings[hash[1] - 1] != null) startAt = timings[hash[1] - 1];
+    }
+    audio.addEventListener('loadedmetadata', function(){ if(startAt) audio.currentTime = startAt; }, { once: true });
+    audio.addEventListener('timeupdate', sync);
+    audio.addEventListener('ended', finish);
+    audio.addEventListener('error', function(){
+      // No recording after all: fall back to the synthesized voice
+      audioSrc = null; audio = null;
+      if(state === 'playing' && synth) speak(index);
+      else if(state === 'playing'){ setState('stopped'); say(i18n.t('listen.unplayable')); }
+    });
+    return audio;
+  }
+  // Verse starts within the recording: the timings, or shares of the whole
+  // recording in proportion to each verse's length
+  function verseAt(t){
+    if(timings){
+      var v = 1;
+      while(v < timings.length && timings[v] <= t) v++;
+      return Math.max(0, Math.min(paras.length - 1, v - from));
+    }
+    if(!starts && audio.duration){
+      var lens = paras.map(function(p){ return textOf(p).length; }), total = lens.reduce(function(a, b){ return a + b; }, 0), acc = 0;
+      starts = lens.map(function(n){ var s = acc; acc += n; return audio.duration * s / total; });
+    }
+    if(!starts) return 0;
+    var i = 0;
+    while(i + 1 < starts.length && starts[i + 1] <= t) i++;
+    return i;
+  }
+  function sync(){
+    if(state !== 'playing') return;
+    if(endAt != null && audio.currentTime >= endAt){ audio.pause(); finish(); return; }
+    var i = verseAt(audio.currentTime);
+    if(i !== index || !paras[i].classList.contains('is-speaking')){ index = i; mark(i); }
+  }
+  function playAudio(){
+    var a = ensureAudio();
+    a.playbackRate = Number(settings.rate) || 1;
+    var p = a.play();
+    if(p && p.catch) p.catch(function(e){ if(e && e.name === 'NotAllowedError') blocked(true); });
+  }
+
+  // ---- Controls ----
+  function play(){
+    setState('playing');
+    if(audioSrc){ playAudio(); say(''); return; }
+    var hash = /^#v(\\d+)$/.exec(location.hash), start = index;
+    if(start === 0 && hash) paras.forEach(function(p, j){ if(p.id === 'v' + hash[1]) start = j; });
+    say('');
+    speak(start, start === 0 && verseOf(0) === 1 ? box.getAttribute('data-title') : '');
+  }
+  function pause(){
+    token++;
+    setState('paused');
+    if(audio) audio.pause(); else if(synth) synth.cancel();
+    say(i18n.t('listen.paused'));
+  }
+  function stop(){
+    token++;
+    setState('stopped');
+    if(audio){ audio.pause(); audio.currentTime = startAt; }
+    if(synth) synth.cancel();
+    index = 0;
+    mark(-1);
+    say('');
+  }
+  function finish(){
+    token++;
+    var more = next && contIn.checked;
+    setState('stopped');
+    mark(-1);
+    index = 0;
+    if(!more){ say(i18n.t('listen.finished')); return; }
+    say(i18n.t('listen.next', { label: box.getAttribute('data-next-label') }));
+    try { sessionStorage.setItem(RESUME, '1'); } catch(e){}
+    location.href = next;
+  }
+  // Autoplay refused (no click on this page yet)
+  function blocked(notAllowed){
+    token++;
+    setState('stopped');
+    mark(-1);
+    say(i18n.t(notAllowed ? 'listen.blocked' : 'listen.failed'));
+    playBtn.focus();
+  }
+
+  playBtn.addEventListener('click', function(){ state === 'playing' ? pause() : play(); });
+  stopBtn.addEventListener('click', stop);
+  rateIn.value = settings.rate || 1;
+  pitchIn.value = settings.pitch || 1;
+  if(settings.cont === false) contIn.checked = false;
+  rateIn.addEventListener('change', function(){
+    settings.rate = Number(rateIn.value); save();
+    if(audio) audio.playbackRate = settings.rate;
+  });
+  pitchIn.addEventListener('change', function(){ settings.pitch = Number(pitchIn.value); save(); });
+  voiceSel.addEventListener('change', function(){ settings.voice = voiceSel.value; save(); });
+  contIn.addEventListener('change', function(){ settings.cont = contIn.checked; save(); });
+  if(synth){
+    fillVoices();
+    if('onvoiceschanged' in synth) synth.addEventListener('voiceschanged', fillVoices);
+  }
+  if(audioSrc) [].forEach.call(box.querySelectorAll('[data-listen-speech]'), function(el){ el.hidden = true; });
+  // Some browsers keep talking after the page has gone
+  window.addEventListener('pagehide', function(){ if(synth) synth.cancel(); });
+
+  if('mediaSession' in navigator){
+    var h1 = document.querySelector('h1');
+    try { navigator.mediaSession.metadata = new MediaMetadata({ title: h1 ? h1.textContent : document.title, album: i18n.t('site.title') }); } catch(e){}
+    var handlers = { play: play, pause: pause, stop: stop, nexttrack: next ? function(){ stop(); location.href = next; } : null };
+    Object.keys(handlers).forEach(function(k){ try { navigator.mediaSession.setActionHandler(k, handlers[k]); } catch(e){} });
+  }
+
+  box.hidden = false;
+  var resume = false;
+  try { resume = sessionStorage.getItem(RESUME) === '1'; sessionStorage.removeItem(RESUME); } catch(e){}
+  if(resume) play();
+})();
+`;
+
+// ------- My notes: bookmarks, highlights and notes (/my/) -------
+// Kept only in the browser's IndexedDB, one record per verse keyed by
+// [bookSlug, chapter, verse] (see lib/notes.mjs for the record and file formats).
+// Verse pages edit their own verse; /my/ lists, filters, exports and imports.
+const MY_DIR = "my";
+
+// Verse-page panel; /assets/study.js reveals it where IndexedDB is available
+function verseStudyHTML(ref, bookName, ed){
+  const swatches = HIGHLIGHTS.map(c => {
+    const label = escapeHtml(msg(ed, "study.highlightIn", { colour: msg(ed, `colour.${c}`) }));
+    return `<button class="study__swatch" type="button" data-highlight="${c}" aria-pressed="false" title="${label}" style="background:${HIGHLIGHT_COLOURS[c]}"><span class="sr-only">${label}</span></button>`;
+  }).join("");
+  return `<section id="study" class="study" aria-label="${msg(ed, "nav.my")}" data-book="${ref.bookSlug}" data-book-name="${escapeHtml(bookName)}" data-chapter="${ref.chapter}" data-verse="${ref.verse}" hidden>
+    <div class="study__actions">
+      <button class="btn" type="button" data-action="bookmark" aria-pressed="false">${msg(ed, "study.bookmark")}</button>
+      <span class="study__swatches" role="group" aria-label="${msg(ed, "study.highlight")}">${swatches}</span>
+      <a class="btn" href="/${MY_DIR}/">${msg(ed, "nav.my")}</a>
+    </div>
+    <label class="sr-only" for="study-note">${msg(ed, "study.note")}</label>
+    <textarea id="study-note" class="study__note" rows="3" placeholder="${escapeHtml(msg(ed, "study.placeholder"))}"></textarea>
+    <p class="study__status" role="status" aria-live="polite"></p>
+  </section>
+  <script type="module" src="/assets/study.js"></script>`;
+}
+
+// /assets/notes-db.js: the IndexedDB store, shared by study.js and my.js
+const NOTES_DB_JS = `import { normalizeItem, isEmpty } from './notes.js';
+
+const DB = 'kjv-notes', STORE = 'verses';
+const keyPath = (r)=> [r.bookSlug, r.chapter, r.verse];
+let opening = null;
+
+function open(){
+  if (!opening){
+    opening = new Promise((resolve, reject)=>{
+      const req = indexedDB.open(DB, 1);
+      req.onupgradeneeded = ()=> req.result.createObjectStore(STORE, { keyPath: ['bookSlug', 'chapter', 'verse'] });
+      req.onsuccess = ()=> resolve(req.result);
+      req.onerror = ()=> reject(req.error);
+    });
+  }
+  return opening;
+}
+
+// fn(store) → request (or nothing); resolves with its result once the transaction commits
+async function run(mode, fn){
+  const db = await open();
+  return new Promise((resolve, reject)=>{
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = ()=> resolve(req ? req.result : undefined);
+    tx.onerror = tx.onabort = ()=> reject(tx.error);
+  });
+}
+
+export const available = ()=> typeof indexedDB !== 'undefined';
+export const getItem = (ref)=> run('readonly', s => s.get(keyPath(ref))).then(r => r ? normalizeItem(r) : null);
+export const allItems = ()=> run('readonly', s => s.getAll()).then(list => list.map(normalizeItem).filter(Boolean));
+export const clearItems = ()=> run('readwrite', s => s.clear());
+
+// Empty records (nothing bookmarked, highlighted or noted) are deleted
+export function putItems(items){
+  return run('readwrite', (s)=>{
+    for (const raw of items){
+      const item = normalizeItem(raw);
+      if (!item) continue;
+      if (isEmpty(item)) s.delete(keyPath(item));
+      else s.put(item);
+    }
+  });
+}
+export const putItem = (item)=> putItems([item]);
+`;
+
+// Bookmark, highlight and note for the verse on this page; notes save as you type
+const STUDY_JS = `import { available, getItem, putItem } from './notes-db.js';
+
+const box = document.getElementById('study');
+if (box && available()){
+  const ref = { bookSlug: box.dataset.book, chapter: Number(box.dataset.chapter), verse: Number(box.dataset.verse) };
+  const verse = document.querySelector('article.verse');
+  const mark = box.querySelector('[data-action="bookmark"]');
+  const swatches = Array.from(box.querySelectorAll('[data-highlight]'));
+  const note = document.getElementById('study-note');
+  const status = box.querySelector('.study__status');
+  let item = null, timer = null;
+
+  function show(){
+    mark.setAttribute('aria-pressed', String(item.bookmark));
+    mark.textContent = i18n.t(item.bookmark ? 'study.bookmarked' : 'study.bookmark');
+    for (const b of swatches) b.setAttribute('aria-pressed', String(b.dataset.highlight === item.highlight));
+    if (item.highlight) verse.dataset.highlight = item.highlight;
+    else delete verse.dataset.highlight;
+  }
+  async function save(changes, done){
+    Object.assign(item, changes, { updated: new Date().toISOString() });
+    show();
+    try { await putItem(item); status.textContent = done || ''; }
+    catch (e) { status.textContent = i18n.t('study.unsaved', { error: e.message }); }
+  }
+
+  mark.addEventListener('click', ()=> save({ bookmark: !item.bookmark }, i18n.t(item.bookmark ? 'study.unbookmarked' : 'study.bookmarkDone')));
+  for (const b of swatches){
+    b.addEventListener('click', ()=>{
+      const colour = item.highlight === b.dataset.highlight ? null : b.dataset.highlight;
+      save({ highlight: colour }, colour ? i18n.t('study.highlighted', { colour: i18n.t('colour.' + colour) }) : i18n.t('study.unhighlighted'));
+    });
+  }
+  note.addEventListener('input', ()=>{
+    clearTimeout(timer);
+    timer = setTimeout(()=> save({ note: note.value.trim() }, i18n.t('study.noteSaved')), 600);
+  });
+  note.addEventListener('blur', ()=>{
+    if (!timer || note.value.trim() === item.note) return;
+    clearTimeout(timer);
+    save({ note: note.value.trim() }, i18n.t('study.noteSaved'));
+  });
+
+  getItem(ref).then((saved)=>{
+    item = saved || { ...ref, bookmark: false, highlight: null, note: '' };
+    item.bookName = box.dataset.bookName;
+    note.value = item.note;
+    show();
+    box.hidden = false;
+  }).catch(()=>{});
+}
+`;
+
+function myPageHTML(ed){
+  const bookOptions = (list)=>list.map(b=>`<option value="${slugify(b)}">${escapeHtml(ed.ui.books[slugify(b)].name)}</option>`).join("");
+  return `<!DOCTYPE html>
+<html ${pageLang(ed)}>
+<head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(msg(ed, "page.titleSite", { title: msg(ed, "nav.my") }))}</title>
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<meta name="robots" content="noindex">
+</head>
+<body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: msg(ed, "nav.my"), nav: [{ href: `${ed.prefix}/`, label: msg(ed, "site.title") }, { href: `${ed.prefix}/search/`, label: msg(ed, "nav.search") }] })}
+<main id="main" class="container">
+  <h1>${msg(ed, "my.heading")}</h1>
+  <p class="meta">${msg(ed, "my.intro")}</p>
+  <form id="my-filters" class="search-form">
+    <label>
+      <span>${msg(ed, "my.show")}</span>
+      <select name="kind" class="jump__select">
+        <option value="">${msg(ed, "my.everything")}</option>
+        <option value="bookmark">${msg(ed, "my.bookmarks")}</option>
+        <option value="highlight">${msg(ed, "my.highlights")}</option>
+        <option value="note">${msg(ed, "my.notes")}</option>
+      </select>
+    </label>
+    <label>
+      <span>${msg(ed, "my.colour")}</span>
+      <select name="colour" class="jump__select">
+        <option value="">${msg(ed, "my.anyColour")}</option>
+        ${HIGHLIGHTS.map(c => `<option value="${c}">${msg(ed, `colour.${c}`)}</option>`).join("")}
+      </select>
+    </label>
+    <label>
+      <span>${msg(ed, "jump.book")}</span>
+      <select name="book" class="jump__select">
+        <option value="">${msg(ed, "my.allBooks")}</option>
+        <optgroup label="${msg(ed, "testament.ot")}">${bookOptions(OT)}</optgroup>
+        <optgroup label="${msg(ed, "testament.nt")}">${bookOptions(NT)}</optgroup>
+      </select>
+    </label>
+    <label class="search-form__q">
+      <span>${msg(ed, "my.contains")}</span>
+      <input name="q" type="search" autocomplete="off">
+    </label>
+  </form>
+  <p id="my-status" class="meta" role="status" aria-live="polite"></p>
+  <ol id="my-list" class="my-list"></ol>
+
+  <section class="offline" aria-labelledby="my-files">
+    <h2 id="my-files" class="toc-heading">${msg(ed, "my.files")}</h2>
+    <div class="offline__actions">
+      <button class="btn" type="button" data-export="json">${msg(ed, "my.exportJSON")}</button>
+      <button class="btn" type="button" data-export="md">${msg(ed, "my.exportMarkdown")}</button>
+      <label class="btn">${msg(ed, "my.import")} <input id="my-import" class="sr-only" type="file" accept=".json,.md,.markdown,.txt,application/json,text/markdown,text/plain"></label>
+      <button class="btn" type="button" data-action="clear">${msg(ed, "my.clear")}</button>
+    </div>
+    <p class="offline__status">${msg(ed, "my.merge")}</p>
+  </section>
+  <noscript><p>${msg(ed, "my.noscript")}</p></noscript>
+</main>
+${siteFooterHTML(ed)}
+<script type="module" src="/assets/my.js"></script>
+</body>
+</html>`;
+}
+
+// Lists the store with filters; exports and imports lib/notes.mjs formats
+const MY_JS = `import { available, allItems, putItems, clearItems } from './notes-db.js';
+import { keyOf, labelOf, compareItems, mergeItem, toJSON, fromJSON, toMarkdown, fromMarkdown } from './notes.js';
+import { createReferenceParser } from './reference.js';
+
+const form = document.getElementById('my-filters');
+const list = document.getElementById('my-list');
+const status = document.getElementById('my-status');
+const fileIn = document.getElementById('my-import');
+const SITE = location.origin;
+const esc = (s)=> String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' })[c]);
+const nav = fetch('/data/nav.json').then(r => r.ok ? r.json() : { ot: [], nt: [], books: {} }).catch(()=> ({ ot: [], nt: [], books: {} }));
+let items = [], books = {};
+// Verse pages go by the default edition's (localized) book paths
+const urlOf = (item)=> '/' + ((books[item.bookSlug] || {}).path || item.bookSlug) + '/' + item.chapter + '/' + item.verse + '/';
+
+function matches(item, f){
+  if (f.kind === 'bookmark' && !item.bookmark) return false;
+  if (f.kind === 'highlight' && !item.highlight) return false;
+  if (f.kind === 'note' && !item.note) return false;
+  if (f.colour && item.highlight !== f.colour) return false;
+  if (f.book && item.bookSlug !== f.book) return false;
+  return !f.q || item.note.toLowerCase().includes(f.q.toLowerCase());
+}
+
+function render(){
+  const f = Object.fromEntries(new FormData(form));
+  const shown = items.filter(item => matches(item, f));
+  list.innerHTML = shown.map(item => '<li data-key="' + keyOf(item) + '"' + (item.highlight ? ' data-highlight="' + item.highlight + '"' : '') + '>'
+    + '<a class="search-results__ref" href="' + urlOf(item) + '">' + esc(labelOf(item)) + '</a>'
+    + (item.bookmark ? ' <span class="my-list__tag">' + esc(i18n.t('study.bookmarked')) + '</span>' : '')
+    + (item.highlight ? ' <span class="my-list__tag">' + esc(i18n.t('colour.' + item.highlight)) + '</span>' : '')
+    + ' <button class="my-list__remove" type="button" aria-label="' + esc(i18n.t('my.removeLabel', { reference: labelOf(item) })) + '">' + esc(i18n.t('my.remove')) + '</button>'
+    + (item.note ? '<p class="my-list__note">' + esc(item.note) + '</p>' : '')
+    + '</li>').join('');
+  status.textContent = !items.length ? i18n.t('my.empty') : i18n.t('my.shown', { shown: shown.length, count: items.length });
+}
+
+async function load(){
+  items = await allItems();
+  books = (await nav).books;
+  items.sort(compareItems(await nav));
+  render();
+}
+
+function download(name, type, text){
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([text], { type }));
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+}
+
+async function importText(text){
+  const isJSON = text.trimStart().startsWith('{');
+  const res = isJSON ? fromJSON(text) : fromMarkdown(text, createReferenceParser(await nav, { messages: i18n.messages, lang: i18n.lang }));
+  const have = new Map(items.map(item => [keyOf(item), item]));
+  const merged = res.items.map(item => mergeItem(have.get(keyOf(item)), item));
+  await putItems(merged);
+  await load();
+  status.textContent = i18n.t('my.imported', { count: res.items.length })
+    + (res.errors.length ? ' ' + res.errors.slice(0, 3).join('; ') + (res.errors.length > 3 ? '…' : '') : '');
+}
+
+if (!available()){
+  status.textContent = i18n.t('my.unavailable');
+} else {
+  form.addEventListener('input', render);
+  form.addEventListener('submit', (e)=> e.preventDefault());
+  list.addEventListener('click', async (e)=>{
+    const btn = e.target.closest('.my-list__remove');
+    if (!btn) return;
+    const item = items.find(i => keyOf(i) === btn.closest('li').dataset.key);
+    if (!item || !confirm(i18n.t('my.confirmRemove', { reference: labelOf(item) }))) return;
+    await putItems([{ ...item, bookmark: false, highlight: null, note: '' }]);
+    await load();
+  });
+  document.querySelector('[data-export="json"]').addEventListener('click', ()=>
+    download('bible-notes.json', 'application/json', toJSON(items, { site: SITE })));
+  document.querySelector('[data-export="md"]').addEventListener('click', ()=>
+    download('bible-notes.md', 'text/markdown', toMarkdown(items, { site: SITE, title: i18n.t('my.markdownTitle') })));
+  document.querySelector('[data-action="clear"]').addEventListener('click', async ()=>{
+    if (!items.length || !confirm(i18n.t('my.confirmClear', { count: items.length }))) return;
+    await clearItems();
+    await load();
+  });
+  fileIn.addEventListener('change', async ()=>{
+    const file = fileIn.files[0];
+    fileIn.value = '';
+    if (!file) return;
+    try { await importText(await file.text()); }
+    catch (e) { status.textContent = i18n.t('my.importFailed', { error: e.message }); }
+  });
+  load().catch(e => { status.textContent = i18n.t('my.unreadable', { error: e.message }); });
+}
+`;
+
+// ------- Sitemaps with <lastmod> -------
+function renderUrlsetWithLastmod(items){
+  // items: [{loc,lastmod}]
+  const body = items.map(({loc,lastmod}) =>
+    `  <url><loc>${loc}</loc><lastmod>${lastmod}</lastmod></url>`).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${body}\n</urlset>\n`;
+}
+function renderSitemapIndex(entries){
+  const body = entries.map(u=>`  <sitemap><loc>${u}</loc></sitemap>`).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${body}\n</sitemapindex>\n`;
+}
+
+// ------- Full-text search (prebuilt, sharded, client-side) -------
+// Tokens are lowercased words with apostrophes dropped ("LORD's" → "lords").
+// SEARCH_JS tokenizes queries the same way, so keep the two in step.
+const SEARCH_DIR = "search";
+const tokenize = (s)=>String(s).toLowerCase().replace(/['’]/g,"").split(/[^a-z0-9]+/).filter(Boolean);
+const searchShardKey = (term)=>term.slice(0,2);
+
+// Doc ids are positions in flattenRefs() order. Postings are delta-encoded base36
+// ids; a repeated id (delta 0) counts one more occurrence in the same verse.
+function buildSearchIndex(refs, ed){
+  const books = [];
+  const texts = new Map();   // slug -> [verse text, ...] in doc-id order
+  const terms = new Map();   // term -> [docId, ...]
+  refs.forEach((r, id)=>{
+    let book = books[books.length-1];
+    if (!book || book.slug !== r.bookSlug){
+      book = { slug:r.bookSlug, name:r.bookName, t: OT_SLUGS.has(r.bookSlug) ? "ot" : "nt", start:id, chapters:[] };
+      if (bookPath(ed, r.bookSlug) !== r.bookSlug) book.path = bookPath(ed, r.bookSlug);
+      books.push(book);
+      texts.set(r.bookSlug, []);
+    }
+    const last = book.chapters[book.chapters.length-1];
+    if (last && last[0] === r.chapter) last[1]++;
+    else book.chapters.push([r.chapter, 1]);
+    texts.get(r.bookSlug).push(r.text);
+
+    for (const tok of tokenize(r.text)){
+      let list = terms.get(tok);
+      if (!list) terms.set(tok, list = []);
+      list.push(id);
+    }
+  });
+
+  const shards = new Map(); // key -> { term: postings }
+  for (const term of [...terms.keys()].sort()){
+    let prev = 0;
+    const postings = terms.get(term).map(id=>{ const d = id - prev; prev = id; return d.toString(36); }).join(",");
+    const key = searchShardKey(term);
+    if (!shards.has(key)) shards.set(key, {});
+    shards.get(key)[term] = postings;
+  }
+
+  const meta = { v:1, count:refs.length, terms:terms.size, shards:[...shards.keys()], books };
+  return { meta, shards, texts };
+}
+
+// An edition reading another's text writes only its meta.json (book names and
+// paths in its locale) and page; the shards and text are the text edition's.
+async function writeSearchIndex(ed, refs, own = true){
+  const { meta, shards, texts } = buildSearchIndex(refs, ed);
+  const dir = outPath(ed, SEARCH_DIR);
+  await emit(`${dir}/meta.json`, JSON.stringify(meta));
+  if (own){
+    for (const [key, shard] of shards){
+      await emit(`${dir}/idx/${key}.json`, JSON.stringify(shard));
+    }
+    for (const [slug, list] of texts){
+      await emit(`${dir}/text/${slug}.json`, JSON.stringify(list));
+    }
+  }
+  await emit(`${dir}/index.html`, searchPageHTML(ed));
+  return { terms: meta.terms, shards: shards.size };
+}
+
+function searchPageHTML(ed){
+  const bookOptions = (list)=>list.map(b=>`<option value="${slugify(b)}">${escapeHtml(ed.ui.books[slugify(b)].name)}</option>`).join("");
+  const at = { page: `/${SEARCH_DIR}/` };
+  return `<!DOCTYPE html>
+<html ${pageLang(ed)}>
+<head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(msg(ed, "page.titleSuffix", { title: msg(ed, "nav.search"), edition: ed.short }))}</title>
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<link rel="canonical" href="${SITE}${ed.prefix}/${SEARCH_DIR}/">
+${alternateLinksHTML(ed, at)}
+<meta name="description" content="${escapeHtml(msg(ed, "search.description", { edition: ed.name }))}">
+<meta name="robots" content="index,follow">
+</head>
+<body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [{ href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") }], after: editionSwitchHTML(ed, at) })}
+<main id="main" class="container">
+  <h1>${msg(ed, "search.heading")}</h1>
+  <form id="search-form" class="search-form" action="${ed.prefix}/${SEARCH_DIR}/" method="get" role="search" data-prefix="${ed.prefix}" data-index="${textEdition(ed).prefix}/${SEARCH_DIR}/"${textLang(ed) ? ` data-text-lang="${ed.lang}" data-text-dir="${textDirection(ed.lang)}"` : ""}>
+    <label class="search-form__q">
+      <span>${msg(ed, "search.words")}</span>
+      <input id="search-q" name="q" type="search" autocomplete="off" placeholder="${escapeHtml(msg(ed, "search.placeholder"))}">
+    </label>
+    <label>
+      <span>${msg(ed, "search.testament")}</span>
+      <select id="search-t" name="t" class="jump__select">
+        <option value="">${msg(ed, "search.wholeBible")}</option>
+        <option value="ot">${msg(ed, "testament.ot")}</option>
+        <option value="nt">${msg(ed, "testament.nt")}</option>
+      </select>
+    </label>
+    <label>
+      <span>${msg(ed, "jump.book")}</span>
+      <select id="search-book" name="book" class="jump__select">
+        <option value="">${msg(ed, "my.allBooks")}</option>
+        <optgroup label="${msg(ed, "testament.ot")}">${bookOptions(OT)}</optgroup>
+        <optgroup label="${msg(ed, "testament.nt")}">${bookOptions(NT)}</optgroup>
+      </select>
+    </label>
+    <button class="btn btn-primary" type="submit">${msg(ed, "nav.search")}</button>
+  </form>
+  <p id="search-status" class="meta" role="status" aria-live="polite"></p>
+  <ol id="search-results" class="search-results"></ol>
+  <button id="search-more" class="btn" type="button" hidden>${msg(ed, "search.more")}</button>
+  <noscript><p>${msg(ed, "search.noscript", { link: `<a href="${ed.prefix}/">${msg(ed, "search.bookList")}</a>` })}</p></noscript>
+</main>
+${siteFooterHTML(ed)}
+<script src="/assets/search.js" defer></script>
+</body>
+</html>`;
+}
+
+// Client for the search page. Nothing but meta.json is fetched up front of a query;
+// index shards and per-book text load on demand and stay cached for the session.
+// The form's data-prefix names the edition, whose meta.json sits at <prefix>/search/;
+// data-index is where its text's shards and verse text are.
+const SEARCH_JS = `
+(function(){
+  'use strict';
+  var PAGE = 50;
+
+  var form = document.getElementById('search-form');
+  var qIn = document.getElementById('search-q');
+  var tSel = document.getElementById('search-t');
+  var bookSel = document.getElementById('search-book');
+  var status = document.getElementById('search-status');
+  var list = document.getElementById('search-results');
+  var more = document.getElementById('search-more');
+  if(!form) return;
+  var PREFIX = form.getAttribute('data-prefix') || '';
+  var BASE = PREFIX + '/${SEARCH_DIR}/';
+  var INDEX = form.getAttribute('data-index') || BASE;
+  // Verse text in another language than the page's (see textLang in build.mjs)
+  var TEXT_LANG = form.getAttribute('data-text-lang') ? ' lang="' + form.getAttribute('data-text-lang') + '" dir="' + form.getAttribute('data-text-dir') + '"' : '';
+
+  var cache = new Map();
+  function getJSON(url){
+    if(!cache.has(url)){
+      cache.set(url, fetch(url).then(function(r){
+        if(!r.ok) throw new Error('HTTP ' + r.status + ' @ ' + url);
+        return r.json();
+      }));
+    }
+    return cache.get(url);
+  }
+  function tokenize(s){ return String(s).toLowerCase().replace(/['’]/g,'').split(/[^a-z0-9]+/).filter(Boolean); }
+  function esc(s){ return String(s).replace(/[&<>"']/g, function(c){ return {'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]; }); }
+
+  // "quoted phrases" must match as consecutive words; bare words are ANDed.
+  function parseQuery(q){
+    var phrases = [], words = [];
+    String(q).replace(/"([^"]*)"?|(\\S+)/g, function(m, ph, w){
+      var toks = tokenize(ph !== undefined ? ph : w);
+      if(ph !== undefined && toks.length > 1) phrases.push(toks);
+      else words.push.apply(words, toks);
+      return '';
+    });
+    var terms = new Set(words);
+    phrases.forEach(function(p){ p.forEach(function(t){ terms.add(t); }); });
+    return { phrases: phrases, words: words, terms: Array.from(terms) };
+  }
+
+  function decode(str){
+    var out = [], id = 0, parts = str.split(',');
+    for(var i=0;i<parts.length;i++){ id += parseInt(parts[i], 36); out.push(id); }
+    return out;
+  }
+
+  function postings(meta, term){
+    var key = term.slice(0,2);
+    if(meta.shards.indexOf(key) < 0) return Promise.resolve([]);
+    return getJSON(INDEX + 'idx/' + key + '.json').then(function(shard){
+      return shard[term] ? decode(shard[term]) : [];
+    });
+  }
+
+  function bookOf(meta, id){
+    var lo = 0, hi = meta.books.length - 1;
+    while(lo < hi){ var mid = (lo + hi + 1) >> 1; if(meta.books[mid].start <= id) lo = mid; else hi = mid - 1; }
+    return meta.books[lo];
+  }
+  function refOf(meta, id){
+    var book = bookOf(meta, id), off = id - book.start;
+    for(var i=0;i<book.chapters.length;i++){
+      var ch = book.chapters[i];
+      if(off < ch[1]) return { book: book, chapter: ch[0], verse: off + 1, offset: id - book.start };
+      off -= ch[1];
+    }
+    return null;
+  }
+  function bookSize(book){ return book.chapters.reduce(function(n, ch){ return n + ch[1]; }, 0); }
+
+  function textsFor(meta, ids){
+    var slugs = new Set(ids.map(function(id){ return bookOf(meta, id).slug; }));
+    return Promise.all(Array.from(slugs).map(function(slug){
+      return getJSON(INDEX + 'text/' + slug + '.json').then(function(t){ return [slug, t]; });
+    })).then(function(pairs){ return new Map(pairs); });
+  }
+
+  function hasPhrase(tokens, phrase){
+    outer: for(var i=0;i<=tokens.length-phrase.length;i++){
+      for(var j=0;j<phrase.length;j++){ if(tokens[i+j] !== phrase[j]) continue outer; }
+      return true;
+    }
+    return false;
+  }
+
+  function search(q, testament, bookSlug){
+    var parsed = parseQuery(q);
+    if(!parsed.terms.length) return Promise.resolve(null);
+    return getJSON(BASE + 'meta.json').then(function(meta){
+      return Promise.all(parsed.terms.map(function(t){ return postings(meta, t); })).then(function(lists){
+        // AND the terms; score = sum of idf * (1 + ln tf)
+        var scores = null;
+        lists.forEach(function(ids){
+          var tf = new Map();
+          ids.forEach(function(id){ tf.set(id, (tf.get(id) || 0) + 1); });
+          var idf = Math.log(1 + meta.count / Math.max(1, tf.size));
+          var next = new Map();
+          tf.forEach(function(n, id){
+            if(scores && !scores.has(id)) return;
+            next.set(id, (scores ? scores.get(id) : 0) + idf * (1 + Math.log(n)));
+          });
+          scores = next;
+        });
+
+        var lo = 0, hi = meta.count;
+        var book = bookSlug ? meta.books.find(function(b){ return b.slug === bookSlug; }) : null;
+        if(bookSlug && !book) return { meta: meta, parsed: parsed, ids: [], scores: scores };
+        if(book){ lo = book.start; hi = book.start + bookSize(book); }
+        var ids = Array.from(scores.keys()).filter(function(id){
+          return id >= lo && id < hi && (!testament || bookOf(meta, id).t === testament);
+        });
+        if(!parsed.phrases.length) return { meta: meta, parsed: parsed, ids: ids, scores: scores };
+
+        // Phrases are checked against the verse text; common words make long verses
+        // match easily, so phrase hits are normalised by verse length.
+        return textsFor(meta, ids).then(function(texts){
+          ids = ids.filter(function(id){
+            var r = refOf(meta, id), toks = tokenize(texts.get(r.book.slug)[r.offset]);
+            if(!parsed.phrases.every(function(p){ return hasPhrase(toks, p); })) return false;
+            scores.set(id, scores.get(id) / Math.sqrt(toks.length));
+            return true;
+          });
+          return { meta: meta, parsed: parsed, ids: ids, scores: scores };
+        });
+      });
+    }).then(function(res){
+      if(!res) return res;
+      res.ids.sort(function(a, b){ return (res.scores.get(b) - res.scores.get(a)) || (a - b); });
+      return res;
+    });
+  }
+
+  // Marks bare query words wherever they occur, and phrase words only where the
+  // whole phrase appears.
+  function highlight(text, parsed){
+    var parts = String(text).split(/([A-Za-z0-9'’]+)/);
+    var words = [], marked = new Set();
+    for(var i=1;i<parts.length;i+=2) words.push({ at: i, tok: tokenize(parts[i]).join('') });
+    words.forEach(function(w){ if(parsed.words.indexOf(w.tok) >= 0) marked.add(w.at); });
+    parsed.phrases.forEach(function(p){
+      for(var i=0;i<=words.length-p.length;i++){
+        var j = 0;
+        while(j < p.length && words[i+j].tok === p[j]) j++;
+        if(j === p.length) for(j=0;j<p.length;j++) marked.add(words[i+j].at);
+      }
+    });
+    return parts.map(function(part, i){
+      return marked.has(i) ? '<mark>' + esc(part) + '</mark>' : esc(part);
+    }).join('');
+  }
+
+  var current = null, shown = 0;
+
+  function renderMore(){
+    var slice = current.ids.slice(shown, shown + PAGE);
+    return textsFor(current.meta, slice).then(function(texts){
+      var frag = document.createDocumentFragment();
+      slice.forEach(function(id){
+        var r = refOf(current.meta, id);
+        var label = r.book.name + ' ' + r.chapter + ':' + r.verse;
+        var li = document.createElement('li');
+        li.innerHTML = '<a class="search-results__ref" href="' + PREFIX + '/' + (r.book.path || r.book.slug) + '/' + r.chapter + '/' + r.verse + '/">' + esc(label) + '</a> '
+          + '<span class="search-results__text"' + TEXT_LANG + '>' + highlight(texts.get(r.book.slug)[r.offset], current.parsed) + '</span>';
+        frag.appendChild(li);
+      });
+      list.appendChild(frag);
+      shown += slice.length;
+      more.hidden = shown >= current.ids.length;
+    });
+  }
+
+  function run(){
+    var q = qIn.value.trim();
+    list.innerHTML = ''; more.hidden = true; current = null; shown = 0;
+    if(!q){ status.textContent = ''; return; }
+    status.textContent = i18n.t('search.searching');
+    search(q, tSel.value, bookSel.value).then(function(res){
+      if(!res){ status.textContent = i18n.t('search.empty'); return; }
+      current = res;
+      var n = res.ids.length;
+      status.textContent = n ? i18n.t('search.found', { count: n }) : i18n.t('search.none');
+      if(n) return renderMore();
+    }).catch(function(e){
+      status.textContent = i18n.t('search.unavailable', { error: e.message });
+    });
+  }
+
+  function fromURL(){
+    var p = new URLSearchParams(location.search);
+    qIn.value = p.get('q') || '';
+    tSel.value = p.get('t') || '';
+    bookSel.value = p.get('book') || '';
+    run();
+  }
+
+  form.addEventListener('submit', function(e){
+    e.preventDefault();
+    var p = new URLSearchParams();
+    if(qIn.value.trim()) p.set('q', qIn.value.trim());
+    if(tSel.value) p.set('t', tSel.value);
+    if(bookSel.value) p.set('book', bookSel.value);
+    var qs = p.toString();
+    history.pushState(null, '', BASE + (qs ? '?' + qs : ''));
+    run();
+  });
+  more.addEventListener('click', function(){ if(current) renderMore(); });
+  window.addEventListener('popstate', fromURL);
+  fromURL();
+})();
+`;
+
+// ------- Accessibility check (lib/a11y.mjs) -------
+// After every build, the first and last page of each kind (home, book, chapter,
+// verse, range, plan day, word pages, …) in every edition's directory plus the
+// theme colours go through lib/a11y.mjs; the report lands in .cache/a11y.json and
+// any error stops the build, like a dataset that fails validation. Patterns are
+// matched against the path below the edition's prefix.
+const A11Y_SAMPLES = [
+  /^index\.html$/, /^404\.html$/, /^offline\/index\.html$/, /^my\/index\.html$/, /^search\/index\.html$/,
+  /^passages\/index\.html$/, /^plans\/index\.html$/, /^plans\/[^/]+\/index\.html$/, /^plans\/[^/]+\/day\/\d+\/index\.html$/,
+  /^votd\/index\.html$/, /^compare\/index\.html$/, /^compare\/[^/]+\/[^/]+\/[^/]+\/\d+\/index\.html$/,
+  /^strongs\/index\.html$/, /^strongs\/[^/]+\/index\.html$/, /^strongs\/[^/]+\/page\/\d+\/index\.html$/,
+  /^concordance\/index\.html$/, /^concordance\/a-z\/[^/]+\/index\.html$/, /^concordance\/(?!a-z\/)[^/]+\/index\.html$/, /^concordance\/[^/]+\/page\/\d+\/index\.html$/, /^downloads\/index\.html$/,
+  /^[^/]+\/index\.html$/, /^[^/]+\/stats\/index\.html$/, /^[^/]+\/\d+\/index\.html$/, /^[^/]+\/\d+\/\d+\/index\.html$/,
+  /^[^/]+\/\d+\/\d+-\d+\/index\.html$/, /^[^/]+\/\d+\/\d+-\d+\.\d+\/index\.html$/, /^[^/]+\/\d+-\d+\/index\.html$/
+];
+
+async function checkA11y(){
+  const files = Object.keys(manifest.files).sort();
+  // file → [edition directory ("" for the default edition), path below it]
+  const dirs = new Set(EDITIONS.filter(e => e.prefix).map(e => e.prefix.slice(1)));
+  const split = (f)=>{
+    const i = f.indexOf("/");
+    return i > 0 && dirs.has(f.slice(0, i)) ? [f.slice(0, i), f.slice(i + 1)] : ["", f];
+  };
+  const picked = new Set();
+  for (const re of A11Y_SAMPLES){
+    const first = new Map(), last = new Map();
+    for (const f of files){
+      const [dir, rel] = split(f);
+      if (!re.test(rel)) continue;
+      if (!first.has(dir)) first.set(dir, f);
+      last.set(dir, f);
+    }
+    for (const f of [...first.values(), ...last.values()]) picked.add(f);
+  }
+  const pages = [];
+  for (const rel of picked) pages.push({ page: `/${rel.replace(/index\.html$/, "")}`, html: await fs.readFile(path.join(OUT_DIR, rel), "utf8") });
+  const report = checkAccessibility(pages, { themes: THEMES });
+  await writeReport(report, A11Y_FILE);
+  const rel = path.relative(__dirname, A11Y_FILE);
+  if (report.ok){ console.log("Accessibility check passed:", report.summary); return; }
+  for (const i of report.issues.slice(0, 20)) console.error(`✗ [${i.code}] ${i.message}`);
+  if (report.issues.length > 20) console.log(`  … and ${report.issues.length - 20} more`);
+  if (!NO_A11Y) throw new Error(`Accessibility check failed (${report.summary.errors} errors); see ${rel} (pass --no-a11y to build anyway)`);
+  console.warn(`Continuing despite accessibility errors (--no-a11y); see ${rel}`);
+}
+
+// ------- Build routine -------
+// Shared by every edition: assets, fonts, the offline shell, the root 404 and the edition list for embeds
+async function writeStaticAssets(){
+  await emit("assets/styles.css", CSS);
+  await emit("assets/search.js", SEARCH_JS);
+  await emit("assets/embed.js", EMBED_JS);
+  await emit("assets/compare.js", COMPARE_JS);
+  await emit("assets/pwa.js", PWA_JS);
+  await emit("assets/prefs.js", PREFS_JS);
+  await emit("assets/notes-db.js", NOTES_DB_JS);
+  await emit("assets/study.js", STUDY_JS);
+  await emit("assets/my.js", MY_JS);
+  await emit("assets/plans.js", PLANS_JS);
+  await emit("assets/votd.js", VOTD_JS);
+  await emit("assets/strongs.js", STRONGS_JS);
+  await emit("assets/listen.js", LISTEN_JS);
+  await emit("assets/keys.js", KEYS_JS);
+  await emit("assets/reader.js", READER_JS);
+  await emit("assets/icon.svg", ICON_SVG);
+  for (const ui of new Map(EDITIONS.map(ed => [ed.ui.code, ed.ui])).values()){
+    await emit(`assets/messages/${ui.code}.js`, messagesJS(ui));
+  }
+  for (const [file, src] of Object.entries(SHARED_MODULES)){
+    await emit(`assets/${file}`, (await fs.readFile(src, "utf8")).replace(/(from\s+["']\.\/[\w-]+)\.mjs(["'])/g, "$1.js$2"));
+  }
+  for (const { file } of FONT_FILES){
+    await emit(`assets/fonts/${file}`, await fs.readFile(path.join(FONTS_DIR, file)));
+  }
+  await emit("manifest.webmanifest", webManifest());
+  await emit(`${OFFLINE_DIR}/index.html`, offlinePageHTML(EDITIONS[0]));
+  await emit(`${MY_DIR}/index.html`, myPageHTML(EDITIONS[0]));
+  // textPrefix: where the edition's text lives (<textPrefix>/data/books/), its own prefix
+  // unless it reads another edition's
+  await emit("data/editions.json", JSON.stringify(EDITIONS.map(ed => ({ id: ed.id, name: ed.name, short: ed.short, year: ed.year, lang: ed.lang, dir: textDirection(ed.lang), locale: ed.ui.code, prefix: ed.prefix, textPrefix: textEdition(ed).prefix }))));
+  await emit("404.html", notFoundHTML(EDITIONS[0]));
+  await emit("CNAME", CNAME);
+  await emit(".nojekyll", "");
+}
+
+// Loads one edition's Books.json and books, hashing each for the manifest, and
+// validates the raw data → Map(slug → normalizeBook() output, named in the
+// edition's locale, plus `canonical`: the English name)
+async function loadEdition(ed){
+  ed.tagged = new Map();  // slug → normalizeBook() tagged, for Strong's word study
+  const names = await loadJSON(ed, "Books.json"); // array of canonical book names
+  const nameSet = new Set(names);
+  manifest.inputs[`data:${ed.id}:Books.json`] = hashOf(JSON.stringify(names));
+
+  const books = new Map(), raws = new Map();
+  for (const name of [...OT, ...NT]){
+    if (!nameSet.has(name)) {
+      console.warn(`Warning: ${name} missing from ${ed.id} Books.json — skipping`);
+      raws.set(name, { error: "not listed in Books.json" });
+      continue;
+    }
+    const slug = slugify(name);
+    const raw = await loadJSON(ed, fileFromName(name)); // e.g., SongofSolomon.json
+    const { tagged, ...book } = normalizeBook(name, raw);
+    book.canonical = name;  // the English name, which the data files go by
+    book.name = ed.ui.books[slug].name;
+    raws.set(name, { data: raw });
+    books.set(slug, book);
+    if (tagged) ed.tagged.set(slug, tagged);
+    manifest.inputs[`data:${ed.id}:${fileFromName(name)}`] = hashOf(JSON.stringify({ book, tagged }));
+  }
+  if (ed.strongsDir) await loadTagged(ed, books);
+  if (ed.audioDir) ed.audio = await loadAudio(ed, books);
+  ed.strongsCodes = new Set();
+  for (const chapters of ed.tagged.values()) for (const verses of Object.values(chapters))
+    for (const spans of Object.values(verses)) for (const [, codes] of spans) for (const c of codes) ed.strongsCodes.add(c);
+
+  // Never publish a dataset that fails the canon checks (see validate.mjs)
+  const report = validateDataset({ index: names, books: raws, versification: ed.versification });
+  const file = reportFile(__dirname, ed);
+  await writeReport(report, file);
+  if (!report.ok){
+    printReport(report, { limit: 10 });
+    if (!NO_VALIDATE) throw new Error(`${ed.name} failed validation; see ${path.relative(__dirname, file)} (pass --no-validate to build anyway)`);
+    console.warn(`Continuing despite ${ed.id} validation errors (--no-validate)`);
+  }
+  return books;
+}
+
+// An edition reading another's text: that edition's books (its loadEdition() output),
+// named in this one's locale, and its word tags and recordings
+function readingEdition(ed, text){
+  Object.assign(ed, { tagged: text.ed.tagged, audio: text.ed.audio, strongsCodes: text.ed.strongsCodes });
+  return new Map([...text.books].map(([slug, book]) => [slug, { ...book, name: ed.ui.books[slug].name }]));
+}
+
+// strongsDir: the same books with Strong's-tagged text, file for file. Only the
+// tags are kept; a book without its tagged file just has no word study.
+async function loadTagged(ed, books){
+  let found = 0;
+  for (const [slug, book] of books){
+    const file = fileFromName(book.canonical);
+    let raw;
+    try { raw = JSON.parse(await fs.readFile(path.join(ed.strongsDir, file), "utf8")); }
+    catch { continue; }
+    const { tagged } = normalizeBook(book.name, raw);
+    if (!tagged){ console.warn(`Warning: no Strong's tags in ${path.relative(__dirname, path.join(ed.strongsDir, file))}`); continue; }
+    ed.tagged.set(slug, tagged);
+    manifest.inputs[`strongs:${ed.id}:${file}`] = hashOf(JSON.stringify(tagged));
+    found++;
+  }
+  if (found < books.size) console.warn(`Warning: Strong's-tagged text for ${found} of ${books.size} ${ed.id} books in ${path.relative(__dirname, ed.strongsDir) || "."}`);
+}
+
+function flattenRefs(booksMap){
+  const out = [];
+  for (const name of [...OT, ...NT]){
+    const slug = slugify(name);
+    const book = booksMap.get(slug);
+    if (!book) continue;
+    const chNums = Object.keys(book.chapters).map(Number).sort((a,b)=>a-b);
+    for (const ch of chNums){
+      const { verses, verseCount } = book.chapters[ch];
+      for (let v=1; v<=verseCount; v++){
+        const text = verses[String(v)] ?? "";
+        out.push({ bookName: book.name, bookSlug: slug, chapter: ch, verse: v, text });
+      }
+    }
+  }
+  return out;
+}
+
+// Every chapter in canonical order: [{ bookName, bookSlug, chapter }, ...]
+function chapterList(booksMap){
+  const out = [];
+  for (const name of [...OT, ...NT]){
+    const slug = slugify(name);
+    const book = booksMap.get(slug);
+    if (!book) continue;
     const chNums = Object.keys(book.chapters).map(Number).sort((a,b)=>a-b);
+    for (const ch of chNums) out.push({ bookName: book.name, bookSlug: slug, chapter: ch });
+  }
+  return out;
+}
 
-    // /book/
-    await fs.mkdir(path.join(OUT_DIR, slug), { recursive: true });
-    await fs.writeFile(path.join(OUT_DIR, slug, "index.html"),
-      bookIndexHTML(book.name, slug, chNums.length));
 
-    // /book/chapter/
+// ------- Share images (/<book>/<chapter>/<verse>/share.png) -------
+// A 1200×630 card per verse (lib/share-image.mjs) set in EB Garamond from fonts/,
+// for og:image and the "Download image" share button. SHARE_IMAGES picks the
+// verses: "popular" (the verse of the day list and passages.json), "all" or
+// "none"; other verse pages keep the logo. Each card is keyed on its text and the
+// renderer's inputs, so unchanged cards aren't drawn again.
+const SHARE_IMAGE_FILE = "share.png";
+const SHARE_COLOURS = THEMES.sepia;
+let shareFonts = null;
+
+// { regular, bold } font stacks: Latin, then Latin Extended (as FONT_RANGES splits them)
+async function loadShareFonts(){
+  if (!shareFonts){
+    const stack = async (weight)=> Promise.all(FONT_FILES.filter(f => f.weight === weight)
+      .map(async f => readFont(await fs.readFile(path.join(FONTS_DIR, f.file)))));
+    shareFonts = { regular: await stack(400), bold: await stack(700) };
+  }
+  return shareFonts;
+}
+
+// → Set("slug/chapter/verse") of the verses to draw
+async function shareImageVerses(ed, refs, passages){
+  if (SHARE_IMAGES === "none") return new Set();
+  if (SHARE_IMAGES === "all") return new Set(refs.map(r => `${r.bookSlug}/${r.chapter}/${r.verse}`));
+  const out = new Set();
+  const votd = await loadVotd(ed.nav);
+  for (const v of [...votd.verses, ...Object.values(votd.dates)]) out.add(`${v.bookSlug}/${v.chapter}/${v.verse}`);
+  const have = new Set(refs.map(r => `${r.bookSlug}/${r.chapter}/${r.verse}`));
+  for (const p of passages){
+    if (p.kind !== "verse" && p.kind !== "range") continue;
+    for (const r of refs){
+      if (r.bookSlug !== p.bookSlug) continue;
+      const at = r.chapter * 1000 + r.verse;
+      if (at >= p.start.chapter * 1000 + p.start.verse && at <= p.end.chapter * 1000 + p.end.verse) out.add(`${r.bookSlug}/${r.chapter}/${r.verse}`);
+    }
+  }
+  return new Set([...out].filter(k => have.has(k)));
+}
+
+async function writeShareImages(ed, refs, passages){
+  const keys = await shareImageVerses(ed, refs, passages);
+  if (!keys.size) return keys;
+  const fonts = await loadShareFonts();
+  const renderer = hashOf(JSON.stringify([
+    ...["lib/font.mjs", "lib/share-image.mjs", ...FONT_FILES.map(f => `fonts/${f.file}`)].map(f => manifest.inputs[`template:${f}`]),
+    SHARE_COLOURS
+  ]));
+  // The card fonts are Latin only: names in other scripts are drawn in English
+  const drawable = (text, fallback)=> /^[\p{Script=Latin}\p{N}\p{P}\p{S}\p{Zs}]*$/u.test(text) ? text : fallback;
+  const title = drawable(msg(ed, "share.cardTitle", { edition: ed.name }), `The Holy Bible · ${ed.name}`), site = new URL(SITE).host;
+  const list = refs.filter(r => inScope(r.bookSlug) && keys.has(`${r.bookSlug}/${r.chapter}/${r.verse}`));
+  await mapLimit(list, 1, async (r)=>{
+    const name = drawable(r.bookName, CANONICAL_NAMES.get(r.bookSlug));
+    const card = { text: r.text, reference: `${name} ${r.chapter}:${r.verse}`, title, site };
+    await emitRendered(outPath(ed, `${bookPath(ed, r.bookSlug)}/${r.chapter}/${r.verse}/${SHARE_IMAGE_FILE}`), hashOf(JSON.stringify([renderer, card])),
+      ()=> renderShareImage(card, { ...fonts, colours: SHARE_COLOURS }));
+  }, progress(`Share images (${ed.short})`));
+  return keys;
+}
+
+// ------- Downloads (/downloads/: EPUB of the whole Bible and of each book) -------
+// lib/epub.mjs builds the books; anchors follow the site's paths, so John 3:16 is
+// #john-3-16 in the EPUB and /john/3/16/ on the site. Like share images, each EPUB
+// is keyed on its inputs and only rebuilt when the text or the templates change.
+// A passage as a print-ready PDF comes from `npm run pdf` (pdf.mjs) instead.
+const DOWNLOADS_DIR = "downloads";
+const downloadUrl = (ed, file)=> `${textEdition(ed).prefix}/${DOWNLOADS_DIR}/${file}`;
+
+const EPUB_CSS = `body{font-family:"EB Garamond",Garamond,Georgia,serif;line-height:1.5;margin:0 5%}
+h1{font-size:1.8em;text-align:center;margin:1.5em 0 1em}
+h2{font-size:1.25em;margin:1.5em 0 .5em;page-break-after:avoid;break-after:avoid}
+p.verse{margin:0 0 .35em;text-indent:0}
+.vnum{font-size:.7em;font-weight:bold;vertical-align:super;line-height:0;color:#6b5a3a}
+.titlepage{text-align:center;margin-top:20%}
+.subtitle{font-size:1.2em;font-style:italic}
+nav ol{list-style:none;padding-inline-start:1em}
+`;
+
+const epubAnchor = ({ bookSlug, chapter, verse })=> [bookSlug, chapter, verse].filter(x => x != null).join("-");
+
+function epubBook(slug, book){
+  const chapters = Object.keys(book.chapters).map(Number).sort((a,b)=>a-b).map(chapter => {
+    const { verses, verseCount } = book.chapters[chapter];
+    return { chapter, verses: Array.from({ length: verseCount }, (_, i) => ({ verse: i + 1, text: verses[String(i + 1)] ?? "" })) };
+  });
+  return { name: book.name, slug, chapters };
+}
+
+async function writeDownloads(ed, books){
+  const template = ["lib/epub.mjs", "lib/zip.mjs"].map(f => manifest.inputs[`template:${f}`]);
+  const meta = {
+    language: ed.lang, publisher: SITE_CONFIG.publisher.name, source: `${SITE}${ed.prefix}/`, css: EPUB_CSS,
+    labels: { contents: msg(ed, "epub.contents"), chapter: msg(ed, "epub.chapter"), psalm: msg(ed, "epub.psalm") }
+  };
+  const dataKey = (list)=> list.map(b => manifest.inputs[`data:${ed.id}:${fileFromName(books.get(b.slug).canonical)}`]);
+  // dcterms:modified is the newest of the books' data files, so the same data gives
+  // the same EPUB bytes; data fetched from `bases` has no date but the build's
+  const modifiedOf = (list)=> list.map(b => manifest.modified[`data:${ed.id}:${fileFromName(books.get(b.slug).canonical)}`] || manifest.startedAt).sort().at(-1);
+  const all = [...books.entries()].map(([slug, book]) => epubBook(slug, book));
+  const testament = (ot)=> all.filter(b => OT_SLUGS.has(b.slug) === ot);
+
+  const files = [];
+  // Books outside a partial build's --books keep last build's file (and size)
+  const write = async (file, label, info, render = true)=>{
+    const rel = outPath(ed, `${DOWNLOADS_DIR}/${file}`);
+    const books = info.groups.flatMap(g => g.books);
+    const epub = { identifier: `${SITE}${downloadUrl(ed, file)}`, ...meta, ...info, modified: modifiedOf(books) };
+    if (render) await emitRendered(rel, hashOf(JSON.stringify([template, { ...epub, groups: info.groups.map(g => [g.title, g.books.map(b => b.name)]) }, dataKey(books)])),
+      ()=> buildEpub({ ...epub, anchor: epubAnchor }));
+    files.push({ file, label, size: (await fs.stat(path.join(OUT_DIR, ...rel.split("/")))).size });
+  };
+
+  await write(`${ed.id}.epub`, msg(ed, "downloads.whole", { edition: ed.short }), {
+    title: msg(ed, "site.title"), subtitle: ed.name,
+    groups: [{ title: msg(ed, "testament.ot"), books: testament(true) }, { title: msg(ed, "testament.nt"), books: testament(false) }].filter(g => g.books.length)
+  });
+  await mapLimit(all, 1, (b)=> write(`${b.slug}.epub`, b.name, { title: b.name, subtitle: msg(ed, "share.cardTitle", { edition: ed.name }), groups: [{ title: null, books: [b] }] }, inScope(b.slug)),
+    progress(`EPUB downloads (${ed.short})`));
+  await emit(outPath(ed, `${DOWNLOADS_DIR}/index.html`), downloadsHTML(files, ed));
+}
+
+function downloadsHTML(files, ed){
+  const num = numberFormat(ed);
+  const size = (n)=> n >= 1048576 ? `${num(n / 1048576, 1)} MB` : `${num(Math.max(1, Math.round(n / 1024)))} KB`;
+  const item = ({ file, label, size: n })=> `<li><a href="${downloadUrl(ed, file)}" download>${escapeHtml(label)}</a> <span class="downloads__size">EPUB, ${size(n)}</span></li>`;
+  const [whole, ...rest] = files;
+  const at = { page: `/${DOWNLOADS_DIR}/`, has: (other)=> !other.textOf };
+  return `<!DOCTYPE html><html ${pageLang(ed)}><head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(msg(ed, "downloads.title", { edition: ed.short }))}</title>
+${headLinksHTML(ed)}
+<link rel="stylesheet" href="/assets/styles.css">
+<link rel="canonical" href="${SITE}${ed.prefix}/${DOWNLOADS_DIR}/">
+${alternateLinksHTML(ed, at)}
+<meta name="description" content="${escapeHtml(msg(ed, "downloads.description", { edition: ed.name }))}">
+<meta name="robots" content="index,follow">
+</head><body>
+${skipLinkHTML(ed)}
+${siteHeaderHTML(ed, { subtitle: escapeHtml(ed.name), nav: [{ href: `${SITE}${ed.prefix}/`, label: msg(ed, "site.title") }, { href: `${ed.prefix}/search/`, label: msg(ed, "nav.search") }], after: editionSwitchHTML(ed, at) })}
+<main id="main" class="container">
+  <h1>${msg(ed, "nav.downloads")}</h1>
+  <p>${msg(ed, "downloads.intro")}</p>
+  <ul class="booklist">${item(whole)}</ul>
+  <h2>${msg(ed, "downloads.books")}</h2>
+  <ul class="booklist" style="columns:3">${rest.map(item).join("")}</ul>
+  <p>${msg(ed, "downloads.print")}</p>
+</main>
+${siteFooterHTML(ed)}
+</body></html>`;
+}
+
+// ------- Redirects from English book slugs -------
+// A locale that gives a book its own path (/juan/3/16/) keeps the English one
+// (/john/3/16/) working for old links and hand-typed URLs: GitHub Pages has no
+// server redirects, so each is a small noindex page that refreshes to the new one.
+function redirectHTML(ed, to, reference){
+  return `<!DOCTYPE html>
+<html ${pageLang(ed)}>
+<head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHtml(msg(ed, "page.title", { edition: ed.short, reference }))}</title>
+<meta http-equiv="refresh" content="0; url=${to}">
+<link rel="canonical" href="${SITE}${to}">
+<link rel="stylesheet" href="/assets/styles.css">
+<meta name="robots" content="noindex">
+</head>
+<body>
+${skipLinkHTML(ed)}
+<main id="main" class="container">
+  <h1 class="ref">${escapeHtml(reference)}</h1>
+  <p>${msg(ed, "redirect.body", { link: `<a href="${to}">${SITE}${to}</a>` })}</p>
+</main>
+</body>
+</html>`;
+}
+
+// Book and chapter pages only: a verse under an English book path gets 404.html,
+// whose script (NOT_FOUND_JS) sends it on
+async function writeSlugRedirects(ed, books){
+  let count = 0;
+  for (const [slug, book] of books.entries()){
+    if (bookPath(ed, slug) === slug || !inScope(slug)) continue;
+    await emit(outPath(ed, `${slug}/index.html`), redirectHTML(ed, bookUrl(slug, ed), book.name));
+    for (const chapter of Object.keys(book.chapters)){
+      const ref = { bookSlug: slug, chapter: Number(chapter) };
+      await emit(outPath(ed, `${slug}/${chapter}/index.html`), redirectHTML(ed, chapterUrl(ref, ed), `${book.name} ${chapter}`));
+    }
+    count += Object.keys(book.chapters).length + 1;
+  }
+  if (count) console.log(`Redirects from English book paths (${ed.short}):`, { pages: count });
+}
+
+// ------- Verse pages (main thread or worker_threads) -------
+// Workers re-enter this file (see "Run" below) and render the same pageHTML, so
+// output is byte-identical either way; the main thread does all the writing.
+const RENDER_CHUNK = 500;
+
+function versePageHTML(refs, i, ed){
+  const curr = refs[i];
+  const prev = i>0 ? refs[i-1] : null;
+  const next = i<refs.length-1 ? refs[i+1] : null;
+  return pageHTML({
+    bookName: curr.bookName,
+    bookSlug: curr.bookSlug,
+    chapter: curr.chapter,
+    verse: curr.verse,
+    verseText: curr.text,
+    tagged: taggedOf(ed, curr),
+    totalVerses: ed.nav.books[curr.bookSlug].verses[String(curr.chapter)],
+    prevRef: prev ? { bookSlug: prev.bookSlug, chapter: prev.chapter, verse: prev.verse } : null,
+    nextRef: next ? { bookName: next.bookName, bookSlug: next.bookSlug, chapter: next.chapter, verse: next.verse } : null,
+    ...chapterNeighbours(refs, i),
+    related: relatedOf(refs, i, ed),
+    ed
+  });
+}
+
+// The chapters before and after refs[i]'s (for Shift+←/→), walking refs from i
+function chapterNeighbours(refs, i){
+  const same = (a, b)=> a.bookSlug === b.bookSlug && a.chapter === b.chapter;
+  let start = i, end = i;
+  while (start > 0 && same(refs[start - 1], refs[i])) start--;
+  while (end < refs.length - 1 && same(refs[end + 1], refs[i])) end++;
+  return { prevChapter: start > 0 ? refs[start - 1] : null, nextChapter: end < refs.length - 1 ? refs[end + 1] : null };
+}
+
+// Worker side: workerData = { refs, edId, editions }; each message is a [start, end) slice
+function renderWorker(){
+  const { refs, edId, editions } = workerData;
+  EDITIONS.push(...editions);
+  const ed = EDITIONS.find(e => e.id === edId);
+  parentPort.on("message", ([start, end])=>{
+    const pages = [];
+    for (let i=start; i<end; i++) pages.push(versePageHTML(refs, i, ed));
+    parentPort.postMessage(pages);
+  });
+}
+
+function runOnWorker(worker, msg){
+  return new Promise((resolve, reject)=>{
+    const onMessage = (m)=>{ worker.off("error", onError); resolve(m); };
+    const onError = (e)=>{ worker.off("message", onMessage); reject(e); };
+    worker.once("message", onMessage);
+    worker.once("error", onError);
+    worker.postMessage(msg);
+  });
+}
+
+async function writeVersePages(ed, refs){
+  const tick = progress(`Verse pages (${ed.short})`);
+  const relOf = (r)=> outPath(ed, `${bookPath(ed, r.bookSlug)}/${r.chapter}/${r.verse}/index.html`);
+  const todo = refs.map((r, i)=> i).filter(i => inScope(refs[i].bookSlug));
+  if (!RENDER_WORKERS){
+    await mapLimit(todo, CONCURRENCY, (i)=> emit(relOf(refs[i]), versePageHTML(refs, i, ed)), tick);
+    return;
+  }
+
+  const workers = Array.from({ length: RENDER_WORKERS }, ()=>
+    new Worker(new URL(import.meta.url), { workerData: { refs, edId: ed.id, editions: EDITIONS } }));
+  const idle = [...workers];
+  // [start, end) runs of consecutive pages to render (a partial build's books are contiguous)
+  const chunks = [];
+  for (const i of todo){
+    const last = chunks[chunks.length - 1];
+    if (last && last[1] === i && i - last[0] < RENDER_CHUNK) last[1] = i + 1;
+    else chunks.push([i, i + 1]);
+  }
+  const writeLimit = Math.max(1, Math.ceil(CONCURRENCY / workers.length));
+  let done = 0;
+  try {
+    await mapLimit(chunks, workers.length, async ([start, end])=>{
+      const worker = idle.pop();
+      const pages = await runOnWorker(worker, [start, end]);
+      idle.push(worker);
+      await mapLimit(pages, writeLimit, (html, k)=> emit(relOf(refs[start + k]), html));
+      done += pages.length;
+      tick(done, todo.length);
+    });
+  } finally {
+    await Promise.all(workers.map(w => w.terminate()));
+  }
+}
+
+// IMPORTANT: include /book/ and /book/chapter/ hubs in sitemaps with lastmod
+// (lastmod is when each page's content last changed, from the build manifest)
+function urlsByBook(ed, refs, booksMap){
+  const map = new Map(); // slug -> [{loc,lastmod}, ...]
+  const entry = (urlPath)=> ({ loc: `${SITE}${urlPath}`, lastmod: lastmodOf(urlPath) });
+
+  // Seed each book with its book index + chapter index pages
+  for (const [slug, book] of booksMap.entries()){
+    const chNums = Object.keys(book.chapters).map(Number).sort((a,b)=>a-b);
+    const arr = map.get(slug) || [];
+    arr.push(entry(bookUrl(slug, ed)));
+    for (const ch of chNums){
+      arr.push(entry(chapterUrl({ bookSlug: slug, chapter: ch }, ed)));
+    }
+    map.set(slug, arr);
+  }
+
+  // Add all verse URLs
+  for (const r of refs){
+    const arr = map.get(r.bookSlug) || [];
+    arr.push(entry(verseUrl(r, ed)));
+    map.set(r.bookSlug, arr);
+  }
+  return map;
+}
+
+// Nav payload (books -> {name, chapters, versesPerChapter, path?, abbr?}) for one
+// edition, named in its locale; path is the book's URL segment when not the slug
+function navPayloadOf(ed, books){
+  const navBooks = {};
+  for (const [slug, book] of books.entries()){
+    const chNums = Object.keys(book.chapters).map(Number).sort((a,b)=>a-b);
+    const verses = {};
     for (const ch of chNums){
-      await fs.mkdir(path.join(OUT_DIR, slug, String(ch)), { recursive: true });
-      const versesCount = book.chapters[ch].verseCount || 1;
-      await fs.writeFile(path.join(OUT_DIR, slug, String(ch), "index.html"),
-        chapterIndexHTML(book.name, slug, ch, versesCount));
+      verses[String(ch)] = book.chapters[ch].verseCount || 1;
+    }
+    const { path, abbr } = ed.ui.books[slug];
+    navBooks[slug] = { name: book.name, chapters: chNums.length, verses, ...(path !== slug && { path }), ...(abbr.length && { abbr }) };
+  }
+  const list = (names)=> names.map(n => ({ name: ed.ui.books[slugify(n)].name, slug: slugify(n) }));
+  return {
+    site: SITE,
+    edition: ed.id,
+    books: navBooks,
+    ot: list(OT),
+    nt: list(NT)
+  };
+}
+
+// Every page, data file, API file and sitemap of one edition, under its prefix.
+// → sitemap URLs for the index
+// An edition reading another's text (ed.textOf) gets its reading pages, data/nav.json,
+// plans, verse of the day and search page here; the text edition, built first, has
+// the files they share.
+async function buildEdition(ed, books, concordance){
+  const navPayload = ed.nav;
+  const own = !ed.textOf;
+  const refs = flattenRefs(books);
+  console.log(`${ed.name}: ${books.size} books; generating ${refs.length} verse pages…`, { concurrency: CONCURRENCY, workers: RENDER_WORKERS });
+
+  // Related verses: listed on verse pages, marked on chapter pages
+  ed.xrefs = await loadCrossRefs(ed, refs);
+  // Strong's numbers: which verses use each, and ed.lexicon for word study
+  const strongsUses = await loadStrongs(ed, refs);
+
+  if (want("home")) await emit(outPath(ed, "index.html"), homeHTML(ed));
+
+  // Chapter recordings (<prefix>/audio/<slug>/<chapter>.mp3) for the Listen control
+  if (want("audio") && own) await writeAudio(ed);
+
+  // Write book index pages (HTML crawl paths)
+  for (const [slug, book] of books.entries()){
+    if (!want("books") || !inScope(slug)) continue;
+    const chNums = Object.keys(book.chapters).map(Number).sort((a,b)=>a-b);
+
+    // /book/
+    await emit(outPath(ed, `${bookPath(ed, slug)}/index.html`), bookIndexHTML(book.name, slug, chNums.length, ed));
+  }
+
+  // /book/chapter/ reading pages; prev/next run across book boundaries
+  const chapterSeq = chapterList(books);
+  if (want("chapters")) await mapLimit(chapterSeq, CONCURRENCY, async ({ bookName, bookSlug, chapter }, i)=>{
+    if (!inScope(bookSlug)) return;
+    const { verses, verseCount } = books.get(bookSlug).chapters[chapter];
+    const list = [];
+    for (let v=1; v<=verseCount; v++) list.push({ chapter, verse: v, text: verses[String(v)] ?? "" });
+
+    await emit(outPath(ed, `${bookPath(ed, bookSlug)}/${chapter}/index.html`), chapterHTML({
+      bookName, bookSlug, chapter,
+      verses: list,
+      prevChapter: chapterSeq[i-1] || null,
+      nextChapter: chapterSeq[i+1] || null,
+      ed
+    }));
+  }, progress(`Chapter pages (${ed.short})`));
+
+  // Per-book data for the embed widget and offline reading: normalizeBook() output,
+  // as rendered here; data/offline.json lists it for "Download whole Bible"
+  const text = textEdition(ed);
+  const dataFiles = [[`${ed.prefix}/data/nav.json`, JSON.stringify(navPayload)]];
+  for (const [slug, book] of books.entries()){
+    dataFiles.push([`${text.prefix}/data/books/${slug}.json`, JSON.stringify(own ? book : { ...book, name: text.nav.books[slug].name })]);
+  }
+  if (want("data")){
+    for (const [url, json] of dataFiles) if (own || !url.startsWith(`${text.prefix}/data/books/`)) await emit(url.slice(1), json);
+    await emit(outPath(ed, "data/offline.json"), offlineBundleJSON(ed, dataFiles));
+  }
+
+  // Popular passage ranges; single verses and whole chapters already have pages
+  const passages = await loadPassages(navPayload);
+  const passageEntries = [];
+  for (const p of passages){
+    let url;
+    if (p.kind === "range" || p.kind === "chapters"){
+      url = `${ed.prefix}${rangePath(p)}`;
+      if (want("passages") && inScope(p.bookSlug)){
+        const verses = selectRange(books.get(p.bookSlug), p.start, p.end);
+        await emit(`${url.slice(1)}index.html`, passageHTML({ passage: p, verses, ed }));
+      }
+    } else if (p.kind === "chapter"){
+      url = chapterUrl({ bookSlug: p.bookSlug, chapter: p.start.chapter }, ed);
+    } else if (p.kind === "verse"){
+      url = verseUrl({ bookSlug: p.bookSlug, ...p.start }, ed);
+    } else {
+      url = bookUrl(p.bookSlug, ed);
     }
+    passageEntries.push({ passage: p, label: formatPassage(p), url });
   }
+  if (want("passages")) await emit(outPath(ed, "passages/index.html"), passagesIndexHTML(passageEntries, ed));
+
+  // Reading plans (/plans/<id>/day/<n>/)
+  const planUrls = want("plans") ? await writePlans(ed, navPayload) : [];
+
+  // Verse of the Day page, feeds and JSON (<prefix>/votd/)
+  if (want("votd")) await writeVotd(ed, refs, navPayload);
+
+  // Strong's number pages (<prefix>/strongs/<code>/)
+  const strongsUrls = want("strongs") && own ? await writeStrongs(ed, refs, strongsUses) : [];
+
+  // Concordance word pages, A–Z index and /book/stats/ pages
+  const concordanceUrls = want("concordance") && own ? await writeConcordance(ed, concordance, refs) : [];
+
+  // EPUB downloads (<prefix>/downloads/)
+  if (want("downloads") && own) await writeDownloads(ed, books);
+
+  // Share cards (/book/chapter/verse/share.png); verse pages use them as og:image
+  if (!own) ed.shareImages = text.shareImages;
+  else ed.shareImages = want("share") ? await writeShareImages(ed, refs, passages) : await shareImageVerses(ed, refs, passages);
 
   // Create per-verse pages
-  for (let i=0; i<refs.length; i++){
-    const curr = refs[i];
-    const prev = i>0 ? refs[i-1] : null;
-    const next = i<refs.length-1 ? refs[i+1] : null;
-
-    const outDir = path.join(OUT_DIR, curr.bookSlug, String(curr.chapter), String(curr.verse));
-    await ensureDir(outDir);
-
-    const html = pageHTML({
-      bookName: curr.bookName,
-      bookSlug: curr.bookSlug,
-      chapter: curr.chapter,
-      verse: curr.verse,
-      verseText: curr.text,
-      totalVerses: books.get(curr.bookSlug).chapters[curr.chapter].verseCount,
-      prevRef: prev ? { bookSlug: prev.bookSlug, chapter: prev.chapter, verse: prev.verse } : null,
-      nextRef: next ? { bookSlug: next.bookSlug, chapter: next.chapter, verse: next.verse } : null,
-      navPayload: navPayloadBase
-    });
+  if (want("verses")) await writeVersePages(ed, refs);
+
+  // English book paths → localized ones (/es/john/3/ → /es/juan/3/)
+  if (want("redirects")) await writeSlugRedirects(ed, books);
+
+  // ---- JSON API (<prefix>/api/v1/) ----
+  if (want("api") && own){
+    const apiStats = await writeApi(ed, books, refs, chapterSeq, navPayload);
+    console.log(`API (${ed.short}):`, apiStats);
+  }
 
-    await fs.writeFile(path.join(outDir, "index.html"), html);
+  // ---- Search index (<prefix>/search/) ----
+  if (want("search")){
+    const searchStats = await writeSearchIndex(ed, refs, own);
+    console.log(`Search index (${ed.short}):`, searchStats);
   }
 
-  // ---- Sitemaps (with <lastmod> & added hubs) ----
-  const byBook = urlsByBook(refs, books);  // now includes /book/ and /book/chapter/
-  const smDir = path.join(OUT_DIR, "sitemaps");
-  await ensureDir(smDir);
+  // Partial builds leave the sitemaps as they are: they list every group's pages
+  if (PARTIAL) return [];
+
+  // ---- Sitemaps (with <lastmod> & added hubs), one set per edition ----
+  const byBook = urlsByBook(ed, refs, books);  // now includes /book/ and /book/chapter/
+  for (const { passage, url } of passageEntries){
+    if (passage.kind === "range" || passage.kind === "chapters"){
+      byBook.get(passage.bookSlug).push({ loc: `${SITE}${url}`, lastmod: lastmodOf(url) });
+    }
+  }
+  const smDir = ed.isDefault ? "sitemaps" : `sitemaps/${ed.id}`;
 
-  // main.xml for homepage only (optional)
-  const buildDate = new Date().toISOString();
-  await fs.writeFile(path.join(smDir, "main.xml"),
-    renderUrlsetWithLastmod([{ loc: `${SITE}/`, lastmod: buildDate }]));
+  // main.xml for the edition's home and hub pages
+  const hubs = ["/", `/${SEARCH_DIR}/`, "/passages/", `/${VOTD_DIR}/`, ...(own ? [`/${DOWNLOADS_DIR}/`, "/api/"] : [])];
+  await emit(`${smDir}/main.xml`,
+    renderUrlsetWithLastmod(hubs.map(u => ({ loc: `${SITE}${ed.prefix}${u}`, lastmod: lastmodOf(`${ed.prefix}${u}`) }))));
 
   // per-book files
-  const smEntries = [`${SITE}/sitemaps/main.xml`];
+  const smEntries = [`${SITE}/${smDir}/main.xml`];
+  if (planUrls.length){
+    await emit(`${smDir}/${PLANS_DIR}.xml`, renderUrlsetWithLastmod(planUrls));
+    smEntries.push(`${SITE}/${smDir}/${PLANS_DIR}.xml`);
+  }
+  if (strongsUrls.length){
+    await emit(`${smDir}/${STRONGS_DIR}.xml`, renderUrlsetWithLastmod(strongsUrls));
+    smEntries.push(`${SITE}/${smDir}/${STRONGS_DIR}.xml`);
+  }
+  if (own){
+    await emit(`${smDir}/${CONCORDANCE_DIR}.xml`, renderUrlsetWithLastmod(concordanceUrls));
+    smEntries.push(`${SITE}/${smDir}/${CONCORDANCE_DIR}.xml`);
+  }
   for (const [slug, items] of byBook.entries()){
-    await fs.writeFile(path.join(smDir, `${slug}.xml`), renderUrlsetWithLastmod(items));
-    smEntries.push(`${SITE}/sitemaps/${slug}.xml`);
+    await emit(`${smDir}/${slug}.xml`, renderUrlsetWithLastmod(items));
+    smEntries.push(`${SITE}/${smDir}/${slug}.xml`);
+  }
+  console.log(`${ed.name} complete:`, { pages: refs.length, sitemaps: smEntries.length });
+  return smEntries;
+}
+
+async function buildAll(){
+  await loadManifest();
+  const firstRun = !Object.keys(manifest.prev.files).length;
+  if (PARTIAL){
+    const unknown = (ONLY || []).filter(g => !BUILD_GROUPS.includes(g));
+    if (unknown.length) throw new Error(`Unknown build group "${unknown[0]}" (use ${BUILD_GROUPS.join(", ")})`);
+    if (FORCE || firstRun || !(await exists(OUT_DIR))) throw new Error("--only and --books update a full build: run `npm run build` first");
+    manifest.files = { ...manifest.prev.files };  // outputs not rebuilt stay as they are
+    console.log("Partial build:", { groups: ONLY || "all", books: BOOKS_ONLY || "all" });
+  }
+  if (FORCE || firstRun || !(await exists(OUT_DIR))){
+    manifest.prev = { inputs:{}, files:{} };
+    await cleanOut();
+  }
+  EDITIONS.push(...await loadEditions(__dirname));
+  // Interface language: the edition's locale, else its text's when there's a catalogue for it
+  const defaults = { "site.title": SITE_CONFIG.title };
+  for (const ed of EDITIONS) ed.ui = await loadLocale(__dirname, ed.locale ?? ed.lang, { optional: ed.locale == null, defaults });
+  await hashCodeAndConfig();
+
+  // Editions with a text of their own first: the others take theirs from them
+  const loaded = [];
+  for (const ed of EDITIONS) if (!ed.textOf) loaded.push({ ed, books: await loadEdition(ed) });
+  for (const ed of EDITIONS) if (ed.textOf) loaded.push({ ed, books: readingEdition(ed, loaded.find(l => l.ed.id === ed.textOf)) });
+
+  const changed = changedInputs();
+  if (!PARTIAL && Object.keys(manifest.prev.files).length && !changed.length){
+    console.log("Up to date: no book data, template or config changes since the last build (use --force to rebuild).");
+    return;
+  }
+  if (Object.keys(manifest.prev.files).length) console.log("Changed inputs:", changed.join(", "));
+
+  // Every edition's nav first: edition switchers link across editions
+  for (const { ed, books } of loaded) ed.nav = navPayloadOf(ed, books);
+  if (want("assets")) await writeStaticAssets();
+
+  // Every edition's concordance first too: word pages link to the same word elsewhere
+  const concordances = new Map();
+  if (want("concordance")) for (const { ed, books } of loaded){
+    if (ed.textOf) continue;
+    const c = buildConcordance(flattenRefs(books), { fold: FOLD_ARCHAIC });
+    concordances.set(ed.id, c);
+    ed.headwords = concordanceWords(c);
+  }
+
+  const smEntries = [];
+  for (const { ed, books } of loaded) smEntries.push(...await buildEdition(ed, books, concordances.get(ed.id)));
+  if (want("compare")) smEntries.push(...await writeComparePages(loaded));
+  if (want("assets")) await writeServiceWorker();
+  if (PARTIAL){
+    await checkA11y();
+    await saveManifest();
+    console.log("Partial build complete:", manifest.stats);
+    return;
   }
 
   // sitemap index + alias sitemap.xml
   const smIndex = renderSitemapIndex(smEntries);
-  await fs.writeFile(path.join(OUT_DIR, "sitemap-index.xml"), smIndex);
-  await fs.writeFile(path.join(OUT_DIR, "sitemap.xml"), smIndex);
+  await emit("sitemap-index.xml", smIndex);
+  await emit("sitemap.xml", smIndex);
 
   // robots.txt → index
-  await fs.writeFile(path.join(OUT_DIR, "robots.txt"),
-    `User-agent: *\nAllow: /\nSitemap: ${SITE}/sitemap-index.xml\n`);
+  await emit("robots.txt", `User-agent: *\nAllow: /\nSitemap: ${SITE}/sitemap-index.xml\n`);
 
-  console.log("Build complete:", { pages: refs.length, out: OUT_DIR, sitemaps: smEntries.length });
+  await pruneOutputs();
+  await checkA11y();
+  await saveManifest();
+  console.log("Build complete:", { editions: EDITIONS.map(e => e.id), out: OUT_DIR, sitemaps: smEntries.length });
+  console.log("Output files:", manifest.stats);
 }
 
-// Run
-buildAll().catch(err=>{ console.error(err); process.exit(1); });
+// Run (render workers load this same file; see writeVersePages)
+if (isMainThread) buildAll().catch(err=>{ console.error(err); process.exit(1); });
+else renderWorker();
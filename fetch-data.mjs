@@ -1,27 +1,20 @@
-// fetch-data.mjs — Grab the full KJV dataset locally for Option A.
-// Node 18+ (Node 20 recommended). Run: `node fetch-data.mjs`
+// fetch-data.mjs — Grab every configured edition's dataset locally for Option A.
+// Node 18+ (Node 20 recommended). Run: `node fetch-data.mjs [--edition=<id>]`
+// Editions, their data dirs and download mirrors come from editions.json.
 
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
+import { mapLimit, progress, intOption } from "./lib/pool.mjs";
+import { OT, NT } from "./lib/canon.mjs";
+import { readDataset, validateDataset, writeReport, printReport, reportFile } from "./lib/validate.mjs";
+import { loadEditions } from "./lib/editions.mjs";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const OUT_DIR = path.join(__dirname, "Bible-kjv-master");
-
-const BASES = [
-  // Your repo first
-  "https://cdn.jsdelivr.net/gh/Living-Word-Bibles/the-holy-bible-kjv@main/Bible-kjv-master/",
-  "https://raw.githubusercontent.com/Living-Word-Bibles/the-holy-bible-kjv/main/Bible-kjv-master/",
-  // Mirrors
-  "https://cdn.jsdelivr.net/gh/aruljohn/Bible-kjv@master/",
-  "https://raw.githubusercontent.com/aruljohn/Bible-kjv/master/",
-  "https://cdn.jsdelivr.net/gh/aruljohn/Bible-kjv-1611@master/",
-  "https://raw.githubusercontent.com/aruljohn/Bible-kjv-1611/master/"
-];
+const CONCURRENCY = intOption("concurrency", "FETCH_CONCURRENCY", 8); // books downloaded in parallel
+const onlyFlag = process.argv.find(a => a.startsWith("--edition="));
 
 // Canonical order/names
-const OT = ['Genesis','Exodus','Leviticus','Numbers','Deuteronomy','Joshua','Judges','Ruth','1 Samuel','2 Samuel','1 Kings','2 Kings','1 Chronicles','2 Chronicles','Ezra','Nehemiah','Esther','Job','Psalms','Proverbs','Ecclesiastes','Song of Solomon','Isaiah','Jeremiah','Lamentations','Ezekiel','Daniel','Hosea','Joel','Amos','Obadiah','Jonah','Micah','Nahum','Habakkuk','Zephaniah','Haggai','Zechariah','Malachi'];
-const NT = ['Matthew','Mark','Luke','John','Acts','Romans','1 Corinthians','2 Corinthians','Galatians','Ephesians','Philippians','Colossians','1 Thessalonians','2 Thessalonians','1 Timothy','2 Timothy','Titus','Philemon','Hebrews','James','1 Peter','2 Peter','1 John','2 John','3 John','Jude','Revelation'];
 const ALL = [...OT, ...NT];
 
 const slugFile = (name)=> String(name).replace(/[^0-9A-Za-z]/g,"") + ".json";
@@ -39,9 +32,9 @@ async function fetchText(url){
   return await r.text();
 }
 
-async function tryBases(rel, as="json"){
+async function tryBases(bases, rel, as="json"){
   let lastErr="";
-  for(const b of BASES){
+  for(const b of bases){
     const u = b + rel;
     try { return as==="json" ? await fetchJSON(u) : await fetchText(u); }
     catch(e){ lastErr=e.message; }
@@ -49,14 +42,19 @@ async function tryBases(rel, as="json"){
   throw new Error(`Failed to fetch ${rel}. ${lastErr||""}`);
 }
 
-async function main(){
+// Downloads one edition into its dataDir; returns true when it validates
+async function fetchEdition(ed){
+  const OUT_DIR = ed.dataDir;
+  const BASES = ed.bases;
+  if (!BASES.length) throw new Error(`Edition "${ed.id}" has no download bases in editions.json`);
+  console.log(`\n${ed.name} (${ed.id}) → ${OUT_DIR}`);
   await fs.rm(OUT_DIR, {recursive:true, force:true});
   await fs.mkdir(OUT_DIR, {recursive:true});
 
   // 1) Load Books.json (prefer remote), validate 66 or force canonical
   let books;
   try {
-    const remoteBooks = await tryBases("Books.json", "json");
+    const remoteBooks = await tryBases(BASES, "Books.json", "json");
     const hasAll = Array.isArray(remoteBooks) && ALL.every(n => remoteBooks.includes(n));
     books = hasAll ? remoteBooks : ALL;
   } catch {
@@ -64,11 +62,11 @@ async function main(){
   }
   await fs.writeFile(path.join(OUT_DIR, "Books.json"), JSON.stringify(books, null, 2));
 
-  // 2) Download each book JSON by canonical filename (e.g., SongofSolomon.json)
-  let ok=0, fail=0;
-  for (const name of books){
+  // 2) Download each book JSON by canonical filename (e.g., SongofSolomon.json),
+  //    a few at a time; each book still tries BASES in order
+  const results = await mapLimit(books, CONCURRENCY, async (name)=>{
     const fname = slugFile(name);
-    let got=false, lastErr="";
+    let lastErr="";
     for(const b of BASES){
       const url = b + fname;
       try{
@@ -76,13 +74,18 @@ async function main(){
         // basic sanity
         if(!txt || txt.trim().length < 2) throw new Error("Empty file");
         await fs.writeFile(path.join(OUT_DIR, fname), txt);
-        got=true; ok++;
-        break;
+        return { name, ok:true };
       }catch(e){ lastErr=e.message; }
     }
-    if(!got){ console.error("✗", name, "—", lastErr); fail++; }
-    else { console.log("✓", name); }
+    return { name, ok:false, err:lastErr };
+  }, progress(`${ed.short} books`));
+
+  // Report in canonical order regardless of which download finished first
+  for (const r of results){
+    if(!r.ok) console.error("✗", r.name, "—", r.err);
+    else console.log("✓", r.name);
   }
+  const ok = results.filter(r=>r.ok).length, fail = results.length - ok;
 
   // 3) Quick sanity: ensure 66 files present
   const files = await fs.readdir(OUT_DIR);
@@ -91,7 +94,25 @@ async function main(){
     console.warn(`Warning: expected ${ALL.length} book files; found ${jsons.length}.`);
   }
 
-  console.log("\nDone.", { ok, fail, out: OUT_DIR });
+  console.log("Done.", { ok, fail, out: OUT_DIR });
+
+  // 4) Full integrity check: a mirror serving truncated or HTML-laced books fails here
+  const report = validateDataset({ ...await readDataset(OUT_DIR), versification: ed.versification });
+  await writeReport(report, reportFile(__dirname, ed));
+  printReport(report);
+  return report.ok;
+}
+
+async function main(){
+  // An edition reading another's text has no data of its own: --edition picks that one's
+  const all = await loadEditions(__dirname);
+  const only = onlyFlag && (all.find(ed => ed.id === onlyFlag.slice(10))?.textOf ?? onlyFlag.slice(10));
+  let editions = all.filter(ed => !ed.textOf);
+  if (only) editions = editions.filter(ed => ed.id === only);
+  if (!editions.length) throw new Error(`Unknown edition "${onlyFlag.slice(10)}"`);
+  let failed = 0;
+  for (const ed of editions) if (!(await fetchEdition(ed))) failed++;
+  if (failed) process.exit(1);
 }
 
 main().catch(e=>{ console.error(e); process.exit(1); });
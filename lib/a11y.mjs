@@ -0,0 +1,199 @@
+// lib/a11y.mjs — Accessibility checks on generated pages (WCAG 2.2 AA, the parts a
+// static check can see): document language and title, one main landmark reached by
+// a skip link, one h1 and no skipped heading levels, names for images, links,
+// buttons, form controls and frames, distinct labels for navigation landmarks,
+// unique ids and resolvable ARIA references, no inline event handlers, positive
+// tabindex or zoom lock, and theme colour contrast. build.mjs runs it over a
+// sample of pages after every build and stops on errors. The report has the shape
+// of lib/validate.mjs reports.
+
+const VOID = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+const RAW = new Set(["script", "style", "textarea", "title"]);
+const TAG = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>/g;
+const ATTR = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+const decode = (s)=> s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) =>
+  e[0] !== "#" ? ENTITIES[e.toLowerCase()] ?? m : String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : Number(e.slice(1))));
+
+// Enough of an HTML parser for the site's own templates: elements
+// { tag, attrs, children, parent } and text nodes { text }; unclosed elements end
+// with their parent
+export function parseHTML(html){
+  const root = { tag: "#root", attrs: {}, children: [], parent: null };
+  let node = root, last = 0, m;
+  const text = (s)=>{ if (s) node.children.push({ text: decode(s) }); };
+  TAG.lastIndex = 0;
+  while ((m = TAG.exec(html))){
+    text(html.slice(last, m.index));
+    last = TAG.lastIndex;
+    if (m[1]){
+      const tag = m[1].toLowerCase();
+      let open = node;
+      while (open !== root && open.tag !== tag) open = open.parent;
+      if (open !== root) node = open.parent;
+    } else if (m[2]){
+      const tag = m[2].toLowerCase(), attrs = {};
+      for (const a of (m[3] || "").matchAll(ATTR)) attrs[a[1].toLowerCase()] = decode(a[2] ?? a[3] ?? a[4] ?? "");
+      const el = { tag, attrs, children: [], parent: node };
+      node.children.push(el);
+      if (RAW.has(tag)){
+        const end = html.toLowerCase().indexOf(`</${tag}`, last);
+        const stop = end < 0 ? html.length : end;
+        if (stop > last) el.children.push({ text: tag === "title" || tag === "textarea" ? decode(html.slice(last, stop)) : html.slice(last, stop) });
+        TAG.lastIndex = last = stop;
+      } else if (!VOID.has(tag)) node = el;
+    }
+  }
+  text(html.slice(last));
+  return root;
+}
+
+function* elements(node){
+  for (const c of node.children || []){
+    if (!c.tag) continue;
+    yield c;
+    yield* elements(c);
+  }
+}
+
+const closest = (el, test)=>{ for (let n = el.parent; n; n = n.parent) if (n.tag && test(n)) return n; return null; };
+const clean = (s)=> s.replace(/\s+/g, " ").trim();
+
+// Visible text plus image alt text, leaving out aria-hidden parts
+function textOf(node){
+  if (node.text != null) return node.text;
+  if (node.attrs?.["aria-hidden"] === "true" || node.tag === "script" || node.tag === "style") return "";
+  if (node.tag === "img") return node.attrs.alt || "";
+  return node.children.map(textOf).join(" ");
+}
+
+const FOCUSABLE = (el)=> (el.tag === "a" && "href" in el.attrs) || el.tag === "button" || el.tag === "select" || el.tag === "textarea"
+  || el.tag === "summary" || el.tag === "iframe" || (el.tag === "input" && el.attrs.type !== "hidden")
+  || ("tabindex" in el.attrs && Number(el.attrs.tabindex) >= 0);
+
+// WCAG contrast ratio of two "#rrggbb" / "#rgb" colours
+export function contrastRatio(a, b){
+  const lum = (hex)=>{
+    const h = hex.length === 4 ? hex.slice(1).split("").map(c => c + c).join("") : hex.slice(1);
+    const [r, g, bl] = [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16) / 255).map(v => v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4);
+    return 0.2126 * r + 0.7152 * g + 0.0722 * bl;
+  };
+  const [hi, lo] = [lum(a), lum(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+// Theme colours as used by the stylesheet: [foreground, backgrounds, minimum ratio]
+const CONTRAST = [
+  ["ink", ["bg", "page", "hover", "target", "mark"], 4.5],      // text (and focus outlines)
+  ["heading", ["bg", "page", "hover", "target", "mark"], 4.5],
+  ["muted", ["bg", "page", "hover", "target"], 4.5],            // secondary text, verse numbers
+  ["error", ["bg", "page"], 4.5],                               // form errors
+  ["control", ["bg", "page"], 3]                                // form control borders
+];
+
+// themes: { id: { ink, bg, … } } → [{ level, code, message }]
+export function checkThemes(themes){
+  const issues = [];
+  for (const [id, t] of Object.entries(themes)){
+    for (const [fg, bgs, min] of CONTRAST){
+      for (const bg of bgs){
+        const ratio = contrastRatio(t[fg], t[bg]);
+        if (ratio < min) issues.push({ level: "error", code: "contrast", theme: id, message: `${id} theme: ${fg} ${t[fg]} on ${bg} ${t[bg]} is ${ratio.toFixed(2)}:1, below ${min}:1` });
+      }
+    }
+  }
+  return issues;
+}
+
+// One page → [{ level, code, page, message }]
+export function checkPage(html, page){
+  const issues = [];
+  const error = (code, message)=> issues.push({ level: "error", code, page, message: `${page}: ${message}` });
+  const doc = parseHTML(html);
+  const all = [...elements(doc)];
+  const byTag = (t)=> all.filter(el => el.tag === t);
+  const ids = new Map();
+  for (const el of all){
+    if (!("id" in el.attrs)) continue;
+    if (ids.has(el.attrs.id)) error("duplicate-id", `id "${el.attrs.id}" is used more than once`);
+    ids.set(el.attrs.id, el);
+  }
+  const labelledText = (el)=> (el.attrs["aria-labelledby"] || "").split(/\s+/).filter(Boolean).map(id => ids.get(id) ? textOf(ids.get(id)) : "").join(" ");
+  const nameOf = (el)=> clean(el.attrs["aria-label"] || labelledText(el) || textOf(el) || el.attrs.title || "");
+  const what = (el)=> `<${el.tag}${el.attrs.id ? ` id="${el.attrs.id}"` : el.attrs.class ? ` class="${el.attrs.class}"` : ""}${el.attrs.href ? ` href="${el.attrs.href}"` : ""}>`;
+
+  // Document
+  const htmlEl = byTag("html")[0];
+  if (!htmlEl?.attrs.lang) error("html-lang", "<html> has no lang");
+  if (!clean(textOf(byTag("title")[0] || { children: [] }))) error("title", "no page title");
+  for (const meta of byTag("meta")){
+    const c = meta.attrs.name === "viewport" ? (meta.attrs.content || "").toLowerCase() : "";
+    const max = c.match(/maximum-scale\s*=\s*([\d.]+)/);
+    if (/user-scalable\s*=\s*(no|0)\b/.test(c) || (max && Number(max[1]) < 2)) error("zoom", "the viewport stops zooming");
+  }
+
+  // Landmarks and the skip link
+  const mains = byTag("main");
+  if (mains.length !== 1) error("main", `${mains.length} <main> landmarks (expected 1)`);
+  const body = byTag("body")[0];
+  const firstFocusable = body ? [...elements(body)].find(FOCUSABLE) : null;
+  const mainId = mains[0]?.attrs.id;
+  if (!mainId || !firstFocusable || firstFocusable.tag !== "a" || firstFocusable.attrs.href !== `#${mainId}`){
+    error("skip-link", "the first focusable element is not a skip link to <main>");
+  }
+  const navs = byTag("nav");
+  if (navs.length > 1){
+    const seen = new Set();
+    for (const nav of navs){
+      const label = clean(nav.attrs["aria-label"] || labelledText(nav)).toLowerCase();
+      if (!label) error("nav-label", `${what(nav)} needs an aria-label (the page has ${navs.length} navigation landmarks)`);
+      else if (seen.has(label)) error("nav-label", `two navigation landmarks are both labelled "${label}"`);
+      seen.add(label);
+    }
+  }
+
+  // Headings: one h1, first, and no skipped levels
+  const headings = all.filter(el => /^h[1-6]$/.test(el.tag));
+  const h1s = headings.filter(h => h.tag === "h1").length;
+  if (h1s !== 1) error("h1", `${h1s} <h1> headings (expected 1)`);
+  if (headings.length && headings[0].tag !== "h1") error("heading-order", `the first heading is <${headings[0].tag}>, not <h1>`);
+  headings.forEach((h, i)=>{
+    const level = Number(h.tag[1]), prev = i ? Number(headings[i - 1].tag[1]) : 1;
+    if (level > prev + 1) error("heading-order", `<${h.tag}> "${clean(textOf(h)).slice(0, 40)}" follows <h${prev}>`);
+    if (!clean(textOf(h))) error("heading-empty", `empty <${h.tag}>`);
+  });
+
+  // Names
+  for (const el of all){
+    if (el.tag === "img" && !("alt" in el.attrs)) error("img-alt", `${what(el)} has no alt text (use alt="" if it is decorative)`);
+    if (el.tag === "a" && "href" in el.attrs && !nameOf(el)) error("link-name", `${what(el)} has no text`);
+    if (el.tag === "button" && !nameOf(el)) error("button-name", `${what(el)} has no text`);
+    if (el.tag === "iframe" && !el.attrs.title) error("frame-title", `${what(el)} has no title`);
+    const control = (el.tag === "input" && !["hidden", "submit", "reset", "button", "image"].includes(el.attrs.type)) || el.tag === "select" || el.tag === "textarea";
+    if (control){
+      const label = (el.attrs.id && all.some(l => l.tag === "label" && l.attrs.for === el.attrs.id)) || closest(el, n => n.tag === "label")
+        || el.attrs["aria-label"] || labelledText(el) || el.attrs.title;
+      if (!label) error("control-label", `${what(el)} has no label`);
+    }
+  }
+
+  // Attributes
+  for (const el of all){
+    for (const [name, value] of Object.entries(el.attrs)){
+      if (/^on[a-z]+$/.test(name)) error("inline-handler", `${what(el)} has an inline ${name} handler`);
+      if (name === "tabindex" && Number(value) > 0) error("tabindex", `${what(el)} has tabindex="${value}"`);
+      if (["aria-labelledby", "aria-describedby", "aria-controls"].includes(name) || (name === "for" && el.tag === "label")){
+        for (const id of value.split(/\s+/).filter(Boolean)) if (!ids.has(id)) error("aria-ref", `${what(el)} ${name} points at missing id "${id}"`);
+      }
+    }
+  }
+  return issues;
+}
+
+// pages: [{ page, html }] → { ok, summary, issues }, as lib/validate.mjs reports
+export function checkAccessibility(pages, { themes = {} } = {}){
+  const issues = [...checkThemes(themes), ...pages.flatMap(({ page, html }) => checkPage(html, page))];
+  const errors = issues.filter(i => i.level === "error").length;
+  return { ok: errors === 0, summary: { pages: pages.length, errors, warnings: issues.length - errors }, issues };
+}
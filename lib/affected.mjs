@@ -0,0 +1,156 @@
+// lib/affected.mjs — Which groups of pages an edit to build.mjs (or to a lib/ module
+// it imports) can change, so serve.mjs rebuilds those instead of the whole site.
+// build.mjs is split into its top-level statements; a group depends on every
+// declaration its root functions reach by name. Edits to anything the build's own
+// control flow reaches (buildAll, buildEdition, emit …) call for a full build.
+// Name matching over-approximates, never under: when in doubt, more is rebuilt.
+// Node or browser; no imports.
+
+const DECLARATION = /^(?:export\s+)?(?:async\s+)?(?:function\*?|const|let|var|class)\s+([\w$]+)/;
+const REGEX_AFTER = new Set([..."(,=:[!&|?{};+-*%<>~^"]);
+const REGEX_KEYWORDS = new Set(["return", "typeof", "case", "do", "else", "in", "of", "void", "yield", "await"]);
+
+// Module source → [{ names, code }], one per top-level statement, with comments
+// blanked out of `code` so that editing one doesn't count as a change
+export function topLevelStatements(source){
+  const src = String(source);
+  const out = src.split("");
+  const starts = [0];
+  const templates = [];  // brace depth at each open `${`
+  let depth = 0, last = "", word = "", inTemplate = false;
+  const blank = (from, to)=>{ for (let k = from; k < to; k++) if (out[k] !== "\n") out[k] = " "; };
+
+  for (let i = 0; i < src.length;){
+    const c = src[i], n = src[i + 1];
+    if (inTemplate){
+      if (c === "\\"){ i += 2; continue; }
+      if (c === "`"){ inTemplate = false; last = "`"; i++; continue; }
+      if (c === "$" && n === "{"){ templates.push(depth++); inTemplate = false; last = "{"; i += 2; continue; }
+      i++;
+      continue;
+    }
+    if (c === "\n"){
+      if (depth === 0 && !templates.length && i + 1 < src.length && !/[\s})\]]/.test(src[i + 1])) starts.push(i + 1);
+      i++;
+      continue;
+    }
+    if (/\s/.test(c)){ i++; continue; }
+    if (c === "/" && n === "/"){
+      const end = src.indexOf("\n", i);
+      blank(i, end < 0 ? src.length : end);
+      i = end < 0 ? src.length : end;
+      continue;
+    }
+    if (c === "/" && n === "*"){
+      const end = src.indexOf("*/", i + 2);
+      blank(i, end < 0 ? src.length : end + 2);
+      i = end < 0 ? src.length : end + 2;
+      continue;
+    }
+    if (c === "'" || c === '"'){
+      let j = i + 1;
+      while (j < src.length && src[j] !== c && src[j] !== "\n") j += src[j] === "\\" ? 2 : 1;
+      i = j + 1; last = c; word = "";
+      continue;
+    }
+    if (c === "`"){ inTemplate = true; i++; continue; }
+    if (c === "/" && (!last || REGEX_AFTER.has(last) || REGEX_KEYWORDS.has(word))){
+      let j = i + 1, inClass = false;
+      while (j < src.length && src[j] !== "\n" && (inClass || src[j] !== "/")){
+        if (src[j] === "\\") j++;
+        else if (src[j] === "[") inClass = true;
+        else if (src[j] === "]") inClass = false;
+        j++;
+      }
+      i = j + 1;
+      while (/[a-z]/i.test(src[i] || "")) i++;
+      last = "/"; word = "";
+      continue;
+    }
+    if (c === "{" || c === "(" || c === "["){ depth++; }
+    else if (c === "}" && templates.length && templates[templates.length - 1] === depth - 1){
+      depth--; templates.pop(); inTemplate = true; i++;
+      continue;
+    }
+    else if (c === "}" || c === ")" || c === "]"){ depth--; }
+    word = /[\w$]/.test(c) ? (/[\w$]/.test(last) ? word + c : c) : "";
+    last = c;
+    i++;
+  }
+
+  const code = out.join("");
+  return starts.map((s, k) => code.slice(s, starts[k + 1] ?? code.length).trim())
+    .filter(Boolean)
+    .map(text => {
+      const imported = text.match(/^import\s+(?:([\w$]+)\s*,?\s*)?(?:\{([^}]*)\})?/);
+      if (imported && text.startsWith("import ")){
+        const names = (imported[2] || "").split(",").map(s => s.trim().split(/\s+as\s+/).pop()).filter(Boolean);
+        if (imported[1]) names.push(imported[1]);
+        return { names, code: text };
+      }
+      const m = text.match(DECLARATION);
+      return { names: m ? [m[1]] : [], code: text };
+    });
+}
+
+// {
+//   before, after: build.mjs source at the last build and now,
+//   files: names of other changed files ("epub.mjs"): declarations that mention
+//     one (an import, a "lib/epub.mjs" cache key) count as changed,
+//   roots: { group: [function names] } (GROUP_ROOTS in serve.mjs),
+//   main: the build's entry point ("buildAll"),
+//   always: names that run in every build, partial or not ("checkA11y")
+// } → { full: true } | { full: false, groups: [group] }
+export function affectedGroups({ before, after, files = [], roots, main, always = [] }){
+  const index = (statements)=>{
+    const named = new Map(), other = new Set();
+    for (const { names, code } of statements){
+      if (!names.length) other.add(code);
+      for (const name of names) named.set(name, code);
+    }
+    return { named, other };
+  };
+  const old = index(topLevelStatements(before)), now = index(topLevelStatements(after));
+
+  // A changed statement that declares nothing (an `if` at the top level) → everything
+  if (old.other.size !== now.other.size || [...now.other].some(code => !old.other.has(code))) return { full: true };
+  const rootNames = Object.values(roots).flat();
+  if (![main, ...rootNames].every(name => now.named.has(name))) return { full: true };
+
+  const changed = new Set();
+  for (const [name, code] of now.named){
+    if (old.named.get(name) !== code || files.some(f => code.includes(f))) changed.add(name);
+  }
+  for (const name of old.named.keys()) if (!now.named.has(name)) changed.add(name);
+  if (!changed.size) return { full: false, groups: [] };
+
+  const identifiers = new Map([...now.named].map(([name, code]) => [name, new Set(code.match(/[A-Za-z_$][\w$]*/g))]));
+  // Every declaration reachable from `from` by name, not looking past `stop`
+  const reach = (from, stop = new Set())=>{
+    const seen = new Set(), todo = [...from];
+    while (todo.length){
+      const name = todo.pop();
+      if (seen.has(name)) continue;
+      seen.add(name);
+      if (stop.has(name)) continue;
+      for (const id of identifiers.get(name) || []) if (id !== name && now.named.has(id) && !seen.has(id)) todo.push(id);
+    }
+    return seen;
+  };
+
+  const core = reach([main], new Set([...rootNames, ...always]));
+  for (const name of rootNames) core.delete(name);
+  for (const name of always) core.delete(name);
+  if ([...changed].some(name => core.has(name))) return { full: true };
+  const groups = Object.entries(roots).filter(([, names]) => {
+    const seen = reach(names);
+    return [...changed].some(name => seen.has(name));
+  }).map(([group]) => group);
+  return { full: false, groups };
+}
+
+// Local imports of a module ("./zip.mjs" → "zip.mjs"), for following edits to a
+// lib/ module through the modules that import it
+export function localImports(source){
+  return [...String(source).matchAll(/^import\s[^;]*?from\s+["']\.\/([\w.-]+)["']/gm)].map(m => m[1]);
+}
@@ -0,0 +1,155 @@
+// lib/concordance.mjs — Word concordance and statistics over flattenRefs() output
+// ([{ bookName, bookSlug, chapter, verse, text }]). Words are the search index's
+// tokens: lowercased, apostrophes dropped ("LORD's" → "lords"). Archaic verb
+// endings can be folded into their stems ("loveth", "lovest" → "love"), checked
+// against the text's own vocabulary so names such as "Nazareth" stay put, and
+// "-est" only where the text uses it speaking to "thou".
+
+const WORD = /[A-Za-z0-9'’]+/g;
+export const termOf = (w)=> w.toLowerCase().replace(/['’]/g, "");
+
+// → [{ term, surface, start, end }] in text order
+export function wordsOf(text){
+  const out = [];
+  for (const m of String(text).matchAll(WORD)){
+    const term = termOf(m[0]);
+    if (term) out.push({ term, surface: m[0], start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+// Too common to be worth a page (they would list most of the Bible); still
+// counted in the statistics
+export const STOPWORDS = new Set(("a also an and are as at be because been being but by did do even for from had hath have he her " +
+  "him his i if in into is it its me my no nor not o of on or our out shall she should so than that the thee their them then " +
+  "there these they this those thou thy to unto up upon us was we were what when which who whom will with would ye yea you your").split(" "));
+
+// Irregular second/third person forms → the plain verb
+const IRREGULAR = {
+  hath: "have", hast: "have", doth: "do", dost: "do", doeth: "do", doest: "do", saith: "say",
+  shalt: "shall", wilt: "will", canst: "can", hadst: "had", didst: "did", wast: "was",
+  mayest: "may", mightest: "might", shouldest: "should", wouldest: "would", couldest: "could"
+};
+// "-est" words that are not verb endings but whose stem is a verb
+const NOT_ARCHAIC = new Set(["earnest", "honest", "interest", "manifest", "request", "harvest", "forest", "priest", "modest", "protest", "lowest"]);
+// "-est" is a verb ending only in verses that speak to "thou" ("Lovest thou me?",
+// "who keepest covenant … with thy servants"); superlatives also turn up there
+// ("the lowest hell"), hence NOT_ARCHAIC
+const SECOND_PERSON = new Set(["thou", "thee", "thy", "thine"]);
+
+// "lov" → ["love", "lov"]; "sitt" → [..., "sit"]; "cri" → [..., "cry"]
+function stemCandidates(base){
+  const out = [`${base}e`, base];
+  if (/([b-df-hj-np-tv-z])\1$/.test(base)) out.push(base.slice(0, -1));
+  if (base.endsWith("i")) out.push(`${base.slice(0, -1)}y`);
+  return out;
+}
+
+// "-est" terms of one verse's tokens that may be verb forms, added to `out`
+export function thouForms(terms, out = new Set()){
+  if (!terms.some(t => SECOND_PERSON.has(t))) return out;
+  for (const term of terms) if (term.endsWith("est")) out.add(term);
+  return out;
+}
+
+// vocab: Map(term → count), withThou: Set from thouForms() → Map(term → stem) for
+// every term that folds. "-eth" folds to a stem the text also uses; "-est" only
+// when it is in withThou and its stem also takes "-eth", so superlatives
+// ("greatest") are left alone.
+export function archaicFolds(vocab, withThou){
+  const folds = new Map(), verbs = new Set();
+  for (const term of vocab.keys()){
+    if (term.length < 5 || !term.endsWith("eth") || term.endsWith("tieth")) continue;  // not "twentieth"
+    const stem = stemCandidates(term.slice(0, -3)).find(s => s.length > 1 && vocab.has(s));
+    if (stem){ folds.set(term, stem); verbs.add(stem); }
+  }
+  for (const term of vocab.keys()){
+    if (term.length < 5 || !term.endsWith("est") || NOT_ARCHAIC.has(term) || !withThou.has(term)) continue;
+    const stem = stemCandidates(term.slice(0, -3)).find(s => verbs.has(s));
+    if (stem) folds.set(term, stem);
+  }
+  for (const [term, stem] of Object.entries(IRREGULAR)){
+    if (vocab.has(term) && vocab.has(stem)) folds.set(term, stem);
+  }
+  return folds;
+}
+
+// → {
+//   words,                          // total word count
+//   entries: Map(head → { count, forms: Map(term → count), verses: [refs index, ...], display }),
+//   books: Map(slug → { name, verses, chapters, words, terms: Map(term → count), heads: Map(head → count) }),
+//   folds: Map(term → head)
+// }
+// `display` is the head word's most common spelling in the text ("LORD", "David").
+export function buildConcordance(refs, { fold = true } = {}){
+  const vocab = new Map(), spellings = new Map(), withThou = new Set();
+  for (const r of refs){
+    const words = wordsOf(r.text);
+    thouForms(words.map(w => w.term), withThou);
+    for (const { term, surface } of words){
+      vocab.set(term, (vocab.get(term) || 0) + 1);
+      if (!spellings.has(term)) spellings.set(term, new Map());
+      spellings.get(term).set(surface, (spellings.get(term).get(surface) || 0) + 1);
+    }
+  }
+  const folds = fold ? archaicFolds(vocab, withThou) : new Map();
+  const headOf = (term)=> folds.get(term) || term;
+
+  const entries = new Map(), books = new Map();
+  let total = 0;
+  refs.forEach((r, i)=>{
+    if (!books.has(r.bookSlug)) books.set(r.bookSlug, { name: r.bookName, verses: 0, chapters: new Set(), words: 0, terms: new Map(), heads: new Map() });
+    const book = books.get(r.bookSlug);
+    book.verses++;
+    book.chapters.add(r.chapter);
+    for (const { term } of wordsOf(r.text)){
+      const head = headOf(term);
+      if (!entries.has(head)) entries.set(head, { count: 0, forms: new Map(), verses: [] });
+      const e = entries.get(head);
+      e.count++;
+      e.forms.set(term, (e.forms.get(term) || 0) + 1);
+      if (e.verses[e.verses.length - 1] !== i) e.verses.push(i);
+      book.words++;
+      book.terms.set(term, (book.terms.get(term) || 0) + 1);
+      book.heads.set(head, (book.heads.get(head) || 0) + 1);
+      total++;
+    }
+  });
+  for (const [head, e] of entries){
+    e.display = [...spellings.get(head)].sort((a, b) => b[1] - a[1])[0][0];
+  }
+  for (const book of books.values()) book.chapters = book.chapters.size;
+  return { words: total, entries, books, folds };
+}
+
+// Keyword in context: the verse trimmed to about `width` characters either side
+// of the first hit, at word boundaries → [[text, isHit], ...] (ellipses included)
+export function kwic(text, isHit, width = 60){
+  const words = wordsOf(text);
+  const hits = words.filter(w => isHit(w.term));
+  if (!hits.length) return [[text, false]];
+  let from = Math.max(0, hits[0].start - width), to = Math.min(text.length, hits[0].end + width);
+  if (from > 0){ const w = words.find(w => w.start >= from); from = w ? w.start : hits[0].start; }
+  if (to < text.length){ const w = [...words].reverse().find(w => w.end <= to); to = w ? w.end : hits[0].end; }
+  const out = [];
+  if (from > 0) out.push(["… ", false]);
+  let at = from;
+  for (const h of hits){
+    if (h.start < from || h.end > to) continue;
+    if (h.start > at) out.push([text.slice(at, h.start), false]);
+    out.push([text.slice(h.start, h.end), true]);
+    at = h.end;
+  }
+  if (to > at) out.push([text.slice(at, to), false]);
+  if (to < text.length) out.push([" …", false]);
+  return out;
+}
+
+// Log-likelihood keyness (G²) of a word used `a` times in `c` words of one book
+// against `b` times in the `d` words of the rest; negative when it is rarer in
+// the book than elsewhere
+export function keyness(a, b, c, d){
+  const e1 = c * (a + b) / (c + d), e2 = d * (a + b) / (c + d);
+  const g2 = 2 * ((a ? a * Math.log(a / e1) : 0) + (b ? b * Math.log(b / e2) : 0));
+  return a >= e1 ? g2 : -g2;
+}
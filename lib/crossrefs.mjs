@@ -0,0 +1,122 @@
+// lib/crossrefs.mjs — Cross-references ("related verses") from a local TSV file in
+// the layout of the OpenBible.info Treasury of Scripture Knowledge export:
+//
+//   From Verse<TAB>To Verse<TAB>Votes
+//   Gen.1.1<TAB>John.1.1-John.1.3<TAB>320
+//
+// Either side may be an OSIS reference (Gen.1.1, Gen.1.1-Gen.1.3) or a plain one
+// ("John 3:16", "1 John 4:9-10"); the "from" side is a single verse, the "to" side
+// a verse or a verse range. Votes are optional and order the links (highest first,
+// then file order). Blank lines, "#" comments and the header line are skipped.
+
+import { createReferenceParser } from "./reference.mjs";
+
+// OSIS book codes by canonical name
+export const OSIS = {
+  "Genesis": "Gen", "Exodus": "Exod", "Leviticus": "Lev", "Numbers": "Num", "Deuteronomy": "Deut",
+  "Joshua": "Josh", "Judges": "Judg", "Ruth": "Ruth", "1 Samuel": "1Sam", "2 Samuel": "2Sam",
+  "1 Kings": "1Kgs", "2 Kings": "2Kgs", "1 Chronicles": "1Chr", "2 Chronicles": "2Chr", "Ezra": "Ezra",
+  "Nehemiah": "Neh", "Esther": "Esth", "Job": "Job", "Psalms": "Ps", "Proverbs": "Prov",
+  "Ecclesiastes": "Eccl", "Song of Solomon": "Song", "Isaiah": "Isa", "Jeremiah": "Jer", "Lamentations": "Lam",
+  "Ezekiel": "Ezek", "Daniel": "Dan", "Hosea": "Hos", "Joel": "Joel", "Amos": "Amos",
+  "Obadiah": "Obad", "Jonah": "Jonah", "Micah": "Mic", "Nahum": "Nah", "Habakkuk": "Hab",
+  "Zephaniah": "Zeph", "Haggai": "Hag", "Zechariah": "Zech", "Malachi": "Mal",
+  "Matthew": "Matt", "Mark": "Mark", "Luke": "Luke", "John": "John", "Acts": "Acts",
+  "Romans": "Rom", "1 Corinthians": "1Cor", "2 Corinthians": "2Cor", "Galatians": "Gal", "Ephesians": "Eph",
+  "Philippians": "Phil", "Colossians": "Col", "1 Thessalonians": "1Thess", "2 Thessalonians": "2Thess", "1 Timothy": "1Tim",
+  "2 Timothy": "2Tim", "Titus": "Titus", "Philemon": "Phlm", "Hebrews": "Heb", "James": "Jas",
+  "1 Peter": "1Pet", "2 Peter": "2Pet", "1 John": "1John", "2 John": "2John", "3 John": "3John",
+  "Jude": "Jude", "Revelation": "Rev"
+};
+
+// …and by book slug, which stays the same when book names are localized
+const OSIS_BY_SLUG = new Map(Object.entries(OSIS).map(([name, code]) => [name.toLowerCase().replace(/\s+/g, "-"), code]));
+
+const OSIS_POINT = /^([1-3]?[A-Za-z]+)\.(\d+)\.(\d+)$/;
+const UNKNOWN = "unknown book";
+
+// text, nav payload → { links: Map("slug/ch/v" → [passage, ...]), errors:[string], lines }.
+// Passages are shaped like createReferenceParser() output ("verse" or "range").
+// Links into or out of books missing from `nav` are dropped without an error, so
+// partial datasets still build; at most `limit` links are kept per verse.
+export function parseCrossRefs(text, nav, { limit = Infinity } = {}){
+  const books = nav.books || {};
+  const byCode = new Map();
+  for (const b of [...(nav.ot || []), ...(nav.nt || [])]){
+    if (books[b.slug] && OSIS_BY_SLUG.has(b.slug)) byCode.set(OSIS_BY_SLUG.get(b.slug).toLowerCase(), b);
+  }
+  const parser = createReferenceParser(nav);
+  const verseCount = (slug, ch)=> Number(books[slug].verses[String(ch)] || 0);
+
+  function osisPoint(s){
+    const m = s.match(OSIS_POINT);
+    if (!m) return null;
+    const book = byCode.get(m[1].toLowerCase());
+    if (!book) return { error: UNKNOWN };
+    const chapter = Number(m[2]), verse = Number(m[3]);
+    if (verse < 1 || verse > verseCount(book.slug, chapter)) return { error: `no ${book.name} ${chapter}:${verse}` };
+    return { book, chapter, verse };
+  }
+
+  // One side → { passage } or { error }
+  function readSide(s){
+    const [a, b, extra] = s.split("-");
+    const pa = osisPoint(a);
+    if (pa){
+      if (pa.error) return pa;
+      if (b === undefined) return { passage: passageOf(pa.book, pa, pa) };
+      const pb = extra === undefined ? osisPoint(b) : null;
+      if (!pb) return { error: `can’t read “${s}”` };
+      if (pb.error) return pb;
+      if (pb.book !== pa.book || pb.chapter < pa.chapter || (pb.chapter === pa.chapter && pb.verse < pa.verse)) return { error: `“${s}” doesn’t run forward within one book` };
+      return { passage: passageOf(pa.book, pa, pb) };
+    }
+    const res = parser.parse(s);
+    const p = res.passages[0];
+    if (res.ok && res.passages.length === 1 && (p.kind === "verse" || p.kind === "range")) return { passage: p };
+    if (res.codes.includes("unknownBook")) return { error: UNKNOWN };
+    return { error: res.errors[0] || `“${s}” isn’t a verse or a verse range` };
+  }
+
+  const passageOf = (book, start, end)=> ({
+    bookName: book.name, bookSlug: book.slug,
+    ...(books[book.slug].path && books[book.slug].path !== book.slug ? { bookPath: books[book.slug].path } : {}),
+    kind: start.chapter === end.chapter && start.verse === end.verse ? "verse" : "range",
+    start: { chapter: start.chapter, verse: start.verse }, end: { chapter: end.chapter, verse: end.verse }
+  });
+
+  const found = new Map(), errors = [];
+  let lines = 0;
+  String(text).split(/\r?\n/).forEach((line, i)=>{
+    const cols = line.split("\t").map(c => c.trim());
+    if (!cols[0] || cols[0].startsWith("#") || /^from\b/i.test(cols[0])) return;
+    lines++;
+    const where = `line ${i + 1}`;
+    if (cols.length < 2 || !cols[1]){ errors.push(`${where}: needs a “from” and a “to” reference`); return; }
+    const from = readSide(cols[0]), to = readSide(cols[1]);
+    for (const side of [from, to]){
+      if (side.error && side.error !== UNKNOWN) errors.push(`${where}: ${side.error}`);
+    }
+    if (from.error || to.error) return;
+    if (from.passage.kind !== "verse"){ errors.push(`${where}: “${cols[0]}” must be a single verse`); return; }
+    const votes = Number(cols[2]) || 0;
+    const key = `${from.passage.bookSlug}/${from.passage.start.chapter}/${from.passage.start.verse}`;
+    if (!found.has(key)) found.set(key, []);
+    found.get(key).push({ passage: to.passage, votes, order: i });
+  });
+
+  const links = new Map();
+  for (const [key, list] of found){
+    const seen = new Set(), kept = [];
+    list.sort((a, b) => b.votes - a.votes || a.order - b.order);
+    for (const { passage: p } of list){
+      const id = `${p.bookSlug} ${p.start.chapter}:${p.start.verse}-${p.end.chapter}:${p.end.verse}`;
+      if (seen.has(id) || (p.kind === "verse" && `${p.bookSlug}/${p.start.chapter}/${p.start.verse}` === key)) continue;
+      seen.add(id);
+      kept.push(p);
+      if (kept.length >= limit) break;
+    }
+    links.set(key, kept);
+  }
+  return { links, errors, lines };
+}
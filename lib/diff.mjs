@@ -0,0 +1,56 @@
+// lib/diff.mjs — Word-level diff between two editions of a verse ("sonne" → "son").
+// build.mjs renders /compare/ pages with it and /assets/compare.js (copied to
+// /assets/diff.js) runs the same diff for the chapter-page toggle, so both mark
+// the same words.
+
+import { escapeHtml as esc } from "./html.mjs";
+
+// Words (letters, digits, apostrophes), single punctuation marks and whitespace runs
+const tokens = (s)=> String(s).match(/[\p{L}\p{N}'’]+|\s+|[^\p{L}\p{N}'’\s]/gu) || [];
+
+// a → b as [{ op:"same"|"del"|"ins", text }] with adjacent runs merged; "del" is
+// only in a, "ins" only in b. Matching is exact, so spelling and case count.
+export function diffWords(a, b){
+  a = String(a ?? ""); b = String(b ?? "");
+  if (a === b) return a ? [{ op:"same", text:a }] : [];
+  const x = tokens(a), y = tokens(b);
+  let pre = 0, suf = 0;
+  while (pre < x.length && pre < y.length && x[pre] === y[pre]) pre++;
+  while (suf < x.length - pre && suf < y.length - pre && x[x.length-1-suf] === y[y.length-1-suf]) suf++;
+  const xs = x.slice(pre, x.length - suf), ys = y.slice(pre, y.length - suf);
+
+  // Longest common subsequence over the differing middle (verses are short)
+  const n = xs.length, m = ys.length;
+  const L = Array.from({ length: n+1 }, ()=> new Uint16Array(m+1));
+  for (let i=n-1; i>=0; i--){
+    for (let j=m-1; j>=0; j--) L[i][j] = xs[i] === ys[j] ? L[i+1][j+1] + 1 : Math.max(L[i+1][j], L[i][j+1]);
+  }
+
+  const out = [];
+  const push = (op, text)=>{
+    const last = out[out.length-1];
+    if (last && last.op === op) last.text += text; else out.push({ op, text });
+  };
+  for (const t of x.slice(0, pre)) push("same", t);
+  let i = 0, j = 0;
+  while (i < n && j < m){
+    if (xs[i] === ys[j]){ push("same", xs[i]); i++; j++; }
+    else if (L[i+1][j] >= L[i][j+1]) push("del", xs[i++]);
+    else push("ins", ys[j++]);
+  }
+  while (i < n) push("del", xs[i++]);
+  while (j < m) push("ins", ys[j++]);
+  for (const t of x.slice(x.length - suf)) push("same", t);
+  return out;
+}
+
+export const isChanged = (ops)=> ops.some(o => o.op !== "same");
+
+// Escaped markup with <del>/<ins> around the changes. side "a" keeps only a's text
+// (removals marked), side "b" only b's (additions marked); default shows both inline.
+export function diffHTML(ops, side){
+  const skip = side === "a" ? "ins" : side === "b" ? "del" : null;
+  return ops.filter(o => o.op !== skip)
+    .map(({ op, text }) => op === "same" ? esc(text) : `<${op}>${esc(text)}</${op}>`)
+    .join("");
+}
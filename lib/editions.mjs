@@ -0,0 +1,103 @@
+// lib/editions.mjs — Edition config (editions.json) shared by build.mjs, fetch-data.mjs
+// and validate.mjs (Node only). Each edition is a dataset in the usual Books.json +
+// <Book>.json shape with its own URL prefix: the default edition keeps the site root,
+// every other one lives under /<id>/ (e.g. /kjv-1611/john/3/16/). An edition with
+// "enabled": false stays in the file but is neither fetched nor built. One with
+// "text": "<id>" reads another edition's text in its own locale: it gets the
+// reading pages in that language and shares the other's data and its
+// edition-wide files (downloads, API, search index, concordance, share images).
+
+import fs from "fs/promises";
+import path from "path";
+import { OT, NT } from "./canon.mjs";
+
+// Top-level site paths, which neither an edition id nor a book's URL may shadow
+export const SITE_PATHS = ["assets", "api", "data", "search", "passages", "sitemaps", "compare", "offline", "my", "plans", "votd", "strongs", "concordance", "audio", "downloads"];
+const RESERVED = new Set([...SITE_PATHS, ...[...OT, ...NT].map(n =>
+  n.trim().toLowerCase().replace(/[^a-z0-9\s]/g,"").replace(/\s+/g,"-"))]);
+
+// Used when there is no editions.json: the original single-dataset site
+const FALLBACK = [{ id:"kjv", name:"King James Version", short:"KJV", year:1769, lang:"en", default:true, dataDir:"Bible-kjv-master", bases:[] }];
+
+// → [{ id, name, short, year, lang, locale, versification, textOf, isDefault, prefix, dataDir, strongsDir, audioDir, bases }],
+// default edition first. versification is "kjv" when the chapter and verse counts
+// must match the 1769 text (the default edition's default) or "own" when they may
+// differ (every other edition's default; see lib/validate.mjs). lang is the language of the text and locale that of the
+// labels, book names and book URLs around it (see lib/i18n.mjs); null means lang's
+// catalogue if there is one, else English.
+// textOf is the id of the edition whose text this one shares (null for its own);
+// lang, versification and the data paths are that edition's, and so are name,
+// short and year unless given.
+// strongsDir (optional) holds a parallel copy of the dataset with Strong's-tagged
+// verse text (see lib/strongs.mjs); audioDir (optional) holds chapter recordings
+// as <book-slug>/<chapter>.mp3 (see loadAudio in build.mjs).
+// EDITIONS_FILE overrides the config path; DATA_DIR overrides the default edition's data.
+export async function loadEditions(root){
+  const file = process.env.EDITIONS_FILE || path.join(root, "editions.json");
+  let list;
+  try { list = JSON.parse(await fs.readFile(file, "utf8")); }
+  catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Unable to read ${file}: ${e.message}`);
+    list = FALLBACK;
+  }
+  if (!Array.isArray(list)) throw new Error(`${file} must be a non-empty array of editions`);
+  list = list.filter(e => e?.enabled !== false);
+  if (!list.length) throw new Error(`${file} must have at least one enabled edition`);
+
+  const defaults = list.filter(e => e.default);
+  if (defaults.length > 1) throw new Error(`${file}: only one edition can be the default`);
+  const def = defaults[0] || list[0];
+  const seen = new Set();
+  const checkId = (e)=>{
+    const id = String(e.id || "");
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) throw new Error(`${file}: edition id "${id}" must be lowercase letters, digits and dashes`);
+    if (seen.has(id)) throw new Error(`${file}: duplicate edition id "${id}"`);
+    if (RESERVED.has(id)) throw new Error(`${file}: edition id "${id}" clashes with a site path`);
+    if (e.locale != null && !/^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(String(e.locale))) throw new Error(`${file}: edition "${id}" has an invalid locale "${e.locale}" (e.g. "es" or "ar")`);
+    seen.add(id);
+    return id;
+  };
+  // Editions with their own text first, then those reading one of them
+  const out = list.map(e => {
+    if (e.text != null) return null;
+    const id = checkId(e);
+    if (!e.name || !e.dataDir) throw new Error(`${file}: edition "${id}" needs a name and a dataDir`);
+    if (e.versification != null && !["kjv", "own"].includes(e.versification)) throw new Error(`${file}: edition "${id}" has versification "${e.versification}" (expected "kjv" or "own")`);
+    const isDefault = e === def;
+    return {
+      id,
+      name: String(e.name),
+      short: String(e.short || id.toUpperCase()),
+      year: e.year ?? null,
+      lang: String(e.lang || "en"),
+      locale: e.locale != null ? String(e.locale) : null,
+      versification: e.versification ?? (isDefault ? "kjv" : "own"),
+      textOf: null,
+      isDefault,
+      prefix: isDefault ? "" : `/${id}`,
+      dataDir: isDefault && process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.resolve(root, e.dataDir),
+      strongsDir: e.strongsDir ? path.resolve(root, e.strongsDir) : null,
+      audioDir: e.audioDir ? path.resolve(root, e.audioDir) : null,
+      bases: Array.isArray(e.bases) ? e.bases.map(String) : []
+    };
+  });
+  list.forEach((e, i)=>{
+    if (e.text == null) return;
+    const id = checkId(e);
+    const of = out.find(o => o?.id === String(e.text));
+    if (!of) throw new Error(`${file}: edition "${id}" reads the text of "${e.text}", which isn't an enabled edition with a text of its own`);
+    const isDefault = e === def;
+    out[i] = {
+      ...of,
+      id,
+      name: String(e.name || of.name),
+      short: String(e.short || of.short),
+      year: e.year ?? of.year,
+      locale: e.locale != null ? String(e.locale) : null,
+      textOf: of.id,
+      isDefault,
+      prefix: isDefault ? "" : `/${id}`
+    };
+  });
+  return [out.find(e => e.isDefault), ...out.filter(e => !e.isDefault)];
+}
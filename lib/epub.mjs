@@ -0,0 +1,137 @@
+// lib/epub.mjs — EPUB 3 books from normalizeBook()-shaped text: a title page, a
+// contents page, one XHTML document per Bible book with chapter and verse
+// anchors, the EPUB 3 navigation document and an NCX for older readers. The
+// caller names the anchors (build.mjs derives them from the site's URLs), so a
+// verse is "#john-3-16" in the EPUB and /john/3/16/ on the site. Node only.
+
+import { zip } from "./zip.mjs";
+import { escapeHtml as esc } from "./html.mjs";
+
+const xhtml = (title, lang, body)=> `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${lang}" xml:lang="${lang}">
+<head>
+<meta charset="utf-8"/>
+<title>${esc(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+// Headings and contents in the reader's language; {chapter} is filled in
+const LABELS = { contents: "Contents", chapter: "Chapter {chapter}", psalm: "Psalm {chapter}" };
+
+// "Psalm 23" rather than "Chapter 23"
+const chapterTitle = (book, chapter, labels)=> (book.slug === "psalms" ? labels.psalm : labels.chapter).replace("{chapter}", chapter);
+
+function bookXHTML(book, { lang, anchor, labels }){
+  const chapters = book.chapters.map(({ chapter, verses }) => `<section epub:type="chapter" class="chapter" id="${anchor({ bookSlug: book.slug, chapter })}">
+<h2>${esc(chapterTitle(book, chapter, labels))}</h2>
+${verses.map(({ verse, text }) => `<p class="verse" id="${anchor({ bookSlug: book.slug, chapter, verse })}"><span class="vnum">${verse}</span> ${esc(text)}</p>`).join("\n")}
+</section>`).join("\n");
+  return xhtml(book.name, lang, `<section epub:type="bodymatter" id="${anchor({ bookSlug: book.slug })}">
+<h1>${esc(book.name)}</h1>
+${chapters}
+</section>`);
+}
+
+// groups: [{ title | null, books }] → [{ label, href, children }]
+function contents(groups, anchor, labels){
+  const bookEntries = (books)=> books.map(book => ({
+    label: book.name, href: `${book.slug}.xhtml`,
+    children: book.chapters.length > 1
+      ? book.chapters.map(({ chapter }) => ({ label: chapterTitle(book, chapter, labels), href: `${book.slug}.xhtml#${anchor({ bookSlug: book.slug, chapter })}`, children: [] }))
+      : []
+  }));
+  return groups.flatMap(g => g.title ? [{ label: g.title, href: `${g.books[0].slug}.xhtml`, children: bookEntries(g.books) }] : bookEntries(g.books));
+}
+
+function navXHTML(toc, { title, lang, labels }){
+  const list = (entries)=> `<ol>\n${entries.map(e => `<li><a href="${e.href}">${esc(e.label)}</a>${e.children.length ? list(e.children) : ""}</li>`).join("\n")}\n</ol>`;
+  return xhtml(title, lang, `<nav epub:type="toc" id="toc">
+<h1>${esc(labels.contents)}</h1>
+${list(toc)}
+</nav>`);
+}
+
+function ncx(toc, { identifier, title }){
+  let order = 0;
+  const points = (entries)=> entries.map(e => {
+    const n = ++order;
+    return `<navPoint id="np${n}" playOrder="${n}"><navLabel><text>${esc(e.label)}</text></navLabel><content src="${e.href}"/>${points(e.children)}</navPoint>`;
+  }).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${esc(identifier)}"/></head>
+<docTitle><text>${esc(title)}</text></docTitle>
+<navMap>
+${points(toc)}
+</navMap>
+</ncx>
+`;
+}
+
+// {
+//   identifier, title, subtitle?, language, publisher?, source? (the site URL),
+//   modified (ISO date the content last changed; not the build's, so the same
+//   input gives the same bytes), css,
+//   groups: [{ title | null, books: [{ name, slug, chapters: [{ chapter, verses: [{ verse, text }] }] }] }],
+//   anchor({ bookSlug, chapter?, verse? }) → id,
+//   labels? ({ contents, chapter, psalm }, see LABELS)
+// } → Buffer
+export function buildEpub({ identifier, title, subtitle = "", language, publisher = "", source = "", modified, css, groups, anchor, labels = {} }){
+  labels = { ...LABELS, ...labels };
+  const books = groups.flatMap(g => g.books);
+  const toc = contents(groups, anchor, labels);
+  const titlePage = xhtml(title, language, `<section epub:type="titlepage" class="titlepage">
+<h1>${esc(title)}</h1>
+${subtitle ? `<p class="subtitle">${esc(subtitle)}</p>` : ""}
+${publisher ? `<p>${esc(publisher)}</p>` : ""}
+${source ? `<p><a href="${esc(source)}">${esc(source.replace(/^https?:\/\//, ""))}</a></p>` : ""}
+</section>`);
+
+  const items = [
+    `<item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>`,
+    `<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>`,
+    `<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>`,
+    `<item id="css" href="style.css" media-type="text/css"/>`,
+    ...books.map((b, i) => `<item id="b${i + 1}" href="${b.slug}.xhtml" media-type="application/xhtml+xml"/>`)
+  ];
+  const spine = [`<itemref idref="title"/>`, `<itemref idref="nav"/>`, ...books.map((_, i) => `<itemref idref="b${i + 1}"/>`)];
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="${language}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="uid">${esc(identifier)}</dc:identifier>
+<dc:title>${esc(title)}</dc:title>
+<dc:language>${language}</dc:language>
+${publisher ? `<dc:publisher>${esc(publisher)}</dc:publisher>` : ""}
+${source ? `<dc:source>${esc(source)}</dc:source>` : ""}
+<meta property="dcterms:modified">${modified.replace(/\.\d+Z$/, "Z")}</meta>
+</metadata>
+<manifest>
+${items.join("\n")}
+</manifest>
+<spine toc="ncx">
+${spine.join("\n")}
+</spine>
+</package>
+`;
+
+  return zip([
+    { name: "mimetype", data: "application/epub+zip", store: true },
+    { name: "META-INF/container.xml", data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>
+` },
+    { name: "OEBPS/content.opf", data: opf },
+    { name: "OEBPS/nav.xhtml", data: navXHTML(toc, { title, lang: language, labels }) },
+    { name: "OEBPS/toc.ncx", data: ncx(toc, { identifier, title }) },
+    { name: "OEBPS/style.css", data: css },
+    { name: "OEBPS/title.xhtml", data: titlePage },
+    ...books.map(b => ({ name: `OEBPS/${b.slug}.xhtml`, data: bookXHTML(b, { lang: language, anchor, labels }) }))
+  ]);
+}
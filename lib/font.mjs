@@ -0,0 +1,459 @@
+// lib/font.mjs — Just enough of a TrueType reader to set text at build time in the
+// self-hosted fonts (fonts/*.woff2, or plain .ttf): the character map, advance
+// widths, pair kerning from GPOS and glyph outlines, and simple shaping over a
+// stack of fonts. WOFF2 tables are Brotli compressed and the glyf table is usually
+// transformed; both are undone here. No hinting, no ligatures, no CFF outlines.
+// Node only (node:zlib).
+
+import { brotliDecompressSync } from "node:zlib";
+
+// WOFF2 "known tags", by index (WOFF2 spec, table directory flags)
+const KNOWN_TAGS = ["cmap", "head", "hhea", "hmtx", "maxp", "name", "OS/2", "post", "cvt ", "fpgm", "glyf", "loca", "prep", "CFF ", "VORG",
+  "EBDT", "EBLC", "gasp", "hdmx", "kern", "LTSH", "PCLT", "VDMX", "vhea", "vmtx", "BASE", "GDEF", "GPOS", "GSUB", "EBSC", "JSTF", "MATH",
+  "CBDT", "CBLC", "COLR", "CPAL", "SVG ", "sbix", "acnt", "avar", "bdat", "bloc", "bsln", "cvar", "fdsc", "feat", "fmtx", "fvar", "gvar",
+  "hsty", "just", "lcar", "mort", "morx", "opbd", "prop", "trak", "Zapf", "Silf", "Glat", "Gloc", "Feat", "Sill"];
+
+// Big-endian reader over a Uint8Array
+function reader(bytes, at = 0){
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const r = {
+    at,
+    u8: ()=> bytes[r.at++],
+    i8: ()=> view.getInt8(r.at++),
+    u16: ()=>{ const v = view.getUint16(r.at); r.at += 2; return v; },
+    i16: ()=>{ const v = view.getInt16(r.at); r.at += 2; return v; },
+    u32: ()=>{ const v = view.getUint32(r.at); r.at += 4; return v; },
+    tag: ()=> String.fromCharCode(...bytes.subarray(r.at, r.at += 4)),
+    // WOFF2 variable-length integers
+    base128: ()=>{
+      let v = 0;
+      for (let i = 0; i < 5; i++){
+        const b = bytes[r.at++];
+        v = v * 128 + (b & 0x7f);
+        if (!(b & 0x80)) return v;
+      }
+      throw new Error("bad UIntBase128");
+    },
+    u255: ()=>{
+      const code = bytes[r.at++];
+      if (code === 253) return r.u16();
+      if (code === 255) return bytes[r.at++] + 253;
+      if (code === 254) return bytes[r.at++] + 506;
+      return code;
+    }
+  };
+  return r;
+}
+
+// → Map(tag → { bytes, transformed })
+function woff2Tables(bytes){
+  const r = reader(bytes, 12);
+  const numTables = r.u16();
+  r.at = 48;
+  const dir = [];
+  for (let i = 0; i < numTables; i++){
+    const flags = r.u8();
+    const tag = (flags & 63) === 63 ? r.tag() : KNOWN_TAGS[flags & 63];
+    const version = flags >> 6;
+    const length = r.base128();
+    // glyf/loca: version 0 means transformed; every other table: version 0 is as-is
+    const transformed = tag === "glyf" || tag === "loca" ? version === 0 : version !== 0;
+    dir.push({ tag, transformed, length: transformed ? r.base128() : length });
+  }
+  const data = brotliDecompressSync(bytes.subarray(r.at));
+  const tables = new Map();
+  let at = 0;
+  for (const t of dir){
+    tables.set(t.tag, { bytes: data.subarray(at, at + t.length), transformed: t.transformed });
+    at += t.length;
+  }
+  return tables;
+}
+
+// → Map(tag → { bytes, transformed: false })
+function sfntTables(bytes){
+  const r = reader(bytes, 4);
+  const numTables = r.u16();
+  r.at = 12;
+  const tables = new Map();
+  for (let i = 0; i < numTables; i++){
+    const tag = r.tag();
+    r.u32();  // checksum
+    const offset = r.u32(), length = r.u32();
+    tables.set(tag, { bytes: bytes.subarray(offset, offset + length), transformed: false });
+  }
+  return tables;
+}
+
+// A composite glyph's components: [{ glyph, dx, dy, xx, xy, yx, yy }]; `r` is left
+// after the last one. → { components, instructions }
+function readComponents(r){
+  const components = [];
+  let flags;
+  do {
+    flags = r.u16();
+    const glyph = r.u16();
+    let dx, dy;
+    if (flags & 0x0001){ dx = r.i16(); dy = r.i16(); } else { dx = r.i8(); dy = r.i8(); }
+    if (!(flags & 0x0002)) dx = dy = 0;  // point matching: not supported, placed unshifted
+    let xx = 1, xy = 0, yx = 0, yy = 1;
+    const f2dot14 = ()=> r.i16() / 16384;
+    if (flags & 0x0008) xx = yy = f2dot14();
+    else if (flags & 0x0040){ xx = f2dot14(); yy = f2dot14(); }
+    else if (flags & 0x0080){ xx = f2dot14(); xy = f2dot14(); yx = f2dot14(); yy = f2dot14(); }
+    components.push({ glyph, dx, dy, xx, xy, yx, yy });
+  } while (flags & 0x0020);
+  return { components, instructions: Boolean(flags & 0x0100) };
+}
+
+// Transformed (WOFF2) glyf → [glyph], where glyph is null (empty),
+// { contours: [[{ x, y, on }]] } or { components }
+function readTransformedGlyf(bytes){
+  const r = reader(bytes);
+  r.u16(); r.u16();  // reserved, option flags
+  const numGlyphs = r.u16();
+  r.u16();           // index format
+  const sizes = Array.from({ length: 7 }, ()=> r.u32());
+  const streams = [];
+  let at = r.at;
+  for (const size of sizes){ streams.push(reader(bytes.subarray(at, at + size))); at += size; }
+  const [nContours, nPoints, flagStream, glyphStream, compositeStream] = streams;
+
+  const glyphs = [];
+  for (let g = 0; g < numGlyphs; g++){
+    const n = nContours.i16();
+    if (n === 0){ glyphs.push(null); continue; }
+    if (n < 0){
+      const { components, instructions } = readComponents(compositeStream);
+      if (instructions) glyphStream.u255();
+      glyphs.push({ components });
+      continue;
+    }
+    const counts = Array.from({ length: n }, ()=> nPoints.u255());
+    const contours = [];
+    let x = 0, y = 0;
+    for (const count of counts){
+      const points = [];
+      for (let i = 0; i < count; i++){
+        const raw = flagStream.u8(), on = !(raw & 0x80), f = raw & 0x7f;
+        const sign = (bit, v)=> bit & 1 ? v : -v;
+        let dx, dy;
+        if (f < 10){ dx = 0; dy = sign(f, ((f & 14) << 7) + glyphStream.u8()); }
+        else if (f < 20){ dx = sign(f, (((f - 10) & 14) << 7) + glyphStream.u8()); dy = 0; }
+        else if (f < 84){
+          const b0 = f - 20, b1 = glyphStream.u8();
+          dx = sign(f, 1 + (b0 & 0x30) + (b1 >> 4));
+          dy = sign(f >> 1, 1 + ((b0 & 0x0c) << 2) + (b1 & 0x0f));
+        } else if (f < 120){
+          const b0 = f - 84;
+          dx = sign(f, 1 + (Math.floor(b0 / 12) << 8) + glyphStream.u8());
+          dy = sign(f >> 1, 1 + (((b0 % 12) >> 2) << 8) + glyphStream.u8());
+        } else if (f < 124){
+          const b1 = glyphStream.u8(), b2 = glyphStream.u8(), b3 = glyphStream.u8();
+          dx = sign(f, (b1 << 4) + (b2 >> 4));
+          dy = sign(f >> 1, ((b2 & 0x0f) << 8) + b3);
+        } else {
+          dx = sign(f, glyphStream.u16());
+          dy = sign(f >> 1, glyphStream.u16());
+        }
+        x += dx; y += dy;
+        points.push({ x, y, on });
+      }
+      contours.push(points);
+    }
+    glyphStream.u255();  // instruction length (the instructions have their own stream)
+    glyphs.push({ contours });
+  }
+  return glyphs;
+}
+
+// Plain glyf + loca → [glyph] as above
+function readGlyf(glyf, loca, numGlyphs, longOffsets){
+  const lr = reader(loca);
+  const offsets = Array.from({ length: numGlyphs + 1 }, ()=> longOffsets ? lr.u32() : lr.u16() * 2);
+  const glyphs = [];
+  for (let g = 0; g < numGlyphs; g++){
+    if (offsets[g + 1] <= offsets[g]){ glyphs.push(null); continue; }
+    const r = reader(glyf, offsets[g]);
+    const n = r.i16();
+    r.at += 8;  // bbox
+    if (n < 0){ glyphs.push({ components: readComponents(r).components }); continue; }
+    const ends = Array.from({ length: n }, ()=> r.u16());
+    const instructions = r.u16();
+    r.at += instructions;
+    const total = n ? ends[n - 1] + 1 : 0;
+    const flags = [];
+    while (flags.length < total){
+      const f = r.u8();
+      flags.push(f);
+      if (f & 8) for (let k = r.u8(); k > 0; k--) flags.push(f);
+    }
+    const coords = (short, same)=>{
+      let v = 0;
+      return flags.map(f => {
+        if (f & short) v += f & same ? r.u8() : -r.u8();
+        else if (!(f & same)) v += r.i16();
+        return v;
+      });
+    };
+    const xs = coords(2, 16), ys = coords(4, 32);
+    const contours = [];
+    let start = 0;
+    for (const end of ends){
+      contours.push(flags.slice(start, end + 1).map((f, i) => ({ x: xs[start + i], y: ys[start + i], on: Boolean(f & 1) })));
+      start = end + 1;
+    }
+    glyphs.push({ contours });
+  }
+  return glyphs;
+}
+
+// cmap → Map(code point → glyph), from the best Unicode subtable (format 12 or 4)
+function readCmap(bytes){
+  const r = reader(bytes);
+  r.u16();
+  const count = r.u16();
+  const subtables = [];
+  for (let i = 0; i < count; i++){
+    const platform = r.u16(), encoding = r.u16(), offset = r.u32();
+    const format = reader(bytes, offset).u16();
+    const rank = format === 12 ? 2 : format === 4 && (platform === 0 || (platform === 3 && encoding === 1)) ? 1 : 0;
+    if (rank) subtables.push({ offset, format, rank });
+  }
+  subtables.sort((a, b) => b.rank - a.rank);
+  const map = new Map();
+  const best = subtables[0];
+  if (!best) return map;
+  const t = reader(bytes, best.offset);
+  if (best.format === 12){
+    t.at += 12;
+    for (let groups = t.u32(); groups > 0; groups--){
+      const start = t.u32(), end = t.u32(), glyph = t.u32();
+      for (let c = start; c <= end; c++) map.set(c, glyph + c - start);
+    }
+    return map;
+  }
+  t.at += 6;
+  const segs = t.u16() / 2;
+  t.at += 6;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ends = t.at, starts = ends + segs * 2 + 2, deltas = starts + segs * 2, ranges = deltas + segs * 2;
+  for (let i = 0; i < segs; i++){
+    const end = view.getUint16(ends + i * 2), start = view.getUint16(starts + i * 2);
+    const delta = view.getInt16(deltas + i * 2), rangeAt = ranges + i * 2, range = view.getUint16(rangeAt);
+    for (let c = start; c <= end && c !== 0xffff; c++){
+      let g = range ? view.getUint16(rangeAt + range + (c - start) * 2) : c;
+      if (g) g = (g + delta) & 0xffff;
+      if (g) map.set(c, g);
+    }
+  }
+  return map;
+}
+
+// Coverage table → Map(glyph → coverage index)
+function readCoverage(bytes, offset){
+  const r = reader(bytes, offset);
+  const format = r.u16(), out = new Map();
+  if (format === 1){
+    for (let i = 0, n = r.u16(); i < n; i++) out.set(r.u16(), i);
+  } else {
+    for (let n = r.u16(); n > 0; n--){
+      const start = r.u16(), end = r.u16(), index = r.u16();
+      for (let g = start; g <= end; g++) out.set(g, index + g - start);
+    }
+  }
+  return out;
+}
+
+// Class definition table → Map(glyph → class); missing glyphs are class 0
+function readClassDef(bytes, offset){
+  const r = reader(bytes, offset);
+  const format = r.u16(), out = new Map();
+  if (format === 1){
+    const start = r.u16();
+    for (let i = 0, n = r.u16(); i < n; i++) out.set(start + i, r.u16());
+  } else {
+    for (let n = r.u16(); n > 0; n--){
+      const start = r.u16(), end = r.u16(), cls = r.u16();
+      for (let g = start; g <= end; g++) out.set(g, cls);
+    }
+  }
+  return out;
+}
+
+// GPOS "kern" feature, pair adjustment lookups only → (left, right) → x advance
+// adjustment in font units
+function readKerning(bytes){
+  if (!bytes) return ()=> 0;
+  const r = reader(bytes);
+  r.u32();
+  r.u16();  // script list: every script's kern feature is taken
+  const featureList = r.u16(), lookupList = r.u16();
+  const lookups = new Set();
+  const fl = reader(bytes, featureList);
+  for (let n = fl.u16(); n > 0; n--){
+    const tag = fl.tag(), offset = fl.u16();
+    if (tag !== "kern") continue;
+    const f = reader(bytes, featureList + offset + 2);
+    for (let k = f.u16(); k > 0; k--) lookups.add(f.u16());
+  }
+  const ll = reader(bytes, lookupList);
+  const lookupOffsets = Array.from({ length: ll.u16() }, ()=> lookupList + ll.u16());
+  const subtables = [];
+  for (const index of [...lookups].sort((a, b) => a - b)){
+    const lr = reader(bytes, lookupOffsets[index]);
+    const type = lr.u16();
+    lr.u16();
+    for (let n = lr.u16(); n > 0; n--){
+      let at = lookupOffsets[index] + lr.u16(), kind = type;
+      if (kind === 9){  // extension
+        const x = reader(bytes, at);
+        x.u16();
+        kind = x.u16();
+        at += x.u32();
+      }
+      if (kind === 2) subtables.push({ lookup: index, ...readPairPos(bytes, at) });
+    }
+  }
+  return (left, right)=>{
+    let total = 0, done = -1;
+    for (const t of subtables){
+      if (t.lookup === done) continue;  // first matching subtable of a lookup wins
+      const v = t.get(left, right);
+      if (v != null){ total += v; done = t.lookup; }
+    }
+    return total;
+  };
+}
+
+// One PairPos subtable → { get(left, right) → x advance or null }
+function readPairPos(bytes, offset){
+  const r = reader(bytes, offset);
+  const format = r.u16(), coverage = readCoverage(bytes, offset + r.u16());
+  const vf1 = r.u16(), vf2 = r.u16();
+  const bits = (vf)=> { let n = 0; for (let b = vf; b; b >>= 1) n += b & 1; return n; };
+  const size1 = bits(vf1) * 2, size2 = bits(vf2) * 2;
+  // XAdvance's place in the first value record, if it has one
+  const xAdvanceAt = vf1 & 4 ? bits(vf1 & 3) * 2 : -1;
+  const none = { get: ()=> null };
+  if (xAdvanceAt < 0) return none;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (format === 1){
+    const pairSets = Array.from({ length: r.u16() }, ()=> offset + r.u16());
+    const recordSize = 2 + size1 + size2;
+    return {
+      get(left, right){
+        const i = coverage.get(left);
+        if (i == null) return null;
+        const at = pairSets[i], n = view.getUint16(at);
+        let lo = 0, hi = n - 1;
+        while (lo <= hi){
+          const mid = (lo + hi) >> 1, rec = at + 2 + mid * recordSize, g = view.getUint16(rec);
+          if (g === right) return view.getInt16(rec + 2 + xAdvanceAt);
+          if (g < right) lo = mid + 1; else hi = mid - 1;
+        }
+        return null;
+      }
+    };
+  }
+  if (format === 2){
+    const class1 = readClassDef(bytes, offset + r.u16()), class2 = readClassDef(bytes, offset + r.u16());
+    r.u16();
+    const class2Count = r.u16(), records = r.at;
+    return {
+      get(left, right){
+        if (!coverage.has(left)) return null;
+        const c1 = class1.get(left) || 0, c2 = class2.get(right) || 0;
+        return view.getInt16(records + (c1 * class2Count + c2) * (size1 + size2) + xAdvanceAt);
+      }
+    };
+  }
+  return none;
+}
+
+// Font file (WOFF2 or TrueType) → {
+//   unitsPerEm, ascender, descender,
+//   glyphOf(codePoint) → glyph id or 0, advance(glyph), kern(left, right),
+//   outline(glyph) → [[{ x, y, on }]] in font units, y up
+// }
+export function readFont(data){
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const signature = String.fromCharCode(...bytes.subarray(0, 4));
+  if (signature === "wOFF") throw new Error("WOFF 1 fonts are not supported; use the .woff2 or .ttf");
+  if (signature === "OTTO") throw new Error("CFF (PostScript-outline) fonts are not supported");
+  const tables = signature === "wOF2" ? woff2Tables(bytes) : sfntTables(bytes);
+  const table = (tag)=>{
+    const t = tables.get(tag);
+    if (!t) throw new Error(`font has no ${tag} table`);
+    return t;
+  };
+
+  const head = reader(table("head").bytes);
+  head.at = 18;
+  const unitsPerEm = head.u16();
+  head.at = 50;
+  const longOffsets = head.i16() === 1;
+  const hhea = reader(table("hhea").bytes, 4);
+  const ascender = hhea.i16(), descender = hhea.i16();
+  hhea.at = 34;
+  const numHMetrics = hhea.u16();
+  const numGlyphs = reader(table("maxp").bytes, 4).u16();
+
+  const hmtx = reader(table("hmtx").bytes);
+  const advances = new Uint16Array(numGlyphs);
+  for (let g = 0; g < numGlyphs; g++){
+    if (g < numHMetrics){ advances[g] = hmtx.u16(); hmtx.u16(); }
+    else advances[g] = advances[numHMetrics - 1];
+  }
+
+  const glyf = table("glyf");
+  const glyphs = glyf.transformed
+    ? readTransformedGlyf(glyf.bytes)
+    : readGlyf(glyf.bytes, table("loca").bytes, numGlyphs, longOffsets);
+  const cmap = readCmap(table("cmap").bytes);
+  const kern = readKerning(tables.get("GPOS")?.bytes);
+
+  const outlines = new Map();
+  function outline(g, depth = 0){
+    if (outlines.has(g)) return outlines.get(g);
+    const glyph = glyphs[g];
+    let contours = [];
+    if (glyph?.contours) contours = glyph.contours;
+    else if (glyph?.components && depth < 8){
+      for (const c of glyph.components){
+        for (const contour of outline(c.glyph, depth + 1)){
+          contours.push(contour.map(p => ({ x: p.x * c.xx + p.y * c.yx + c.dx, y: p.x * c.xy + p.y * c.yy + c.dy, on: p.on })));
+        }
+      }
+    }
+    outlines.set(g, contours);
+    return contours;
+  }
+
+  return {
+    unitsPerEm, ascender, descender,
+    glyphOf: (cp)=> cmap.get(cp) || 0,
+    advance: (g)=> advances[g] || 0,
+    kern,
+    outline
+  };
+}
+
+// A font stack ([readFont() result, ...]) → positioned glyphs at `size` (pixels or
+// points), kerned within each font. Characters come from the first font that has
+// them, so a basic Latin face can sit in front of a Latin Extended one as on the
+// site. → { glyphs: [{ font, glyph, char, x, scale }], width }
+export function shapeText(stack, text, size){
+  const glyphs = [];
+  let x = 0, prev = null;
+  for (const char of text){
+    const cp = char.codePointAt(0);
+    const font = stack.find(f => f.glyphOf(cp)) || stack[0];
+    const glyph = font.glyphOf(cp), scale = size / font.unitsPerEm;
+    if (prev && prev.font === font) x += font.kern(prev.glyph, glyph) * scale;
+    glyphs.push({ font, glyph, char, x, scale });
+    x += font.advance(glyph) * scale;
+    prev = { font, glyph };
+  }
+  return { glyphs, width: x };
+}
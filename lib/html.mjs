@@ -0,0 +1,8 @@
+// lib/html.mjs — Escaping text for HTML and XHTML markup. Imported by build.mjs and
+// the modules that build markup on both sides (lib/passage.mjs, lib/diff.mjs), so it
+// ships to /assets/html.js with them and must stay free of Node-only imports.
+
+// Text → safe in element content and in quoted attribute values
+export const escapeHtml = (s)=>String(s)
+  .replaceAll("&","&amp;").replaceAll("<","&lt;").replaceAll(">","&gt;")
+  .replaceAll('"',"&quot;").replaceAll("'","&#39;");
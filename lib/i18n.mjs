@@ -0,0 +1,95 @@
+// lib/i18n.mjs — Interface languages: message catalogues and localized book names
+// from locales/<code>.json, used by build.mjs for the chrome around the text (Node
+// only). An edition's `locale` (editions.json) picks the catalogue, independently of
+// the `lang` of the text itself, so the KJV can be read with Spanish or Arabic labels.
+//
+// A catalogue: { name, dir?, messages:{ key: text }, scripts:{ key: text },
+// books:{ "<canonical name>": { name, abbr?:[…], slug? } } }. `messages` are used
+// when pages are rendered and `scripts` ship to the browser (/assets/messages/).
+// Text may hold {placeholders}; a value can also be { one, other, … } by plural
+// category (Intl.PluralRules), picked with the `count` parameter. Anything a
+// catalogue leaves out falls back to locales/en.json, which has every key.
+
+import fs from "fs/promises";
+import path from "path";
+import { OT, NT } from "./canon.mjs";
+import { SITE_PATHS } from "./editions.mjs";
+
+export const DEFAULT_LOCALE = "en";
+
+// Written right to left (when a catalogue doesn't say)
+const RTL = new Set(["ar", "arc", "ckb", "dv", "fa", "he", "ks", "ps", "sd", "syr", "ug", "ur", "yi"]);
+
+// "rtl" for languages written right to left, else "ltr"
+export function textDirection(code){
+  return RTL.has(String(code).toLowerCase().split("-")[0]) ? "rtl" : "ltr";
+}
+
+// Book name → URL slug: "1 Juan" → "1-juan", "Génesis" → "genesis". Accents are
+// dropped; names in other scripts need a `slug` in the catalogue.
+export function slugOf(name){
+  return String(name).normalize("NFD").replace(/\p{M}/gu, "").trim().toLowerCase()
+    .replace(/[^a-z0-9\s]/g, "").replace(/\s+/g, "-");
+}
+
+async function readCatalogue(dir, code){
+  const file = path.join(dir, `${code}.json`);
+  try { return { file, data: JSON.parse(await fs.readFile(file, "utf8")) }; }
+  catch (e) {
+    if (e.code === "ENOENT") throw new Error(`No catalogue for locale "${code}" (expected ${file})`);
+    throw new Error(`Unable to read ${file}: ${e.message}`);
+  }
+}
+
+// → { code, name, dir, messages, scripts, books:{ [slug]: { name, abbr, path } } },
+// plain data (it travels to render workers). `path` is the book's URL segment.
+// With `optional`, a locale without a catalogue gets the default one instead.
+// `defaults` ({ key: text }) replaces the default catalogue's messages, as site.json
+// does its title; other catalogues' own translations still win. LOCALES_DIR
+// overrides locales/.
+export async function loadLocale(root, code = DEFAULT_LOCALE, { optional = false, defaults = {} } = {}){
+  const dir = process.env.LOCALES_DIR || path.join(root, "locales");
+  const base = (await readCatalogue(dir, DEFAULT_LOCALE)).data;
+  if (optional && code !== DEFAULT_LOCALE && !(await fs.access(path.join(dir, `${code}.json`)).then(()=> true, ()=> false))) code = DEFAULT_LOCALE;
+  const { file, data } = code === DEFAULT_LOCALE ? { file: path.join(dir, `${code}.json`), data: base } : await readCatalogue(dir, code);
+
+  for (const group of ["messages", "scripts"]){
+    const unknown = Object.keys(data[group] || {}).filter(k => !(k in (base[group] || {})));
+    if (unknown.length) throw new Error(`${file}: unknown ${group} key "${unknown[0]}" (not in ${DEFAULT_LOCALE}.json)`);
+  }
+  const missing = Object.keys(base.messages || {}).filter(k => !(k in (data.messages || {}))).length
+    + Object.keys(base.scripts || {}).filter(k => !(k in (data.scripts || {}))).length;
+  if (missing) console.warn(`Warning: ${missing} ${code} messages missing from ${path.basename(file)} — shown in English`);
+
+  // Each book's own slug stays free for the redirect to its localized path
+  const books = {}, paths = new Map([...OT, ...NT].map(n => [slugOf(n), n]));
+  for (const canonical of [...OT, ...NT]){
+    const entry = data.books?.[canonical] || {};
+    const name = String(entry.name || canonical);
+    const slug = slugOf(canonical);
+    const bookPath = entry.slug ? String(entry.slug) : slugOf(name);
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(bookPath)) throw new Error(`${file}: "${canonical}" needs a slug of lowercase letters, digits and dashes`);
+    if (SITE_PATHS.includes(bookPath)) throw new Error(`${file}: "${canonical}" can't use /${bookPath}/, a site path`);
+    if (paths.has(bookPath) && paths.get(bookPath) !== canonical) throw new Error(`${file}: "${canonical}" and "${paths.get(bookPath)}" would share /${bookPath}/`);
+    paths.set(bookPath, canonical);
+    books[slug] = { name, abbr: (entry.abbr || []).map(String), path: bookPath };
+  }
+  const stand = (group)=> Object.fromEntries(Object.entries(defaults).filter(([key]) => key in (base[group] || {})));
+  const own = (group)=> code === DEFAULT_LOCALE ? {} : data[group];
+  return {
+    code,
+    name: String(data.name || code),
+    dir: data.dir === "rtl" || data.dir === "ltr" ? data.dir : textDirection(code),
+    messages: { ...base.messages, ...stand("messages"), ...own("messages") },
+    scripts: { ...base.scripts, ...stand("scripts"), ...own("scripts") },
+    books
+  };
+}
+
+// Message `key` of a loaded locale with its {placeholders} filled in
+export function translate(locale, key, params = {}, group = "messages"){
+  let text = locale[group][key];
+  if (text === undefined) throw new Error(`Unknown ${group} key "${key}"`);
+  if (typeof text === "object") text = text[new Intl.PluralRules(locale.code).select(Number(params.count))] ?? text.other;
+  return String(text).replace(/\{(\w+)\}/g, (m, name) => name in params ? String(params[name]) : m);
+}
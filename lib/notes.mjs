@@ -0,0 +1,127 @@
+// lib/notes.mjs — The reader's bookmarks, highlights and notes: one record per
+// verse, keyed like verseUrl() by { bookSlug, chapter, verse }, plus the JSON and
+// Markdown formats they are exported and imported as. Records live in the
+// browser's IndexedDB (see NOTES_DB_JS in build.mjs); this module is copied to
+// /assets/notes.js and, like lib/reference.mjs, has no Node-only imports.
+
+export const FORMAT = "kjv-notes";
+export const FORMAT_VERSION = 1;
+export const HIGHLIGHTS = ["yellow", "green", "blue", "pink"];
+
+// item: { bookSlug, chapter, verse, bookName, bookmark, highlight, note, updated }
+export const keyOf = (r)=> `${r.bookSlug}/${r.chapter}/${r.verse}`;
+export const isEmpty = (item)=> !item.bookmark && !item.highlight && !item.note;
+
+// Anything read back from storage or a file → a clean item, or null
+export function normalizeItem(raw){
+  if (!raw || typeof raw !== "object") return null;
+  const chapter = Number(raw.chapter), verse = Number(raw.verse);
+  if (typeof raw.bookSlug !== "string" || !/^[a-z0-9-]+$/.test(raw.bookSlug)) return null;
+  if (!Number.isInteger(chapter) || chapter < 1 || !Number.isInteger(verse) || verse < 1) return null;
+  return {
+    bookSlug: raw.bookSlug,
+    chapter,
+    verse,
+    bookName: typeof raw.bookName === "string" ? raw.bookName : "",
+    bookmark: raw.bookmark === true,
+    highlight: HIGHLIGHTS.includes(raw.highlight) ? raw.highlight : null,
+    note: typeof raw.note === "string" ? raw.note.trim() : "",
+    updated: typeof raw.updated === "string" && !isNaN(Date.parse(raw.updated)) ? raw.updated : ""
+  };
+}
+
+// Canonical order from the nav payload ({ ot:[{slug}], nt:[{slug}] }); unknown books last
+export function compareItems(nav){
+  const order = new Map([...(nav.ot || []), ...(nav.nt || [])].map((b, i) => [b.slug, i]));
+  const at = (slug)=> order.has(slug) ? order.get(slug) : Infinity;
+  return (a, b)=> (at(a.bookSlug) - at(b.bookSlug)) || a.chapter - b.chapter || a.verse - b.verse;
+}
+
+export const labelOf = (item)=> `${item.bookName || item.bookSlug} ${item.chapter}:${item.verse}`;
+
+// An imported item against what is stored for the same verse: the more recently
+// updated one wins; an import without a date replaces what is there.
+export function mergeItem(existing, incoming){
+  if (!existing) return incoming;
+  if (existing.updated && incoming.updated && existing.updated > incoming.updated) return existing;
+  return { ...incoming, bookName: incoming.bookName || existing.bookName };
+}
+
+export function toJSON(items, { site = "" } = {}){
+  return JSON.stringify({ format: FORMAT, version: FORMAT_VERSION, site, exported: new Date().toISOString(), items }, null, 2);
+}
+
+// → { items, errors:[string] }
+export function fromJSON(text){
+  let data;
+  try { data = JSON.parse(text); }
+  catch (e) { return { items: [], errors: [`Not valid JSON (${e.message})`] }; }
+  if (!data || data.format !== FORMAT || !Array.isArray(data.items)) return { items: [], errors: ["Not a notes export from this site"] };
+  if (data.version > FORMAT_VERSION) return { items: [], errors: [`Made by a newer version of this site (format ${data.version})`] };
+  const items = [], errors = [];
+  data.items.forEach((raw, i)=>{
+    const item = normalizeItem(raw);
+    if (item) items.push(item);
+    else errors.push(`Skipped entry ${i + 1}: not a verse reference`);
+  });
+  return { items, errors };
+}
+
+// One "## [Book c:v](url)" section per verse, then "- Bookmarked", "- Highlight:
+// <colour>", "- Updated: <date>" and the note as plain paragraphs. Note lines that
+// would read as a heading or one of those list lines are escaped with "\".
+const META_LINE = /^(#|- (Bookmarked|Highlight:|Updated:)|\\)/;
+
+export function toMarkdown(items, { site = "", title = "My Bible notes" } = {}){
+  const out = [`# ${title}`, "", `Exported ${new Date().toISOString().slice(0, 10)}${site ? ` from ${site}` : ""}.`];
+  for (const item of items){
+    const meta = [];
+    if (item.bookmark) meta.push("- Bookmarked");
+    if (item.highlight) meta.push(`- Highlight: ${item.highlight}`);
+    if (item.updated) meta.push(`- Updated: ${item.updated}`);
+    out.push("", `## [${labelOf(item)}](${site}/${keyOf(item)}/)`);
+    if (meta.length) out.push("", ...meta);
+    if (item.note) out.push("", ...item.note.split("\n").map(l => META_LINE.test(l) ? `\\${l}` : l));
+  }
+  return out.join("\n") + "\n";
+}
+
+// Reads toMarkdown() output back (or a hand-written file in the same shape).
+// Headings need a verse link, or a reference `parser` (lib/reference.mjs) to
+// read "## John 3:16" → { items, errors:[string] }
+export function fromMarkdown(text, parser = null){
+  const items = [], errors = [];
+  let item = null, note = [];
+  const finish = ()=>{
+    if (!item) return;
+    item.note = note.join("\n").trim();
+    const clean = normalizeItem(item);
+    if (clean) items.push(clean);
+    item = null; note = [];
+  };
+
+  for (const line of String(text).split(/\r?\n/)){
+    const h = line.match(/^##\s+(.*)$/);
+    if (h){
+      finish();
+      const link = h[1].match(/^\[([^\]]*)\]\([^)]*?\/([a-z0-9-]+)\/(\d+)\/(\d+)\/?\)\s*$/);
+      if (link){
+        item = { bookName: link[1].replace(/\s+\d+:\d+$/, ""), bookSlug: link[2], chapter: link[3], verse: link[4] };
+        continue;
+      }
+      const res = parser ? parser.parse(h[1]) : null;
+      const p = res?.ok && res.passages.length === 1 && res.passages[0].kind === "verse" ? res.passages[0] : null;
+      if (p) item = { bookName: p.bookName, bookSlug: p.bookSlug, chapter: p.start.chapter, verse: p.start.verse };
+      else errors.push(`Skipped “${h[1].trim()}”: not a single verse`);
+      continue;
+    }
+    if (!item) continue;
+    let m;
+    if (line.trim() === "- Bookmarked") item.bookmark = true;
+    else if ((m = line.match(/^- Highlight:\s*(\w+)\s*$/))) item.highlight = m[1].toLowerCase();
+    else if ((m = line.match(/^- Updated:\s*(\S+)\s*$/))) item.updated = m[1];
+    else note.push(line.startsWith("\\") ? line.slice(1) : line);
+  }
+  finish();
+  return { items, errors };
+}
@@ -0,0 +1,47 @@
+// lib/passage.mjs — Verse-range selection and markup over normalizeBook() output.
+// build.mjs renders range pages with it and /assets/embed.js renders the same
+// ranges in the browser from /data/books/<slug>.json, so both stay identical.
+
+import { escapeHtml as esc } from "./html.mjs";
+
+// book: { name, chapters:{ [n]:{ verseCount, verses:{ '1':'text', ... } } } }
+// start/end: { chapter, verse } (inclusive) → [{ chapter, verse, text }, ...]
+export function selectRange(book, start, end){
+  const out = [];
+  const chNums = Object.keys(book.chapters).map(Number).sort((a,b)=>a-b);
+  for (const ch of chNums){
+    if (ch < start.chapter || ch > end.chapter) continue;
+    const { verses, verseCount } = book.chapters[ch];
+    const from = ch === start.chapter ? start.verse : 1;
+    const to = ch === end.chapter ? Math.min(end.verse, verseCount) : verseCount;
+    for (let v=from; v<=to; v++) out.push({ chapter: ch, verse: v, text: verses[String(v)] ?? "" });
+  }
+  return out;
+}
+
+// One <p> per verse, numbered and linked to its verse page. Verse anchors are
+// #vN within a single chapter and #cCvN when the range crosses chapters, where a
+// chapter heading also marks each new chapter. `base` prefixes links (the embed
+// points them back at the site) and `bookPath` is the book's URL segment when
+// localized (lib/i18n.mjs). Verses for which `marked(chapter, verse)` is true get
+// a cross-reference marker (a, b, c …) linking to their related verses, titled
+// `relatedTitle` with its {reference} filled in, and `textHTML(chapter, verse)`
+// may supply a verse's text as markup (word study).
+export function passageVersesHTML(verses, { bookName, bookSlug, bookPath = bookSlug, base = "", marked = null, textHTML = null, relatedTitle = "Related verses for {reference}" }){
+  const multi = verses.length > 0 && verses[0].chapter !== verses[verses.length-1].chapter;
+  let lastChapter = null, marks = 0;
+  const out = [];
+  for (const { chapter, verse, text } of verses){
+    if (multi && chapter !== lastChapter){
+      out.push(`<h2 class="chapter__num">${esc(bookName)} ${chapter}</h2>`);
+      lastChapter = chapter;
+    }
+    const id = multi ? `c${chapter}v${verse}` : `v${verse}`;
+    const href = `${base}/${bookPath}/${chapter}/${verse}/`;
+    const mark = marked && marked(chapter, verse)
+      ? `<sup class="xmark"><a href="${href}#related" title="${esc(relatedTitle.replace("{reference}", `${bookName} ${chapter}:${verse}`))}">${String.fromCharCode(97 + marks++ % 26)}</a></sup>`
+      : "";
+    out.push(`<p id="${id}"><a class="vnum" href="${href}" title="${esc(bookName)} ${chapter}:${verse}">${verse}</a> ${(textHTML && textHTML(chapter, verse)) ?? esc(text)}${mark}</p>`);
+  }
+  return out.join("\n    ");
+}
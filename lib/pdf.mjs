@@ -0,0 +1,248 @@
+// lib/pdf.mjs — Print-ready PDFs of Bible passages (see pdf.mjs): A4 or US Letter
+// pages with a title, headings, verses hung from their numbers and a footer with
+// page numbers, set in the site's fonts. Glyph outlines from lib/font.mjs are
+// embedded as Type 3 fonts with a ToUnicode map, so the text can still be
+// searched and copied. The output has no dates in it: the same passage always
+// gives the same file. Node only (node:zlib).
+
+import { deflateSync } from "node:zlib";
+import { shapeText } from "./font.mjs";
+
+export const PAPER = { a4: [595.28, 841.89], letter: [612, 792] };
+
+const MARGIN = 60, FOOTER_Y = 34;
+const GUTTER = 22;              // verse numbers hang in this
+const STYLES = {
+  title:      { weight: "bold", size: 20, leading: 25, before: 0, after: 2 },
+  subtitle:   { weight: "regular", size: 11, leading: 15, before: 0, after: 16, colour: "muted" },
+  heading:    { weight: "bold", size: 14, leading: 18, before: 14, after: 4 },
+  subheading: { weight: "bold", size: 12, leading: 16, before: 10, after: 3 },
+  verse:      { weight: "regular", size: 11.5, leading: 15.5, before: 0, after: 2.5 },
+  vnum:       { weight: "bold", size: 8, colour: "muted" },
+  footer:     { weight: "regular", size: 8.5, colour: "muted" }
+};
+const COLOURS = { ink: "0 0 0", muted: "0.35 0.35 0.35", rule: "0.75 0.75 0.75" };
+
+const num = (n)=> String(Number(n.toFixed(3)));
+const hex = (n, width = 2)=> n.toString(16).toUpperCase().padStart(width, "0");
+const utf16 = (s)=> [...s].map(c => {
+  const cp = c.codePointAt(0);
+  if (cp < 0x10000) return hex(cp, 4);
+  const v = cp - 0x10000;
+  return hex(0xd800 + (v >> 10), 4) + hex(0xdc00 + (v & 0x3ff), 4);
+}).join("");
+// PDF text string: plain ASCII in (…), anything else as UTF-16 with a BOM
+const pdfString = (s)=> /^[\x20-\x7e]*$/.test(s) ? `(${s.replace(/[\\()]/g, "\\$&")})` : `<FEFF${utf16(s)}>`;
+
+// Type 3 fonts are single-byte, so each font in a stack is split into subsets of
+// up to 255 glyphs as glyphs get used
+function createFontSubsets(){
+  const subsets = [], current = new Map();
+  return {
+    subsets,
+    code(font, glyph, char){
+      for (const s of subsets) if (s.font === font && s.codes.has(glyph)) return { subset: s, code: s.codes.get(glyph) };
+      let s = current.get(font);
+      if (!s || s.glyphs.length >= 255){
+        s = { name: `F${subsets.length + 1}`, font, glyphs: [], chars: [], codes: new Map() };
+        subsets.push(s);
+        current.set(font, s);
+      }
+      s.glyphs.push(glyph);
+      s.chars.push(char);
+      s.codes.set(glyph, s.glyphs.length);
+      return { subset: s, code: s.glyphs.length };
+    }
+  };
+}
+
+// Outline → glyph procedure (font units): quadratic curves become cubic
+function glyphProc(font, glyph){
+  const contours = font.outline(glyph);
+  const points = contours.flat();
+  const width = font.advance(glyph);
+  if (!points.length) return `${width} 0 0 0 0 0 d1`;
+  const xs = points.map(p => p.x), ys = points.map(p => p.y);
+  const ops = [`${width} 0 ${Math.floor(Math.min(...xs))} ${Math.floor(Math.min(...ys))} ${Math.ceil(Math.max(...xs))} ${Math.ceil(Math.max(...ys))} d1`];
+  for (const contour of contours){
+    const pts = [];
+    contour.forEach((p, i)=>{
+      const q = contour[(i + 1) % contour.length];
+      pts.push(p);
+      if (!p.on && !q.on) pts.push({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2, on: true });
+    });
+    const start = pts.findIndex(p => p.on);
+    if (start < 0) continue;
+    const ring = [...pts.slice(start), ...pts.slice(0, start)], n = ring.length;
+    let cur = ring[0];
+    ops.push(`${num(cur.x)} ${num(cur.y)} m`);
+    for (let i = 1; i <= n;){
+      const p = ring[i % n];
+      if (p.on){ ops.push(`${num(p.x)} ${num(p.y)} l`); cur = p; i++; continue; }
+      const q = ring[(i + 1) % n];
+      const c1 = { x: cur.x + 2 / 3 * (p.x - cur.x), y: cur.y + 2 / 3 * (p.y - cur.y) };
+      const c2 = { x: q.x + 2 / 3 * (p.x - q.x), y: q.y + 2 / 3 * (p.y - q.y) };
+      ops.push(`${num(c1.x)} ${num(c1.y)} ${num(c2.x)} ${num(c2.y)} ${num(q.x)} ${num(q.y)} c`);
+      cur = q; i += 2;
+    }
+    ops.push("h");
+  }
+  ops.push("f");
+  return ops.join("\n");
+}
+
+function toUnicodeCMap(chars){
+  const entries = chars.map((c, i) => `<${hex(i + 1)}> <${utf16(c)}>`);
+  const blocks = [];
+  for (let i = 0; i < entries.length; i += 100){
+    const part = entries.slice(i, i + 100);
+    blocks.push(`${part.length} beginbfchar\n${part.join("\n")}\nendbfchar`);
+  }
+  return `/CIDInit /ProcSet findresource begin
+12 dict begin
+begincmap
+/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def
+/CMapName /Adobe-Identity-UCS def
+/CMapType 2 def
+1 begincodespacerange
+<00> <FF>
+endcodespacerange
+${blocks.join("\n")}
+endcmap
+CMapName currentdict /defineresource pop
+end
+end`;
+}
+
+// Objects → PDF bytes. objects[i] is object i + 1: a string (dictionary, array …)
+// or { dict, stream } for a stream, deflated here.
+function writePDF(objects, { root, info }){
+  const chunks = [Buffer.from("%PDF-1.7\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+  const offsets = [];
+  let length = chunks[0].length;
+  const push = (b)=>{ chunks.push(b); length += b.length; };
+  objects.forEach((obj, i)=>{
+    offsets.push(length);
+    if (typeof obj === "string"){ push(Buffer.from(`${i + 1} 0 obj\n${obj}\nendobj\n`, "latin1")); return; }
+    const data = deflateSync(Buffer.from(obj.stream, "latin1"));
+    push(Buffer.from(`${i + 1} 0 obj\n<< ${obj.dict || ""} /Length ${data.length} /Filter /FlateDecode >>\nstream\n`, "latin1"));
+    push(data);
+    push(Buffer.from("\nendstream\nendobj\n", "latin1"));
+  });
+  const xref = length;
+  push(Buffer.from(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`
+    + `trailer\n<< /Size ${objects.length + 1} /Root ${root} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`, "latin1"));
+  return Buffer.concat(chunks);
+}
+
+// {
+//   title, subtitle?, footer? (left of the page number),
+//   blocks: [{ type: "heading" | "subheading", text } | { type: "verse", verse, text }],
+//   paper: "a4" | "letter", fonts: { regular, bold } (font stacks, as lib/share-image.mjs)
+// } → PDF Buffer
+export function passagePDF({ title, subtitle = "", footer = "", blocks, paper = "a4", fonts }){
+  const [W, H] = PAPER[paper] || PAPER.a4;
+  const fontSubsets = createFontSubsets();
+  const pages = [];
+  let page = null, y = 0;
+  const newPage = ()=>{ page = []; pages.push(page); y = H - MARGIN; };
+  const bottom = FOOTER_Y + 28;
+
+  // One run of text at (x, baseline) → content stream operators on `ops`
+  function draw(ops, style, text, x, baseline){
+    const { glyphs } = shapeText(fonts[style.weight], text, style.size);
+    ops.push(`${COLOURS[style.colour || "ink"]} rg`, "BT");
+    let run = null;
+    const flush = ()=>{
+      if (!run) return;
+      ops.push(`/${run.subset.name} ${num(style.size)} Tf`, `1 0 0 1 ${num(x + run.x)} ${num(baseline)} Tm`, `[${run.parts.join(" ")}] TJ`);
+      run = null;
+    };
+    let natural = 0;  // where the previous glyph's advance left off
+    for (const g of glyphs){
+      const { subset, code } = fontSubsets.code(g.font, g.glyph, g.char);
+      if (run && run.subset !== subset) flush();
+      if (!run) run = { subset, x: g.x, parts: [] };
+      else if (Math.abs(g.x - natural) > 1e-3) run.parts.push(num(-(g.x - natural) * 1000 / style.size));
+      run.parts.push(`<${hex(code)}>`);
+      natural = g.x + g.font.advance(g.glyph) * g.scale;
+    }
+    flush();
+    ops.push("ET");
+  }
+
+  const widthOf = (style, text)=> shapeText(fonts[style.weight], text, style.size).width;
+  function wrap(style, text, width){
+    const lines = [];
+    let line = "";
+    for (const word of String(text).replace(/\s+/g, " ").trim().split(" ")){
+      const next = line ? `${line} ${word}` : word;
+      if (line && widthOf(style, next) > width){ lines.push(line); line = word; }
+      else line = next;
+    }
+    if (line) lines.push(line);
+    return lines;
+  }
+  // Moves to a new page unless `height` still fits above the footer
+  const room = (height)=>{ if (y - height < bottom) newPage(); };
+
+  newPage();
+  const textWidth = W - 2 * MARGIN;
+  for (const line of wrap(STYLES.title, title, textWidth)){ y -= STYLES.title.leading; draw(page, STYLES.title, line, MARGIN, y); }
+  y -= STYLES.title.after;
+  if (subtitle){ y -= STYLES.subtitle.leading; draw(page, STYLES.subtitle, subtitle, MARGIN, y); }
+  y -= 6;
+  page.push(`${COLOURS.rule} RG 0.6 w ${num(MARGIN)} ${num(y)} m ${num(W - MARGIN)} ${num(y)} l S`);
+  y -= STYLES.subtitle.after;
+
+  blocks.forEach((block, i)=>{
+    if (block.type === "heading" || block.type === "subheading"){
+      const style = STYLES[block.type], lines = wrap(style, block.text, textWidth);
+      // Keep a heading with the first two lines that follow it
+      room(style.before + lines.length * style.leading + style.after + 2 * STYLES.verse.leading);
+      if (y < H - MARGIN) y -= style.before;
+      for (const line of lines){ y -= style.leading; draw(page, style, line, MARGIN, y); }
+      y -= style.after;
+      return;
+    }
+    const style = STYLES.verse, lines = wrap(style, block.text, textWidth - GUTTER);
+    lines.forEach((line, n)=>{
+      room(style.leading);
+      y -= style.leading;
+      if (n === 0){
+        const label = String(block.verse);
+        draw(page, STYLES.vnum, label, MARGIN + GUTTER - 5 - widthOf(STYLES.vnum, label), y + 1.5);
+      }
+      draw(page, style, line, MARGIN + GUTTER, y);
+    });
+    if (i < blocks.length - 1) y -= style.after;
+  });
+
+  pages.forEach((ops, i)=>{
+    const label = `${i + 1} / ${pages.length}`;
+    if (footer) draw(ops, STYLES.footer, footer, MARGIN, FOOTER_Y);
+    draw(ops, STYLES.footer, label, W - MARGIN - widthOf(STYLES.footer, label), FOOTER_Y);
+  });
+
+  // Objects: 1 catalog, 2 page tree, 3 info, then fonts, then pages
+  const objects = [null, null, `<< /Title ${pdfString(title)} >>`];
+  const add = (obj)=>{ objects.push(obj); return objects.length; };
+  const fontRefs = fontSubsets.subsets.map(s => {
+    const procs = s.glyphs.map(g => add({ stream: glyphProc(s.font, g) }));
+    const toUnicode = add({ stream: toUnicodeCMap(s.chars) });
+    const k = 1 / s.font.unitsPerEm;
+    return `/${s.name} ${add(`<< /Type /Font /Subtype /Type3 /FontBBox [0 ${s.font.descender} ${s.font.unitsPerEm} ${s.font.ascender}] /FontMatrix [${num(k)} 0 0 ${num(k)} 0 0]`
+      + ` /CharProcs << ${s.glyphs.map((g, i) => `/g${g} ${procs[i]} 0 R`).join(" ")} >>`
+      + ` /Encoding << /Type /Encoding /Differences [1 ${s.glyphs.map(g => `/g${g}`).join(" ")}] >>`
+      + ` /FirstChar 1 /LastChar ${s.glyphs.length} /Widths [${s.glyphs.map(g => s.font.advance(g)).join(" ")}]`
+      + ` /Resources << >> /ToUnicode ${toUnicode} 0 R >>`)} 0 R`;
+  });
+  const resources = `<< /Font << ${fontRefs.join(" ")} >> >>`;
+  const kids = pages.map(ops => {
+    const content = add({ stream: ops.join("\n") });
+    return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(W)} ${num(H)}] /Resources ${resources} /Contents ${content} 0 R >>`);
+  });
+  objects[0] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+  return writePDF(objects, { root: 1, info: 3 });
+}
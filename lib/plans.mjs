@@ -0,0 +1,106 @@
+// lib/plans.mjs — Reading plans: days of passages, from plans.json definitions.
+// A plan either lists its days ("days": ["Genesis 1-3", "Genesis 4-6; Psalms 1"])
+// or is generated ("length": 365, "tracks": [["Genesis", ...], ...]): each track is
+// read in order, whole chapters at a time, spread over `length` days so every day
+// has about the same number of verses; day n reads day n of every track.
+// Chapter and verse counts come from the nav payload (see createReferenceParser).
+
+import { createReferenceParser } from "./reference.mjs";
+
+const ID = /^[a-z0-9-]+$/;
+
+// Parsed passages → reading units: whole chapters, or the verse range as given
+function unitsOf(passages, nav){
+  const out = [];
+  for (const p of passages){
+    if (p.kind === "verse" || p.kind === "range"){
+      out.push({ passage: p, weight: verseSpan(p, nav) });
+      continue;
+    }
+    for (let ch = p.start.chapter; ch <= p.end.chapter; ch++){
+      out.push({ bookName: p.bookName, bookSlug: p.bookSlug, chapter: ch, weight: Number(nav.books[p.bookSlug].verses[String(ch)] || 1) });
+    }
+  }
+  return out;
+}
+
+function verseSpan(p, nav){
+  let n = 0;
+  for (let ch = p.start.chapter; ch <= p.end.chapter; ch++){
+    const count = Number(nav.books[p.bookSlug].verses[String(ch)] || 0);
+    n += (ch === p.end.chapter ? p.end.verse : count) - (ch === p.start.chapter ? p.start.verse : 1) + 1;
+  }
+  return n;
+}
+
+// units → `days` non-empty runs of about equal weight (fewer days if there are
+// fewer units than days)
+export function splitIntoDays(units, days){
+  const out = [];
+  let i = 0, left = units.reduce((n, u) => n + u.weight, 0);
+  for (let d = 0; d < days && i < units.length; d++){
+    const daysLeft = days - d, target = left / daysLeft, start = i;
+    let sum = units[i++].weight;
+    // Take the next unit while that lands nearer the target and leaves one per remaining day
+    while (i < units.length && units.length - i > daysLeft - 1 && sum + units[i].weight / 2 <= target){
+      sum += units[i++].weight;
+    }
+    left -= sum;
+    out.push(units.slice(start, i));
+  }
+  return out;
+}
+
+// Consecutive chapters of one book become one "chapters" passage, shaped like
+// createReferenceParser() output so formatPassage()/passageUrl() apply
+function passagesOf(units){
+  const out = [];
+  for (const u of units){
+    if (u.passage){ out.push(u.passage); continue; }
+    const last = out[out.length - 1];
+    if (last && last.fromUnits && last.bookSlug === u.bookSlug && last.end.chapter === u.chapter - 1){
+      last.end = { chapter: u.chapter, verse: u.weight };
+      last.kind = "chapters";
+      continue;
+    }
+    out.push({ bookName: u.bookName, bookSlug: u.bookSlug, kind: "chapter", start: { chapter: u.chapter, verse: 1 }, end: { chapter: u.chapter, verse: u.weight }, fromUnits: true });
+  }
+  return out.map(({ fromUnits, ...p }) => p);
+}
+
+// defs: parsed plans.json → { plans:[{ id, title, description, days:[[passage, ...], ...] }], errors:[string] }.
+// References to books missing from `nav` are skipped, so partial datasets still build.
+export function buildPlans(defs, nav){
+  const parser = createReferenceParser(nav);
+  const plans = [], errors = [], seen = new Set();
+  const parse = (ref, where)=>{
+    const res = parser.parse(ref);
+    res.errors.forEach((e, i)=>{
+      if (res.codes[i] !== "unknownBook") errors.push(`${where}: “${ref}” — ${e}`);
+    });
+    return res.passages;
+  };
+
+  for (const def of Array.isArray(defs) ? defs : []){
+    const id = def?.id;
+    if (typeof id !== "string" || !ID.test(id)){ errors.push(`Plan ${JSON.stringify(id)}: id must be lowercase letters, digits and dashes`); continue; }
+    if (seen.has(id)){ errors.push(`Plan ${id}: duplicate id`); continue; }
+    seen.add(id);
+
+    let days;
+    if (Array.isArray(def.days)){
+      days = def.days.map((ref, i) => passagesOf(unitsOf(parse(ref, `Plan ${id}, day ${i + 1}`), nav)));
+    } else if (Number.isInteger(def.length) && def.length > 0 && Array.isArray(def.tracks)){
+      const tracks = def.tracks.map((refs, t) => splitIntoDays(unitsOf(refs.flatMap(ref => parse(ref, `Plan ${id}, track ${t + 1}`)), nav), def.length));
+      const n = Math.max(0, ...tracks.map(t => t.length));
+      days = Array.from({ length: n }, (_, d) => passagesOf(tracks.flatMap(t => t[d] || [])));
+    } else {
+      errors.push(`Plan ${id}: needs "days" or "length" and "tracks"`);
+      continue;
+    }
+    days = days.filter(day => day.length);
+    if (!days.length){ errors.push(`Plan ${id}: no readings in this edition`); continue; }
+    plans.push({ id, title: String(def.title || id), description: String(def.description || ""), days });
+  }
+  return { plans, errors };
+}
@@ -0,0 +1,59 @@
+// lib/pool.mjs — Bounded-concurrency helpers for build.mjs and fetch-data.mjs (Node only).
+
+// Runs fn(item, index) over items with at most `limit` calls in flight. Results
+// keep input order, so callers stay deterministic whatever order tasks finish in.
+export async function mapLimit(items, limit, fn, onDone){
+  const results = new Array(items.length);
+  let next = 0, done = 0;
+  const lanes = Math.max(1, Math.min(limit | 0 || 1, items.length));
+  await Promise.all(Array.from({ length: lanes }, async ()=>{
+    while (next < items.length){
+      const i = next++;
+      results[i] = await fn(items[i], i);
+      done++;
+      if (onDone) onDone(done, items.length);
+    }
+  }));
+  return results;
+}
+
+// Progress reporter for long loops: redraws one line on a terminal, otherwise
+// (CI logs) prints a line every 10%. Returns tick(done, total).
+export function progress(label){
+  const tty = Boolean(process.stdout.isTTY);
+  let lastPct = 0, lastDraw = 0;
+  return (done, total)=>{
+    const pct = total ? Math.floor(done * 100 / total) : 100;
+    if (tty){
+      const now = Date.now();
+      if (done < total && now - lastDraw < 100) return;
+      lastDraw = now;
+      process.stdout.write(`\r${label}: ${done}/${total} (${pct}%)${done >= total ? "\n" : ""}`);
+    } else if (pct >= lastPct + 10 || done >= total){
+      lastPct = pct - (pct % 10);
+      console.log(`${label}: ${done}/${total} (${pct}%)`);
+    }
+  };
+}
+
+// Parses "--name=value" from argv, falling back to an env var, then a default
+export function intOption(name, envName, fallback){
+  const flag = process.argv.find(a => a.startsWith(`--${name}=`));
+  const raw = flag ? flag.slice(name.length + 3) : process.env[envName];
+  const n = Number.parseInt(raw, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// The same for one of a fixed set of words ("--share-images=all")
+export function choiceOption(name, envName, choices, fallback){
+  const flag = process.argv.find(a => a.startsWith(`--${name}=`));
+  const raw = flag ? flag.slice(name.length + 3) : process.env[envName];
+  return choices.includes(raw) ? raw : fallback;
+}
+
+// And a comma-separated list ("--only=verses,chapters") → [string], or null if unset
+export function listOption(name, envName){
+  const flag = process.argv.find(a => a.startsWith(`--${name}=`));
+  const raw = flag ? flag.slice(name.length + 3) : process.env[envName];
+  return raw ? raw.split(",").map(s => s.trim()).filter(Boolean) : null;
+}
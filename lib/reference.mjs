@@ -0,0 +1,276 @@
+// lib/reference.mjs — Scripture reference parser ("John 3:16-18; Rom 8:28").
+// Shared by build.mjs and the browser (copied to /assets/reference.js), so it must
+// stay free of Node-only imports. Book data comes from the nav payload built in
+// build.mjs: { books:{ [slug]:{ name, chapters, verses:{ [ch]:count }, abbr?, path? } },
+// ot:[{name,slug}], nt:[...] }. Names may be localized (lib/i18n.mjs): the English
+// names and abbreviations below resolve too, through each book's slug, and `path`
+// is the book's URL segment when it isn't the slug.
+
+// Extra spellings per canonical book name. Any unambiguous prefix of the full
+// name (e.g. "gen", "deut", "rev") also resolves without being listed here.
+const ABBREVIATIONS = {
+  "Genesis": ["gn"],
+  "Exodus": ["ex"],
+  "Leviticus": ["lv"],
+  "Numbers": ["nm", "nb"],
+  "Deuteronomy": ["dt"],
+  "Joshua": ["jos", "jsh"],
+  "Judges": ["jdg", "jdgs", "jg"],
+  "Ruth": ["rth", "ru"],
+  "1 Samuel": ["1sm", "1sa"],
+  "2 Samuel": ["2sm", "2sa"],
+  "1 Kings": ["1kgs", "1ki"],
+  "2 Kings": ["2kgs", "2ki"],
+  "1 Chronicles": ["1chr", "1ch"],
+  "2 Chronicles": ["2chr", "2ch"],
+  "Nehemiah": ["ne"],
+  "Esther": ["est", "es"],
+  "Job": ["jb"],
+  "Psalms": ["ps", "psa", "pss", "psalm", "pslm"],
+  "Proverbs": ["prv", "pr"],
+  "Ecclesiastes": ["eccl", "ecc", "qoh", "qoheleth"],
+  "Song of Solomon": ["song", "songofsongs", "sos", "so", "canticles", "cant"],
+  "Isaiah": ["isa", "is"],
+  "Jeremiah": ["jer", "jr"],
+  "Lamentations": ["lam", "la"],
+  "Ezekiel": ["ezek", "ezk"],
+  "Daniel": ["dn", "da"],
+  "Hosea": ["ho"],
+  "Joel": ["jl"],
+  "Amos": ["am"],
+  "Obadiah": ["obad", "ob"],
+  "Jonah": ["jnh", "jon"],
+  "Micah": ["mic", "mc"],
+  "Nahum": ["na"],
+  "Habakkuk": ["hab", "hb"],
+  "Zephaniah": ["zeph", "zep"],
+  "Haggai": ["hag", "hg"],
+  "Zechariah": ["zech", "zec"],
+  "Malachi": ["mal"],
+  "Matthew": ["mt", "matt"],
+  "Mark": ["mk", "mrk"],
+  "Luke": ["lk", "luk"],
+  "John": ["jn", "jhn"],
+  "Acts": ["ac"],
+  "Romans": ["rom", "rm", "ro"],
+  "1 Corinthians": ["1cor", "1co"],
+  "2 Corinthians": ["2cor", "2co"],
+  "Galatians": ["gal", "ga"],
+  "Ephesians": ["eph"],
+  "Philippians": ["phil", "php", "pp"],
+  "Colossians": ["col"],
+  "1 Thessalonians": ["1thess", "1th"],
+  "2 Thessalonians": ["2thess", "2th"],
+  "1 Timothy": ["1tim", "1ti"],
+  "2 Timothy": ["2tim", "2ti"],
+  "Titus": ["tit"],
+  "Philemon": ["philem", "phm", "pm"],
+  "Hebrews": ["heb"],
+  "James": ["jas", "jm"],
+  "1 Peter": ["1pet", "1pe", "1pt"],
+  "2 Peter": ["2pet", "2pe", "2pt"],
+  "1 John": ["1jn", "1jo", "1jhn"],
+  "2 John": ["2jn", "2jo", "2jhn"],
+  "3 John": ["3jn", "3jo", "3jhn"],
+  "Jude": ["jud", "jd"],
+  "Revelation": ["rev", "rv", "revelations", "apocalypse"]
+};
+
+const ORDINALS = { i:"1", ii:"2", iii:"3", first:"1", second:"2", third:"3" };
+const DASH = /\s*[-–—]\s*/;
+
+// Error messages; createReferenceParser() takes translations of any of them
+// ({ one, other, … } by plural category where there's a {count})
+const MESSAGES = {
+  "reference.missingBook": "Missing book name",
+  "reference.ambiguous": "“{input}” could mean {books}",
+  "reference.or": "{list} or {last}",
+  "reference.unknownBook": "Unknown book “{input}”",
+  "reference.chapters": { one: "{book} has {count} chapter (asked for {chapter})", other: "{book} has {count} chapters (asked for {chapter})" },
+  "reference.verses": { one: "{book} {chapter} has {count} verse (asked for {verse})", other: "{book} {chapter} has {count} verses (asked for {verse})" },
+  "reference.startWithBook": "Start “{input}” with a book name",
+  "reference.unreadable": "Can’t read “{input}” in {book}",
+  "reference.backwards": "“{input}” ends before it starts in {book}",
+  "reference.empty": "Type a reference such as John 3:16"
+};
+
+// "1 Cor." / "I Cor" / "First Corinthians" / "1cor" → "1cor"; accents and other
+// marks drop out ("Éx" → "ex", "إشعياء" → "اشعياء")
+function bookKey(s){
+  const folded = String(s).normalize("NFD").replace(/\p{M}/gu, "").trim().toLowerCase();
+  const m = folded.match(/^(iii|ii|i|first|second|third)[\s.]+(.*)$/);
+  const norm = m ? ORDINALS[m[1]] + m[2] : folded;
+  return norm.replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+// English abbreviations by book key, so they resolve whatever the names are
+const ABBREVIATIONS_BY_KEY = new Map(Object.entries(ABBREVIATIONS).map(([name, list]) => [bookKey(name), list]));
+
+export function formatPassage(p){
+  const { bookName, start, end, kind } = p;
+  if (kind === "book") return bookName;
+  if (kind === "chapter") return `${bookName} ${start.chapter}`;
+  if (kind === "chapters") return `${bookName} ${start.chapter}–${end.chapter}`;
+  if (kind === "verse") return `${bookName} ${start.chapter}:${start.verse}`;
+  if (start.chapter === end.chapter) return `${bookName} ${start.chapter}:${start.verse}–${end.verse}`;
+  return `${bookName} ${start.chapter}:${start.verse}–${end.chapter}:${end.verse}`;
+}
+
+// Where a parsed passage lives on the site today: the book hub, a chapter reading
+// page (scrolled to the first verse of a range), or a single verse page.
+export function passageUrl(p){
+  const book = p.bookPath || p.bookSlug;
+  if (p.kind === "book") return `/${book}/`;
+  if (p.kind === "chapter" || p.kind === "chapters") return `/${book}/${p.start.chapter}/`;
+  if (p.kind === "range") return `/${book}/${p.start.chapter}/#v${p.start.verse}`;
+  return `/${book}/${p.start.chapter}/${p.start.verse}/`;
+}
+
+// Path of a generated passage page: /john/3/16-21/, /john/3/36-4.2/ when a
+// verse range crosses chapters, or /john/14-17/ for whole chapters.
+export function rangePath(p){
+  const { start, end, kind } = p;
+  const book = p.bookPath || p.bookSlug;
+  if (kind === "chapters") return `/${book}/${start.chapter}-${end.chapter}/`;
+  if (start.chapter === end.chapter) return `/${book}/${start.chapter}/${start.verse}-${end.verse}/`;
+  return `/${book}/${start.chapter}/${start.verse}-${end.chapter}.${end.verse}/`;
+}
+
+// messages: translations of MESSAGES (any left out stay English); lang picks
+// their plural forms
+export function createReferenceParser(nav, { messages = {}, lang = "en" } = {}){
+  const books = nav.books || {};
+  const order = [...(nav.ot || []), ...(nav.nt || [])].filter(b => books[b.slug]);
+  const plurals = new Intl.PluralRules(lang);
+  const say = (key, params)=>{
+    let text = messages[key] ?? MESSAGES[key];
+    if (typeof text === "object") text = text[plurals.select(params.count)] ?? text.other;
+    return text.replace(/\{(\w+)\}/g, (m, name) => name in params ? String(params[name]) : m);
+  };
+  // An error as { code, message }: code is the MESSAGES key without "reference."
+  const fail = (code, params)=> ({ code, message: say(`reference.${code}`, params) });
+  const listNames = (names)=> names.length > 1 ? say("reference.or", { list: names.slice(0,-1).join(", "), last: names[names.length-1] }) : names.join("");
+
+  const exact = new Map();  // key -> book
+  for (const b of order){
+    exact.set(bookKey(b.name), b);
+    exact.set(bookKey(b.slug), b);
+    for (const a of ABBREVIATIONS_BY_KEY.get(bookKey(b.slug)) || []) exact.set(a, b);
+    for (const a of books[b.slug].abbr || []) exact.set(bookKey(a), b);
+  }
+
+  // → { book } or { error:{ code, message } }
+  function resolveBook(input){
+    const key = bookKey(input);
+    if (!key) return { error: fail("missingBook", {}) };
+    if (exact.has(key)) return { book: exact.get(key) };
+    const hits = order.filter(b => bookKey(b.name).startsWith(key) || bookKey(b.slug).startsWith(key));
+    if (hits.length === 1) return { book: hits[0] };
+    if (hits.length > 1) return { error: fail("ambiguous", { input: input.trim(), books: listNames(hits.map(b => b.name)) }) };
+    return { error: fail("unknownBook", { input: input.trim() }) };
+  }
+
+  const chapterCount = (slug)=> books[slug].chapters;
+  const verseCount = (slug, ch)=> Number(books[slug].verses[String(ch)] || 0);
+
+  function checkPoint(book, ch, v){
+    const chapters = chapterCount(book.slug);
+    if (ch < 1 || ch > chapters){
+      return fail("chapters", { book: book.name, count: chapters, chapter: ch });
+    }
+    const verses = verseCount(book.slug, ch);
+    if (v != null && (v < 1 || v > verses)){
+      return fail("verses", { book: book.name, chapter: ch, count: verses, verse: v });
+    }
+    return null;
+  }
+
+  function makePassage(book, kind, sc, sv, ec, ev){
+    const start = { chapter: sc, verse: sv ?? 1 };
+    const end = { chapter: ec, verse: ev ?? verseCount(book.slug, ec) };
+    const out = { bookName: book.name, bookSlug: book.slug, kind, start, end };
+    if (books[book.slug].path && books[book.slug].path !== book.slug) out.bookPath = books[book.slug].path;
+    return out;
+  }
+
+  // One ";"-separated segment: optional book, then ","-separated numbers that
+  // inherit chapter context ("John 3:16, 18" → 3:16 and 3:18).
+  function parseSegment(text, prevBook){
+    const m = text.match(/^\s*((?:[1-3]\s*|(?:iii|ii|i|first|second|third)[\s.]+)?\p{L}[\p{L}\p{M}\s.]*?)\s*(\d.*)?$/iu);
+    let book = prevBook, rest = text.trim();
+    if (m && m[1]){
+      const res = resolveBook(m[1]);
+      if (res.error) return { errors:[res.error] };
+      book = res.book;
+      rest = (m[2] || "").trim();
+    }
+    if (!book) return { errors:[fail("startWithBook", { input: text.trim() })] };
+    if (!rest){
+      const last = chapterCount(book.slug);
+      return { book, passages:[makePassage(book, "book", 1, 1, last, null)], errors:[] };
+    }
+
+    const single = chapterCount(book.slug) === 1;
+    const passages = [], errors = [];
+    let ctxChapter = null; // set once a chapter:verse has been seen
+    for (const raw of rest.split(",")){
+      const item = raw.trim();
+      if (!item) continue;
+      const [a, b, extra] = item.split(DASH);
+      const pa = a && a.match(/^(\d+)(?:[:.](\d+))?$/);
+      const pb = b === undefined ? null : b.match(/^(\d+)(?:[:.](\d+))?$/);
+      if (!pa || extra !== undefined || (b !== undefined && !pb)){
+        errors.push(fail("unreadable", { input: item, book: book.name }));
+        continue;
+      }
+      let sc, sv, ec, ev, kind;
+      const n1 = Number(pa[1]), n2 = pa[2] != null ? Number(pa[2]) : null;
+      if (n2 != null){ sc = n1; sv = n2; }
+      else if (ctxChapter != null){ sc = ctxChapter; sv = n1; }
+      // Single-chapter books take bare numbers as verses ("Jude 3"), but a lone
+      // "1" still names the chapter ("Jude 1").
+      else if (single && !(n1 === 1 && !pb)){ sc = 1; sv = n1; }
+      else { sc = n1; sv = null; }
+
+      if (!pb){ ec = sc; ev = sv; kind = sv == null ? "chapter" : "verse"; }
+      else {
+        const m1 = Number(pb[1]), m2 = pb[2] != null ? Number(pb[2]) : null;
+        if (m2 != null){ ec = m1; ev = m2; if (sv == null) sv = 1; }
+        else if (sv != null){ ec = sc; ev = m1; }
+        else { ec = m1; ev = null; }
+        kind = sv == null ? "chapters" : "range";
+      }
+
+      const err = checkPoint(book, sc, sv) || checkPoint(book, ec, ev);
+      if (err){ errors.push(err); continue; }
+      if (ec < sc || (ec === sc && sv != null && ev < sv)){
+        errors.push(fail("backwards", { input: item, book: book.name }));
+        continue;
+      }
+      if (kind === "range" && sc === ec && sv === ev) kind = "verse";
+      if (kind === "chapters" && sc === ec) kind = "chapter";
+      passages.push(makePassage(book, kind, sc, sv, ec, ev));
+      ctxChapter = sv != null ? ec : null;
+    }
+    return { book, passages, errors };
+  }
+
+  // → { ok, passages:[{ bookName, bookSlug, bookPath?, kind, start:{chapter,verse}, end:{chapter,verse} }],
+  // errors:[string], codes:[string] }; codes[i] says what kind errors[i] is, as in
+  // MESSAGES ("unknownBook", "chapters" …), for callers that skip some kinds
+  function parse(input){
+    const passages = [], errors = [];
+    let prevBook = null;
+    for (const seg of String(input || "").split(";")){
+      if (!seg.trim()) continue;
+      const res = parseSegment(seg, prevBook);
+      if (res.book) prevBook = res.book;
+      passages.push(...(res.passages || []));
+      errors.push(...res.errors);
+    }
+    if (!passages.length && !errors.length) errors.push(fail("empty", {}));
+    return { ok: errors.length === 0, passages, errors: errors.map(e => e.message), codes: errors.map(e => e.code) };
+  }
+
+  return { parse, resolveBook };
+}
@@ -0,0 +1,81 @@
+// lib/serve.mjs — A static file handler for node:http that routes like GitHub Pages:
+// /john/3 redirects to /john/3/, a directory serves its index.html, /page finds
+// page.html, and anything else gets the site's own /404.html with status 404.
+// serve.mjs adds live reload through `inject`. Node only.
+
+import fs from "fs/promises";
+import path from "path";
+
+const TYPES = {
+  ".html": "text/html; charset=utf-8", ".css": "text/css; charset=utf-8", ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8", ".json": "application/json; charset=utf-8", ".xml": "application/xml; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8", ".webmanifest": "application/manifest+json", ".svg": "image/svg+xml",
+  ".png": "image/png", ".jpg": "image/jpeg", ".ico": "image/x-icon", ".woff2": "font/woff2", ".mp3": "audio/mpeg",
+  ".epub": "application/epub+zip", ".pdf": "application/pdf"
+};
+
+const statOf = (file)=> fs.stat(file).catch(()=> null);
+
+// root: the site directory; inject(html) → html, applied to every HTML response
+// → (req, res) handler
+export function createPagesHandler(root, { inject = (html)=> html } = {}){
+  root = path.resolve(root);
+
+  async function send(req, res, file, status = 200){
+    const type = TYPES[path.extname(file)] || "application/octet-stream";
+    let body = await fs.readFile(file);
+    if (type.startsWith("text/html")) body = Buffer.from(inject(body.toString("utf8")));
+    const headers = { "Content-Type": type, "Cache-Control": "no-cache", "Accept-Ranges": "bytes" };
+
+    // One byte range, as audio seeking asks for ("bytes=1000-" or "bytes=1000-1999")
+    const range = status === 200 && /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+    if (range && (range[1] || range[2])){
+      const size = body.length;
+      const start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+      const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+      if (start > end || start >= size){
+        res.writeHead(416, { "Content-Range": `bytes */${size}` }).end();
+        return;
+      }
+      body = body.subarray(start, end + 1);
+      headers["Content-Range"] = `bytes ${start}-${end}/${size}`;
+      status = 206;
+    }
+    headers["Content-Length"] = body.length;
+    res.writeHead(status, headers);
+    res.end(req.method === "HEAD" ? undefined : body);
+  }
+
+  async function notFound(req, res){
+    const page = path.join(root, "404.html");
+    if (await statOf(page)) return send(req, res, page, 404);
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" }).end("404 Not Found\n");
+  }
+
+  return async (req, res)=>{
+    if (req.method !== "GET" && req.method !== "HEAD"){
+      res.writeHead(405, { Allow: "GET, HEAD" }).end();
+      return;
+    }
+    const url = new URL(req.url, "http://localhost");
+    let pathname;
+    try { pathname = decodeURIComponent(url.pathname); }
+    catch { return notFound(req, res); }
+    const file = path.join(root, pathname);
+    if (pathname.includes("\0") || (file !== root && !file.startsWith(root + path.sep))) return notFound(req, res);
+
+    const stat = await statOf(file);
+    if (stat?.isFile()) return send(req, res, file);
+    if (stat?.isDirectory()){
+      if (!pathname.endsWith("/")){
+        res.writeHead(301, { Location: `${url.pathname}/${url.search}` }).end();
+        return;
+      }
+      const index = path.join(file, "index.html");
+      if (await statOf(index)) return send(req, res, index);
+      return notFound(req, res);
+    }
+    if (!path.extname(pathname) && (await statOf(`${file}.html`))?.isFile()) return send(req, res, `${file}.html`);
+    return notFound(req, res);
+  };
+}
@@ -0,0 +1,232 @@
+// lib/share-image.mjs — 1200×630 PNG cards for sharing a verse (og:image): the
+// verse set in the site's own font, sized to fit, with the reference and the
+// site's name underneath. Fonts come from lib/font.mjs; text is rasterised with
+// anti-aliasing by accumulated signed area (the font-rs method) and written as an
+// RGB PNG. No network, no native modules. Node only (node:zlib).
+
+import { deflateSync } from "node:zlib";
+import { crc32 } from "./zip.mjs";
+import { shapeText as shape } from "./font.mjs";
+
+export const SHARE_WIDTH = 1200, SHARE_HEIGHT = 630;
+
+const MARGIN = 88;
+const VERSE_TOP = 150, VERSE_BOTTOM = 500;    // the verse is centred in this band
+const VERSE_SIZES = [60, 56, 52, 48, 44, 40, 37, 34, 31, 28];
+const LEADING = 1.32;
+
+// ---- Text ----
+
+// Greedy line breaking at spaces → [string]
+function wrap(stack, text, size, width){
+  const lines = [];
+  let line = "";
+  for (const word of text.split(" ")){
+    const next = line ? `${line} ${word}` : word;
+    if (line && shape(stack, next, size).width > width){ lines.push(line); line = word; }
+    else line = next;
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// The largest size whose lines fit the band; at the smallest, the text is cut
+// short with an ellipsis → { size, lines }
+function fitText(stack, text, width, height){
+  for (const size of VERSE_SIZES){
+    const lines = wrap(stack, text, size, width);
+    if (lines.length * size * LEADING <= height) return { size, lines };
+  }
+  const size = VERSE_SIZES[VERSE_SIZES.length - 1];
+  const max = Math.max(1, Math.floor(height / (size * LEADING)));
+  const lines = wrap(stack, text, size, width).slice(0, max);
+  let last = lines[max - 1];
+  while (last.includes(" ") && shape(stack, `${last}…`, size).width > width) last = last.slice(0, last.lastIndexOf(" "));
+  lines[max - 1] = `${last.replace(/[\s,.;:!?]+$/, "")}…`;
+  return { size, lines };
+}
+
+// ---- Raster ----
+
+function hexRGB(hex){
+  const h = hex.length === 4 ? hex.slice(1).split("").map(c => c + c).join("") : hex.slice(1);
+  return [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+}
+
+function createCanvas(width, height, background){
+  const pixels = new Uint8Array(width * height * 3);
+  const [r, g, b] = hexRGB(background);
+  for (let i = 0; i < pixels.length; i += 3){ pixels[i] = r; pixels[i + 1] = g; pixels[i + 2] = b; }
+  return { width, height, pixels, area: new Float32Array(width * height + 2), top: height, bottom: 0 };
+}
+
+function fillRect(canvas, x, y, w, h, colour){
+  const [r, g, b] = hexRGB(colour);
+  for (let row = Math.max(0, y); row < Math.min(canvas.height, y + h); row++){
+    for (let col = Math.max(0, x); col < Math.min(canvas.width, x + w); col++){
+      const i = (row * canvas.width + col) * 3;
+      canvas.pixels[i] = r; canvas.pixels[i + 1] = g; canvas.pixels[i + 2] = b;
+    }
+  }
+}
+
+// Adds one edge's signed area to the accumulation buffer
+function line(canvas, x0, y0, x1, y1){
+  if (Math.abs(y0 - y1) < 1e-6) return;
+  const { width, height, area } = canvas;
+  let dir = 1;
+  if (y0 > y1){ dir = -1; [x0, y0, x1, y1] = [x1, y1, x0, y0]; }
+  const dxdy = (x1 - x0) / (y1 - y0);
+  let x = x0;
+  if (y0 < 0) x -= y0 * dxdy;
+  const first = Math.max(0, Math.floor(y0)), last = Math.min(height, Math.ceil(y1));
+  canvas.top = Math.min(canvas.top, first);
+  canvas.bottom = Math.max(canvas.bottom, last);
+  for (let y = first; y < last; y++){
+    const row = y * width;
+    const dy = Math.min(y + 1, y1) - Math.max(y, y0);
+    const xnext = x + dxdy * dy, d = dy * dir;
+    const [xa, xb] = x < xnext ? [x, xnext] : [xnext, x];
+    const xaFloor = Math.floor(xa), xai = xaFloor, xbi = Math.ceil(xb);
+    if (xai < 0 || xbi > width){ x = xnext; continue; }
+    if (xbi <= xai + 1){
+      const xmf = 0.5 * (x + xnext) - xaFloor;
+      area[row + xai] += d - d * xmf;
+      area[row + xai + 1] += d * xmf;
+    } else {
+      const s = 1 / (xb - xa), xaf = xa - xaFloor;
+      const a0 = 0.5 * s * (1 - xaf) * (1 - xaf);
+      const xbf = xb - xbi + 1, am = 0.5 * s * xbf * xbf;
+      area[row + xai] += d * a0;
+      if (xbi === xai + 2) area[row + xai + 1] += d * (1 - a0 - am);
+      else {
+        const a1 = s * (1.5 - xaf);
+        area[row + xai + 1] += d * (a1 - a0);
+        for (let xi = xai + 2; xi < xbi - 1; xi++) area[row + xi] += d * s;
+        const a2 = a1 + (xbi - xai - 3) * s;
+        area[row + xbi - 1] += d * (1 - a2 - am);
+      }
+      area[row + xbi] += d * am;
+    }
+    x = xnext;
+  }
+}
+
+function quad(canvas, x0, y0, cx, cy, x1, y1){
+  const devx = x0 - 2 * cx + x1, devy = y0 - 2 * cy + y1, devsq = devx * devx + devy * devy;
+  if (devsq < 0.333){ line(canvas, x0, y0, x1, y1); return; }
+  const n = 1 + Math.floor(Math.sqrt(Math.sqrt(3 * devsq)));
+  let px = x0, py = y0;
+  for (let i = 1; i <= n; i++){
+    const t = i / n, u = 1 - t;
+    const qx = u * u * x0 + 2 * u * t * cx + t * t * x1, qy = u * u * y0 + 2 * u * t * cy + t * t * y1;
+    line(canvas, px, py, qx, qy);
+    px = qx; py = qy;
+  }
+}
+
+// TrueType contour (on/off-curve points, y up) → edges, placed at (ox, baseline)
+function contour(canvas, points, ox, baseline, scale){
+  const pts = [];
+  points.forEach((p, i)=>{
+    const q = points[(i + 1) % points.length];
+    pts.push(p);
+    if (!p.on && !q.on) pts.push({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2, on: true });
+  });
+  const start = pts.findIndex(p => p.on);
+  if (start < 0) return;
+  const ring = [...pts.slice(start), ...pts.slice(0, start)], n = ring.length;
+  const X = (p)=> ox + p.x * scale, Y = (p)=> baseline - p.y * scale;
+  let cur = ring[0];
+  for (let i = 1; i <= n;){
+    const p = ring[i % n];
+    if (p.on){ line(canvas, X(cur), Y(cur), X(p), Y(p)); cur = p; i++; }
+    else {
+      const q = ring[(i + 1) % n];
+      quad(canvas, X(cur), Y(cur), X(p), Y(p), X(q), Y(q));
+      cur = q; i += 2;
+    }
+  }
+}
+
+function drawText(canvas, stack, text, size, x, baseline){
+  for (const g of shape(stack, text, size).glyphs){
+    for (const c of g.font.outline(g.glyph)) contour(canvas, c, x + g.x, baseline, g.scale);
+  }
+}
+
+// Paints what has been accumulated since the last paint in one colour, then clears it
+function paint(canvas, colour){
+  const { width, pixels, area } = canvas;
+  const [r, g, b] = hexRGB(colour);
+  const from = canvas.top * width, to = Math.min(area.length - 2, canvas.bottom * width);
+  let acc = 0;
+  for (let i = from; i < to; i++){
+    acc += area[i];
+    area[i] = 0;
+    const a = Math.min(1, Math.abs(acc));
+    if (a < 1 / 255) continue;
+    const p = i * 3;
+    pixels[p] += (r - pixels[p]) * a;
+    pixels[p + 1] += (g - pixels[p + 1]) * a;
+    pixels[p + 2] += (b - pixels[p + 2]) * a;
+  }
+  area.fill(0, to, area.length);
+  canvas.top = canvas.height;
+  canvas.bottom = 0;
+}
+
+// ---- PNG ----
+
+function chunk(type, data){
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, "latin1");
+  Buffer.from(data.buffer, data.byteOffset, data.length).copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+export function encodePNG({ width, height, pixels }){
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++){
+    raw[y * (width * 3 + 1)] = 0;  // filter: none
+    Buffer.from(pixels.buffer, pixels.byteOffset + y * width * 3, width * 3).copy(raw, y * (width * 3 + 1) + 1);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8);  // 8-bit RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header), chunk("IDAT", deflateSync(raw, { level: 9 })), chunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+// ---- Card ----
+
+// { text, reference, title, site } + { regular, bold: font stacks, colours: { bg,
+// ink, muted, heading, line, strong } } → PNG Buffer. `title` (the edition) runs
+// along the top, `site` (a host name) bottom right.
+export function renderShareImage({ text, reference, title, site }, { regular, bold, colours }){
+  const canvas = createCanvas(SHARE_WIDTH, SHARE_HEIGHT, colours.bg);
+  const width = SHARE_WIDTH - 2 * MARGIN;
+  fillRect(canvas, 0, 0, 14, SHARE_HEIGHT, colours.strong);
+
+  drawText(canvas, regular, title, 30, MARGIN, 104);
+  paint(canvas, colours.muted);
+
+  const quoted = `“${String(text).replace(/\s+/g, " ").trim()}”`;
+  const { size, lines } = fitText(regular, quoted, width, VERSE_BOTTOM - VERSE_TOP);
+  const lineHeight = size * LEADING;
+  let baseline = VERSE_TOP + (VERSE_BOTTOM - VERSE_TOP - lines.length * lineHeight) / 2 + size;
+  for (const l of lines){ drawText(canvas, regular, l, size, MARGIN, baseline); baseline += lineHeight; }
+  paint(canvas, colours.ink);
+
+  fillRect(canvas, MARGIN, 526, width, 2, colours.line);
+  drawText(canvas, bold, reference, 40, MARGIN, 584);
+  paint(canvas, colours.heading);
+  drawText(canvas, regular, site, 28, SHARE_WIDTH - MARGIN - shape(regular, site, 28).width, 582);
+  paint(canvas, colours.muted);
+  return encodePNG(canvas);
+}
@@ -0,0 +1,81 @@
+// lib/site.mjs — Site branding config (site.json) shared by build.mjs (Node only): the
+// title, brand link and logo in every header, the name and version in every
+// footer, the publisher and copyright notice, social profiles and theme colour
+// overrides. A partner ministry rebrands the site by pointing SITE_FILE at its
+// own copy; any key left out keeps the default below. The title is the default
+// locale's "site.title"; other locales' catalogues (locales/) keep their own.
+
+import fs from "fs/promises";
+import path from "path";
+
+// Networks a social profile can name (each has an icon in build.mjs)
+export const SOCIAL_NETWORKS = { facebook: "Facebook", instagram: "Instagram", x: "X", linkedin: "LinkedIn" };
+
+// Used for anything site.json leaves out (or when there is none): the original site
+const DEFAULTS = {
+  name: "The Holy Bible Online",
+  title: "The Holy Bible",
+  shortName: "Holy Bible",
+  version: "v1.3 Alpha",
+  url: "https://kjv.the-holy-bible.online",
+  publisher: { name: "Living Word Bibles", url: "https://www.livingwordbibles.com" },
+  brand: { url: "https://www.livingwordbibles.com/read-the-bible-online", label: "Living Word Bibles — Read the Bible Online" },
+  logo: { src: "https://static1.squarespace.com/static/68d6b7d6d21f02432fd7397b/t/690209b3567af44aabfbdaca/1761741235124/LivingWordBibles01.png", alt: "Living Word Bibles" },
+  copyright: { year: 2025, notice: "All Rights Reserved" },
+  social: [{ network: "instagram", url: "https://www.instagram.com/living.word.bibles/" }],
+  colours: {}
+};
+
+// → { name, title, shortName, version, url, publisher: { name, url }, brand: { url, label },
+// logo: { src, alt }, copyright: { year, notice }, social: [{ network, label, url }],
+// colours: { <theme>: { <variable>: "#hex" } } }. colours are checked against the
+// themes by build.mjs, which owns them. SITE_FILE overrides the config path.
+export async function loadSite(root){
+  const file = process.env.SITE_FILE || path.join(root, "site.json");
+  let conf;
+  try { conf = JSON.parse(await fs.readFile(file, "utf8")); }
+  catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Unable to read ${file}: ${e.message}`);
+    conf = {};
+  }
+  if (!conf || typeof conf !== "object" || Array.isArray(conf)) throw new Error(`${file} must be a JSON object`);
+
+  const text = (value, key)=>{
+    if (typeof value !== "string" || !value.trim()) throw new Error(`${file}: ${key} must be a non-empty string`);
+    return value.trim();
+  };
+  const link = (value, key)=>{
+    if (!/^(https?:|mailto:)/.test(text(value, key))) throw new Error(`${file}: ${key} must be an http(s) or mailto: URL`);
+    return value.trim();
+  };
+  const group = (key)=>{
+    const value = conf[key] ?? {};
+    if (typeof value !== "object" || Array.isArray(value)) throw new Error(`${file}: ${key} must be an object`);
+    return { ...DEFAULTS[key], ...value };
+  };
+
+  const publisher = group("publisher"), brand = group("brand"), logo = group("logo"), copyright = group("copyright");
+  if (!Number.isInteger(copyright.year)) throw new Error(`${file}: copyright.year must be a year, e.g. 2025`);
+
+  const social = conf.social ?? DEFAULTS.social;
+  if (!Array.isArray(social)) throw new Error(`${file}: social must be an array of { network, url }`);
+  const colours = conf.colours ?? DEFAULTS.colours;
+  if (typeof colours !== "object" || Array.isArray(colours)) throw new Error(`${file}: colours must be an object of themes`);
+
+  return {
+    name: text(conf.name ?? DEFAULTS.name, "name"),
+    title: text(conf.title ?? DEFAULTS.title, "title"),
+    shortName: text(conf.shortName ?? DEFAULTS.shortName, "shortName"),
+    version: text(conf.version ?? DEFAULTS.version, "version"),
+    url: link(conf.url ?? DEFAULTS.url, "url").replace(/\/+$/, ""),
+    publisher: { name: text(publisher.name, "publisher.name"), url: link(publisher.url, "publisher.url") },
+    brand: { url: link(brand.url, "brand.url"), label: text(brand.label, "brand.label") },
+    logo: { src: link(logo.src, "logo.src"), alt: text(logo.alt, "logo.alt") },
+    copyright: { year: copyright.year, notice: copyright.notice ? text(copyright.notice, "copyright.notice") : "" },
+    social: social.map((s, i) => {
+      if (!SOCIAL_NETWORKS[s?.network]) throw new Error(`${file}: social[${i}].network must be one of ${Object.keys(SOCIAL_NETWORKS).join(", ")}`);
+      return { network: s.network, label: s.label ? text(s.label, `social[${i}].label`) : SOCIAL_NETWORKS[s.network], url: link(s.url, `social[${i}].url`) };
+    }),
+    colours
+  };
+}
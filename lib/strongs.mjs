@@ -0,0 +1,118 @@
+// lib/strongs.mjs — Strong's-number tagged text and lexicon entries.
+// Tagged text puts each number straight after the words it translates, as in the
+// public-domain KJV-with-Strong's datasets:
+//
+//   "In the beginning{H7225} God{H430} created{H1254}{(H8804)} {H853} the heaven{H8064}"
+//
+// "<H7225>" works too; several numbers may follow one phrase, a number with no
+// words before it (an untranslated particle) is dropped, and parenthesised
+// morphology codes such as {(H8804)} are ignored.
+
+const TAG = /[{<](\(?)([HGhg])0*(\d+)([a-z]?)\)?[}>]/g;
+const CODE = /^([HG])0*(\d+)([a-z]?)$/i;
+
+// "h07225" → "H7225"; anything else → null
+export function normalizeCode(code){
+  const m = String(code).trim().match(CODE);
+  return m ? `${m[1].toUpperCase()}${Number(m[2])}${m[3]}` : null;
+}
+
+export const isHebrew = (code)=> code[0] === "H";
+
+// → { text, spans:[[words, [code, ...]], ...] } where the spans' words join up to
+// `text`, or null when there are no tags
+export function parseTagged(raw){
+  const s = String(raw ?? "");
+  TAG.lastIndex = 0;
+  if (!TAG.test(s)) return null;
+
+  const parts = [];
+  let last = 0, m;
+  TAG.lastIndex = 0;
+  while ((m = TAG.exec(s))){
+    const before = s.slice(last, m.index);
+    last = TAG.lastIndex;
+    const prev = parts[parts.length - 1];
+    if (before) parts.push([before, []]);
+    if (m[1]) continue;  // morphology
+    const code = `${m[2].toUpperCase()}${Number(m[3])}${m[4]}`;
+    const target = before.trim() ? parts[parts.length - 1] : (!before && prev && prev[1].length ? prev : null);
+    if (target && !target[1].includes(code)) target[1].push(code);
+  }
+  if (last < s.length) parts.push([s.slice(last), []]);
+
+  // Collapse whitespace across the joins (tags often sit between two spaces)
+  const spans = [];
+  let text = "";
+  for (const [words, codes] of parts){
+    let w = words.replace(/\s+/g, " ");
+    if (text.endsWith(" ") || !text) w = w.replace(/^ /, "");
+    if (!w) continue;
+    const prev = spans[spans.length - 1];
+    if (prev && !codes.length && !prev[1].length) prev[0] += w;
+    else spans.push([w, codes]);
+    text += w;
+  }
+  while (spans.length && spans[spans.length - 1][0].endsWith(" ")){
+    const lastSpan = spans[spans.length - 1];
+    lastSpan[0] = lastSpan[0].replace(/ $/, "");
+    if (!lastSpan[0]) spans.pop();
+    text = text.replace(/ $/, "");
+  }
+  return { text, spans };
+}
+
+// Spans → HTML: tagged words become <span class="w" data-s="H7225 …">, or with
+// `mark` only the words tagged with that number become <mark>; `esc` is the
+// caller's HTML escaper
+export function taggedHTML(spans, esc, { mark = null } = {}){
+  return spans.map(([words, codes]) => {
+    if (!codes.length || (mark && !codes.includes(mark))) return esc(words);
+    // Punctuation left over from the previous phrase stays outside the span
+    const [, lead, core, trail] = words.match(/^([\s,.;:!?)\]]*)(.*?)(\s*)$/s);
+    const inner = mark ? `<mark>${esc(core)}</mark>` : `<span class="w" data-s="${codes.join(" ")}">${esc(core)}</span>`;
+    return `${esc(lead)}${inner}${trail}`;
+  }).join("");
+}
+
+// One lexicon entry, from the Open Scriptures Strong's dictionaries
+// ({ lemma, xlit, pron, derivation, strongs_def, kjv_def }) or a simpler
+// { lemma, translit, gloss, definition, usage } →
+// { lemma, translit, pron, gloss, definition, usage, derivation }; gloss falls
+// back to the definition
+export function normalizeEntry(raw){
+  if (!raw || typeof raw !== "object") return null;
+  const str = (...keys)=> {
+    for (const k of keys) if (typeof raw[k] === "string" && raw[k].trim()) return raw[k].trim();
+    return "";
+  };
+  return {
+    lemma: str("lemma", "word", "original"),
+    translit: str("translit", "transliteration", "xlit"),
+    pron: str("pron", "pronunciation"),
+    gloss: str("gloss", "short", "strongs_def", "definition", "def"),
+    definition: str("definition", "def", "strongs_def"),
+    usage: str("usage", "kjv_def").replace(/^:\s*/, "").replace(/\.$/, ""),
+    derivation: str("derivation")
+  };
+}
+
+// Whole lexicon file → Map(code → entry). Accepts an object keyed by number or an
+// array of entries carrying one ("strongs", "number", "code" or "id").
+export function normalizeLexicon(data){
+  const out = new Map();
+  const add = (key, raw)=>{
+    const code = normalizeCode(key ?? "");
+    const entry = code && normalizeEntry(raw);
+    if (entry) out.set(code, entry);
+  };
+  if (Array.isArray(data)) for (const e of data) add(e?.strongs ?? e?.number ?? e?.code ?? e?.id, e);
+  else if (data && typeof data === "object") for (const [k, v] of Object.entries(data)) add(k, v);
+  return out;
+}
+
+// Canonical order: Hebrew before Greek, then by number
+export function compareCodes(a, b){
+  const ma = a.match(CODE), mb = b.match(CODE);
+  return (ma[1] === mb[1] ? 0 : ma[1] === "H" ? -1 : 1) || Number(ma[2]) - Number(mb[2]) || ma[3].localeCompare(mb[3]);
+}
@@ -0,0 +1,163 @@
+// lib/validate.mjs — Dataset integrity checks against the canonical KJV (lib/canon.mjs).
+// Used by validate.mjs, fetch-data.mjs and build.mjs; all three refuse to carry on
+// with a dataset that has errors. An edition with its own versification (editions.json)
+// only gets warnings where its chapter and verse counts differ from the 1769 text.
+// Node only (reads an edition's data dir, writes the report).
+
+import fs from "fs/promises";
+import path from "path";
+import { OT, NT, CHAPTER_VERSES } from "./canon.mjs";
+
+const ALL = [...OT, ...NT];
+const fileFromName = (name)=>String(name).replace(/[^0-9A-Za-z]/g,"") + ".json";
+const HTML_RE = /<\/?[a-z!][^>]*>|&(?:[a-z]+|#\d+|#x[0-9a-f]+);/i;
+
+// Raw book JSON → [{ chapter, verses:[{ verse, text }] }] in file order, keeping the
+// duplicates, gaps and odd values that normalizeBook() smooths over. Accepts the
+// same shapes as normalizeBook(); returns null for anything else.
+export function readChapters(data){
+  const verseList = (vs)=>{
+    if (Array.isArray(vs)){
+      return vs.map((v,i)=> v && typeof v === "object"
+        ? { verse: Number(v.verse ?? v.num ?? v.v ?? (i+1)), text: v.text ?? v.t }
+        : { verse: i+1, text: v });
+    }
+    if (vs && typeof vs === "object") return Object.entries(vs).map(([k,v])=>({ verse: Number(k), text: v }));
+    return [];
+  };
+  if (data && Array.isArray(data.chapters)){
+    return data.chapters.map(ch => ({ chapter: Number(ch?.chapter), verses: verseList(ch?.verses) }));
+  }
+  if (data && data.chapters && typeof data.chapters === "object"){
+    return Object.entries(data.chapters).map(([k,v])=>({ chapter: Number(k), verses: verseList(v) }));
+  }
+  if (Array.isArray(data) && data.length && Array.isArray(data[0])){
+    return data.map((c,i)=>({ chapter: i+1, verses: verseList(c) }));
+  }
+  return null;
+}
+
+// Walks numbers that should run 1..expected exactly once, in order
+function checkSequence(nums, expected, report){
+  const seen = new Set();
+  let prev = 0;
+  for (const n of nums){
+    if (!Number.isInteger(n) || n < 1) { report("number", n); continue; }
+    if (seen.has(n)) report("duplicate", n);
+    else if (n < prev) report("order", n);
+    if (n > expected) report("extra", n);
+    seen.add(n);
+    prev = Math.max(prev, n);
+  }
+  for (let n=1; n<=expected; n++) if (!seen.has(n)) report("missing", n);
+}
+
+// index: parsed Books.json (indexError: why it couldn't be read); books: Map(name →
+// { data } | { error }); versification: "kjv" holds chapter and verse counts to the
+// 1769 text, "own" reports differences as warnings
+// → { ok, summary:{ books, chapters, verses, errors, warnings }, issues:[{ level, code, book?, chapter?, verse?, message }] }
+export function validateDataset({ index, indexError = null, books, versification = "kjv" }){
+  const issues = [];
+  const error = (code, message, at={})=> issues.push({ level:"error", code, ...at, message });
+  const warn = (code, message, at={})=> issues.push({ level:"warning", code, ...at, message });
+  const strict = versification === "kjv";
+  const count = strict ? error : warn;  // for counts that differ from the canon
+  let chapterTotal = 0, verseTotal = 0;
+
+  // Books.json against the OT/NT lists
+  if (indexError){
+    error("index-missing", indexError);
+  } else if (!Array.isArray(index) || !index.every(n => typeof n === "string")){
+    error("index-invalid", "Books.json must be an array of book names");
+  } else {
+    const seen = new Set();
+    for (const n of index){
+      if (seen.has(n)) error("index-duplicate", `Books.json lists ${n} more than once`, { book:n });
+      else if (!ALL.includes(n)) error("index-unknown-book", `Books.json lists unknown book "${n}"`, { book:n });
+      seen.add(n);
+    }
+    for (const n of ALL) if (!seen.has(n)) error("index-missing-book", `Books.json is missing ${n}`, { book:n });
+    const listed = index.filter(n => ALL.includes(n));
+    if (listed.some((n,i)=> n !== ALL.filter(a => seen.has(a))[i])){
+      warn("index-order", "Books.json is not in canonical OT/NT order (the build uses canonical order)");
+    }
+  }
+
+  for (const name of ALL){
+    const entry = books.get(name);
+    if (!entry || entry.error){
+      error("book-missing", `${name}: ${entry?.error || "no data file"}`, { book:name });
+      continue;
+    }
+    const chapters = readChapters(entry.data);
+    if (!chapters){ error("book-structure", `${name}: unrecognized book JSON structure`, { book:name }); continue; }
+    const canon = CHAPTER_VERSES[name];
+    if (chapters.length !== canon.length){
+      count("chapter-count", `${name} has ${chapters.length} chapters; expected ${canon.length}`, { book:name });
+    }
+    checkSequence(chapters.map(c => c.chapter), strict ? canon.length : Math.max(0, ...chapters.map(c => c.chapter).filter(Number.isInteger)), (kind, n)=>
+      (kind === "extra" || kind === "missing" ? count : error)(`chapter-${kind}`, `${name}: chapter ${n} is ${{ number:"not a valid chapter number", duplicate:"duplicated", order:"out of order", extra:"beyond the canonical count", missing:"missing" }[kind]}`, { book:name, chapter:n }));
+
+    for (const { chapter, verses } of chapters){
+      chapterTotal++;
+      verseTotal += verses.length;
+      const canonical = canon[chapter - 1];
+      if (canonical == null && strict) continue; // already flagged as an extra chapter
+      const expected = strict ? canonical : Math.max(0, ...verses.map(v => v.verse).filter(Number.isInteger));
+      const at = { book:name, chapter };
+      if (canonical != null && verses.length !== canonical){
+        count("verse-count", `${name} ${chapter} has ${verses.length} verses; expected ${canonical}`, at);
+      }
+      checkSequence(verses.map(v => v.verse), expected, (kind, n)=>
+        (kind === "extra" || kind === "missing" ? count : error)(`verse-${kind}`, `${name} ${chapter}:${n} is ${{ number:"not a valid verse number", duplicate:"duplicated", order:"out of order", extra:"beyond the canonical count", missing:"missing" }[kind]}`, { ...at, verse:n }));
+      for (const { verse, text } of verses){
+        const vat = { ...at, verse };
+        if (typeof text !== "string") error("verse-type", `${name} ${chapter}:${verse} text is ${text === undefined ? "missing" : typeof text}`, vat);
+        else if (!text.trim()) error("verse-empty", `${name} ${chapter}:${verse} is empty`, vat);
+        else if (HTML_RE.test(text)) error("verse-html", `${name} ${chapter}:${verse} contains HTML: ${JSON.stringify(text.match(HTML_RE)[0])}`, vat);
+      }
+    }
+  }
+
+  const errors = issues.filter(i => i.level === "error").length;
+  return {
+    ok: errors === 0,
+    summary: { books: [...books.values()].filter(b => b && !b.error).length, chapters: chapterTotal, verses: verseTotal, errors, warnings: issues.length - errors },
+    issues
+  };
+}
+
+// Reads Books.json and every canonical book file from a local data directory
+export async function readDataset(dir){
+  const readJSON = async (rel)=> JSON.parse(await fs.readFile(path.join(dir, rel), "utf8"));
+  let index = null, indexError = null;
+  try { index = await readJSON("Books.json"); }
+  catch (e) { indexError = e.code === "ENOENT" ? "Books.json not found" : `Books.json: ${e.message}`; }
+  const books = new Map();
+  for (const name of ALL){
+    try { books.set(name, { data: await readJSON(fileFromName(name)) }); }
+    catch (e) { books.set(name, { error: e.code === "ENOENT" ? `${fileFromName(name)} not found` : e.message }); }
+  }
+  return { index, indexError, books };
+}
+
+// Where build/fetch/validate keep an edition's latest report
+export function reportFile(root, ed){
+  return path.join(root, ".cache", "validation", `${ed.id}.json`);
+}
+
+export async function writeReport(report, file){
+  await fs.mkdir(path.dirname(file), { recursive:true });
+  await fs.writeFile(file, JSON.stringify({ checkedAt: new Date().toISOString(), ...report }, null, 2));
+}
+
+// Console summary: counts plus the first few issues of each level
+export function printReport(report, { limit = 20 } = {}){
+  const { summary, issues } = report;
+  for (const level of ["error", "warning"]){
+    const list = issues.filter(i => i.level === level);
+    for (const i of list.slice(0, limit)) (level === "error" ? console.error : console.warn)(`${level === "error" ? "✗" : "!"} [${i.code}] ${i.message}`);
+    if (list.length > limit) console.log(`  … and ${list.length - limit} more ${level}s`);
+  }
+  console.log(report.ok ? "Dataset OK:" : "Dataset INVALID:", summary);
+}
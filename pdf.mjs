@@ -0,0 +1,92 @@
+// pdf.mjs — Print-ready PDF of one or more passages, e.g. a small-group handout.
+// Node 18+. Run after a build (it reads the edition's /data/ from dist/):
+//   node pdf.mjs "John 3:16-21" ["Romans 8:28-39" …] [--edition=<id>] [--paper=a4|letter] [--out=<file>]
+// References are read as in the site's "Go to" box; several may also be given in one
+// argument separated by ";". Writes <first-reference>.pdf unless --out is given.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadEditions } from "./lib/editions.mjs";
+import { loadLocale, translate } from "./lib/i18n.mjs";
+import { createReferenceParser, formatPassage } from "./lib/reference.mjs";
+import { selectRange } from "./lib/passage.mjs";
+import { readFont } from "./lib/font.mjs";
+import { passagePDF, PAPER } from "./lib/pdf.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUT_DIR = path.join(__dirname, "dist");
+const FONTS_DIR = path.join(__dirname, "fonts");
+
+const USAGE = 'Usage: node pdf.mjs "John 3:16-21" [...] [--edition=<id>] [--paper=a4|letter] [--out=<file>]';
+const OPTIONS = ["edition", "paper", "out"];
+const args = process.argv.slice(2);
+const option = (name)=> args.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+const refs = args.filter(a => !a.startsWith("-"));
+const unknown = args.find(a => a.startsWith("-") && !OPTIONS.some(name => a.startsWith(`--${name}=`)));
+
+// { regular, bold } font stacks: Latin, then Latin Extended (the subsets in fonts/)
+async function loadFonts(){
+  const stack = (weight)=> Promise.all(["latin", "latin-ext"]
+    .map(async subset => readFont(await fs.readFile(path.join(FONTS_DIR, `eb-garamond-${subset}-${weight}-normal.woff2`)))));
+  return { regular: await stack(400), bold: await stack(700) };
+}
+
+async function readJSON(file){
+  try { return JSON.parse(await fs.readFile(file, "utf8")); }
+  catch (e) {
+    if (e.code === "ENOENT") throw new Error(`${path.relative(__dirname, file)} not found: run \`npm run build\` first`);
+    throw e;
+  }
+}
+
+async function main(){
+  if (unknown || !refs.length){
+    if (unknown) console.error(`Unknown option "${unknown}"`);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  const paper = option("paper") || "a4";
+  if (!PAPER[paper]) throw new Error(`Unknown paper "${paper}" (use ${Object.keys(PAPER).join(" or ")})`);
+  const editions = await loadEditions(__dirname);
+  const id = option("edition");
+  const ed = id ? editions.find(e => e.id === id) : editions[0];
+  if (!ed) throw new Error(`Unknown edition "${id}"`);
+  const ui = await loadLocale(__dirname, ed.locale ?? ed.lang, { optional: ed.locale == null });
+
+  const dataDir = path.join(OUT_DIR, ed.prefix, "data");
+  const nav = await readJSON(path.join(dataDir, "nav.json"));
+  const { ok, passages, errors } = createReferenceParser(nav).parse(refs.join("; "));
+  if (!ok) throw new Error(errors.join("\n"));
+
+  const books = new Map();
+  const blocks = [];
+  for (const p of passages){
+    if (!books.has(p.bookSlug)) books.set(p.bookSlug, await readJSON(path.join(dataDir, "books", `${p.bookSlug}.json`)));
+    const verses = selectRange(books.get(p.bookSlug), p.start, p.end);
+    if (passages.length > 1) blocks.push({ type: "heading", text: formatPassage(p) });
+    let chapter = null;
+    for (const v of verses){
+      // Mark each chapter when a passage spans several
+      if (v.chapter !== chapter && p.start.chapter !== p.end.chapter){
+        blocks.push({ type: "subheading", text: p.bookSlug === "psalms" ? translate(ui, "epub.psalm", { chapter: v.chapter }) : `${p.bookName} ${v.chapter}` });
+      }
+      chapter = v.chapter;
+      blocks.push({ type: "verse", verse: v.verse, text: v.text });
+    }
+  }
+
+  const labels = passages.map(formatPassage);
+  const site = String(nav.site || "").replace(/^https?:\/\//, "");
+  const pdf = passagePDF({
+    title: labels.join("; "),
+    subtitle: ed.name,
+    footer: [`${labels.join("; ")} (${ed.short})`, site].filter(Boolean).join(" · "),
+    blocks, paper, fonts: await loadFonts()
+  });
+  const out = option("out") || `${labels[0].toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")}.pdf`;
+  await fs.writeFile(out, pdf);
+  console.log(`${out}: ${labels.join("; ")} — ${blocks.filter(b => b.type === "verse").length} verses, ${(pdf.length / 1024).toFixed(1)} KB`);
+}
+
+main().catch(e=>{ console.error(e.message || e); process.exit(1); });
@@ -0,0 +1,228 @@
+// serve.mjs — Local preview of dist/ with GitHub Pages routing (trailing-slash
+// redirects, /404.html) that rebuilds as you edit and reloads the browser.
+// Node 18+. Run: `npm run serve [-- --port=8080] [--host=localhost] [--no-build] [build flags…]`
+// Any other flags (--no-validate, --share-images=none …) are passed on to build.mjs.
+//
+// Edits to build.mjs or lib/ rebuild just the groups of pages they can change
+// (lib/affected.mjs, then `build.mjs --only=…`); an edited book in a data
+// directory rebuilds that book's pages (`--books=…`); anything else — config
+// files, message catalogues, fonts, build.mjs's own control flow — runs a full build. Sitemaps wait
+// for the next full build. While serving, /sw.js is replaced by a worker that
+// removes itself, so pages and styles are never answered from an offline cache.
+
+import http from "http";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { createPagesHandler } from "./lib/serve.mjs";
+import { affectedGroups, localImports } from "./lib/affected.mjs";
+import { loadEditions } from "./lib/editions.mjs";
+import { OT, NT } from "./lib/canon.mjs";
+import { intOption } from "./lib/pool.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUT_DIR = path.join(__dirname, "dist");
+const BUILD_FILE = path.join(__dirname, "build.mjs");
+const LIB_DIR = path.join(__dirname, "lib");
+const FONTS_DIR = path.join(__dirname, "fonts");
+const LOCALES_DIR = path.resolve(process.env.LOCALES_DIR || path.join(__dirname, "locales"));
+const CONFIG_FILES = [
+  process.env.EDITIONS_FILE || path.join(__dirname, "editions.json"),
+  process.env.PASSAGES_FILE || path.join(__dirname, "passages.json"),
+  process.env.PLANS_FILE || path.join(__dirname, "plans.json"),
+  process.env.VOTD_FILE || path.join(__dirname, "votd.json"),
+  process.env.CROSSREFS_FILE || path.join(__dirname, "crossrefs.tsv"),
+  process.env.STRONGS_FILE || path.join(__dirname, "strongs.json"),
+  process.env.SITE_FILE || path.join(__dirname, "site.json")
+].map(f => path.resolve(f));
+
+const PORT = intOption("port", "PORT", 8080);
+const HOST = process.argv.find(a => a.startsWith("--host="))?.slice(7) || "localhost";
+const NO_BUILD = process.argv.includes("--no-build");  // serve dist/ as it is until something changes
+const OWN_FLAGS = /^--(port|host)=|^--no-build$/;
+const BUILD_FLAGS = process.argv.slice(2).filter(a => a.startsWith("--") && !OWN_FLAGS.test(a) && !/^--(only|books|force)\b/.test(a));
+const DEBOUNCE_MS = 200;
+
+// What each of build.mjs's BUILD_GROUPS renders, by its top-level functions
+const GROUP_ROOTS = {
+  assets: ["writeStaticAssets", "writeServiceWorker"],
+  home: ["homeHTML"],
+  audio: ["writeAudio"],
+  books: ["bookIndexHTML"],
+  chapters: ["chapterHTML"],
+  data: ["offlineBundleJSON"],
+  passages: ["passageHTML", "passagesIndexHTML"],
+  plans: ["writePlans"],
+  votd: ["writeVotd"],
+  strongs: ["writeStrongs"],
+  concordance: ["writeConcordance"],
+  downloads: ["writeDownloads"],
+  share: ["writeShareImages"],
+  verses: ["writeVersePages"],
+  redirects: ["writeSlugRedirects"],
+  api: ["writeApi"],
+  search: ["writeSearchIndex"],
+  compare: ["writeComparePages"]
+};
+
+const RELOAD_JS = "new EventSource('/__serve/events').addEventListener('reload', ()=> location.reload());\n";
+const RELOAD_TAG = '<script src="/__serve/reload.js"></script>';
+const DEV_SW = `// serve.mjs: no offline cache while previewing; this removes any installed worker and its caches
+self.addEventListener('install', ()=> self.skipWaiting());
+self.addEventListener('activate', (event)=>{
+  event.waitUntil(caches.keys().then(keys => Promise.all(keys.map(k => caches.delete(k)))).then(()=> self.registration.unregister()));
+});
+`;
+
+// ---- Server ----
+
+const clients = new Set();
+const reload = ()=>{ for (const res of clients) res.write("event: reload\ndata: \n\n"); };
+
+const pages = createPagesHandler(OUT_DIR, {
+  inject: (html)=> /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${RELOAD_TAG}</body>`) : html + RELOAD_TAG
+});
+
+const server = http.createServer((req, res)=>{
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (pathname === "/__serve/events"){
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+    res.write(": connected\n\n");
+    clients.add(res);
+    req.on("close", ()=> clients.delete(res));
+    return;
+  }
+  if (pathname === "/__serve/reload.js" || pathname === "/sw.js"){
+    res.writeHead(200, { "Content-Type": "text/javascript; charset=utf-8", "Cache-Control": "no-cache" });
+    res.end(pathname === "/sw.js" ? DEV_SW : RELOAD_JS);
+    return;
+  }
+  pages(req, res).catch(err=>{
+    console.error(err);
+    if (!res.headersSent) res.writeHead(500);
+    res.end();
+  });
+});
+
+// ---- Rebuilds ----
+
+function runBuild(args){
+  console.log(`\n> node build.mjs ${[...BUILD_FLAGS, ...args].join(" ")}`);
+  return new Promise(resolve=>{
+    const child = spawn(process.execPath, [BUILD_FILE, ...BUILD_FLAGS, ...args], { cwd: __dirname, stdio: "inherit" });
+    child.on("exit", code => resolve(code === 0));
+    child.on("error", err=>{ console.error(err); resolve(false); });
+  });
+}
+
+// Changes seen since the last successful build
+let pending = { full: false, build: false, libs: new Set(), books: new Set() };
+let builtSource = "";   // build.mjs as of the last successful build
+let building = false, timer = null;
+
+const take = ()=>{ const job = pending; pending = { full: false, build: false, libs: new Set(), books: new Set() }; return job; };
+const putBack = (job)=>{
+  pending.full ||= job.full;
+  pending.build ||= job.build;
+  for (const f of job.libs) pending.libs.add(f);
+  for (const b of job.books) pending.books.add(b);
+};
+const schedule = ()=>{ clearTimeout(timer); timer = setTimeout(flush, DEBOUNCE_MS); };
+
+// Edited lib/ modules plus every lib/ module that imports one of them
+async function withImporters(changed){
+  const imports = new Map();
+  for (const f of (await fsp.readdir(LIB_DIR)).filter(f => f.endsWith(".mjs"))){
+    imports.set(f, localImports(await fsp.readFile(path.join(LIB_DIR, f), "utf8")));
+  }
+  const out = new Set(changed);
+  for (let grew = true; grew;){
+    grew = false;
+    for (const [f, deps] of imports) if (!out.has(f) && deps.some(d => out.has(d))){ out.add(f); grew = true; }
+  }
+  return [...out];
+}
+
+// → [args] for each build.mjs run this job needs: [] is a full build
+async function plan(job, source){
+  if (job.full) return [[]];
+  const runs = [];
+  if (job.build || job.libs.size){
+    const result = affectedGroups({
+      before: builtSource, after: source, files: await withImporters(job.libs),
+      roots: GROUP_ROOTS, main: "buildAll", always: ["checkA11y"]
+    });
+    if (result.full) return [[]];
+    if (result.groups.length) runs.push([`--only=${result.groups.join(",")}`]);
+  }
+  if (job.books.size) runs.push([`--books=${[...job.books].sort().join(",")}`]);
+  return runs;
+}
+
+async function flush(){
+  if (building) return;
+  const job = take();
+  if (!job.full && !job.build && !job.libs.size && !job.books.size) return;
+  building = true;
+  const source = await fsp.readFile(BUILD_FILE, "utf8");
+  const runs = await plan(job, source);
+  let ok = true;
+  for (const args of runs) if (!(ok = await runBuild(args))) break;
+  if (ok){
+    builtSource = source;
+    if (runs.length) reload();
+    else console.log("\nNo pages affected.");
+  } else {
+    putBack(job);
+    console.log("\nBuild failed; fix the error and save again.");
+  }
+  building = false;
+  if (pending.full || pending.build || pending.libs.size || pending.books.size) schedule();
+}
+
+// ---- Watching ----
+
+const slugify = (s)=> String(s).trim().toLowerCase().replace(/[^a-z0-9\s]/g, "").replace(/\s+/g, "-");
+const bookFiles = new Map([...OT, ...NT].map(name => [String(name).replace(/[^0-9A-Za-z]/g, "") + ".json", slugify(name)]));
+
+function watch(dir, onChange){
+  try {
+    fs.watch(dir, (event, name)=>{
+      if (!name) return;
+      onChange(String(name));
+      schedule();
+    });
+  } catch (err) {
+    console.warn(`Not watching ${path.relative(__dirname, dir) || "."}: ${err.message}`);
+  }
+}
+
+async function main(){
+  const editions = await loadEditions(__dirname);
+  builtSource = await fsp.readFile(BUILD_FILE, "utf8");
+
+  watch(__dirname, (name)=>{ if (name === "build.mjs") pending.build = true; });
+  watch(LIB_DIR, (name)=>{ if (name.endsWith(".mjs")) pending.libs.add(name); });
+  watch(FONTS_DIR, (name)=>{ if (name.endsWith(".woff2")) pending.full = true; });
+  watch(LOCALES_DIR, (name)=>{ if (name.endsWith(".json")) pending.full = true; });
+  for (const dir of new Set(CONFIG_FILES.map(f => path.dirname(f)))){
+    watch(dir, (name)=>{ if (CONFIG_FILES.includes(path.join(dir, name))) pending.full = true; });
+  }
+  for (const dir of new Set(editions.flatMap(ed => [ed.dataDir, ed.strongsDir]).filter(Boolean))){
+    watch(dir, (name)=>{
+      if (!name.endsWith(".json")) return;
+      if (bookFiles.has(name)) pending.books.add(bookFiles.get(name));
+      else pending.full = true;  // Books.json and anything else
+    });
+  }
+
+  server.listen(PORT, HOST, ()=> console.log(`Serving dist/ at http://${HOST}:${PORT}/ (Ctrl+C to stop)`));
+  if (!NO_BUILD){
+    pending.full = true;
+    await flush();
+  }
+}
+
+main().catch(e=>{ console.error(e); process.exit(1); });
@@ -0,0 +1,37 @@
+// validate.mjs — Check each edition's local dataset against canonical chapter/verse counts
+// (warnings only, for an edition with its own versification).
+// Node 18+. Run: `node validate.mjs [--edition=<id>]` (editions from editions.json;
+// DATA_DIR still overrides the default edition's data, as in build.mjs).
+// Writes one JSON report per edition to .cache/validation/<id>.json; exits 1 on errors.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { readDataset, validateDataset, writeReport, printReport, reportFile } from "./lib/validate.mjs";
+import { loadEditions } from "./lib/editions.mjs";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const onlyFlag = process.argv.find(a => a.startsWith("--edition="));
+
+async function main(){
+  // An edition reading another's text has no data of its own: --edition picks that one's
+  const all = await loadEditions(__dirname);
+  let editions = all.filter(ed => !ed.textOf);
+  if (onlyFlag){
+    const only = all.find(ed => ed.id === onlyFlag.slice(10))?.textOf ?? onlyFlag.slice(10);
+    editions = editions.filter(ed => ed.id === only);
+    if (!editions.length) throw new Error(`Unknown edition "${onlyFlag.slice(10)}"`);
+  }
+  let failed = 0;
+  for (const ed of editions){
+    console.log(`\n${ed.name} (${ed.id}) — ${ed.dataDir}`);
+    const report = validateDataset({ ...await readDataset(ed.dataDir), versification: ed.versification });
+    const file = reportFile(__dirname, ed);
+    await writeReport(report, file);
+    printReport(report);
+    console.log("Report:", file);
+    if (!report.ok) failed++;
+  }
+  if (failed) process.exit(1);
+}
+
+main().catch(e=>{ console.error(e); process.exit(1); });